@@ -0,0 +1,26 @@
+/**
+ * Per-network deployment settings, keyed by Hardhat network name.
+ * `usdc: null` means a MockUSDC is deployed alongside the exchange.
+ */
+module.exports = {
+  base: {
+    chainId: 8453,
+    usdc: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
+    explorer: "https://basescan.org",
+  },
+  "base-sepolia": {
+    chainId: 84532,
+    usdc: "0x036CbD53842c5426634e7929541eC2318f3dCF7e",
+    explorer: "https://sepolia.basescan.org",
+  },
+  localhost: {
+    chainId: 31337,
+    usdc: null,
+    explorer: null,
+  },
+  hardhat: {
+    chainId: 31337,
+    usdc: null,
+    explorer: null,
+  },
+};
@@ -33,6 +33,7 @@ contract AgentServiceExchange is ReentrancyGuard, Pausable, Ownable {
     error SelfServiceNotAllowed();
     error ReputationAlreadySubmitted();
     error ArrayLengthMismatch();
+    error InvalidSplit();
     
     // ============ Enums ============
     enum RequestState {
@@ -105,6 +106,9 @@ contract AgentServiceExchange is ReentrancyGuard, Pausable, Ownable {
     mapping(address => uint256[]) public buyerRequests;
     mapping(address => Reputation) public reputations;
     
+    // Addresses allowed to rule on disputes
+    mapping(address => bool) public arbiters;
+    
     // Active service IDs for discovery (only active services)
     uint256[] public activeServiceIds;
     mapping(uint256 => uint256) private _activeServiceIndex; // serviceId => index + 1 (0 = inactive)
@@ -176,6 +180,23 @@ contract AgentServiceExchange is ReentrancyGuard, Pausable, Ownable {
         address indexed provider
     );
     
+    event DisputeRaised(
+        uint256 indexed requestId,
+        address indexed raisedBy
+    );
+    
+    event DisputeResolved(
+        uint256 indexed requestId,
+        address indexed arbiter,
+        uint256 providerAmount,
+        uint256 buyerAmount
+    );
+    
+    event ArbiterUpdated(
+        address indexed arbiter,
+        bool enabled
+    );
+    
     // ============ Constructor ============
     
     constructor(address _usdc) Ownable(msg.sender) {
@@ -414,9 +435,14 @@ contract AgentServiceExchange is ReentrancyGuard, Pausable, Ownable {
         
         if (!isBuyer && !isProvider) revert Unauthorized();
         
-        // Buyer can cancel if not yet completed
-        // Provider can cancel at any time (emergency exit)
-        if (isBuyer && request.state == RequestState.Completed) {
+        // Settled escrows have nothing left to refund
+        if (request.state == RequestState.Finalized || request.state == RequestState.Cancelled) {
+            revert InvalidState();
+        }
+        
+        // Buyer can cancel if not yet completed or disputed
+        // Provider can cancel at any time (emergency exit, concedes a dispute)
+        if (isBuyer && (request.state == RequestState.Completed || request.state == RequestState.Disputed)) {
             revert InvalidState();
         }
         
@@ -430,6 +456,67 @@ contract AgentServiceExchange is ReentrancyGuard, Pausable, Ownable {
         emit EscrowRefunded(_requestId, request.buyer, request.price);
     }
     
+    // ============ Dispute Resolution ============
+    
+    /**
+     * @notice Freeze an escrow until an arbiter rules on it
+     * @param _requestId Request to dispute
+     * @dev Either party, while work is in progress or awaiting confirmation.
+     *      Stops the provider's timeout claim and the buyer's cancel.
+     */
+    function raiseDispute(uint256 _requestId) external {
+        ServiceRequest storage request = requests[_requestId];
+        
+        if (request.id == 0) revert RequestNotFound();
+        if (request.buyer != msg.sender && request.provider != msg.sender) revert Unauthorized();
+        if (request.state != RequestState.InProgress && request.state != RequestState.Completed) {
+            revert InvalidState();
+        }
+        
+        request.state = RequestState.Disputed;
+        
+        emit DisputeRaised(_requestId, msg.sender);
+    }
+    
+    /**
+     * @notice Arbiter splits a disputed escrow between provider and buyer
+     * @param _requestId Disputed request
+     * @param _providerAmount Amount released to the provider; the rest is refunded
+     * @dev Full release finalizes the request, full refund cancels it, anything
+     *      in between finalizes with a partial refund. No reputation is recorded.
+     */
+    function resolveDispute(
+        uint256 _requestId,
+        uint256 _providerAmount
+    ) external nonReentrant {
+        if (!arbiters[msg.sender]) revert Unauthorized();
+        
+        ServiceRequest storage request = requests[_requestId];
+        
+        if (request.id == 0) revert RequestNotFound();
+        if (request.state != RequestState.Disputed) revert InvalidState();
+        if (_providerAmount > request.price) revert InvalidSplit();
+        
+        uint256 buyerAmount = request.price - _providerAmount;
+        
+        if (_providerAmount > 0) {
+            request.state = RequestState.Finalized;
+            services[request.serviceId].totalSales++;
+            
+            bool released = usdc.transfer(request.provider, _providerAmount);
+            if (!released) revert TransferFailed();
+        } else {
+            request.state = RequestState.Cancelled;
+        }
+        
+        if (buyerAmount > 0) {
+            bool refunded = usdc.transfer(request.buyer, buyerAmount);
+            if (!refunded) revert TransferFailed();
+        }
+        
+        emit DisputeResolved(_requestId, msg.sender, _providerAmount, buyerAmount);
+    }
+    
     // ============ Reputation System ============
     
     /**
@@ -601,6 +688,17 @@ contract AgentServiceExchange is ReentrancyGuard, Pausable, Ownable {
         _unpause();
     }
     
+    /**
+     * @notice Grant or revoke the arbiter role
+     * @param _arbiter Arbiter address
+     * @param _enabled Whether the address may resolve disputes
+     */
+    function setArbiter(address _arbiter, bool _enabled) external onlyOwner {
+        if (_arbiter == address(0)) revert Unauthorized();
+        arbiters[_arbiter] = _enabled;
+        emit ArbiterUpdated(_arbiter, _enabled);
+    }
+    
     /**
      * @notice Emergency withdrawal of stuck tokens (only owner)
      * @param _token Token address
@@ -12,6 +12,13 @@ module.exports = {
     },
   },
   networks: {
+    base: {
+      url: process.env.BASE_RPC || "https://mainnet.base.org",
+      accounts: process.env.DEPLOYER_PRIVATE_KEY
+        ? [process.env.DEPLOYER_PRIVATE_KEY]
+        : [],
+      chainId: 8453,
+    },
     "base-sepolia": {
       url: process.env.BASE_SEPOLIA_RPC || "https://sepolia.base.org",
       accounts: process.env.DEPLOYER_PRIVATE_KEY
@@ -22,9 +29,18 @@ module.exports = {
   },
   etherscan: {
     apiKey: {
+      base: process.env.BASESCAN_API_KEY || "PLACEHOLDER",
       "base-sepolia": process.env.BASESCAN_API_KEY || "PLACEHOLDER",
     },
     customChains: [
+      {
+        network: "base",
+        chainId: 8453,
+        urls: {
+          apiURL: "https://api.basescan.org/api",
+          browserURL: "https://basescan.org",
+        },
+      },
       {
         network: "base-sepolia",
         chainId: 84532,
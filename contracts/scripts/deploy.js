@@ -1,46 +1,159 @@
+/**
+ * Deploy AgentServiceExchange and write a manifest the worker reads.
+ *
+ *   npx hardhat run scripts/deploy.js --network base-sepolia
+ *   SEED_FILE=fixtures/services.json npx hardhat run scripts/deploy.js --network localhost
+ *
+ * Network settings (USDC address, explorer) live in config/networks.js. On
+ * local networks a MockUSDC is deployed first and every local account is
+ * funded with it.
+ *
+ * Env:
+ * - USDC_ADDRESS: settlement token override
+ * - SEED_FILE: JSON fixture of services to register after deploying
+ *
+ * Output: deployments/<network>.json with the address, ABI, deployment block
+ * and chainId. The worker bundles this file (worker/src/deployment.js).
+ */
 const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const NETWORKS = require("../config/networks");
 
-async function main() {
-  const BASE_SEPOLIA_USDC = "0x036CbD53842c5426634e7929541eC2318f3dCF7e";
-  
-  console.log("Deploying AgentServiceExchange...");
-  console.log("Network:", hre.network.name);
-  console.log("USDC Address:", BASE_SEPOLIA_USDC);
+const DEPLOYMENTS_DIR = path.resolve(__dirname, "../deployments");
+const LOCAL_FUNDING = hre.ethers.parseUnits("10000", 6);
+
+function getNetworkConfig() {
+  const config = NETWORKS[hre.network.name];
+  if (!config) {
+    throw new Error(`No deployment settings for network "${hre.network.name}" in config/networks.js`);
+  }
+  return config;
+}
+
+function loadSeed(seedFile) {
+  if (!seedFile) return [];
+
+  const services = JSON.parse(fs.readFileSync(path.resolve(seedFile), "utf8"));
+  if (!Array.isArray(services)) {
+    throw new Error(`${seedFile} must contain an array of services`);
+  }
+
+  return services.map((service, i) => {
+    if (!service.name || service.priceUSDC === undefined) {
+      throw new Error(`${seedFile}[${i}] needs a name and priceUSDC`);
+    }
+    return {
+      name: service.name,
+      description: service.description || "",
+      price: hre.ethers.parseUnits(String(service.priceUSDC), 6),
+    };
+  });
+}
+
+async function deployMockUsdc() {
+  const usdc = await hre.ethers.deployContract("MockUSDC");
+  await usdc.waitForDeployment();
+
+  for (const signer of await hre.ethers.getSigners()) {
+    await (await usdc.mint(signer.address, LOCAL_FUNDING)).wait();
+  }
+
+  return usdc.getAddress();
+}
+
+async function seedServices(exchange, services) {
+  const seeded = [];
+
+  for (const service of services) {
+    const receipt = await (await exchange.registerService(service.name, service.description, service.price)).wait();
+    const event = receipt.logs
+      .map((log) => exchange.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "ServiceRegistered");
+
+    seeded.push({ id: Number(event.args.serviceId), name: service.name, price: service.price.toString() });
+    console.log(`✅ Registered "${service.name}" (ID: ${event.args.serviceId})`);
+  }
+
+  return seeded;
+}
+
+function writeManifest(manifest) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  const file = path.join(DEPLOYMENTS_DIR, `${manifest.network}.json`);
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * Deploy to the current Hardhat network and write its manifest
+ * @param {object} [options]
+ * @param {string} [options.seedFile] JSON fixture of services to register
+ * @returns {Promise<object>} the manifest
+ */
+async function deploy({ seedFile = process.env.SEED_FILE } = {}) {
+  const config = getNetworkConfig();
+  const services = loadSeed(seedFile);
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (Number(chainId) !== config.chainId) {
+    throw new Error(`Network "${hre.network.name}" should be chainId ${config.chainId}, RPC reports ${chainId}`);
+  }
 
   const [deployer] = await hre.ethers.getSigners();
+  console.log("Network:", hre.network.name, `(chainId: ${config.chainId})`);
   console.log("Deployer:", deployer.address);
-  
-  const balance = await hre.ethers.provider.getBalance(deployer.address);
-  console.log("Balance:", hre.ethers.formatEther(balance), "ETH");
+  console.log("Balance:", hre.ethers.formatEther(await hre.ethers.provider.getBalance(deployer.address)), "ETH");
 
-  const AgentServiceExchange = await hre.ethers.getContractFactory("AgentServiceExchange");
-  const exchange = await AgentServiceExchange.deploy(BASE_SEPOLIA_USDC);
-  await exchange.waitForDeployment();
+  const mockUsdc = !process.env.USDC_ADDRESS && !config.usdc;
+  const usdcAddress = process.env.USDC_ADDRESS || config.usdc || (await deployMockUsdc());
+  console.log("USDC Address:", usdcAddress, mockUsdc ? "(MockUSDC)" : "");
 
+  console.log("\nDeploying AgentServiceExchange...");
+  const exchange = await hre.ethers.deployContract("AgentServiceExchange", [usdcAddress]);
+  const receipt = await exchange.deploymentTransaction().wait();
   const address = await exchange.getAddress();
-  console.log("\n✅ AgentServiceExchange deployed to:", address);
-  console.log("Block explorer:", `https://sepolia.basescan.org/address/${address}`);
-  
-  // Register a demo service
-  console.log("\nRegistering demo service...");
-  const tx = await exchange.registerService(
-    "AI Code Review",
-    "Comprehensive code review with security analysis, best practices, and optimization suggestions. Powered by multi-model AI verification.",
-    hre.ethers.parseUnits("5", 6) // 5 USDC
-  );
-  await tx.wait();
-  console.log("✅ Demo service registered (ID: 1)");
+
+  console.log("✅ AgentServiceExchange deployed to:", address);
+  if (config.explorer) {
+    console.log("Block explorer:", `${config.explorer}/address/${address}`);
+  }
+
+  if (services.length > 0) {
+    console.log(`\nSeeding ${services.length} service(s) from ${seedFile}...`);
+  }
+  const seeded = await seedServices(exchange, services);
+
+  const artifact = await hre.artifacts.readArtifact("AgentServiceExchange");
+  const manifest = {
+    network: hre.network.name,
+    chainId: config.chainId,
+    address,
+    blockNumber: receipt.blockNumber,
+    transactionHash: receipt.hash,
+    deployer: deployer.address,
+    usdc: { address: usdcAddress, mock: mockUsdc },
+    deployedAt: new Date().toISOString(),
+    services: seeded,
+    abi: artifact.abi,
+  };
+  const file = writeManifest(manifest);
 
   console.log("\n=== Deployment Summary ===");
   console.log("Contract:", address);
-  console.log("USDC:", BASE_SEPOLIA_USDC);
-  console.log("Network: Base Sepolia (chainId: 84532)");
-  console.log("Demo Service: AI Code Review @ 5 USDC");
+  console.log("Block:", receipt.blockNumber);
+  console.log("Manifest:", path.relative(process.cwd(), file));
+
+  return manifest;
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+module.exports = { deploy };
+
+if (require.main === module) {
+  deploy()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
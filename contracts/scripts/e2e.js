@@ -0,0 +1,258 @@
+/**
+ * Local end-to-end run: deploys MockUSDC and AgentServiceExchange to a Hardhat
+ * node with scripts/deploy.js, starts the worker against it with `wrangler dev` (fresh local D1/KV),
+ * then drives two escrows through the contract, the signed API and the indexer:
+ *
+ *   1. create → verify via API → markComplete → confirmCompletion → finalized
+ *   2. create → verify via API → raiseDispute → arbiter split → finalized
+ *
+ * Usage (worker dependencies must be installed in ../worker):
+ *   npx hardhat node                                    # terminal 1
+ *   npx hardhat run scripts/e2e.js --network localhost  # terminal 2
+ *
+ * Env: E2E_WORKER_PORT (default 8787), E2E_KEEP_WORKER=1 to leave the worker
+ * running for manual poking.
+ */
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn, execFileSync } = require("child_process");
+const { deploy } = require("./deploy");
+
+const WORKER_DIR = path.resolve(__dirname, "../../worker");
+const WRANGLER = path.join(WORKER_DIR, "node_modules", ".bin", "wrangler");
+const PORT = process.env.E2E_WORKER_PORT || "8787";
+const WORKER_URL = `http://127.0.0.1:${PORT}`;
+const RPC_URL = "http://127.0.0.1:8545";
+const PRICE = hre.ethers.parseUnits("5", 6);
+
+// ============================================
+// WORKER
+// ============================================
+
+function startWorker({ contractAddress, usdcAddress, startBlock, arbiter }) {
+  if (!fs.existsSync(WRANGLER)) {
+    throw new Error(`wrangler not found at ${WRANGLER}; run npm install in worker/ first`);
+  }
+
+  const persistTo = fs.mkdtempSync(path.join(os.tmpdir(), "ase-e2e-"));
+  execFileSync(
+    WRANGLER,
+    ["d1", "execute", "agent-exchange-db", "--local", "--persist-to", persistTo, "--file=schema.sql"],
+    { cwd: WORKER_DIR, stdio: "ignore" }
+  );
+
+  const vars = {
+    ENVIRONMENT: "e2e",
+    CHAIN_ID: "31337",
+    RPC_URL,
+    CONTRACT_ADDRESS: contractAddress,
+    USDC_ADDRESS: usdcAddress,
+    INDEXER_START_BLOCK: String(startBlock),
+    INDEXER_CONFIRMATIONS: "1",
+    ARBITER_ADDRESSES: arbiter,
+  };
+
+  const args = ["dev", "--port", PORT, "--persist-to", persistTo, "--test-scheduled"];
+  for (const [name, value] of Object.entries(vars)) {
+    args.push("--var", `${name}:${value}`);
+  }
+
+  // Own process group so stopping it also stops workerd
+  const child = spawn(WRANGLER, args, { cwd: WORKER_DIR, detached: true, stdio: ["ignore", "pipe", "pipe"] });
+  let output = "";
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+
+  return {
+    logs: () => output,
+    stop() {
+      try {
+        process.kill(-child.pid, "SIGTERM");
+      } catch (e) {
+        // already exited
+      }
+      fs.rmSync(persistTo, { recursive: true, force: true });
+    },
+  };
+}
+
+async function waitFor(description, check, { timeoutMs = 60000, intervalMs = 500 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  let last;
+  while (Date.now() < deadline) {
+    try {
+      last = await check();
+      if (last) return last;
+    } catch (e) {
+      last = e.message;
+    }
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+  throw new Error(`Timed out waiting for ${description}${last ? ` (last: ${JSON.stringify(last)})` : ""}`);
+}
+
+// ============================================
+// API CLIENT
+// ============================================
+
+async function api(method, route, { body, signer } = {}) {
+  const raw = body === undefined ? "" : JSON.stringify(body);
+  const headers = { "Content-Type": "application/json" };
+
+  if (signer) {
+    const address = (await signer.getAddress()).toLowerCase();
+    const nonceRes = await fetch(`${WORKER_URL}/auth/nonce?address=${address}`);
+    const { data } = await nonceRes.json();
+
+    const message = [
+      "Agent Service Exchange request",
+      `Address: ${address}`,
+      `Method: ${method}`,
+      `Path: ${new URL(route, WORKER_URL).pathname}`,
+      `Body-Hash: ${hre.ethers.keccak256(hre.ethers.toUtf8Bytes(raw))}`,
+      `Nonce: ${data.nonce}`,
+    ].join("\n");
+
+    Object.assign(headers, {
+      "X-Agent-Address": address,
+      "X-Agent-Nonce": data.nonce,
+      "X-Agent-Signature": await signer.signMessage(message),
+    });
+  }
+
+  const res = await fetch(`${WORKER_URL}${route}`, { method, headers, body: raw || undefined });
+  const json = await res.json();
+  if (!res.ok) {
+    throw new Error(`${method} ${route} → ${res.status}: ${JSON.stringify(json.error || json)}`);
+  }
+  return json.data;
+}
+
+// Mine past the confirmation depth, run the cron handler and wait for `status`
+async function syncUntil(requestId, status) {
+  await hre.network.provider.send("hardhat_mine", ["0x2"]);
+  return waitFor(`request ${requestId} to be ${status}`, async () => {
+    await fetch(`${WORKER_URL}/__scheduled?cron=*+*+*+*+*`);
+    const request = await api("GET", `/requests/${requestId}`);
+    return request.status === status && request;
+  }, { timeoutMs: 30000, intervalMs: 1000 });
+}
+
+function expectEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+  console.log(`  ✓ ${label}`);
+}
+
+function eventArg(receipt, contract, eventName, argName) {
+  for (const log of receipt.logs) {
+    const parsed = contract.interface.parseLog(log);
+    if (parsed && parsed.name === eventName) return parsed.args[argName];
+  }
+  throw new Error(`${eventName} not emitted`);
+}
+
+// ============================================
+// SCENARIOS
+// ============================================
+
+async function escrowRequest({ exchange, listing, buyer, onchainServiceId }) {
+  const receipt = await (await exchange.connect(buyer).createRequest(onchainServiceId)).wait();
+  const request = await api("POST", `/services/${listing.id}/request`, {
+    signer: buyer,
+    body: { buyerAddress: buyer.address, txHash: receipt.hash },
+  });
+
+  expectEqual(request.status, "pending", "escrow verified by the API");
+  expectEqual(request.onchainRequestId, Number(eventArg(receipt, exchange, "RequestCreated", "requestId")), "linked to the on-chain request");
+  return request;
+}
+
+async function main() {
+  if (hre.network.name !== "localhost") {
+    throw new Error("Run against a local node: npx hardhat run scripts/e2e.js --network localhost");
+  }
+
+  const [owner, provider, buyer, arbiter] = await hre.ethers.getSigners();
+
+  // Local manifests aren't bundled into the worker, so it gets the address and block as vars
+  const manifest = await deploy({ seedFile: null });
+  const exchange = await hre.ethers.getContractAt("AgentServiceExchange", manifest.address);
+  const usdc = await hre.ethers.getContractAt("MockUSDC", manifest.usdc.address);
+
+  await (await exchange.connect(owner).setArbiter(arbiter.address, true)).wait();
+  await (await usdc.connect(buyer).approve(manifest.address, hre.ethers.MaxUint256)).wait();
+
+  console.log("\nStarting worker...");
+  const worker = startWorker({
+    contractAddress: manifest.address,
+    usdcAddress: manifest.usdc.address,
+    startBlock: manifest.blockNumber,
+    arbiter: arbiter.address,
+  });
+
+  try {
+    await waitFor("worker /health", async () => (await fetch(`${WORKER_URL}/health`)).ok);
+    console.log("Worker:", WORKER_URL);
+
+    console.log("\nListing a service");
+    const registered = await (await exchange.connect(provider).registerService("Code Review", "E2E listing", PRICE)).wait();
+    const onchainServiceId = Number(eventArg(registered, exchange, "ServiceRegistered", "serviceId"));
+    const listing = await api("POST", "/services", {
+      signer: provider,
+      body: {
+        name: "Code Review",
+        description: "Thorough review of a pull request",
+        priceUSDC: 5,
+        providerAddress: provider.address,
+        category: "development",
+        onchainServiceId,
+      },
+    });
+    expectEqual(listing.onchainServiceId, onchainServiceId, "listing linked to the on-chain service");
+
+    console.log("\nHappy path");
+    const first = await escrowRequest({ exchange, listing, buyer, onchainServiceId });
+    await (await exchange.connect(provider).markComplete(first.onchainRequestId)).wait();
+    await (await exchange.connect(buyer).confirmCompletion(first.onchainRequestId, 5)).wait();
+    const finalized = await syncUntil(first.id, "finalized");
+    expectEqual(
+      finalized.history.map((h) => h.toStatus).join(" → "),
+      "pending → completed → finalized",
+      "indexer followed the lifecycle"
+    );
+
+    console.log("\nDispute path");
+    const second = await escrowRequest({ exchange, listing, buyer, onchainServiceId });
+    await (await exchange.connect(buyer).raiseDispute(second.onchainRequestId)).wait();
+    await (await exchange.connect(arbiter).resolveDispute(second.onchainRequestId, hre.ethers.parseUnits("2", 6))).wait();
+    await syncUntil(second.id, "finalized");
+    const dispute = await api("GET", `/requests/${second.id}/dispute`, { signer: buyer });
+    expectEqual(dispute.ruling, "split", "arbiter ruling mirrored");
+    expectEqual(dispute.providerAmountUSDC, 2000000, "provider share recorded");
+
+    const stats = await api("GET", "/stats");
+    expectEqual(stats.totalTransactions, 2, "stats count both escrows");
+
+    console.log("\n✅ End-to-end run passed");
+  } catch (error) {
+    console.error("\nWorker output:\n" + worker.logs().split("\n").slice(-40).join("\n"));
+    throw error;
+  } finally {
+    if (process.env.E2E_KEEP_WORKER === "1") {
+      console.log(`\nWorker left running at ${WORKER_URL}`);
+    } else {
+      worker.stop();
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,580 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const USDC = (amount) => ethers.parseUnits(String(amount), 6);
+const PRICE = USDC(5);
+const DAY = 24 * 60 * 60;
+
+// Mirrors AgentServiceExchange.RequestState
+const State = {
+  Pending: 0,
+  InProgress: 1,
+  Completed: 2,
+  Disputed: 3,
+  Finalized: 4,
+  Cancelled: 5,
+};
+
+describe("AgentServiceExchange", function () {
+  async function deployFixture() {
+    const [owner, provider, buyer, arbiter, stranger] = await ethers.getSigners();
+
+    const usdc = await ethers.deployContract("MockUSDC");
+    const exchange = await ethers.deployContract("AgentServiceExchange", [await usdc.getAddress()]);
+    const exchangeAddress = await exchange.getAddress();
+
+    await usdc.mint(buyer.address, USDC(1000));
+    await usdc.connect(buyer).approve(exchangeAddress, ethers.MaxUint256);
+    await exchange.setArbiter(arbiter.address, true);
+
+    return { exchange, exchangeAddress, usdc, owner, provider, buyer, arbiter, stranger };
+  }
+
+  // Service 1 by `provider`, request 1 by `buyer` (InProgress)
+  async function requestFixture() {
+    const context = await deployFixture();
+    const { exchange, provider, buyer } = context;
+
+    await exchange.connect(provider).registerService("Code Review", "Review a pull request", PRICE);
+    await exchange.connect(buyer).createRequest(1);
+
+    return context;
+  }
+
+  async function completedFixture() {
+    const context = await requestFixture();
+    await context.exchange.connect(context.provider).markComplete(1);
+    return context;
+  }
+
+  async function stateOf(exchange, requestId) {
+    return Number((await exchange.getRequest(requestId)).state);
+  }
+
+  describe("Deployment", function () {
+    it("sets the owner and settlement token", async function () {
+      const { exchange, usdc, owner } = await loadFixture(deployFixture);
+
+      expect(await exchange.owner()).to.equal(owner.address);
+      expect(await exchange.usdc()).to.equal(await usdc.getAddress());
+    });
+
+    it("rejects a zero token address", async function () {
+      const factory = await ethers.getContractFactory("AgentServiceExchange");
+
+      await expect(factory.deploy(ethers.ZeroAddress)).to.be.revertedWithCustomError(factory, "InvalidPrice");
+    });
+  });
+
+  describe("Service registry", function () {
+    it("registers a service", async function () {
+      const { exchange, provider } = await loadFixture(deployFixture);
+
+      await expect(exchange.connect(provider).registerService("Code Review", "Review a pull request", PRICE))
+        .to.emit(exchange, "ServiceRegistered")
+        .withArgs(1, provider.address, "Code Review", PRICE);
+
+      const service = await exchange.getService(1);
+      expect(service.provider).to.equal(provider.address);
+      expect(service.active).to.equal(true);
+      expect(await exchange.getProviderServices(provider.address)).to.deep.equal([1n]);
+      expect(await exchange.getTotalServices()).to.equal(1);
+    });
+
+    it("rejects a zero price or empty name", async function () {
+      const { exchange, provider } = await loadFixture(deployFixture);
+
+      await expect(exchange.connect(provider).registerService("Code Review", "", 0))
+        .to.be.revertedWithCustomError(exchange, "InvalidPrice");
+      await expect(exchange.connect(provider).registerService("", "", PRICE))
+        .to.be.revertedWithCustomError(exchange, "InvalidPrice");
+    });
+
+    it("lets only the provider update or deactivate a service", async function () {
+      const { exchange, provider, stranger } = await loadFixture(requestFixture);
+
+      await expect(exchange.connect(stranger).updateService(1, "x", "x", PRICE, true))
+        .to.be.revertedWithCustomError(exchange, "Unauthorized");
+      await expect(exchange.connect(stranger).deactivateService(1))
+        .to.be.revertedWithCustomError(exchange, "Unauthorized");
+      await expect(exchange.connect(provider).updateService(9, "x", "x", PRICE, true))
+        .to.be.revertedWithCustomError(exchange, "ServiceNotFound");
+      await expect(exchange.connect(provider).updateService(1, "x", "x", 0, true))
+        .to.be.revertedWithCustomError(exchange, "InvalidPrice");
+
+      await expect(exchange.connect(provider).updateService(1, "Deep Review", "More detail", USDC(8), true))
+        .to.emit(exchange, "ServiceUpdated")
+        .withArgs(1, "Deep Review", USDC(8), true);
+      expect((await exchange.getService(1)).price).to.equal(USDC(8));
+    });
+
+    it("does not reprice escrows that already exist", async function () {
+      const { exchange, provider, buyer } = await loadFixture(requestFixture);
+
+      await exchange.connect(provider).updateService(1, "Code Review", "", USDC(8), true);
+      await exchange.connect(provider).markComplete(1);
+
+      await expect(exchange.connect(buyer).confirmCompletion(1, 5))
+        .to.emit(exchange, "EscrowReleased")
+        .withArgs(1, provider.address, PRICE);
+    });
+  });
+
+  describe("Active service discovery", function () {
+    async function fiveServicesFixture() {
+      const context = await deployFixture();
+      for (let i = 1; i <= 5; i++) {
+        await context.exchange.connect(context.provider).registerService(`Service ${i}`, "", PRICE);
+      }
+      return context;
+    }
+
+    it("pages through active services", async function () {
+      const { exchange } = await loadFixture(fiveServicesFixture);
+
+      const [first, more] = await exchange.getActiveServices(0, 2);
+      expect(first).to.deep.equal([1n, 2n]);
+      expect(more).to.equal(true);
+
+      const [last, noMore] = await exchange.getActiveServices(4, 2);
+      expect(last).to.deep.equal([5n]);
+      expect(noMore).to.equal(false);
+
+      const [beyond, beyondMore] = await exchange.getActiveServices(10, 2);
+      expect(beyond).to.deep.equal([]);
+      expect(beyondMore).to.equal(false);
+    });
+
+    it("swaps the last service into a removed slot", async function () {
+      const { exchange, provider } = await loadFixture(fiveServicesFixture);
+
+      await exchange.connect(provider).deactivateService(2);
+
+      expect(await exchange.getActiveServiceCount()).to.equal(4);
+      const [ids, more] = await exchange.getActiveServices(0, 10);
+      expect(ids).to.deep.equal([1n, 5n, 3n, 4n]);
+      expect(more).to.equal(false);
+    });
+
+    it("keeps the index consistent across removals and re-activation", async function () {
+      const { exchange, provider } = await loadFixture(fiveServicesFixture);
+
+      await exchange.connect(provider).deactivateService(5); // last element
+      await exchange.connect(provider).deactivateService(1); // 4 moves to the front
+      await exchange.connect(provider).deactivateService(1); // already inactive: no-op
+      await exchange.connect(provider).updateService(4, "Service 4", "", PRICE, false); // via updateService
+      await exchange.connect(provider).updateService(1, "Service 1", "", PRICE, true); // appended again
+
+      const [ids] = await exchange.getActiveServices(0, 10);
+      expect(ids).to.deep.equal([3n, 2n, 1n]);
+
+      const [page, more] = await exchange.getActiveServices(1, 1);
+      expect(page).to.deep.equal([2n]);
+      expect(more).to.equal(true);
+    });
+
+    it("rejects requests for deactivated services", async function () {
+      const { exchange, provider, buyer } = await loadFixture(fiveServicesFixture);
+
+      await exchange.connect(provider).deactivateService(3);
+
+      await expect(exchange.connect(buyer).createRequest(3))
+        .to.be.revertedWithCustomError(exchange, "ServiceNotActive");
+    });
+  });
+
+  describe("Escrow lifecycle", function () {
+    it("escrows the price and starts the request in progress", async function () {
+      const { exchange, exchangeAddress, usdc, provider, buyer } = await loadFixture(deployFixture);
+      await exchange.connect(provider).registerService("Code Review", "", PRICE);
+
+      // createRequest escrows straight into InProgress; Pending is never entered on-chain
+      const tx = exchange.connect(buyer).createRequest(1);
+      await expect(tx)
+        .to.emit(exchange, "RequestCreated")
+        .withArgs(1, 1, buyer.address, PRICE);
+      await expect(tx).to.changeTokenBalances(usdc, [buyer, exchangeAddress], [-PRICE, PRICE]);
+
+      expect(await stateOf(exchange, 1)).to.equal(State.InProgress);
+      expect(await exchange.getBuyerRequests(buyer.address)).to.deep.equal([1n]);
+      expect(await exchange.getTotalRequests()).to.equal(1);
+    });
+
+    it("rejects self-purchase, unknown services and unfunded buyers", async function () {
+      const { exchange, provider, stranger, usdc } = await loadFixture(requestFixture);
+
+      await expect(exchange.connect(provider).createRequest(1))
+        .to.be.revertedWithCustomError(exchange, "SelfServiceNotAllowed");
+      await expect(exchange.connect(stranger).createRequest(9))
+        .to.be.revertedWithCustomError(exchange, "ServiceNotFound");
+      await expect(exchange.connect(stranger).createRequest(1))
+        .to.be.revertedWithCustomError(usdc, "ERC20InsufficientAllowance");
+    });
+
+    it("InProgress → Completed → Finalized releases escrow and records the rating", async function () {
+      const { exchange, exchangeAddress, usdc, provider, buyer } = await loadFixture(requestFixture);
+
+      await expect(exchange.connect(provider).markComplete(1))
+        .to.emit(exchange, "RequestCompleted")
+        .withArgs(1, provider.address);
+      expect(await stateOf(exchange, 1)).to.equal(State.Completed);
+
+      const tx = exchange.connect(buyer).confirmCompletion(1, 4);
+      await expect(tx)
+        .to.emit(exchange, "RequestConfirmed")
+        .withArgs(1, buyer.address)
+        .and.to.emit(exchange, "EscrowReleased")
+        .withArgs(1, provider.address, PRICE)
+        .and.to.emit(exchange, "ReputationAdded")
+        .withArgs(provider.address, buyer.address, 4, 400);
+      await expect(tx).to.changeTokenBalances(usdc, [exchangeAddress, provider], [-PRICE, PRICE]);
+
+      const request = await exchange.getRequest(1);
+      expect(Number(request.state)).to.equal(State.Finalized);
+      expect(request.reputationGiven).to.equal(true);
+      expect((await exchange.getService(1)).totalSales).to.equal(1);
+    });
+
+    it("enforces who may move the request and from which state", async function () {
+      const { exchange, provider, buyer } = await loadFixture(requestFixture);
+
+      await expect(exchange.connect(buyer).markComplete(1))
+        .to.be.revertedWithCustomError(exchange, "Unauthorized");
+      await expect(exchange.connect(buyer).confirmCompletion(1, 5))
+        .to.be.revertedWithCustomError(exchange, "InvalidState");
+      await expect(exchange.connect(provider).markComplete(9))
+        .to.be.revertedWithCustomError(exchange, "RequestNotFound");
+
+      await exchange.connect(provider).markComplete(1);
+
+      await expect(exchange.connect(provider).markComplete(1))
+        .to.be.revertedWithCustomError(exchange, "InvalidState");
+      await expect(exchange.connect(provider).confirmCompletion(1, 5))
+        .to.be.revertedWithCustomError(exchange, "Unauthorized");
+    });
+
+    it("only accepts ratings from 1 to 5", async function () {
+      const { exchange, buyer } = await loadFixture(completedFixture);
+
+      await expect(exchange.connect(buyer).confirmCompletion(1, 0))
+        .to.be.revertedWithCustomError(exchange, "InvalidRating");
+      await expect(exchange.connect(buyer).confirmCompletion(1, 6))
+        .to.be.revertedWithCustomError(exchange, "InvalidRating");
+    });
+  });
+
+  describe("Timeout claims", function () {
+    it("lets the provider claim 24 hours after completion", async function () {
+      const { exchange, usdc, provider } = await loadFixture(completedFixture);
+
+      await expect(exchange.connect(provider).claimAfterTimeout(1))
+        .to.be.revertedWithCustomError(exchange, "TimeoutNotReached");
+      expect(await exchange.canClaimTimeout(1)).to.equal(false);
+
+      const [remaining, claimable] = await exchange.getTimeoutStatus(1);
+      expect(remaining).to.be.closeTo(DAY, 5);
+      expect(claimable).to.equal(false);
+
+      await time.increase(DAY - 10);
+      await expect(exchange.connect(provider).claimAfterTimeout(1))
+        .to.be.revertedWithCustomError(exchange, "TimeoutNotReached");
+
+      await time.increase(10);
+      expect(await exchange.canClaimTimeout(1)).to.equal(true);
+      expect(await exchange.getTimeoutStatus(1)).to.deep.equal([0n, true]);
+
+      const tx = exchange.connect(provider).claimAfterTimeout(1);
+      await expect(tx)
+        .to.emit(exchange, "TimeoutClaim")
+        .withArgs(1, provider.address);
+      await expect(tx).to.changeTokenBalance(usdc, provider, PRICE);
+
+      expect(await stateOf(exchange, 1)).to.equal(State.Finalized);
+      expect((await exchange.getService(1)).totalSales).to.equal(1);
+      expect((await exchange.getReputation(provider.address)).count).to.equal(0);
+    });
+
+    it("is only open to the provider of a completed request", async function () {
+      const { exchange, provider, buyer } = await loadFixture(requestFixture);
+
+      await expect(exchange.connect(provider).claimAfterTimeout(1))
+        .to.be.revertedWithCustomError(exchange, "InvalidState");
+      expect(await exchange.getTimeoutStatus(1)).to.deep.equal([0n, false]);
+
+      await exchange.connect(provider).markComplete(1);
+      await time.increase(DAY);
+
+      await expect(exchange.connect(buyer).claimAfterTimeout(1))
+        .to.be.revertedWithCustomError(exchange, "Unauthorized");
+    });
+
+    it("cannot be claimed twice or after the buyer confirms", async function () {
+      const { exchange, provider, buyer } = await loadFixture(completedFixture);
+      await time.increase(DAY);
+
+      await exchange.connect(buyer).confirmCompletion(1, 5);
+
+      await expect(exchange.connect(provider).claimAfterTimeout(1))
+        .to.be.revertedWithCustomError(exchange, "InvalidState");
+    });
+  });
+
+  describe("Cancellation", function () {
+    it("lets the buyer cancel in progress for a full refund", async function () {
+      const { exchange, usdc, buyer } = await loadFixture(requestFixture);
+
+      const tx = exchange.connect(buyer).cancelRequest(1);
+      await expect(tx)
+        .to.emit(exchange, "RequestCancelled")
+        .withArgs(1, buyer.address)
+        .and.to.emit(exchange, "EscrowRefunded")
+        .withArgs(1, buyer.address, PRICE);
+      await expect(tx).to.changeTokenBalance(usdc, buyer, PRICE);
+
+      expect(await stateOf(exchange, 1)).to.equal(State.Cancelled);
+    });
+
+    it("stops the buyer cancelling once work is delivered, but not the provider", async function () {
+      const { exchange, usdc, provider, buyer } = await loadFixture(completedFixture);
+
+      await expect(exchange.connect(buyer).cancelRequest(1))
+        .to.be.revertedWithCustomError(exchange, "InvalidState");
+
+      await expect(exchange.connect(provider).cancelRequest(1))
+        .to.changeTokenBalance(usdc, buyer, PRICE);
+    });
+
+    it("refuses settled requests and outsiders", async function () {
+      const { exchange, provider, buyer, stranger } = await loadFixture(completedFixture);
+
+      await expect(exchange.connect(stranger).cancelRequest(1))
+        .to.be.revertedWithCustomError(exchange, "Unauthorized");
+      await expect(exchange.connect(buyer).cancelRequest(9))
+        .to.be.revertedWithCustomError(exchange, "RequestNotFound");
+
+      await exchange.connect(buyer).confirmCompletion(1, 5);
+      await expect(exchange.connect(provider).cancelRequest(1))
+        .to.be.revertedWithCustomError(exchange, "InvalidState");
+    });
+
+    it("cannot refund a cancelled request twice", async function () {
+      const { exchange, provider, buyer } = await loadFixture(requestFixture);
+
+      await exchange.connect(buyer).cancelRequest(1);
+
+      await expect(exchange.connect(provider).cancelRequest(1))
+        .to.be.revertedWithCustomError(exchange, "InvalidState");
+    });
+  });
+
+  describe("Disputes", function () {
+    it("lets either party freeze an in-progress or completed request", async function () {
+      const { exchange, provider, buyer } = await loadFixture(requestFixture);
+
+      await expect(exchange.connect(provider).raiseDispute(1))
+        .to.emit(exchange, "DisputeRaised")
+        .withArgs(1, provider.address);
+      expect(await stateOf(exchange, 1)).to.equal(State.Disputed);
+
+      await expect(exchange.connect(buyer).raiseDispute(1))
+        .to.be.revertedWithCustomError(exchange, "InvalidState");
+    });
+
+    it("blocks confirmation, timeout claims and buyer cancels while disputed", async function () {
+      const { exchange, provider, buyer, stranger } = await loadFixture(completedFixture);
+
+      await expect(exchange.connect(stranger).raiseDispute(1))
+        .to.be.revertedWithCustomError(exchange, "Unauthorized");
+      await exchange.connect(buyer).raiseDispute(1);
+      await time.increase(DAY);
+
+      await expect(exchange.connect(buyer).confirmCompletion(1, 5))
+        .to.be.revertedWithCustomError(exchange, "InvalidState");
+      await expect(exchange.connect(provider).claimAfterTimeout(1))
+        .to.be.revertedWithCustomError(exchange, "InvalidState");
+      await expect(exchange.connect(buyer).cancelRequest(1))
+        .to.be.revertedWithCustomError(exchange, "InvalidState");
+    });
+
+    it("lets the provider concede a dispute by cancelling", async function () {
+      const { exchange, usdc, provider, buyer } = await loadFixture(completedFixture);
+      await exchange.connect(buyer).raiseDispute(1);
+
+      await expect(exchange.connect(provider).cancelRequest(1))
+        .to.changeTokenBalance(usdc, buyer, PRICE);
+      expect(await stateOf(exchange, 1)).to.equal(State.Cancelled);
+    });
+
+    it("splits the escrow on an arbiter ruling", async function () {
+      const { exchange, exchangeAddress, usdc, provider, buyer, arbiter } = await loadFixture(completedFixture);
+      await exchange.connect(buyer).raiseDispute(1);
+
+      const tx = exchange.connect(arbiter).resolveDispute(1, USDC(2));
+      await expect(tx)
+        .to.emit(exchange, "DisputeResolved")
+        .withArgs(1, arbiter.address, USDC(2), USDC(3));
+      await expect(tx).to.changeTokenBalances(usdc, [exchangeAddress, provider, buyer], [-PRICE, USDC(2), USDC(3)]);
+
+      expect(await stateOf(exchange, 1)).to.equal(State.Finalized);
+      expect((await exchange.getService(1)).totalSales).to.equal(1);
+      expect((await exchange.getReputation(provider.address)).count).to.equal(0);
+    });
+
+    it("cancels on a full refund and finalizes on a full release", async function () {
+      const { exchange, usdc, provider, buyer, arbiter } = await loadFixture(requestFixture);
+      await exchange.connect(buyer).createRequest(1);
+      await exchange.connect(buyer).raiseDispute(1);
+      await exchange.connect(provider).raiseDispute(2);
+
+      await expect(exchange.connect(arbiter).resolveDispute(1, 0)).to.changeTokenBalance(usdc, buyer, PRICE);
+      expect(await stateOf(exchange, 1)).to.equal(State.Cancelled);
+
+      await expect(exchange.connect(arbiter).resolveDispute(2, PRICE)).to.changeTokenBalance(usdc, provider, PRICE);
+      expect(await stateOf(exchange, 2)).to.equal(State.Finalized);
+    });
+
+    it("only lets arbiters rule, once, within the escrowed amount", async function () {
+      const { exchange, owner, provider, buyer, arbiter } = await loadFixture(requestFixture);
+
+      await expect(exchange.connect(arbiter).resolveDispute(1, 0))
+        .to.be.revertedWithCustomError(exchange, "InvalidState");
+
+      await exchange.connect(buyer).raiseDispute(1);
+
+      await expect(exchange.connect(owner).resolveDispute(1, 0))
+        .to.be.revertedWithCustomError(exchange, "Unauthorized");
+      await expect(exchange.connect(arbiter).resolveDispute(1, PRICE + 1n))
+        .to.be.revertedWithCustomError(exchange, "InvalidSplit");
+
+      await exchange.connect(arbiter).resolveDispute(1, 0);
+      await expect(exchange.connect(arbiter).resolveDispute(1, 0))
+        .to.be.revertedWithCustomError(exchange, "InvalidState");
+      await expect(exchange.connect(provider).cancelRequest(1))
+        .to.be.revertedWithCustomError(exchange, "InvalidState");
+    });
+
+    it("lets only the owner manage arbiters", async function () {
+      const { exchange, arbiter, stranger } = await loadFixture(deployFixture);
+
+      await expect(exchange.connect(stranger).setArbiter(stranger.address, true))
+        .to.be.revertedWithCustomError(exchange, "OwnableUnauthorizedAccount");
+      await expect(exchange.setArbiter(ethers.ZeroAddress, true))
+        .to.be.revertedWithCustomError(exchange, "Unauthorized");
+
+      await expect(exchange.setArbiter(arbiter.address, false))
+        .to.emit(exchange, "ArbiterUpdated")
+        .withArgs(arbiter.address, false);
+      expect(await exchange.arbiters(arbiter.address)).to.equal(false);
+    });
+  });
+
+  describe("Reputation", function () {
+    async function rate(context, ratings) {
+      const { exchange, provider, buyer } = context;
+      for (const rating of ratings) {
+        await exchange.connect(buyer).createRequest(1);
+        const requestId = await exchange.getTotalRequests();
+        await exchange.connect(provider).markComplete(requestId);
+        await exchange.connect(buyer).confirmCompletion(requestId, rating);
+      }
+      return exchange.getReputation(provider.address);
+    }
+
+    async function serviceFixture() {
+      const context = await deployFixture();
+      await context.exchange.connect(context.provider).registerService("Code Review", "", PRICE);
+      return context;
+    }
+
+    it("keeps a running average scaled by 100", async function () {
+      const context = await loadFixture(serviceFixture);
+
+      expect(await rate(context, [5])).to.deep.equal([500n, 1n, 1n]);
+      expect(await rate(context, [4])).to.deep.equal([450n, 2n, 2n]);
+      expect(await rate(context, [3])).to.deep.equal([400n, 3n, 3n]);
+    });
+
+    it("truncates the average at each step", async function () {
+      const context = await loadFixture(serviceFixture);
+
+      // (500 + 400) / 2 = 450, (450 * 2 + 400) / 3 = 433.33 → 433, (433 * 3 + 100) / 4 = 349.75 → 349
+      expect((await rate(context, [5, 4, 4]))[0]).to.equal(433n);
+      expect((await rate(context, [1]))[0]).to.equal(349n);
+    });
+
+    it("reports the new average in ReputationAdded", async function () {
+      const context = await loadFixture(serviceFixture);
+      const { exchange, provider, buyer } = context;
+      await rate(context, [5]);
+
+      await exchange.connect(buyer).createRequest(1);
+      await exchange.connect(provider).markComplete(2);
+
+      await expect(exchange.connect(buyer).confirmCompletion(2, 2))
+        .to.emit(exchange, "ReputationAdded")
+        .withArgs(provider.address, buyer.address, 2, 350);
+    });
+  });
+
+  describe("Pause", function () {
+    it("blocks new services and escrows but lets existing ones settle", async function () {
+      const { exchange, provider, buyer } = await loadFixture(requestFixture);
+
+      await exchange.pause();
+
+      await expect(exchange.connect(provider).registerService("Another", "", PRICE))
+        .to.be.revertedWithCustomError(exchange, "EnforcedPause");
+      await expect(exchange.connect(buyer).createRequest(1))
+        .to.be.revertedWithCustomError(exchange, "EnforcedPause");
+
+      await exchange.connect(provider).markComplete(1);
+      await exchange.connect(buyer).confirmCompletion(1, 5);
+      expect(await stateOf(exchange, 1)).to.equal(State.Finalized);
+
+      await exchange.unpause();
+      await expect(exchange.connect(buyer).createRequest(1)).to.emit(exchange, "RequestCreated");
+    });
+
+    it("can only be toggled by the owner", async function () {
+      const { exchange, stranger } = await loadFixture(deployFixture);
+
+      await expect(exchange.connect(stranger).pause())
+        .to.be.revertedWithCustomError(exchange, "OwnableUnauthorizedAccount");
+
+      await exchange.pause();
+      await expect(exchange.connect(stranger).unpause())
+        .to.be.revertedWithCustomError(exchange, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Emergency withdraw", function () {
+    it("lets the owner recover tokens", async function () {
+      const { exchange, exchangeAddress, usdc, owner } = await loadFixture(deployFixture);
+      await usdc.mint(exchangeAddress, USDC(10));
+
+      await expect(exchange.emergencyWithdraw(await usdc.getAddress(), owner.address, USDC(10)))
+        .to.changeTokenBalances(usdc, [exchangeAddress, owner], [-USDC(10), USDC(10)]);
+    });
+
+    it("is owner-only and rejects the zero address", async function () {
+      const { exchange, usdc, stranger } = await loadFixture(deployFixture);
+      const token = await usdc.getAddress();
+
+      await expect(exchange.connect(stranger).emergencyWithdraw(token, stranger.address, 1))
+        .to.be.revertedWithCustomError(exchange, "OwnableUnauthorizedAccount");
+      await expect(exchange.emergencyWithdraw(token, ethers.ZeroAddress, 1))
+        .to.be.revertedWithCustomError(exchange, "InvalidPrice");
+    });
+
+    it("can drain escrowed funds, so it is not gated on open requests", async function () {
+      const { exchange, exchangeAddress, usdc, owner, buyer } = await loadFixture(requestFixture);
+
+      await exchange.emergencyWithdraw(await usdc.getAddress(), owner.address, PRICE);
+
+      expect(await usdc.balanceOf(exchangeAddress)).to.equal(0);
+      await expect(exchange.connect(buyer).cancelRequest(1))
+        .to.be.revertedWithCustomError(usdc, "ERC20InsufficientBalance");
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Request signing
+ *
+ * Mirrors worker/src/auth.js: every signed request carries a one-time nonce
+ * from GET /auth/nonce and an EIP-191 signature over the method, path,
+ * keccak256 of the exact body and that nonce.
+ */
+
+import { keccak256, stringToHex } from 'viem';
+
+export const AUTH_HEADERS = {
+  address: 'X-Agent-Address',
+  nonce: 'X-Agent-Nonce',
+  signature: 'X-Agent-Signature',
+  signatureType: 'X-Agent-Signature-Type'
+};
+
+export class Signer {
+  static hashBody(body) {
+    return keccak256(stringToHex(body || ''));
+  }
+
+  static buildMessage({ address, method, path, bodyHash, nonce }) {
+    return [
+      'Agent Service Exchange request',
+      `Address: ${address.toLowerCase()}`,
+      `Method: ${method.toUpperCase()}`,
+      `Path: ${path}`,
+      `Body-Hash: ${bodyHash}`,
+      `Nonce: ${nonce}`
+    ].join('\n');
+  }
+
+  /**
+   * Headers proving `account` sent this request
+   * @param {import('viem').LocalAccount} account
+   * @param {object} request
+   * @param {string} request.method
+   * @param {string} request.path URL path without the query string
+   * @param {string} request.body Exact body that will be sent ('' for none)
+   * @param {string} request.nonce From GET /auth/nonce
+   * @returns {Promise<Record<string, string>>}
+   */
+  static async sign(account, { method, path, body, nonce }) {
+    const message = this.buildMessage({
+      address: account.address,
+      method,
+      path,
+      bodyHash: this.hashBody(body),
+      nonce
+    });
+
+    return {
+      [AUTH_HEADERS.address]: account.address.toLowerCase(),
+      [AUTH_HEADERS.nonce]: nonce,
+      [AUTH_HEADERS.signature]: await account.signMessage({ message }),
+      [AUTH_HEADERS.signatureType]: 'eip191'
+    };
+  }
+}
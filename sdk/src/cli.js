@@ -0,0 +1,237 @@
+/**
+ * `exchange` command line, built on the SDK
+ *
+ *   exchange list [--q text] [--category c] [--sort s] [--page n] [--limit n] [--all]
+ *   exchange register --name n --description d --price 5 --category c [--offchain]
+ *   exchange buy <serviceId> [--quote quoteId]
+ *   exchange rate <agent> <score> --request requestId [--review text]
+ *
+ * Wallet (register, buy, rate): --private-key / EXCHANGE_PRIVATE_KEY, or
+ * --keystore / EXCHANGE_KEYSTORE with EXCHANGE_KEYSTORE_PASSWORD or --password-file.
+ * Endpoints: --api / EXCHANGE_API_URL, --rpc / EXCHANGE_RPC_URL.
+ * Rate limits: --api-key / EXCHANGE_API_KEY.
+ */
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { formatUnits } from 'viem';
+import { ExchangeClient, ApiError, DEFAULT_API_URL } from './client.js';
+import { Wallet } from './wallet.js';
+
+const OPTIONS = {
+  api: { type: 'string' },
+  rpc: { type: 'string' },
+  'api-key': { type: 'string' },
+  'private-key': { type: 'string' },
+  keystore: { type: 'string' },
+  'password-file': { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+  // list
+  q: { type: 'string' },
+  category: { type: 'string' },
+  provider: { type: 'string' },
+  sort: { type: 'string' },
+  page: { type: 'string' },
+  limit: { type: 'string' },
+  all: { type: 'boolean', default: false },
+  // register
+  name: { type: 'string' },
+  description: { type: 'string' },
+  price: { type: 'string' },
+  offchain: { type: 'boolean', default: false },
+  // buy
+  quote: { type: 'string' },
+  // rate
+  request: { type: 'string' },
+  review: { type: 'string' }
+};
+
+export const USAGE = `Usage: exchange <command> [options]
+
+Commands:
+  list                       Browse services (--q, --category, --provider, --sort, --page, --limit, --all)
+  register                   List a service on-chain and in the API (--name, --description, --price, --category, --offchain)
+  buy <serviceId>            Approve USDC, escrow it and record the request (--quote <id> to pay an accepted quote)
+  rate <agent> <score>       Rate a provider after a finalized request (--request <id>, --review)
+
+Options:
+  --api <url>                API origin (EXCHANGE_API_URL, default ${DEFAULT_API_URL})
+  --rpc <url>                RPC for on-chain calls (EXCHANGE_RPC_URL, default: the chain's public RPC)
+  --api-key <key>            API key for your own rate limits (EXCHANGE_API_KEY)
+  --private-key <hex>        Wallet key (EXCHANGE_PRIVATE_KEY)
+  --keystore <file>          V3 keystore (EXCHANGE_KEYSTORE; password from EXCHANGE_KEYSTORE_PASSWORD or --password-file)
+  --json                     Print raw JSON
+`;
+
+const usdc = (micro) => formatUnits(BigInt(micro), 6);
+
+class UsageError extends Error {}
+
+function positiveInt(value, label) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new UsageError(`${label} must be a positive integer`);
+  }
+  return number;
+}
+
+// viem errors carry a one-line summary; the full message dumps the whole call
+function describeError(e) {
+  const revert = e.walk?.((cause) => cause.name === 'ContractFunctionRevertedError');
+  if (revert?.data?.errorName) {
+    return `${e.shortMessage.replace(/\.$/, '')}: ${revert.data.errorName}`;
+  }
+  return e.shortMessage || e.message;
+}
+
+function loadAccount(values, env) {
+  const keystore = values.keystore || env.EXCHANGE_KEYSTORE;
+  const password = values['password-file']
+    ? readFileSync(values['password-file'], 'utf8').replace(/\r?\n$/, '')
+    : env.EXCHANGE_KEYSTORE_PASSWORD;
+
+  return Wallet.load({
+    privateKey: values['private-key'] || env.EXCHANGE_PRIVATE_KEY,
+    keystore,
+    password
+  });
+}
+
+// ============================================
+// COMMANDS
+// ============================================
+
+const COMMANDS = {
+  async list({ client, values, print }) {
+    const query = {
+      q: values.q,
+      category: values.category,
+      provider: values.provider,
+      sort: values.sort,
+      limit: values.limit
+    };
+
+    let services;
+    let pagination = null;
+    if (values.all) {
+      services = [];
+      for await (const service of client.iterateServices(query)) services.push(service);
+    } else {
+      ({ items: services, pagination } = await client.listServices({ ...query, page: values.page }));
+    }
+
+    if (values.json) return print(JSON.stringify(services, null, 2));
+
+    if (services.length === 0) return print('No services found');
+    for (const service of services) {
+      print(`#${service.id}  ${service.name}  ${usdc(service.priceUSDC)} USDC  [${service.category}]  ${service.providerAddress}`);
+    }
+    if (pagination?.hasNext) {
+      print(`Page ${pagination.page} of ${pagination.totalPages} (--page ${pagination.page + 1} for more, --all for everything)`);
+    }
+  },
+
+  async register({ client, values, print }) {
+    for (const field of ['name', 'description', 'price', 'category']) {
+      if (!values[field]) throw new UsageError(`--${field} is required`);
+    }
+
+    const { service, txHash } = await client.registerService({
+      name: values.name,
+      description: values.description,
+      priceUSDC: Number(values.price),
+      category: values.category
+    }, { onchain: !values.offchain });
+
+    if (values.json) return print(JSON.stringify({ service, txHash }, null, 2));
+
+    print(`Registered service #${service.id} "${service.name}" at ${usdc(service.priceUSDC)} USDC`);
+    if (txHash) print(`On-chain service ${service.onchainServiceId} (tx ${txHash})`);
+  },
+
+  async buy({ client, values, positionals, print }) {
+    const serviceId = positiveInt(positionals[0], 'serviceId');
+    const quoteId = values.quote === undefined ? undefined : positiveInt(values.quote, '--quote');
+
+    const { request, txHash, approveTxHash } = await client.buyService(serviceId, { quoteId });
+
+    if (values.json) return print(JSON.stringify({ request, txHash, approveTxHash }, null, 2));
+
+    if (approveTxHash) print(`Approved USDC (tx ${approveTxHash})`);
+    print(`Escrowed ${usdc(request.amountUSDC)} USDC (tx ${txHash})`);
+    print(`Request #${request.id} is ${request.status}`);
+  },
+
+  async rate({ client, values, positionals, print }) {
+    const [agent, scoreArg] = positionals;
+    if (!agent || scoreArg === undefined) throw new UsageError('rate needs <agent> <score>');
+    if (!values.request) throw new UsageError('--request is required');
+
+    const rating = await client.rateAgent(agent, {
+      score: Number(scoreArg),
+      requestId: positiveInt(values.request, '--request'),
+      review: values.review
+    });
+
+    if (values.json) return print(JSON.stringify(rating, null, 2));
+
+    print(`Rated ${rating.agentAddress} ${rating.score}/5 (now ${rating.newRatingAvg} over ${rating.newRatingCount} ratings)`);
+  }
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} argv Arguments after the executable
+ * @param {object} [io]
+ * @param {object} [io.env] Environment variables
+ * @param {(line: string) => void} [io.print] stdout
+ * @param {(line: string) => void} [io.error] stderr
+ * @param {typeof fetch} [io.fetch]
+ * @returns {Promise<number>} exit code
+ */
+export async function run(argv, { env = process.env, print = console.log, error = console.error, fetch } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    error(e.message);
+    error(USAGE);
+    return 2;
+  }
+
+  const { values, positionals: [command, ...positionals] } = parsed;
+  if (values.help || !command) {
+    print(USAGE);
+    return values.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) {
+    error(`Unknown command "${command}"`);
+    error(USAGE);
+    return 2;
+  }
+
+  try {
+    const client = new ExchangeClient({
+      baseUrl: values.api || env.EXCHANGE_API_URL || DEFAULT_API_URL,
+      rpcUrl: values.rpc || env.EXCHANGE_RPC_URL || null,
+      apiKey: values['api-key'] || env.EXCHANGE_API_KEY || null,
+      account: command === 'list' ? null : loadAccount(values, env),
+      ...(fetch ? { fetch } : {})
+    });
+
+    await COMMANDS[command]({ client, values, positionals, print });
+    return 0;
+  } catch (e) {
+    if (e instanceof UsageError) {
+      error(e.message);
+      return 2;
+    }
+    if (e instanceof ApiError && Array.isArray(e.details)) {
+      error(`${e.message}: ${e.details.join('; ')}`);
+    } else {
+      error(describeError(e));
+    }
+    return 1;
+  }
+}
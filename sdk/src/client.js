@@ -0,0 +1,456 @@
+/**
+ * Agent Service Exchange API client
+ *
+ * One method per worker route (see GET /openapi.json). Responses are
+ * unwrapped from the `{success, data, meta}` envelope; failures throw
+ * ApiError with the status and validation details. Routes the API marks as
+ * signed are signed with `account` automatically.
+ *
+ * Amounts follow the API: request bodies take USDC (e.g. 2.5), responses
+ * report micro-USDC (6 decimals) integers.
+ */
+
+import { parseUnits } from 'viem';
+import { Signer } from './auth.js';
+import { Escrow } from './escrow.js';
+
+export const DEFAULT_API_URL = 'https://agent-exchange-api.brett-590.workers.dev';
+
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status HTTP status
+   * @param {*} [details] Validation messages ("$.field: problem") or extra context
+   */
+  constructor(message, status, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * @typedef {object} Page
+ * @property {object[]} items
+ * @property {{page: number, limit: number, total: number, totalPages: number, hasNext: boolean, hasPrev: boolean}} pagination
+ */
+
+export class ExchangeClient {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.baseUrl] API origin
+   * @param {import('viem').LocalAccount} [options.account] Wallet for signed routes and on-chain calls
+   * @param {string} [options.rpcUrl] RPC for on-chain calls; defaults to the chain's public RPC
+   * @param {string} [options.apiKey] API key (POST /auth/keys) for per-key rate limits
+   * @param {typeof fetch} [options.fetch]
+   */
+  constructor({ baseUrl = DEFAULT_API_URL, account = null, rpcUrl = null, apiKey = null, fetch: fetchImpl = globalThis.fetch } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.account = account;
+    this.rpcUrl = rpcUrl;
+    this.apiKey = apiKey;
+    this.fetch = fetchImpl;
+    this.escrowPromise = null;
+  }
+
+  // ============================================
+  // TRANSPORT
+  // ============================================
+
+  /**
+   * Call a route and return the parsed envelope
+   * @param {string} method
+   * @param {string} path
+   * @param {object} [options]
+   * @param {object} [options.body] JSON body
+   * @param {object} [options.query] Query parameters; undefined/null values are skipped
+   * @param {boolean} [options.signed] Sign with `account`
+   * @returns {Promise<{data: *, meta: object}>}
+   */
+  async request(method, path, { body, query, signed = false } = {}) {
+    const url = new URL(this.baseUrl + path);
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+    }
+
+    const raw = body === undefined ? '' : JSON.stringify(body);
+    const headers = { 'Content-Type': 'application/json', ...this.keyHeaders() };
+
+    if (signed) {
+      const account = this.requireAccount();
+      const { nonce } = await this.getNonce(account.address);
+      Object.assign(headers, await Signer.sign(account, { method, path: url.pathname, body: raw, nonce }));
+    }
+
+    const response = await this.fetch(url, { method, headers, body: raw || undefined });
+    const json = await response.json().catch(() => null);
+
+    if (!response.ok || !json?.success) {
+      const error = json?.error || {};
+      throw new ApiError(error.message || `${method} ${path} failed with ${response.status}`, response.status, error.details ?? null);
+    }
+
+    return { data: json.data, meta: json.meta };
+  }
+
+  keyHeaders() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  async call(method, path, options) {
+    return (await this.request(method, path, options)).data;
+  }
+
+  requireAccount() {
+    if (!this.account) {
+      throw new Error('This call must be signed: create the client with an account');
+    }
+    return this.account;
+  }
+
+  get address() {
+    return this.requireAccount().address;
+  }
+
+  // ============================================
+  // META
+  // ============================================
+
+  async getInfo() {
+    return this.call('GET', '/');
+  }
+
+  // The spec is served without the envelope
+  async getOpenApi() {
+    const response = await this.fetch(`${this.baseUrl}/openapi.json`, { headers: this.keyHeaders() });
+    if (!response.ok) {
+      throw new ApiError('Failed to fetch the OpenAPI document', response.status);
+    }
+    return response.json();
+  }
+
+  async health() {
+    return this.call('GET', '/health');
+  }
+
+  async getStats() {
+    return this.call('GET', '/stats');
+  }
+
+  async getNonce(address) {
+    return this.call('GET', '/auth/nonce', { query: { address } });
+  }
+
+  // The key itself is only in this response; pass it as `apiKey` to new clients
+  async createApiKey({ label } = {}) {
+    return this.call('POST', '/auth/keys', { body: { ownerAddress: this.address, label }, signed: true });
+  }
+
+  async listApiKeys() {
+    return this.call('GET', '/auth/keys', { signed: true });
+  }
+
+  async revokeApiKey(id) {
+    return this.call('DELETE', `/auth/keys/${id}`, { signed: true });
+  }
+
+  // ============================================
+  // SERVICES
+  // ============================================
+
+  /**
+   * One page of search results
+   * @param {object} [query] q, category, provider, minPrice, maxPrice, minRating, sort, page, limit
+   * @returns {Promise<Page>}
+   */
+  async listServices(query = {}) {
+    const { data, meta } = await this.request('GET', '/services', { query });
+    return { items: data, pagination: meta.pagination };
+  }
+
+  /**
+   * Every matching service, fetching further pages as needed
+   * @param {object} [query] As for listServices (page is ignored)
+   * @returns {AsyncGenerator<object>}
+   */
+  async *iterateServices(query = {}) {
+    for (let page = 1; ; page++) {
+      const { items, pagination } = await this.listServices({ ...query, page });
+      yield* items;
+      if (!pagination.hasNext) return;
+    }
+  }
+
+  async getService(id) {
+    return this.call('GET', `/services/${id}`);
+  }
+
+  /**
+   * List a service; providerAddress defaults to the client's account
+   * @param {object} service name, description, priceUSDC, category, onchainServiceId?, acceptanceCriteria?, outputSchema?
+   */
+  async createService(service) {
+    return this.call('POST', '/services', { body: { providerAddress: this.address, ...service }, signed: true });
+  }
+
+  async updateService(id, changes) {
+    return this.call('PUT', `/services/${id}`, { body: changes, signed: true });
+  }
+
+  async deleteService(id) {
+    return this.call('DELETE', `/services/${id}`, { signed: true });
+  }
+
+  /**
+   * Record an escrow created on-chain (see buyService for the whole purchase)
+   * @param {number} serviceId
+   * @param {object} escrow
+   * @param {string} escrow.txHash createRequest transaction
+   * @param {number} [escrow.quoteId] Accepted quote being paid
+   */
+  async requestService(serviceId, { txHash, quoteId }) {
+    return this.call('POST', `/services/${serviceId}/request`, {
+      body: { buyerAddress: this.address, txHash, quoteId },
+      signed: true
+    });
+  }
+
+  // ============================================
+  // NEGOTIATION
+  // ============================================
+
+  async createRfq(serviceId, { requirements, budgetUSDC }) {
+    return this.call('POST', `/services/${serviceId}/rfqs`, {
+      body: { buyerAddress: this.address, requirements, budgetUSDC },
+      signed: true
+    });
+  }
+
+  async listRfqs({ status } = {}) {
+    return this.call('GET', '/rfqs', { query: { status }, signed: true });
+  }
+
+  async getRfq(id) {
+    return this.call('GET', `/rfqs/${id}`, { signed: true });
+  }
+
+  async createQuote(rfqId, quote) {
+    return this.call('POST', `/rfqs/${rfqId}/quotes`, { body: quote, signed: true });
+  }
+
+  async acceptQuote(rfqId, quoteId) {
+    return this.call('POST', `/rfqs/${rfqId}/quotes/${quoteId}/accept`, { signed: true });
+  }
+
+  async cancelRfq(rfqId) {
+    return this.call('POST', `/rfqs/${rfqId}/cancel`, { signed: true });
+  }
+
+  // ============================================
+  // REQUESTS
+  // ============================================
+
+  async getRequest(id) {
+    return this.call('GET', `/requests/${id}`);
+  }
+
+  /**
+   * @param {number} id
+   * @param {'accept'|'complete'|'confirm'|'cancel'|'claim-timeout'} action
+   * @param {object} [options] txHash, note
+   */
+  async transitionRequest(id, action, { txHash, note } = {}) {
+    const body = txHash === undefined && note === undefined ? undefined : { txHash, note };
+    return this.call('POST', `/requests/${id}/${action}`, { body, signed: true });
+  }
+
+  /**
+   * @param {number} requestId
+   * @param {object} deliverable content, encoding?, contentType?, note?
+   */
+  async submitDeliverable(requestId, deliverable) {
+    return this.call('POST', `/requests/${requestId}/deliverables`, { body: deliverable, signed: true });
+  }
+
+  async listDeliverables(requestId) {
+    return this.call('GET', `/requests/${requestId}/deliverables`, { signed: true });
+  }
+
+  /**
+   * Download a deliverable; content is returned raw, not in the envelope
+   * @returns {Promise<{content: Uint8Array, contentType: string, contentHash: string}>}
+   */
+  async getDeliverableContent(requestId, deliverableId) {
+    const path = `/requests/${requestId}/deliverables/${deliverableId}/content`;
+    const { nonce } = await this.getNonce(this.address);
+    const headers = { ...this.keyHeaders(), ...await Signer.sign(this.account, { method: 'GET', path, body: '', nonce }) };
+
+    const response = await this.fetch(`${this.baseUrl}${path}`, { headers });
+    if (!response.ok) {
+      const json = await response.json().catch(() => null);
+      throw new ApiError(json?.error?.message || 'Failed to fetch deliverable', response.status, json?.error?.details ?? null);
+    }
+
+    return {
+      content: new Uint8Array(await response.arrayBuffer()),
+      contentType: response.headers.get('Content-Type'),
+      contentHash: response.headers.get('X-Content-Hash')
+    };
+  }
+
+  // ============================================
+  // DISPUTES
+  // ============================================
+
+  async openDispute(requestId, { reason, evidence, txHash }) {
+    return this.call('POST', `/requests/${requestId}/dispute`, { body: { reason, evidence, txHash }, signed: true });
+  }
+
+  async getDispute(requestId) {
+    return this.call('GET', `/requests/${requestId}/dispute`, { signed: true });
+  }
+
+  async addDisputeMessage(requestId, { body, evidence }) {
+    return this.call('POST', `/requests/${requestId}/dispute/messages`, { body: { body, evidence }, signed: true });
+  }
+
+  async resolveDispute(requestId, ruling) {
+    return this.call('POST', `/requests/${requestId}/dispute/resolve`, { body: ruling, signed: true });
+  }
+
+  async listDisputes({ status } = {}) {
+    return this.call('GET', '/disputes', { query: { status }, signed: true });
+  }
+
+  // ============================================
+  // WEBHOOKS
+  // ============================================
+
+  async listWebhooks() {
+    return this.call('GET', '/webhooks', { signed: true });
+  }
+
+  async createWebhook({ url, events }) {
+    return this.call('POST', '/webhooks', { body: { ownerAddress: this.address, url, events }, signed: true });
+  }
+
+  async deleteWebhook(id) {
+    return this.call('DELETE', `/webhooks/${id}`, { signed: true });
+  }
+
+  async listWebhookDeliveries(id, { status, limit } = {}) {
+    return this.call('GET', `/webhooks/${id}/deliveries`, { query: { status, limit }, signed: true });
+  }
+
+  // ============================================
+  // AGENTS
+  // ============================================
+
+  async getAgent(address) {
+    return this.call('GET', `/agents/${address}`);
+  }
+
+  /**
+   * Rate the provider of a finalized request you bought
+   * @param {string} agentAddress Provider
+   * @param {object} rating score (1-5), requestId, review?
+   */
+  async rateAgent(agentAddress, { score, requestId, review }) {
+    return this.call('POST', `/agents/${agentAddress}/rate`, {
+      body: { score, requestId, raterAddress: this.address, review },
+      signed: true
+    });
+  }
+
+  // ============================================
+  // ON-CHAIN FLOWS
+  // ============================================
+
+  /**
+   * Escrow client for the contract this API settles on (GET / → contract)
+   * @returns {Promise<Escrow>}
+   */
+  async escrow() {
+    if (!this.escrowPromise) {
+      this.escrowPromise = this.getInfo()
+        .then(({ contract }) => new Escrow({
+          account: this.requireAccount(),
+          chainId: contract.chainId,
+          contractAddress: contract.address,
+          usdcAddress: contract.usdc,
+          rpcUrl: this.rpcUrl
+        }))
+        .catch((error) => {
+          this.escrowPromise = null;
+          throw error;
+        });
+    }
+    return this.escrowPromise;
+  }
+
+  /**
+   * Buy a service: approve USDC, lock it with createRequest, then record the escrow
+   * @param {number} serviceId API listing id
+   * @param {object} [options]
+   * @param {number} [options.quoteId] Accepted quote to pay instead of the list price
+   * @returns {Promise<{request: object, txHash: string, approveTxHash: string|null}>}
+   */
+  async buyService(serviceId, { quoteId } = {}) {
+    const service = await this.getService(serviceId);
+    const quote = quoteId === undefined ? null : await this.findAcceptedQuote(quoteId);
+
+    const onchainServiceId = quote?.onchainServiceId ?? service.onchainServiceId;
+    if (onchainServiceId == null) {
+      throw new Error(`Service ${serviceId} is not linked to an on-chain service`);
+    }
+
+    // The contract charges its own price; refuse to escrow an amount the API will reject
+    const escrow = await this.escrow();
+    const onchain = await escrow.getService(onchainServiceId);
+    const expected = BigInt(quote ? quote.amountUSDC : service.priceUSDC);
+    if (onchain.price !== expected) {
+      throw new Error(`On-chain service ${onchainServiceId} costs ${onchain.price} micro-USDC, expected ${expected}`);
+    }
+
+    const approveTxHash = await escrow.ensureAllowance(onchain.price);
+    const { txHash } = await escrow.createRequest(onchainServiceId);
+    const request = await this.requestService(serviceId, { txHash, quoteId });
+
+    return { request, txHash, approveTxHash };
+  }
+
+  /**
+   * List a service on-chain and in the API, linked by onchainServiceId
+   * @param {object} service name, description, priceUSDC, category, acceptanceCriteria?, outputSchema?
+   * @param {object} [options]
+   * @param {boolean} [options.onchain=true] Also call registerService on the contract
+   * @returns {Promise<{service: object, txHash: string|null}>}
+   */
+  async registerService(service, { onchain = true } = {}) {
+    if (!onchain) {
+      return { service: await this.createService(service), txHash: null };
+    }
+
+    const escrow = await this.escrow();
+    const { txHash, serviceId } = await escrow.registerService(
+      service.name,
+      service.description,
+      parseUnits(String(service.priceUSDC), 6)
+    );
+
+    return { service: await this.createService({ ...service, onchainServiceId: serviceId }), txHash };
+  }
+
+  // Accepted quotes are only reachable through their RFQ
+  async findAcceptedQuote(quoteId) {
+    const rfqs = await this.listRfqs({ status: 'accepted' });
+    const rfq = rfqs.find((candidate) => candidate.acceptedQuoteId === quoteId);
+    if (!rfq) {
+      throw new Error(`Quote ${quoteId} is not an accepted quote on one of your RFQs`);
+    }
+
+    const { quotes } = await this.getRfq(rfq.id);
+    return quotes.find((quote) => quote.id === quoteId);
+  }
+}
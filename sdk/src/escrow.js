@@ -0,0 +1,189 @@
+/**
+ * On-chain side of the exchange: USDC approval, escrow and service registration
+ *
+ * The API never moves funds. A buyer approves USDC, calls createRequest on
+ * AgentServiceExchange and then hands the transaction hash to
+ * POST /services/{id}/request, which verifies the escrow before recording it.
+ */
+
+import { createPublicClient, createWalletClient, defineChain, http, parseAbi, parseEventLogs } from 'viem';
+import { base, baseSepolia, hardhat } from 'viem/chains';
+
+export const CHAINS = {
+  [base.id]: base,
+  [baseSepolia.id]: baseSepolia,
+  [hardhat.id]: hardhat
+};
+
+export const EXCHANGE_ABI = parseAbi([
+  'struct Service { uint256 id; address provider; string name; string description; uint256 price; bool active; uint256 createdAt; uint256 totalSales; }',
+  'function getService(uint256 _serviceId) view returns (Service)',
+  'function registerService(string _name, string _description, uint256 _price) returns (uint256)',
+  'function createRequest(uint256 _serviceId)',
+  'function markComplete(uint256 _requestId)',
+  'function confirmCompletion(uint256 _requestId, uint256 _rating)',
+  'event ServiceRegistered(uint256 indexed serviceId, address indexed provider, string name, uint256 price)',
+  'event RequestCreated(uint256 indexed requestId, uint256 indexed serviceId, address indexed buyer, uint256 price)',
+  // Custom errors, so reverts decode to a name
+  'error InvalidPrice()',
+  'error InvalidRating()',
+  'error ServiceNotFound()',
+  'error ServiceNotActive()',
+  'error RequestNotFound()',
+  'error Unauthorized()',
+  'error InvalidState()',
+  'error TimeoutNotReached()',
+  'error TimeoutAlreadyPassed()',
+  'error TransferFailed()',
+  'error SelfServiceNotAllowed()'
+]);
+
+export const ERC20_ABI = parseAbi([
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function balanceOf(address account) view returns (uint256)'
+]);
+
+export class Escrow {
+  /**
+   * @param {object} options
+   * @param {import('viem').LocalAccount} options.account Wallet that pays and signs
+   * @param {number} options.chainId
+   * @param {string} options.contractAddress AgentServiceExchange
+   * @param {string} options.usdcAddress Settlement token
+   * @param {string} [options.rpcUrl] Defaults to the chain's public RPC
+   */
+  constructor({ account, chainId, contractAddress, usdcAddress, rpcUrl }) {
+    if (!CHAINS[chainId] && !rpcUrl) {
+      throw new Error(`No default RPC for chainId ${chainId}; pass rpcUrl`);
+    }
+    if (!contractAddress || !usdcAddress) {
+      throw new Error(`No contract and USDC address for chainId ${chainId}`);
+    }
+
+    const chain = CHAINS[chainId] || defineChain({
+      id: chainId,
+      name: `Chain ${chainId}`,
+      nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+      rpcUrls: { default: { http: [rpcUrl] } }
+    });
+    const transport = http(rpcUrl);
+
+    this.account = account;
+    this.contractAddress = contractAddress;
+    this.usdcAddress = usdcAddress;
+    this.publicClient = createPublicClient({ chain, transport });
+    this.walletClient = createWalletClient({ account, chain, transport });
+  }
+
+  async getService(onchainServiceId) {
+    return this.publicClient.readContract({
+      address: this.contractAddress,
+      abi: EXCHANGE_ABI,
+      functionName: 'getService',
+      args: [BigInt(onchainServiceId)]
+    });
+  }
+
+  async getUsdcBalance() {
+    return this.publicClient.readContract({
+      address: this.usdcAddress,
+      abi: ERC20_ABI,
+      functionName: 'balanceOf',
+      args: [this.account.address]
+    });
+  }
+
+  /**
+   * Approve the exchange to pull `amount` USDC, unless it already may
+   * @returns {Promise<string|null>} approve transaction hash, or null when not needed
+   */
+  async ensureAllowance(amount) {
+    const allowance = await this.publicClient.readContract({
+      address: this.usdcAddress,
+      abi: ERC20_ABI,
+      functionName: 'allowance',
+      args: [this.account.address, this.contractAddress]
+    });
+    if (allowance >= amount) return null;
+
+    const hash = await this.walletClient.writeContract({
+      address: this.usdcAddress,
+      abi: ERC20_ABI,
+      functionName: 'approve',
+      args: [this.contractAddress, amount]
+    });
+    await this.wait(hash);
+    return hash;
+  }
+
+  /**
+   * Lock the service price in escrow
+   * @returns {Promise<{txHash: string, requestId: number, price: bigint}>}
+   */
+  async createRequest(onchainServiceId) {
+    const hash = await this.walletClient.writeContract({
+      address: this.contractAddress,
+      abi: EXCHANGE_ABI,
+      functionName: 'createRequest',
+      args: [BigInt(onchainServiceId)]
+    });
+    const event = this.findEvent(await this.wait(hash), 'RequestCreated');
+
+    return { txHash: hash, requestId: Number(event.args.requestId), price: event.args.price };
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} description
+   * @param {bigint} price USDC with 6 decimals
+   * @returns {Promise<{txHash: string, serviceId: number}>}
+   */
+  async registerService(name, description, price) {
+    const hash = await this.walletClient.writeContract({
+      address: this.contractAddress,
+      abi: EXCHANGE_ABI,
+      functionName: 'registerService',
+      args: [name, description, price]
+    });
+    const event = this.findEvent(await this.wait(hash), 'ServiceRegistered');
+
+    return { txHash: hash, serviceId: Number(event.args.serviceId) };
+  }
+
+  async markComplete(onchainRequestId) {
+    return this.send('markComplete', [BigInt(onchainRequestId)]);
+  }
+
+  async confirmCompletion(onchainRequestId, rating) {
+    return this.send('confirmCompletion', [BigInt(onchainRequestId), BigInt(rating)]);
+  }
+
+  async send(functionName, args) {
+    const hash = await this.walletClient.writeContract({
+      address: this.contractAddress,
+      abi: EXCHANGE_ABI,
+      functionName,
+      args
+    });
+    await this.wait(hash);
+    return hash;
+  }
+
+  async wait(hash) {
+    const receipt = await this.publicClient.waitForTransactionReceipt({ hash });
+    if (receipt.status !== 'success') {
+      throw new Error(`Transaction ${hash} reverted`);
+    }
+    return receipt;
+  }
+
+  findEvent(receipt, eventName) {
+    const [event] = parseEventLogs({ abi: EXCHANGE_ABI, logs: receipt.logs, eventName })
+      .filter((log) => log.address.toLowerCase() === this.contractAddress.toLowerCase());
+    if (!event) {
+      throw new Error(`Transaction ${receipt.transactionHash} did not emit ${eventName}`);
+    }
+    return event;
+  }
+}
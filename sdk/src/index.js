@@ -0,0 +1,14 @@
+/**
+ * Agent Service Exchange SDK
+ *
+ *   import { ExchangeClient, Wallet } from 'agent-exchange-sdk';
+ *
+ *   const client = new ExchangeClient({ account: Wallet.load({ privateKey }) });
+ *   const { items } = await client.listServices({ q: 'code review' });
+ *   const { request } = await client.buyService(items[0].id);
+ */
+
+export { ExchangeClient, ApiError, DEFAULT_API_URL } from './client.js';
+export { Escrow, EXCHANGE_ABI, ERC20_ABI, CHAINS } from './escrow.js';
+export { Signer, AUTH_HEADERS } from './auth.js';
+export { Wallet } from './wallet.js';
@@ -0,0 +1,89 @@
+/**
+ * Local wallets for the SDK and CLI
+ *
+ * Either a raw private key or a Web3 Secret Storage (V3) keystore, the JSON
+ * format written by geth, `cast wallet import` and ethers. Keys never leave
+ * the process; requests and transactions are signed locally.
+ */
+
+import { createDecipheriv, pbkdf2Sync, scryptSync } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { bytesToHex, keccak256 } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+
+function deriveKey({ kdf, kdfparams }, password) {
+  const salt = Buffer.from(kdfparams.salt, 'hex');
+
+  if (kdf === 'scrypt') {
+    const { n: N, r, p, dklen } = kdfparams;
+    return scryptSync(password, salt, dklen, { N, r, p, maxmem: 256 * N * r + 1024 * 1024 });
+  }
+
+  if (kdf === 'pbkdf2') {
+    if (kdfparams.prf !== 'hmac-sha256') {
+      throw new Error(`Unsupported keystore PRF: ${kdfparams.prf}`);
+    }
+    return pbkdf2Sync(password, salt, kdfparams.c, kdfparams.dklen, 'sha256');
+  }
+
+  throw new Error(`Unsupported keystore KDF: ${kdf}`);
+}
+
+export class Wallet {
+  /**
+   * Decrypt a V3 keystore
+   * @param {string|object} keystore JSON text or parsed object
+   * @param {string} password
+   * @returns {`0x${string}`} private key
+   */
+  static decryptKeystore(keystore, password) {
+    const parsed = typeof keystore === 'string' ? JSON.parse(keystore) : keystore;
+    // Some writers (ethers) capitalize the key
+    const crypto = parsed.crypto || parsed.Crypto;
+    const { version } = parsed;
+    if (version !== 3 || !crypto) {
+      throw new Error('Keystore must be a version 3 keystore');
+    }
+    if (crypto.cipher !== 'aes-128-ctr') {
+      throw new Error(`Unsupported keystore cipher: ${crypto.cipher}`);
+    }
+
+    const derived = deriveKey(crypto, password);
+    const ciphertext = Buffer.from(crypto.ciphertext, 'hex');
+
+    const mac = keccak256(Buffer.concat([derived.subarray(16, 32), ciphertext]));
+    if (mac.slice(2) !== crypto.mac.toLowerCase()) {
+      throw new Error('Wrong keystore password');
+    }
+
+    const decipher = createDecipheriv('aes-128-ctr', derived.subarray(0, 16), Buffer.from(crypto.cipherparams.iv, 'hex'));
+    return bytesToHex(Buffer.concat([decipher.update(ciphertext), decipher.final()]));
+  }
+
+  /**
+   * Account from a private key or a keystore file
+   * @param {object} options
+   * @param {string} [options.privateKey] 0x-prefixed hex
+   * @param {string} [options.keystore] Path to a V3 keystore file
+   * @param {string} [options.password] Keystore password
+   * @returns {import('viem').LocalAccount}
+   */
+  static load({ privateKey, keystore, password } = {}) {
+    if (privateKey) {
+      const key = privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`;
+      if (!/^0x[0-9a-fA-F]{64}$/.test(key)) {
+        throw new Error('Private key must be 32 bytes of hex');
+      }
+      return privateKeyToAccount(key);
+    }
+
+    if (keystore) {
+      if (password === undefined) {
+        throw new Error('A keystore needs a password');
+      }
+      return privateKeyToAccount(this.decryptKeystore(readFileSync(keystore, 'utf8'), password));
+    }
+
+    throw new Error('No wallet: provide a private key or a keystore');
+  }
+}
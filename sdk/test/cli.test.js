@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { run } from '../src/cli.js';
+import { API, envelope, fakeFetch } from './helpers.js';
+
+const PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+async function exchange(argv, routes = {}, env = {}) {
+  const out = [];
+  const err = [];
+  const code = await run(argv, {
+    env: { EXCHANGE_API_URL: API, ...env },
+    print: (line) => out.push(line),
+    error: (line) => err.push(line),
+    fetch: fakeFetch(routes)
+  });
+  return { code, out: out.join('\n'), err: err.join('\n') };
+}
+
+describe('exchange CLI', () => {
+  it('lists services with prices in USDC', async () => {
+    const { code, out } = await exchange(['list', '--q', 'review'], {
+      'GET /services': () => [200, envelope(
+        [{ id: 1, name: 'Code Review', priceUSDC: 2500000, category: 'development', providerAddress: '0xabc' }],
+        { pagination: { page: 1, totalPages: 2, hasNext: true } }
+      )]
+    });
+
+    expect(code).toBe(0);
+    expect(out).toContain('#1  Code Review  2.5 USDC  [development]  0xabc');
+    expect(out).toContain('--page 2 for more');
+  });
+
+  it('rates an agent with the wallet from the environment', async () => {
+    const { code, out } = await exchange(['rate', '0xabc', '5', '--request', '3'], {
+      'POST /agents/0xabc/rate': ({ body }) => [200, envelope({ agentAddress: '0xabc', score: body.score, newRatingAvg: 4.5, newRatingCount: 2 })]
+    }, { EXCHANGE_PRIVATE_KEY: PRIVATE_KEY });
+
+    expect(code).toBe(0);
+    expect(out).toBe('Rated 0xabc 5/5 (now 4.5 over 2 ratings)');
+  });
+
+  it('reports API validation errors', async () => {
+    const { code, err } = await exchange(['rate', '0xabc', '9', '--request', '3'], {
+      'POST /agents/0xabc/rate': () => [400, { success: false, error: { message: 'Validation failed', details: ['$.score: must be <= 5'] } }]
+    }, { EXCHANGE_PRIVATE_KEY: PRIVATE_KEY });
+
+    expect(code).toBe(1);
+    expect(err).toBe('Validation failed: $.score: must be <= 5');
+  });
+
+  it('checks usage before touching the network', async () => {
+    expect((await exchange(['buy', 'abc'], {}, { EXCHANGE_PRIVATE_KEY: PRIVATE_KEY })).err).toBe('serviceId must be a positive integer');
+    expect((await exchange(['register', '--name', 'x'], {}, { EXCHANGE_PRIVATE_KEY: PRIVATE_KEY })).code).toBe(2);
+    expect((await exchange(['buy', '1'])).err).toMatch(/No wallet/);
+    expect((await exchange(['sell'])).code).toBe(2);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, vi } from 'vitest';
+import { recoverMessageAddress } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { ExchangeClient, ApiError, Signer } from '../src/index.js';
+import { API, envelope, fakeFetch } from './helpers.js';
+
+const account = privateKeyToAccount('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+
+function client(routes) {
+  const fetch = fakeFetch(routes);
+  return { fetch, client: new ExchangeClient({ baseUrl: API, account, fetch }) };
+}
+
+describe('ExchangeClient', () => {
+  it('unwraps the envelope and passes query parameters', async () => {
+    const { client: exchange, fetch } = client({
+      'GET /services': ({ url }) => [200, envelope([{ id: 1 }], { pagination: { page: Number(url.searchParams.get('page')), hasNext: false } })]
+    });
+
+    const page = await exchange.listServices({ q: 'review', category: undefined, page: 2 });
+
+    expect(page).toEqual({ items: [{ id: 1 }], pagination: { page: 2, hasNext: false } });
+    expect(fetch.mock.calls[0][0].search).toBe('?q=review&page=2');
+  });
+
+  it('throws ApiError with the validation details', async () => {
+    const { client: exchange } = client({
+      'POST /services': () => [400, { success: false, error: { message: 'Validation failed', code: 400, details: ['$.priceUSDC: must be > 0'] } }]
+    });
+
+    const error = await exchange.createService({ name: 'Review', priceUSDC: 0 }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({ status: 400, message: 'Validation failed', details: ['$.priceUSDC: must be > 0'] });
+  });
+
+  it('signs the exact body with a fresh nonce', async () => {
+    let seen;
+    const { client: exchange } = client({
+      'POST /services': (call) => {
+        seen = call;
+        return [201, envelope({ id: 7 })];
+      }
+    });
+
+    await exchange.createService({ name: 'Review' });
+
+    expect(seen.body).toEqual({ providerAddress: account.address, name: 'Review' });
+    expect(seen.headers['X-Agent-Nonce']).toBe('n1');
+
+    const message = Signer.buildMessage({
+      address: account.address,
+      method: 'POST',
+      path: '/services',
+      bodyHash: Signer.hashBody(JSON.stringify(seen.body)),
+      nonce: 'n1'
+    });
+    expect(await recoverMessageAddress({ message, signature: seen.headers['X-Agent-Signature'] })).toBe(account.address);
+  });
+
+  it('sends the API key on every call, nonce lookups included', async () => {
+    const fetch = fakeFetch({ 'POST /services': () => [201, envelope({ id: 7 })] });
+    const exchange = new ExchangeClient({ baseUrl: API, account, apiKey: 'ase_test', fetch });
+
+    await exchange.createService({ name: 'Review' });
+
+    expect(fetch.mock.calls.map(([, init]) => init.headers.Authorization)).toEqual(['Bearer ase_test', 'Bearer ase_test']);
+  });
+
+  it('needs an account for signed routes', async () => {
+    const exchange = new ExchangeClient({ baseUrl: API, fetch: fakeFetch({}) });
+
+    await expect(exchange.listRfqs()).rejects.toThrow(/create the client with an account/);
+  });
+
+  it('iterates every page of services', async () => {
+    const { client: exchange } = client({
+      'GET /services': ({ url }) => {
+        const page = Number(url.searchParams.get('page'));
+        return [200, envelope([{ id: page * 10 }, { id: page * 10 + 1 }], { pagination: { page, hasNext: page < 3 } })];
+      }
+    });
+
+    const ids = [];
+    for await (const service of exchange.iterateServices({ limit: 2 })) ids.push(service.id);
+
+    expect(ids).toEqual([10, 11, 20, 21, 30, 31]);
+  });
+});
+
+describe('buyService', () => {
+  function fakeEscrow(price) {
+    return {
+      getService: vi.fn(async () => ({ price })),
+      ensureAllowance: vi.fn(async () => '0xapprove'),
+      createRequest: vi.fn(async () => ({ txHash: '0xescrow', requestId: 3, price }))
+    };
+  }
+
+  it('approves, escrows and records the request', async () => {
+    let recorded;
+    const { client: exchange } = client({
+      'GET /services/5': () => [200, envelope({ id: 5, priceUSDC: 5000000, onchainServiceId: 2 })],
+      'POST /services/5/request': (call) => {
+        recorded = call.body;
+        return [201, envelope({ id: 9, status: 'pending', amountUSDC: 5000000 })];
+      }
+    });
+    const escrow = fakeEscrow(5000000n);
+    exchange.escrow = async () => escrow;
+
+    const result = await exchange.buyService(5);
+
+    expect(escrow.ensureAllowance).toHaveBeenCalledWith(5000000n);
+    expect(escrow.createRequest).toHaveBeenCalledWith(2);
+    expect(recorded).toEqual({ buyerAddress: account.address, txHash: '0xescrow' });
+    expect(result).toEqual({ request: { id: 9, status: 'pending', amountUSDC: 5000000 }, txHash: '0xescrow', approveTxHash: '0xapprove' });
+  });
+
+  it('pays an accepted quote through its on-chain service', async () => {
+    const { client: exchange } = client({
+      'GET /services/5': () => [200, envelope({ id: 5, priceUSDC: 5000000, onchainServiceId: 2 })],
+      'GET /rfqs': () => [200, envelope([{ id: 4, acceptedQuoteId: 8 }])],
+      'GET /rfqs/4': () => [200, envelope({ id: 4, quotes: [{ id: 8, amountUSDC: 3000000, onchainServiceId: 6 }] })],
+      'POST /services/5/request': (call) => [201, envelope({ id: 9, quoteId: call.body.quoteId })]
+    });
+    const escrow = fakeEscrow(3000000n);
+    exchange.escrow = async () => escrow;
+
+    const { request } = await exchange.buyService(5, { quoteId: 8 });
+
+    expect(escrow.createRequest).toHaveBeenCalledWith(6);
+    expect(request.quoteId).toBe(8);
+  });
+
+  it('refuses to escrow a price the API would reject', async () => {
+    const { client: exchange } = client({
+      'GET /services/5': () => [200, envelope({ id: 5, priceUSDC: 5000000, onchainServiceId: 2 })]
+    });
+    const escrow = fakeEscrow(7000000n);
+    exchange.escrow = async () => escrow;
+
+    await expect(exchange.buyService(5)).rejects.toThrow('On-chain service 2 costs 7000000 micro-USDC, expected 5000000');
+    expect(escrow.createRequest).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,26 @@
+import { vi } from 'vitest';
+
+export const API = 'https://api.test';
+
+export function envelope(data, meta = {}) {
+  return { success: true, data, meta: { timestamp: '2026-01-01T00:00:00.000Z', ...meta } };
+}
+
+/**
+ * fetch stand-in answering from a route table
+ * @param {Record<string, (call: {url: URL, method: string, headers: object, body: object|null}) => [number, object]>} routes
+ *   keyed by "METHOD /path"; GET /auth/nonce is answered by default
+ */
+export function fakeFetch(routes) {
+  return vi.fn(async (input, init = {}) => {
+    const url = new URL(input);
+    const method = init.method || 'GET';
+    const call = { url, method, headers: init.headers || {}, body: init.body ? JSON.parse(init.body) : null };
+
+    const handler = routes[`${method} ${url.pathname}`] ||
+      (url.pathname === '/auth/nonce' ? () => [200, envelope({ nonce: 'n1' })] : null);
+    const [status, json] = handler ? handler(call) : [404, { success: false, error: { message: 'Endpoint not found', code: 404 } }];
+
+    return new Response(JSON.stringify(json), { status, headers: { 'Content-Type': 'application/json' } });
+  });
+}
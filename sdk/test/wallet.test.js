@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { fileURLToPath } from 'node:url';
+import { Wallet } from '../src/wallet.js';
+
+const KEYSTORE = fileURLToPath(new URL('./fixtures/keystore.json', import.meta.url));
+const ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+describe('Wallet', () => {
+  it('loads a private key with or without 0x', () => {
+    const key = '59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+    expect(Wallet.load({ privateKey: key }).address).toBe(ADDRESS);
+    expect(Wallet.load({ privateKey: `0x${key}` }).address).toBe(ADDRESS);
+    expect(() => Wallet.load({ privateKey: '0x1234' })).toThrow('Private key must be 32 bytes of hex');
+  });
+
+  it('decrypts a V3 keystore', () => {
+    expect(Wallet.load({ keystore: KEYSTORE, password: 'correct horse' }).address).toBe(ADDRESS);
+  });
+
+  it('rejects a wrong keystore password', () => {
+    expect(() => Wallet.load({ keystore: KEYSTORE, password: 'battery staple' })).toThrow('Wrong keystore password');
+  });
+
+  it('needs some wallet', () => {
+    expect(() => Wallet.load({})).toThrow('No wallet');
+  });
+});
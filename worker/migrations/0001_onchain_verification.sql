@@ -0,0 +1,7 @@
+-- Link off-chain rows to the AgentServiceExchange contract
+-- Apply to databases created before on-chain escrow verification
+
+ALTER TABLE services ADD COLUMN onchain_service_id INTEGER;
+ALTER TABLE service_requests ADD COLUMN onchain_request_id INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_requests_onchain ON service_requests(onchain_request_id);
@@ -0,0 +1,24 @@
+-- Contract event indexer state and on-chain reputation columns
+
+ALTER TABLE agent_profiles ADD COLUMN onchain_rating_avg REAL DEFAULT 0;
+ALTER TABLE agent_profiles ADD COLUMN onchain_rating_count INTEGER DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS indexer_state (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    last_block INTEGER NOT NULL,
+    last_block_hash TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS chain_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tx_hash TEXT NOT NULL,
+    tx_log_index INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    event_name TEXT NOT NULL,
+    args TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(tx_hash, tx_log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chain_events_block ON chain_events(block_number);
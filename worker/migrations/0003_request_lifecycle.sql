@@ -0,0 +1,16 @@
+-- Service request state history
+
+CREATE TABLE IF NOT EXISTS request_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    request_id INTEGER NOT NULL,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    actor_address TEXT,
+    source TEXT NOT NULL DEFAULT 'api',
+    tx_hash TEXT,
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (request_id) REFERENCES service_requests(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_request_events_request ON request_events(request_id);
@@ -0,0 +1,26 @@
+-- Keyword search over listings
+
+CREATE INDEX IF NOT EXISTS idx_services_price ON services(price_usdc);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS services_fts USING fts5(
+    name,
+    description,
+    content='services',
+    content_rowid='id'
+);
+
+CREATE TRIGGER IF NOT EXISTS services_fts_insert AFTER INSERT ON services BEGIN
+    INSERT INTO services_fts(rowid, name, description) VALUES (new.id, new.name, new.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS services_fts_delete AFTER DELETE ON services BEGIN
+    INSERT INTO services_fts(services_fts, rowid, name, description) VALUES ('delete', old.id, old.name, old.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS services_fts_update AFTER UPDATE OF name, description ON services BEGIN
+    INSERT INTO services_fts(services_fts, rowid, name, description) VALUES ('delete', old.id, old.name, old.description);
+    INSERT INTO services_fts(rowid, name, description) VALUES (new.id, new.name, new.description);
+END;
+
+-- Index listings created before the search table existed
+INSERT INTO services_fts(services_fts) VALUES ('rebuild');
@@ -0,0 +1,36 @@
+-- RFQ negotiation tables
+
+ALTER TABLE service_requests ADD COLUMN quote_id INTEGER;
+
+CREATE TABLE IF NOT EXISTS rfqs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    service_id INTEGER NOT NULL,
+    buyer_address TEXT NOT NULL,
+    provider_address TEXT NOT NULL,
+    requirements TEXT NOT NULL,
+    budget_usdc INTEGER,
+    status TEXT DEFAULT 'open',
+    accepted_quote_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (service_id) REFERENCES services(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rfqs_buyer ON rfqs(buyer_address);
+CREATE INDEX IF NOT EXISTS idx_rfqs_provider ON rfqs(provider_address);
+
+CREATE TABLE IF NOT EXISTS quotes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rfq_id INTEGER NOT NULL,
+    author_address TEXT NOT NULL,
+    author_role TEXT NOT NULL,
+    amount_usdc INTEGER NOT NULL,
+    message TEXT,
+    onchain_service_id INTEGER,
+    status TEXT DEFAULT 'offered',
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (rfq_id) REFERENCES rfqs(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quotes_rfq ON quotes(rfq_id);
@@ -0,0 +1,22 @@
+-- Deliverables and listing acceptance terms
+
+ALTER TABLE services ADD COLUMN acceptance_criteria TEXT;
+ALTER TABLE services ADD COLUMN output_schema TEXT;
+
+CREATE TABLE IF NOT EXISTS deliverables (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    request_id INTEGER NOT NULL,
+    provider_address TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    content_hash TEXT NOT NULL,
+    storage TEXT NOT NULL,
+    inline_content TEXT,
+    r2_key TEXT,
+    validation TEXT DEFAULT 'not_applicable',
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (request_id) REFERENCES service_requests(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_deliverables_request ON deliverables(request_id);
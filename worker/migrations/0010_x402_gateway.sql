@@ -0,0 +1,11 @@
+-- x402 pay-per-call gateway
+-- Listings with an endpoint can be called through POST /services/:id/call;
+-- endpoint_secret signs the forwarded calls (X-Exchange-Signature)
+
+ALTER TABLE services ADD COLUMN endpoint_url TEXT;
+ALTER TABLE services ADD COLUMN endpoint_secret TEXT;
+
+-- 'escrow' for on-chain escrow purchases, 'x402' for gateway calls
+-- (whose tx_hash is the x402:<payer>:<nonce> payment id)
+ALTER TABLE service_requests ADD COLUMN payment_scheme TEXT DEFAULT 'escrow';
+ALTER TABLE service_requests ADD COLUMN settlement_tx_hash TEXT;
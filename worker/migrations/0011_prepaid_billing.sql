@@ -0,0 +1,42 @@
+-- Subscription, bundle and prepaid-credit pricing
+-- pricing_model: per_request | subscription | bundle | credits (see src/billing.js)
+
+ALTER TABLE services ADD COLUMN pricing_model TEXT DEFAULT 'per_request';
+ALTER TABLE services ADD COLUMN plan_price_usdc INTEGER;
+ALTER TABLE services ADD COLUMN plan_calls INTEGER;
+ALTER TABLE services ADD COLUMN plan_period_days INTEGER;
+
+-- Bundle and credit balances: purchases (+), uses (-) and refunds (+)
+-- delta counts calls for bundles and micro-USDC for credits
+CREATE TABLE IF NOT EXISTS credit_ledger (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    service_id INTEGER NOT NULL,
+    buyer_address TEXT NOT NULL,
+    delta INTEGER NOT NULL,
+    kind TEXT NOT NULL,
+    amount_usdc INTEGER,
+    payment_ref TEXT UNIQUE,
+    settlement_tx_hash TEXT,
+    request_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (service_id) REFERENCES services(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_account ON credit_ledger(service_id, buyer_address);
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_request ON credit_ledger(request_id);
+
+-- Paid subscription periods; a renewal starts when the previous period ends
+CREATE TABLE IF NOT EXISTS subscription_periods (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    service_id INTEGER NOT NULL,
+    buyer_address TEXT NOT NULL,
+    period_start DATETIME NOT NULL,
+    period_end DATETIME NOT NULL,
+    amount_usdc INTEGER NOT NULL,
+    payment_ref TEXT NOT NULL UNIQUE,
+    settlement_tx_hash TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (service_id) REFERENCES services(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_periods_account ON subscription_periods(service_id, buyer_address, period_end);
@@ -0,0 +1,10 @@
+-- Self-managed agent profiles (PUT /agents/:address)
+-- protocols, endpoints and capabilities hold JSON; ens_name is verified to resolve to the address
+
+ALTER TABLE agent_profiles ADD COLUMN display_name TEXT;
+ALTER TABLE agent_profiles ADD COLUMN bio TEXT;
+ALTER TABLE agent_profiles ADD COLUMN avatar_url TEXT;
+ALTER TABLE agent_profiles ADD COLUMN ens_name TEXT;
+ALTER TABLE agent_profiles ADD COLUMN protocols TEXT;
+ALTER TABLE agent_profiles ADD COLUMN endpoints TEXT;
+ALTER TABLE agent_profiles ADD COLUMN capabilities TEXT;
@@ -0,0 +1,47 @@
+-- Marketplace analytics rollups, rebuilt by the scheduled handler (see src/analytics.js)
+
+-- Per hour or day, overall (category '') and per category
+CREATE TABLE IF NOT EXISTS analytics_rollups (
+    interval TEXT NOT NULL,
+    bucket DATETIME NOT NULL,
+    category TEXT NOT NULL DEFAULT '',
+    transactions INTEGER DEFAULT 0,
+    volume_usdc INTEGER DEFAULT 0,
+    completed INTEGER DEFAULT 0,
+    cancelled INTEGER DEFAULT 0,
+    median_price_usdc INTEGER,
+    new_providers INTEGER DEFAULT 0,
+    PRIMARY KEY (interval, bucket, category)
+);
+
+-- Per day and provider or service, summed over a period for GET /leaderboard
+CREATE TABLE IF NOT EXISTS leaderboard_rollups (
+    day DATETIME NOT NULL,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT NOT NULL,
+    transactions INTEGER DEFAULT 0,
+    volume_usdc INTEGER DEFAULT 0,
+    rating_sum INTEGER DEFAULT 0,
+    rating_count INTEGER DEFAULT 0,
+    PRIMARY KEY (day, entity_type, entity_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_rollups_entity ON leaderboard_rollups(entity_type, day);
+
+-- Days whose rollups are out of date, and how far the change scan has got
+CREATE TABLE IF NOT EXISTS analytics_pending_days (
+    day DATETIME PRIMARY KEY
+);
+
+CREATE TABLE IF NOT EXISTS analytics_state (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    scanned_until DATETIME NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT OR IGNORE INTO analytics_state (id, scanned_until) VALUES (1, '1970-01-01 00:00:00');
+
+CREATE INDEX IF NOT EXISTS idx_requests_created ON service_requests(created_at);
+CREATE INDEX IF NOT EXISTS idx_request_events_created ON request_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_ratings_created ON agent_ratings(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
@@ -0,0 +1,30 @@
+-- Tamper-evident audit log (see src/audit.js)
+-- The scheduled handler seals entries in id order: entry_hash commits to the
+-- entry and prev_hash, so editing or removing a sealed entry breaks the chain
+
+ALTER TABLE audit_log ADD COLUMN prev_hash TEXT;
+ALTER TABLE audit_log ADD COLUMN entry_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+
+CREATE TRIGGER IF NOT EXISTS audit_log_sealed_update BEFORE UPDATE ON audit_log
+WHEN OLD.entry_hash IS NOT NULL
+BEGIN
+    SELECT RAISE(ABORT, 'audit_log entries cannot change once sealed');
+END;
+
+CREATE TRIGGER IF NOT EXISTS audit_log_delete BEFORE DELETE ON audit_log
+BEGIN
+    SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
+
+-- Signed checkpoints of the chain head
+CREATE TABLE IF NOT EXISTS audit_anchors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entry_id INTEGER NOT NULL,
+    entry_hash TEXT NOT NULL,
+    message TEXT NOT NULL,
+    signer_address TEXT NOT NULL,
+    signature TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
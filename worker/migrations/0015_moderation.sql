@@ -0,0 +1,48 @@
+-- Operator moderation (see src/moderation.js)
+-- moderation_status is set by admins only: 'flagged' keeps a listing visible
+-- but queued for review, 'hidden' takes it out of search and purchase flows
+
+ALTER TABLE services ADD COLUMN moderation_status TEXT;
+ALTER TABLE services ADD COLUMN moderation_reason TEXT;
+ALTER TABLE services ADD COLUMN moderated_at DATETIME;
+
+CREATE INDEX IF NOT EXISTS idx_services_moderation ON services(moderation_status);
+
+-- User reports on listings (POST /services/:id/report); one per reporter and listing
+CREATE TABLE IF NOT EXISTS service_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    service_id INTEGER NOT NULL,
+    reporter_address TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    details TEXT,
+    status TEXT DEFAULT 'open',
+    reviewed_by TEXT,
+    review_note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at DATETIME,
+    UNIQUE (service_id, reporter_address),
+    FOREIGN KEY (service_id) REFERENCES services(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_reports_status ON service_reports(status, created_at);
+
+-- Banned wallets: 'ban' refuses their writes, 'shadow_ban' quietly hides their listings and reports
+CREATE TABLE IF NOT EXISTS address_bans (
+    address TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    reason TEXT,
+    banned_by TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Read-only maintenance: set by an admin or mirrored from the contract's Paused/Unpaused
+CREATE TABLE IF NOT EXISTS maintenance_state (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    enabled INTEGER NOT NULL DEFAULT 0,
+    message TEXT,
+    contract_paused INTEGER NOT NULL DEFAULT 0,
+    updated_by TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT OR IGNORE INTO maintenance_state (id) VALUES (1);
@@ -0,0 +1,10 @@
+-- Signing nonces move from KV to D1 so they can be consumed atomically
+-- (DELETE ... RETURNING); nonces issued into KV before this are not honoured
+
+CREATE TABLE IF NOT EXISTS auth_nonces (
+    nonce TEXT PRIMARY KEY,
+    address TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_nonces_expires ON auth_nonces(expires_at);
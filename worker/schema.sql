@@ -9,6 +9,18 @@ CREATE TABLE IF NOT EXISTS services (
     provider_address TEXT NOT NULL,
     category TEXT NOT NULL,
     status TEXT DEFAULT 'active',
+    onchain_service_id INTEGER,
+    acceptance_criteria TEXT,
+    output_schema TEXT,
+    endpoint_url TEXT,
+    endpoint_secret TEXT,
+    pricing_model TEXT DEFAULT 'per_request',
+    plan_price_usdc INTEGER,
+    plan_calls INTEGER,
+    plan_period_days INTEGER,
+    moderation_status TEXT,
+    moderation_reason TEXT,
+    moderated_at DATETIME,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
@@ -16,6 +28,29 @@ CREATE TABLE IF NOT EXISTS services (
 CREATE INDEX IF NOT EXISTS idx_services_provider ON services(provider_address);
 CREATE INDEX IF NOT EXISTS idx_services_category ON services(category);
 CREATE INDEX IF NOT EXISTS idx_services_status ON services(status);
+CREATE INDEX IF NOT EXISTS idx_services_price ON services(price_usdc);
+CREATE INDEX IF NOT EXISTS idx_services_moderation ON services(moderation_status);
+
+-- Keyword search over listings (kept in sync by triggers)
+CREATE VIRTUAL TABLE IF NOT EXISTS services_fts USING fts5(
+    name,
+    description,
+    content='services',
+    content_rowid='id'
+);
+
+CREATE TRIGGER IF NOT EXISTS services_fts_insert AFTER INSERT ON services BEGIN
+    INSERT INTO services_fts(rowid, name, description) VALUES (new.id, new.name, new.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS services_fts_delete AFTER DELETE ON services BEGIN
+    INSERT INTO services_fts(services_fts, rowid, name, description) VALUES ('delete', old.id, old.name, old.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS services_fts_update AFTER UPDATE OF name, description ON services BEGIN
+    INSERT INTO services_fts(services_fts, rowid, name, description) VALUES ('delete', old.id, old.name, old.description);
+    INSERT INTO services_fts(rowid, name, description) VALUES (new.id, new.name, new.description);
+END;
 
 CREATE TABLE IF NOT EXISTS service_requests (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -25,6 +60,10 @@ CREATE TABLE IF NOT EXISTS service_requests (
     tx_hash TEXT NOT NULL UNIQUE,
     status TEXT DEFAULT 'pending',
     amount_usdc INTEGER NOT NULL,
+    onchain_request_id INTEGER,
+    quote_id INTEGER,
+    payment_scheme TEXT DEFAULT 'escrow',
+    settlement_tx_hash TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     completed_at DATETIME,
     FOREIGN KEY (service_id) REFERENCES services(id)
@@ -33,6 +72,23 @@ CREATE TABLE IF NOT EXISTS service_requests (
 CREATE INDEX IF NOT EXISTS idx_requests_service ON service_requests(service_id);
 CREATE INDEX IF NOT EXISTS idx_requests_buyer ON service_requests(buyer_address);
 CREATE INDEX IF NOT EXISTS idx_requests_status ON service_requests(status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_requests_onchain ON service_requests(onchain_request_id);
+
+-- State history for service requests (API transitions and indexed chain events)
+CREATE TABLE IF NOT EXISTS request_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    request_id INTEGER NOT NULL,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    actor_address TEXT,
+    source TEXT NOT NULL DEFAULT 'api',
+    tx_hash TEXT,
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (request_id) REFERENCES service_requests(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_request_events_request ON request_events(request_id);
 
 CREATE TABLE IF NOT EXISTS agent_ratings (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -55,6 +111,15 @@ CREATE TABLE IF NOT EXISTS agent_profiles (
     total_volume_usdc INTEGER DEFAULT 0,
     rating_avg REAL DEFAULT 0,
     rating_count INTEGER DEFAULT 0,
+    onchain_rating_avg REAL DEFAULT 0,
+    onchain_rating_count INTEGER DEFAULT 0,
+    display_name TEXT,
+    bio TEXT,
+    avatar_url TEXT,
+    ens_name TEXT,
+    protocols TEXT,
+    endpoints TEXT,
+    capabilities TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
@@ -77,5 +142,319 @@ CREATE TABLE IF NOT EXISTS audit_log (
     entity_id INTEGER,
     actor_address TEXT,
     details TEXT,
+    prev_hash TEXT,
+    entry_hash TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+
+-- Sealed entries are part of the hash chain (see src/audit.js)
+CREATE TRIGGER IF NOT EXISTS audit_log_sealed_update BEFORE UPDATE ON audit_log
+WHEN OLD.entry_hash IS NOT NULL
+BEGIN
+    SELECT RAISE(ABORT, 'audit_log entries cannot change once sealed');
+END;
+
+CREATE TRIGGER IF NOT EXISTS audit_log_delete BEFORE DELETE ON audit_log
+BEGIN
+    SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
+
+-- Contract event indexer (scheduled handler)
+CREATE TABLE IF NOT EXISTS indexer_state (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    last_block INTEGER NOT NULL,
+    last_block_hash TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS chain_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tx_hash TEXT NOT NULL,
+    tx_log_index INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    event_name TEXT NOT NULL,
+    args TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(tx_hash, tx_log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chain_events_block ON chain_events(block_number);
+
+-- Webhook subscriptions and delivery outbox
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner_address TEXT NOT NULL,
+    url TEXT NOT NULL,
+    event_types TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    active INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_owner ON webhook_subscriptions(owner_address);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    subscription_id INTEGER NOT NULL,
+    event_type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    last_status_code INTEGER,
+    last_error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_attempt_at DATETIME,
+    delivered_at DATETIME,
+    FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id);
+
+-- RFQ negotiation: every offer and counter-offer is kept
+CREATE TABLE IF NOT EXISTS rfqs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    service_id INTEGER NOT NULL,
+    buyer_address TEXT NOT NULL,
+    provider_address TEXT NOT NULL,
+    requirements TEXT NOT NULL,
+    budget_usdc INTEGER,
+    status TEXT DEFAULT 'open',
+    accepted_quote_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (service_id) REFERENCES services(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rfqs_buyer ON rfqs(buyer_address);
+CREATE INDEX IF NOT EXISTS idx_rfqs_provider ON rfqs(provider_address);
+
+CREATE TABLE IF NOT EXISTS quotes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rfq_id INTEGER NOT NULL,
+    author_address TEXT NOT NULL,
+    author_role TEXT NOT NULL,
+    amount_usdc INTEGER NOT NULL,
+    message TEXT,
+    onchain_service_id INTEGER,
+    status TEXT DEFAULT 'offered',
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (rfq_id) REFERENCES rfqs(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quotes_rfq ON quotes(rfq_id);
+
+-- Work results handed over on a request (large payloads live in R2)
+CREATE TABLE IF NOT EXISTS deliverables (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    request_id INTEGER NOT NULL,
+    provider_address TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    content_hash TEXT NOT NULL,
+    storage TEXT NOT NULL,
+    inline_content TEXT,
+    r2_key TEXT,
+    validation TEXT DEFAULT 'not_applicable',
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (request_id) REFERENCES service_requests(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_deliverables_request ON deliverables(request_id);
+
+-- Disputes: one per request, with a message thread and the arbiter's ruling
+CREATE TABLE IF NOT EXISTS disputes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    request_id INTEGER NOT NULL UNIQUE,
+    raised_by TEXT NOT NULL,
+    raised_by_role TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    evidence TEXT NOT NULL DEFAULT '[]',
+    previous_status TEXT,
+    status TEXT DEFAULT 'open',
+    ruling TEXT,
+    provider_amount_usdc INTEGER,
+    buyer_amount_usdc INTEGER,
+    arbiter_address TEXT,
+    ruling_note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    resolved_at DATETIME,
+    FOREIGN KEY (request_id) REFERENCES service_requests(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_disputes_status ON disputes(status);
+
+CREATE TABLE IF NOT EXISTS dispute_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    dispute_id INTEGER NOT NULL,
+    author_address TEXT NOT NULL,
+    author_role TEXT NOT NULL,
+    body TEXT NOT NULL,
+    evidence TEXT NOT NULL DEFAULT '[]',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (dispute_id) REFERENCES disputes(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dispute_messages_dispute ON dispute_messages(dispute_id);
+
+-- API keys (rate limiting identity; only the hash is stored)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner_address TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    label TEXT,
+    tier TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    revoked_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_owner ON api_keys(owner_address);
+
+-- Prepaid balances per buyer and listing: purchases (+), uses (-) and refunds (+)
+-- delta counts calls for bundles and micro-USDC for credits
+CREATE TABLE IF NOT EXISTS credit_ledger (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    service_id INTEGER NOT NULL,
+    buyer_address TEXT NOT NULL,
+    delta INTEGER NOT NULL,
+    kind TEXT NOT NULL,
+    amount_usdc INTEGER,
+    payment_ref TEXT UNIQUE,
+    settlement_tx_hash TEXT,
+    request_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (service_id) REFERENCES services(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_account ON credit_ledger(service_id, buyer_address);
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_request ON credit_ledger(request_id);
+
+-- Paid subscription periods; a renewal starts when the previous period ends
+CREATE TABLE IF NOT EXISTS subscription_periods (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    service_id INTEGER NOT NULL,
+    buyer_address TEXT NOT NULL,
+    period_start DATETIME NOT NULL,
+    period_end DATETIME NOT NULL,
+    amount_usdc INTEGER NOT NULL,
+    payment_ref TEXT NOT NULL UNIQUE,
+    settlement_tx_hash TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (service_id) REFERENCES services(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_periods_account ON subscription_periods(service_id, buyer_address, period_end);
+
+-- Marketplace analytics rollups, rebuilt by the scheduled handler (see src/analytics.js)
+-- Per hour or day, overall (category '') and per category
+CREATE TABLE IF NOT EXISTS analytics_rollups (
+    interval TEXT NOT NULL,
+    bucket DATETIME NOT NULL,
+    category TEXT NOT NULL DEFAULT '',
+    transactions INTEGER DEFAULT 0,
+    volume_usdc INTEGER DEFAULT 0,
+    completed INTEGER DEFAULT 0,
+    cancelled INTEGER DEFAULT 0,
+    median_price_usdc INTEGER,
+    new_providers INTEGER DEFAULT 0,
+    PRIMARY KEY (interval, bucket, category)
+);
+
+-- Per day and provider or service, summed over a period for GET /leaderboard
+CREATE TABLE IF NOT EXISTS leaderboard_rollups (
+    day DATETIME NOT NULL,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT NOT NULL,
+    transactions INTEGER DEFAULT 0,
+    volume_usdc INTEGER DEFAULT 0,
+    rating_sum INTEGER DEFAULT 0,
+    rating_count INTEGER DEFAULT 0,
+    PRIMARY KEY (day, entity_type, entity_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_rollups_entity ON leaderboard_rollups(entity_type, day);
+
+-- Days whose rollups are out of date, and how far the change scan has got
+CREATE TABLE IF NOT EXISTS analytics_pending_days (
+    day DATETIME PRIMARY KEY
+);
+
+CREATE TABLE IF NOT EXISTS analytics_state (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    scanned_until DATETIME NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT OR IGNORE INTO analytics_state (id, scanned_until) VALUES (1, '1970-01-01 00:00:00');
+
+CREATE INDEX IF NOT EXISTS idx_requests_created ON service_requests(created_at);
+CREATE INDEX IF NOT EXISTS idx_request_events_created ON request_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_ratings_created ON agent_ratings(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+
+-- Signed checkpoints of the audit chain head
+CREATE TABLE IF NOT EXISTS audit_anchors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entry_id INTEGER NOT NULL,
+    entry_hash TEXT NOT NULL,
+    message TEXT NOT NULL,
+    signer_address TEXT NOT NULL,
+    signature TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- User reports on listings (POST /services/:id/report); one per reporter and listing
+CREATE TABLE IF NOT EXISTS service_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    service_id INTEGER NOT NULL,
+    reporter_address TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    details TEXT,
+    status TEXT DEFAULT 'open',
+    reviewed_by TEXT,
+    review_note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at DATETIME,
+    UNIQUE (service_id, reporter_address),
+    FOREIGN KEY (service_id) REFERENCES services(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_reports_status ON service_reports(status, created_at);
+
+-- Banned wallets: 'ban' refuses their writes, 'shadow_ban' quietly hides their listings and reports
+CREATE TABLE IF NOT EXISTS address_bans (
+    address TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    reason TEXT,
+    banned_by TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Read-only maintenance: set by an admin or mirrored from the contract's Paused/Unpaused
+CREATE TABLE IF NOT EXISTS maintenance_state (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    enabled INTEGER NOT NULL DEFAULT 0,
+    message TEXT,
+    contract_paused INTEGER NOT NULL DEFAULT 0,
+    updated_by TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT OR IGNORE INTO maintenance_state (id) VALUES (1);
+
+-- One-time signing nonces (GET /auth/nonce); consumed with DELETE ... RETURNING
+-- expires_at is an ISO 8601 timestamp
+CREATE TABLE IF NOT EXISTS auth_nonces (
+    nonce TEXT PRIMARY KEY,
+    address TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_nonces_expires ON auth_nonces(expires_at);
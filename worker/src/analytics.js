@@ -0,0 +1,419 @@
+/**
+ * Marketplace analytics: hourly and daily rollups, time series and leaderboards
+ *
+ * The scheduled handler calls Analytics.rollup each run. It scans rows
+ * written since the previous scan (requests and their status changes,
+ * ratings, service listings in `audit_log`, prepaid purchases), marks the
+ * days they fall on as pending, then rebuilds up to MAX_DAYS_PER_RUN pending
+ * days from the source tables. Rebuilding whole days keeps the rollups exact
+ * when an old request changes status, and the pending table lets a first run
+ * over a long history catch up across several invocations.
+ *
+ * `analytics_rollups` holds one row per interval, bucket and category
+ * (category '' is the whole market). Requests count in the bucket they were
+ * opened in, so completion and cancellation rates are "of the requests opened
+ * then, the share that has completed / been cancelled so far". Volume follows
+ * exchange_stats: escrow and x402 requests at their amount, prepaid plans when
+ * purchased. `leaderboard_rollups` holds the same per day for each provider
+ * and service, plus the ratings they received that day.
+ *
+ * GET /stats/timeseries and GET /leaderboard read only the rollups.
+ */
+
+import { PRIOR_MEAN, PRIOR_WEIGHT } from './reputation.js';
+
+export const METRICS = ['volume', 'transactions', 'median_price', 'new_providers', 'completion_rate', 'cancellation_rate'];
+export const INTERVALS = ['hour', 'day'];
+export const LEADERBOARD_TYPES = ['providers', 'services'];
+export const LEADERBOARD_SORTS = ['volume', 'transactions', 'rating'];
+export const LEADERBOARD_PERIODS = { '7d': 7, '30d': 30, '90d': 90, all: null };
+
+const MAX_DAYS_PER_RUN = 14;
+const INTERVAL_MS = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+const DEFAULT_POINTS = { hour: 48, day: 30 };
+const MAX_POINTS = { hour: 24 * 31, day: 366 };
+
+// Requests that never became a transaction
+const UNCOUNTED_STATES = ['unverified', 'rejected'];
+// Payment schemes whose amount is volume (prepaid uses are counted when the plan is bought)
+const PRICED_SCHEMES = ['escrow', 'x402'];
+
+// Where to look for rows written since ?1, and the day column whose rollups they change
+const CHANGE_SOURCES = [
+  { day: 'created_at', from: 'service_requests WHERE created_at >= ?1' },
+  // A status change alters its request's day, and can bring a rating in or out (disputes)
+  { day: 'sr.created_at', from: 'request_events re JOIN service_requests sr ON sr.id = re.request_id WHERE re.created_at >= ?1' },
+  { day: 'ar.created_at', from: 'request_events re JOIN agent_ratings ar ON ar.request_id = re.request_id WHERE re.created_at >= ?1' },
+  { day: 'created_at', from: 'agent_ratings WHERE created_at >= ?1' },
+  { day: 'created_at', from: "audit_log WHERE created_at >= ?1 AND action = 'create' AND entity_type = 'service'" },
+  { day: 'created_at', from: "credit_ledger WHERE created_at >= ?1 AND kind = 'purchase'" },
+  { day: 'created_at', from: 'subscription_periods WHERE created_at >= ?1' }
+];
+
+const LEADERBOARD_ORDER = {
+  volume: 'volumeUSDC DESC, transactions DESC',
+  transactions: 'transactions DESC, volumeUSDC DESC',
+  rating: 'ratingScore DESC, ratingCount DESC'
+};
+
+// D1 DATETIME text ("YYYY-MM-DD HH:MM:SS") ↔ epoch ms
+const toMs = (value) => Date.parse(`${value.replace(' ', 'T')}Z`);
+const toSql = (ms) => new Date(ms).toISOString().slice(0, 19).replace('T', ' ');
+const truncate = (ms, interval) => ms - (ms % INTERVAL_MS[interval]);
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.floor((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+export class Analytics {
+  /**
+   * Mark days changed since the last scan, then rebuild the oldest pending ones
+   * @returns {Promise<{days: number, pending: number}>}
+   */
+  static async rollup(env) {
+    const state = await env.DB.prepare(
+      "SELECT scanned_until, datetime('now') as now FROM analytics_state WHERE id = 1"
+    ).first();
+    const since = state?.scanned_until || '1970-01-01 00:00:00';
+    const now = state?.now || toSql(Date.now());
+
+    await env.DB.batch([
+      ...CHANGE_SOURCES.map(({ day, from }) => env.DB.prepare(
+        `INSERT OR IGNORE INTO analytics_pending_days (day) SELECT DISTINCT date(${day}) || ' 00:00:00' FROM ${from}`
+      ).bind(since)),
+      env.DB.prepare(
+        `INSERT INTO analytics_state (id, scanned_until) VALUES (1, ?)
+         ON CONFLICT(id) DO UPDATE SET scanned_until = excluded.scanned_until, updated_at = CURRENT_TIMESTAMP`
+      ).bind(now)
+    ]);
+
+    const pending = await env.DB.prepare(
+      'SELECT day FROM analytics_pending_days ORDER BY day LIMIT ?'
+    ).bind(MAX_DAYS_PER_RUN + 1).all();
+    const days = pending.results.slice(0, MAX_DAYS_PER_RUN).map((row) => row.day);
+
+    for (const day of days) {
+      await this.rebuildDay(env, day);
+    }
+
+    return { days: days.length, pending: pending.results.length - days.length };
+  }
+
+  // Recompute every rollup row of one day ("YYYY-MM-DD 00:00:00") from the source tables
+  static async rebuildDay(env, day) {
+    const inDay = (column) => `${column} >= ?1 AND ${column} < datetime(?1, '+1 day')`;
+
+    const [requests, purchases, providers, ratings] = await env.DB.batch([
+      env.DB.prepare(
+        `SELECT sr.created_at as createdAt, sr.amount_usdc as amount, sr.status, sr.payment_scheme as scheme,
+                sr.service_id as serviceId, sr.provider_address as provider, COALESCE(s.category, '') as category
+         FROM service_requests sr JOIN services s ON s.id = sr.service_id
+         WHERE ${inDay('sr.created_at')} AND sr.status NOT IN (${UNCOUNTED_STATES.map(() => '?').join(', ')})`
+      ).bind(day, ...UNCOUNTED_STATES),
+      env.DB.prepare(
+        `SELECT p.created_at as createdAt, p.amount_usdc as amount, p.service_id as serviceId,
+                s.provider_address as provider, COALESCE(s.category, '') as category
+         FROM (
+           SELECT created_at, amount_usdc, service_id FROM credit_ledger WHERE kind = 'purchase' AND ${inDay('created_at')}
+           UNION ALL
+           SELECT created_at, amount_usdc, service_id FROM subscription_periods WHERE ${inDay('created_at')}
+         ) p JOIN services s ON s.id = p.service_id`
+      ).bind(day),
+      // Providers whose first listing was created this day
+      env.DB.prepare(
+        `SELECT al.created_at as createdAt, COALESCE(s.category, '') as category
+         FROM audit_log al JOIN services s ON s.id = al.entity_id
+         WHERE al.action = 'create' AND al.entity_type = 'service' AND ${inDay('al.created_at')}
+           AND NOT EXISTS (
+             SELECT 1 FROM audit_log prior JOIN services ps ON ps.id = prior.entity_id
+             WHERE prior.action = 'create' AND prior.entity_type = 'service'
+               AND ps.provider_address = s.provider_address
+               AND (prior.created_at < al.created_at OR (prior.created_at = al.created_at AND prior.id < al.id))
+           )`
+      ).bind(day),
+      env.DB.prepare(
+        `SELECT ar.agent_address as provider, ar.score, sr.service_id as serviceId
+         FROM agent_ratings ar JOIN service_requests sr ON sr.id = ar.request_id
+         WHERE ${inDay('ar.created_at')} AND sr.status != 'disputed'`
+      ).bind(day)
+    ]);
+
+    const { buckets, leaders } = this.aggregate({
+      requests: requests.results,
+      purchases: purchases.results,
+      providers: providers.results,
+      ratings: ratings.results
+    });
+
+    const statements = [
+      env.DB.prepare(`DELETE FROM analytics_rollups WHERE ${inDay('bucket')}`).bind(day),
+      env.DB.prepare('DELETE FROM leaderboard_rollups WHERE day = ?').bind(day),
+      env.DB.prepare('DELETE FROM analytics_pending_days WHERE day = ?').bind(day)
+    ];
+    for (const row of buckets) {
+      statements.push(env.DB.prepare(
+        `INSERT INTO analytics_rollups
+           (interval, bucket, category, transactions, volume_usdc, completed, cancelled, median_price_usdc, new_providers)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      ).bind(
+        row.interval, row.bucket, row.category, row.transactions, row.volume,
+        row.completed, row.cancelled, median(row.prices), row.newProviders
+      ));
+    }
+    for (const row of leaders) {
+      statements.push(env.DB.prepare(
+        `INSERT INTO leaderboard_rollups (day, entity_type, entity_id, transactions, volume_usdc, rating_sum, rating_count)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`
+      ).bind(day, row.type, row.id, row.transactions, row.volume, row.ratingSum, row.ratingCount));
+    }
+
+    await env.DB.batch(statements);
+  }
+
+  /**
+   * Fold one day's source rows into rollup rows
+   * @returns {{buckets: object[], leaders: object[]}}
+   */
+  static aggregate({ requests, purchases, providers, ratings }) {
+    const buckets = new Map();
+    const leaders = new Map();
+
+    // The hour and day buckets a timestamp falls in, overall and for its category
+    const bucketsFor = (createdAt, category) => {
+      const ms = toMs(createdAt);
+      const rows = [];
+      for (const interval of INTERVALS) {
+        const bucket = toSql(truncate(ms, interval));
+        for (const cat of new Set(['', category])) {
+          const key = `${interval}|${bucket}|${cat}`;
+          if (!buckets.has(key)) {
+            buckets.set(key, {
+              interval, bucket, category: cat,
+              transactions: 0, volume: 0, completed: 0, cancelled: 0, prices: [], newProviders: 0
+            });
+          }
+          rows.push(buckets.get(key));
+        }
+      }
+      return rows;
+    };
+
+    const leadersFor = ({ provider, serviceId }) => [['provider', provider], ['service', String(serviceId)]].map(([type, id]) => {
+      const key = `${type}|${id}`;
+      if (!leaders.has(key)) {
+        leaders.set(key, { type, id, transactions: 0, volume: 0, ratingSum: 0, ratingCount: 0 });
+      }
+      return leaders.get(key);
+    });
+
+    for (const request of requests) {
+      const volume = PRICED_SCHEMES.includes(request.scheme) ? request.amount : 0;
+      for (const row of bucketsFor(request.createdAt, request.category)) {
+        row.transactions++;
+        row.volume += volume;
+        if (request.status === 'completed' || request.status === 'finalized') row.completed++;
+        if (request.status === 'cancelled') row.cancelled++;
+        if (volume > 0) row.prices.push(request.amount);
+      }
+      for (const row of leadersFor(request)) {
+        row.transactions++;
+        row.volume += volume;
+      }
+    }
+
+    for (const purchase of purchases) {
+      for (const row of bucketsFor(purchase.createdAt, purchase.category)) row.volume += purchase.amount;
+      for (const row of leadersFor(purchase)) row.volume += purchase.amount;
+    }
+
+    for (const provider of providers) {
+      for (const row of bucketsFor(provider.createdAt, provider.category)) row.newProviders++;
+    }
+
+    for (const rating of ratings) {
+      for (const row of leadersFor(rating)) {
+        row.ratingSum += rating.score;
+        row.ratingCount++;
+      }
+    }
+
+    return { buckets: [...buckets.values()], leaders: [...leaders.values()] };
+  }
+
+  /**
+   * Read and validate GET /stats/timeseries parameters
+   * @returns {{errors: string[], params: object}}
+   */
+  static parseTimeseriesParams(searchParams, now = Date.now()) {
+    const errors = [];
+    const metric = searchParams.get('metric');
+    const interval = searchParams.get('interval') || 'day';
+    const category = (searchParams.get('category') || '').trim();
+
+    if (!metric) {
+      errors.push(`metric is required (one of: ${METRICS.join(', ')})`);
+    } else if (!METRICS.includes(metric)) {
+      errors.push(`metric must be one of: ${METRICS.join(', ')}`);
+    }
+    if (!INTERVALS.includes(interval)) {
+      errors.push(`interval must be one of: ${INTERVALS.join(', ')}`);
+    }
+    if (errors.length > 0) return { errors, params: null };
+
+    const parseTime = (key) => {
+      const raw = searchParams.get(key);
+      if (raw === null) return null;
+      const ms = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(raw) ? `${raw}T00:00:00Z` : raw);
+      if (Number.isNaN(ms)) errors.push(`${key} must be an ISO 8601 date or date-time`);
+      return ms;
+    };
+
+    const to = truncate(parseTime('to') ?? now, interval);
+    const from = truncate(parseTime('from') ?? to - (DEFAULT_POINTS[interval] - 1) * INTERVAL_MS[interval], interval);
+    if (errors.length > 0) return { errors, params: null };
+
+    const points = (to - from) / INTERVAL_MS[interval] + 1;
+    if (from > to) {
+      errors.push('from cannot be after to');
+    } else if (points > MAX_POINTS[interval]) {
+      errors.push(`at most ${MAX_POINTS[interval]} ${interval} points per request; narrow from/to`);
+    }
+
+    return { errors, params: { metric, interval, category, from, to } };
+  }
+
+  // Metric value of a rollup row; null where the metric is undefined (no requests)
+  static metricValue(metric, row) {
+    if (!row) {
+      return ['median_price', 'completion_rate', 'cancellation_rate'].includes(metric) ? null : 0;
+    }
+    switch (metric) {
+      case 'volume': return row.volume_usdc;
+      case 'transactions': return row.transactions;
+      case 'median_price': return row.median_price_usdc;
+      case 'new_providers': return row.new_providers;
+      case 'completion_rate': return row.transactions ? round(row.completed / row.transactions, 4) : null;
+      case 'cancellation_rate': return row.transactions ? round(row.cancelled / row.transactions, 4) : null;
+    }
+  }
+
+  /**
+   * One point per bucket from `from` to `to`, empty buckets included
+   * @param {object} params From parseTimeseriesParams
+   */
+  static async timeseries(env, { metric, interval, category, from, to }) {
+    const rows = await env.DB.prepare(
+      `SELECT * FROM analytics_rollups
+       WHERE interval = ? AND category = ? AND bucket >= ? AND bucket <= ?`
+    ).bind(interval, category, toSql(from), toSql(to)).all();
+    const byBucket = new Map(rows.results.map((row) => [row.bucket, row]));
+
+    const points = [];
+    for (let ms = from; ms <= to; ms += INTERVAL_MS[interval]) {
+      points.push({
+        bucket: new Date(ms).toISOString(),
+        value: this.metricValue(metric, byBucket.get(toSql(ms)))
+      });
+    }
+
+    return {
+      metric,
+      interval,
+      category: category || null,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      points
+    };
+  }
+
+  /**
+   * Read and validate GET /leaderboard parameters
+   * @returns {{errors: string[], params: object}}
+   */
+  static parseLeaderboardParams(searchParams) {
+    const errors = [];
+    const params = {
+      type: searchParams.get('type') || 'providers',
+      by: searchParams.get('by') || 'volume',
+      period: searchParams.get('period') || '30d',
+      limit: 10
+    };
+
+    if (!LEADERBOARD_TYPES.includes(params.type)) {
+      errors.push(`type must be one of: ${LEADERBOARD_TYPES.join(', ')}`);
+    }
+    if (!LEADERBOARD_SORTS.includes(params.by)) {
+      errors.push(`by must be one of: ${LEADERBOARD_SORTS.join(', ')}`);
+    }
+    if (!(params.period in LEADERBOARD_PERIODS)) {
+      errors.push(`period must be one of: ${Object.keys(LEADERBOARD_PERIODS).join(', ')}`);
+    }
+
+    const limit = searchParams.get('limit');
+    if (limit !== null) {
+      const value = Number(limit);
+      if (!Number.isInteger(value) || value < 1 || value > 100) {
+        errors.push('limit must be an integer between 1 and 100');
+      } else {
+        params.limit = value;
+      }
+    }
+
+    return { errors, params };
+  }
+
+  /**
+   * Top providers or services over a period. Rating ranks by the ratings'
+   * average shrunk towards the reputation prior, so one 5-star review doesn't lead.
+   */
+  static async leaderboard(env, { type, by, period, limit }, now = Date.now()) {
+    const days = LEADERBOARD_PERIODS[period];
+    const since = days ? toSql(truncate(now, 'day') - (days - 1) * INTERVAL_MS.day) : '1970-01-01 00:00:00';
+    const entityType = type === 'providers' ? 'provider' : 'service';
+
+    const columns = `
+      SUM(lr.transactions) as transactions,
+      SUM(lr.volume_usdc) as volumeUSDC,
+      SUM(lr.rating_sum) as ratingSum,
+      SUM(lr.rating_count) as ratingCount,
+      (${PRIOR_MEAN} * ${PRIOR_WEIGHT} + SUM(lr.rating_sum)) * 1.0 / (${PRIOR_WEIGHT} + SUM(lr.rating_count)) as ratingScore`;
+    const having = by === 'rating' ? 'SUM(lr.rating_count) > 0' : 'SUM(lr.transactions) > 0 OR SUM(lr.volume_usdc) > 0';
+
+    const query = type === 'providers'
+      ? `SELECT lr.entity_id as address, ap.display_name as displayName, ${columns}
+         FROM leaderboard_rollups lr
+         LEFT JOIN agent_profiles ap ON ap.address = lr.entity_id
+         WHERE lr.entity_type = ? AND lr.day >= ?
+         GROUP BY lr.entity_id
+         HAVING ${having}
+         ORDER BY ${LEADERBOARD_ORDER[by]}, lr.entity_id
+         LIMIT ?`
+      : `SELECT s.id as serviceId, s.name, s.category, s.provider_address as providerAddress, ${columns}
+         FROM leaderboard_rollups lr
+         JOIN services s ON s.id = CAST(lr.entity_id AS INTEGER) AND s.status != 'deleted'
+         WHERE lr.entity_type = ? AND lr.day >= ?
+         GROUP BY s.id
+         HAVING ${having}
+         ORDER BY ${LEADERBOARD_ORDER[by]}, s.id
+         LIMIT ?`;
+
+    const rows = await env.DB.prepare(query).bind(entityType, since, limit).all();
+
+    return {
+      type,
+      by,
+      period,
+      since: days ? new Date(toMs(since)).toISOString() : null,
+      leaders: rows.results.map(({ ratingSum, ratingScore, ...row }, index) => ({
+        rank: index + 1,
+        ...row,
+        ratingAvg: row.ratingCount > 0 ? round(ratingSum / row.ratingCount, 2) : null,
+        ratingScore: round(ratingScore, 2)
+      }))
+    };
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * API keys issued to wallets
+ *
+ * A key identifies the calling agent for rate limiting, so an agent gets its
+ * own budget instead of sharing one with everything behind the same IP. Keys
+ * do not replace signatures: writes still have to be signed by the wallet
+ * they act for.
+ *
+ *   Authorization: Bearer ase_<64 hex>
+ *
+ * Only a keccak256 hash of the key is stored; the key itself is returned once,
+ * when it is created.
+ */
+
+import { keccak256, stringToHex, toHex } from 'viem';
+
+export const MAX_KEYS_PER_WALLET = 10;
+const KEY_PATTERN = /^ase_[0-9a-f]{64}$/;
+const PREFIX_LENGTH = 12;
+
+export class ApiKeys {
+  static generate() {
+    return `ase_${toHex(crypto.getRandomValues(new Uint8Array(32))).slice(2)}`;
+  }
+
+  static hash(key) {
+    return keccak256(stringToHex(key));
+  }
+
+  // Shown in listings so a holder can tell keys apart
+  static prefix(key) {
+    return key.slice(0, PREFIX_LENGTH);
+  }
+
+  /**
+   * Key sent with a request
+   * @returns {string|null} null when the request carries no key; malformed keys are returned as-is so they fail lookup
+   */
+  static fromRequest(request) {
+    const header = request.headers.get('Authorization');
+    if (!header) return null;
+    const match = /^Bearer\s+(\S+)$/i.exec(header.trim());
+    return match ? match[1] : header.trim();
+  }
+
+  /**
+   * Look up an active key with its owner's reputation (for tier selection)
+   * @returns {Promise<{id: number, ownerAddress: string, tier: string|null, ratingAvg: number|null, ratingCount: number}|null>}
+   */
+  static async resolve(env, key) {
+    if (!KEY_PATTERN.test(key)) return null;
+
+    return env.DB.prepare(
+      `SELECT
+        k.id, k.owner_address as ownerAddress, k.tier,
+        p.rating_avg as ratingAvg, COALESCE(p.rating_count, 0) as ratingCount
+      FROM api_keys k
+      LEFT JOIN agent_profiles p ON p.address = k.owner_address
+      WHERE k.key_hash = ? AND k.revoked_at IS NULL`
+    ).bind(this.hash(key)).first();
+  }
+
+  static toResponse(row) {
+    return {
+      id: row.id,
+      ownerAddress: row.owner_address,
+      prefix: row.key_prefix,
+      label: row.label,
+      tier: row.tier,
+      createdAt: row.created_at,
+      revokedAt: row.revoked_at
+    };
+  }
+}
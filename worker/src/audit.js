@@ -0,0 +1,332 @@
+/**
+ * Tamper-evident audit log
+ *
+ * Writes insert into `audit_log` as before. The scheduled handler then seals
+ * new entries in id order, chaining each to the one before:
+ *
+ *   detailsHash = keccak256(details ?? '')
+ *   hash = keccak256(JSON.stringify([prevHash, id, action, entityType, entityId, actorAddress, detailsHash, createdAt]))
+ *
+ * with GENESIS_HASH as the first prevHash. Triggers refuse to change a sealed
+ * entry or delete any entry; if the rows are edited anyway (the triggers
+ * dropped, the database restored from an altered copy), the recomputed chain
+ * no longer matches and GET /audit/verify reports where. Entries are mutable
+ * for up to a minute, until the next seal.
+ *
+ * With AUDIT_SIGNING_KEY set, the head hash is also signed as an EIP-191
+ * checkpoint every AUDIT_ANCHOR_INTERVAL seconds (default 3600) and kept in
+ * `audit_anchors`. An agent that saved a checkpoint can later show that the
+ * history up to it was rewritten: the entry hash at that id will differ, and
+ * the signature proves the exchange vouched for the old one.
+ *
+ * Details of PRIVATE_ENTITY_TYPES (webhook URLs, API key prefixes) are not
+ * served; their detailsHash still lets anyone check the chain.
+ */
+
+import { keccak256, stringToHex, recoverMessageAddress } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { Deployment } from './deployment.js';
+
+export const GENESIS_HASH = `0x${'0'.repeat(64)}`;
+export const PRIVATE_ENTITY_TYPES = ['webhook', 'api_key'];
+
+const SEAL_BATCH = 500;
+const VERIFY_BATCH = 1000;
+const MAX_VERIFY_ENTRIES = 10000;
+const DEFAULT_ANCHOR_INTERVAL = 3600;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+export class AuditLog {
+  static detailsHash(details) {
+    return keccak256(stringToHex(details ?? ''));
+  }
+
+  static entryHash(prevHash, entry) {
+    return keccak256(stringToHex(JSON.stringify([
+      prevHash,
+      entry.id,
+      entry.action,
+      entry.entity_type,
+      entry.entity_id,
+      entry.actor_address,
+      this.detailsHash(entry.details),
+      entry.created_at
+    ])));
+  }
+
+  // Latest sealed entry, or null before the first seal
+  static async head(env) {
+    return env.DB.prepare(
+      'SELECT id, entry_hash FROM audit_log WHERE entry_hash IS NOT NULL ORDER BY id DESC LIMIT 1'
+    ).first();
+  }
+
+  /**
+   * Chain up to SEAL_BATCH unsealed entries onto the head
+   * @returns {Promise<{sealed: number, headId: number|null}>}
+   */
+  static async seal(env) {
+    const head = await this.head(env);
+    const rows = await env.DB.prepare(
+      'SELECT * FROM audit_log WHERE entry_hash IS NULL AND id > ? ORDER BY id LIMIT ?'
+    ).bind(head?.id ?? 0, SEAL_BATCH).all();
+
+    let prevHash = head?.entry_hash ?? GENESIS_HASH;
+    const statements = [];
+    for (const entry of rows.results) {
+      const hash = this.entryHash(prevHash, entry);
+      statements.push(env.DB.prepare(
+        'UPDATE audit_log SET prev_hash = ?, entry_hash = ? WHERE id = ? AND entry_hash IS NULL'
+      ).bind(prevHash, hash, entry.id));
+      prevHash = hash;
+    }
+    if (statements.length > 0) await env.DB.batch(statements);
+
+    const last = rows.results[rows.results.length - 1];
+    return { sealed: rows.results.length, headId: last?.id ?? head?.id ?? null };
+  }
+
+  // Address checkpoints are signed with, or null when anchoring is off
+  static signerAddress(env) {
+    return env.AUDIT_SIGNING_KEY ? privateKeyToAccount(env.AUDIT_SIGNING_KEY).address.toLowerCase() : null;
+  }
+
+  static anchorMessage(env, entryId, entryHash) {
+    return [
+      'Agent Service Exchange audit checkpoint',
+      `Chain ID: ${Deployment.getChainId(env)}`,
+      `Entry: ${entryId}`,
+      `Hash: ${entryHash}`
+    ].join('\n');
+  }
+
+  /**
+   * Sign the head if the chain grew and the last checkpoint is old enough
+   * @returns {Promise<object|null>} the new anchor row, or null if none was due
+   */
+  static async anchor(env, { force = false } = {}) {
+    if (!env.AUDIT_SIGNING_KEY) return null;
+
+    const head = await this.head(env);
+    if (!head) return null;
+
+    const last = await env.DB.prepare(
+      `SELECT entry_id, (strftime('%s', 'now') - strftime('%s', created_at)) as age
+       FROM audit_anchors ORDER BY id DESC LIMIT 1`
+    ).first();
+    const interval = parseInt(env.AUDIT_ANCHOR_INTERVAL) || DEFAULT_ANCHOR_INTERVAL;
+    if (last && (last.entry_id === head.id || (!force && last.age < interval))) return null;
+
+    const account = privateKeyToAccount(env.AUDIT_SIGNING_KEY);
+    const message = this.anchorMessage(env, head.id, head.entry_hash);
+    const signature = await account.signMessage({ message });
+
+    return env.DB.prepare(
+      `INSERT INTO audit_anchors (entry_id, entry_hash, message, signer_address, signature)
+       VALUES (?, ?, ?, ?, ?) RETURNING *`
+    ).bind(head.id, head.entry_hash, message, account.address.toLowerCase(), signature).first();
+  }
+
+  /**
+   * Read and validate GET /audit parameters
+   * @returns {{errors: string[], params: object}}
+   */
+  static parseParams(searchParams) {
+    const errors = [];
+    const params = { entityType: null, entityId: null, actor: null, action: null, since: null, cursor: 0, limit: DEFAULT_LIMIT };
+
+    const entity = searchParams.get('entity');
+    if (entity !== null) {
+      const match = entity.match(/^([a-z_]+)(?::(\d+))?$/);
+      if (!match) {
+        errors.push('entity must be a type, optionally with an id (service or service:12)');
+      } else {
+        params.entityType = match[1];
+        params.entityId = match[2] ? Number(match[2]) : null;
+      }
+    }
+
+    const actor = searchParams.get('actor');
+    if (actor !== null) {
+      if (!/^0x[a-fA-F0-9]{40}$/.test(actor)) {
+        errors.push('actor must be a valid Ethereum address');
+      } else {
+        params.actor = actor.toLowerCase();
+      }
+    }
+
+    params.action = searchParams.get('action');
+
+    const since = searchParams.get('since');
+    if (since !== null) {
+      const ms = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(since) ? `${since}T00:00:00Z` : since);
+      if (Number.isNaN(ms)) {
+        errors.push('since must be an ISO 8601 date or date-time');
+      } else {
+        params.since = new Date(ms).toISOString().slice(0, 19).replace('T', ' ');
+      }
+    }
+
+    const cursor = searchParams.get('cursor');
+    if (cursor !== null) {
+      if (!/^\d+$/.test(cursor)) {
+        errors.push('cursor must be a nextCursor from a previous page');
+      } else {
+        params.cursor = Number(cursor);
+      }
+    }
+
+    const limit = searchParams.get('limit');
+    if (limit !== null) {
+      const value = Number(limit);
+      if (!Number.isInteger(value) || value < 1 || value > MAX_LIMIT) {
+        errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+      } else {
+        params.limit = value;
+      }
+    }
+
+    return { errors, params };
+  }
+
+  static toResponse(entry) {
+    const redacted = PRIVATE_ENTITY_TYPES.includes(entry.entity_type);
+    return {
+      id: entry.id,
+      action: entry.action,
+      entityType: entry.entity_type,
+      entityId: entry.entity_id,
+      actorAddress: entry.actor_address,
+      details: redacted || !entry.details ? null : JSON.parse(entry.details),
+      ...(redacted && { detailsRedacted: true }),
+      detailsHash: this.detailsHash(entry.details),
+      createdAt: entry.created_at,
+      prevHash: entry.prev_hash,
+      hash: entry.entry_hash
+    };
+  }
+
+  /**
+   * Entries oldest first, after `cursor`
+   * @returns {Promise<{entries: object[], nextCursor: string|null}>}
+   */
+  static async list(env, { entityType, entityId, actor, action, since, cursor, limit }) {
+    let where = 'WHERE id > ?';
+    const bindings = [cursor];
+
+    if (entityType) {
+      where += ' AND entity_type = ?';
+      bindings.push(entityType);
+    }
+    if (entityId !== null) {
+      where += ' AND entity_id = ?';
+      bindings.push(entityId);
+    }
+    if (actor) {
+      where += ' AND lower(actor_address) = ?';
+      bindings.push(actor);
+    }
+    if (action) {
+      where += ' AND action = ?';
+      bindings.push(action);
+    }
+    if (since) {
+      where += ' AND created_at >= ?';
+      bindings.push(since);
+    }
+
+    // One extra row tells whether there is another page
+    const rows = await env.DB.prepare(`SELECT * FROM audit_log ${where} ORDER BY id LIMIT ?`)
+      .bind(...bindings, limit + 1).all();
+    const page = rows.results.slice(0, limit);
+
+    return {
+      entries: page.map((entry) => this.toResponse(entry)),
+      nextCursor: rows.results.length > limit ? String(page[page.length - 1].id) : null
+    };
+  }
+
+  /**
+   * Recompute the chain from entry `from` and compare it with what is stored
+   * @returns {Promise<object>} breaks found, anchors checked and where to continue
+   */
+  static async verify(env, { from = 1 } = {}) {
+    const before = await env.DB.prepare(
+      'SELECT id, entry_hash FROM audit_log WHERE id < ? ORDER BY id DESC LIMIT 1'
+    ).bind(from).first();
+    let prevHash = before?.entry_hash ?? GENESIS_HASH;
+    let prevSealed = !before || before.entry_hash !== null;
+
+    const breaks = [];
+    const hashes = new Map();
+    let checked = 0;
+    let lastId = from - 1;
+    let unsealed = 0;
+    let done = false;
+
+    while (!done && checked < MAX_VERIFY_ENTRIES) {
+      const rows = await env.DB.prepare('SELECT * FROM audit_log WHERE id > ? ORDER BY id LIMIT ?')
+        .bind(lastId, VERIFY_BATCH).all();
+
+      for (const entry of rows.results) {
+        if (entry.entry_hash === null) {
+          unsealed++;
+          prevSealed = false;
+        } else {
+          if (!prevSealed) {
+            breaks.push({ id: entry.id, reason: 'Sealed entry follows an unsealed one' });
+          } else if (entry.prev_hash !== prevHash) {
+            breaks.push({ id: entry.id, reason: 'prevHash does not match the previous entry' });
+          }
+          const expected = this.entryHash(entry.prev_hash, entry);
+          if (entry.entry_hash !== expected) {
+            breaks.push({ id: entry.id, reason: 'hash does not match the entry contents' });
+          }
+          hashes.set(entry.id, expected);
+          prevHash = entry.entry_hash;
+          prevSealed = true;
+        }
+        lastId = entry.id;
+        checked++;
+      }
+
+      done = rows.results.length < VERIFY_BATCH;
+    }
+
+    const anchors = await env.DB.prepare(
+      'SELECT * FROM audit_anchors WHERE entry_id >= ? AND entry_id <= ? ORDER BY id'
+    ).bind(from, lastId).all();
+    // A rewritten anchor table would carry its own signer; hold anchors to the current key
+    const expectedSigner = this.signerAddress(env);
+    const anchorBreaks = [];
+    for (const anchor of anchors.results) {
+      const signer = (await recoverMessageAddress({ message: anchor.message, signature: anchor.signature })).toLowerCase();
+      if (signer !== anchor.signer_address || (expectedSigner && signer !== expectedSigner)) {
+        anchorBreaks.push({ id: anchor.id, entryId: anchor.entry_id, reason: 'signature is not from the exchange signer' });
+      } else if (hashes.get(anchor.entry_id) !== anchor.entry_hash) {
+        anchorBreaks.push({ id: anchor.id, entryId: anchor.entry_id, reason: 'chain no longer matches the signed checkpoint' });
+      }
+    }
+
+    return {
+      valid: breaks.length === 0 && anchorBreaks.length === 0,
+      from,
+      to: lastId,
+      checked,
+      unsealed,
+      breaks,
+      anchors: { checked: anchors.results.length, breaks: anchorBreaks },
+      nextFrom: done ? null : lastId + 1
+    };
+  }
+
+  static async listAnchors(env, limit = DEFAULT_LIMIT) {
+    const rows = await env.DB.prepare(
+      `SELECT id, entry_id as entryId, entry_hash as entryHash, message, signer_address as signerAddress,
+              signature, created_at as createdAt
+       FROM audit_anchors ORDER BY id DESC LIMIT ?`
+    ).bind(limit).all();
+    return rows.results;
+  }
+}
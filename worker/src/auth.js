@@ -0,0 +1,174 @@
+/**
+ * Wallet-signature authentication
+ *
+ * Write routes must prove control of the address they act for. The flow:
+ * 1. Client calls GET /auth/nonce?address=0x... and receives a one-time nonce
+ * 2. Client signs the request (method, path, body hash, nonce) with that wallet,
+ *    either as an EIP-191 personal message or as EIP-712 typed data
+ * 3. Client sends the request with X-Agent-Address, X-Agent-Nonce and
+ *    X-Agent-Signature (plus X-Agent-Signature-Type: eip712 for typed data)
+ *
+ * Nonces live in the `auth_nonces` D1 table and are consumed on first use
+ * with a single DELETE ... RETURNING, so a captured signature cannot be
+ * replayed, not even by requests racing each other.
+ */
+
+import { keccak256, recoverMessageAddress, recoverTypedDataAddress, stringToHex } from 'viem';
+import { Deployment } from './deployment.js';
+
+const DEFAULT_NONCE_TTL = 300; // 5 minutes
+
+export const AUTH_HEADERS = ['X-Agent-Address', 'X-Agent-Nonce', 'X-Agent-Signature', 'X-Agent-Signature-Type'];
+
+export class Auth {
+  static getNonceTtl(env) {
+    return parseInt(env.AUTH_NONCE_TTL) || DEFAULT_NONCE_TTL;
+  }
+
+  static getDomain(env) {
+    return {
+      name: 'Agent Service Exchange',
+      version: '1',
+      chainId: Deployment.getChainId(env)
+    };
+  }
+
+  static typedDataTypes() {
+    return {
+      AgentRequest: [
+        { name: 'address', type: 'address' },
+        { name: 'method', type: 'string' },
+        { name: 'path', type: 'string' },
+        { name: 'bodyHash', type: 'bytes32' },
+        { name: 'nonce', type: 'string' }
+      ]
+    };
+  }
+
+  static hashBody(body) {
+    return keccak256(stringToHex(body || ''));
+  }
+
+  // The exact text an EIP-191 signer must sign
+  static buildMessage({ address, method, path, bodyHash, nonce }) {
+    return [
+      'Agent Service Exchange request',
+      `Address: ${address.toLowerCase()}`,
+      `Method: ${method.toUpperCase()}`,
+      `Path: ${path}`,
+      `Body-Hash: ${bodyHash}`,
+      `Nonce: ${nonce}`
+    ].join('\n');
+  }
+
+  static generateNonce() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  static async issueNonce(address, env) {
+    const nonce = this.generateNonce();
+    const ttl = this.getNonceTtl(env);
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttl * 1000).toISOString();
+
+    // Expired nonces are swept as new ones are issued
+    await env.DB.prepare('DELETE FROM auth_nonces WHERE expires_at < ?').bind(now.toISOString()).run();
+    await env.DB.prepare('INSERT INTO auth_nonces (nonce, address, expires_at) VALUES (?, ?, ?)')
+      .bind(nonce, address.toLowerCase(), expiresAt).run();
+
+    return { nonce, expiresAt };
+  }
+
+  /**
+   * Verify that a write request is signed by `expectedAddress`
+   * @param {Request} request Incoming request (headers are read from it)
+   * @param {object} env Worker bindings
+   * @param {object} options
+   * @param {string} options.body Raw request body exactly as received
+   * @param {string} options.expectedAddress Address the request claims to act for
+   * @param {string} [options.forbiddenMessage] 403 message when the signer is not `expectedAddress`
+   * @returns {Promise<{ok: true, address: string} | {ok: false, status: number, message: string}>}
+   */
+  static async verify(request, env, { body, expectedAddress, forbiddenMessage }) {
+    const address = request.headers.get('X-Agent-Address');
+    const nonce = request.headers.get('X-Agent-Nonce');
+    const signature = request.headers.get('X-Agent-Signature');
+    const signatureType = (request.headers.get('X-Agent-Signature-Type') || 'eip191').toLowerCase();
+
+    if (!address || !nonce || !signature) {
+      return {
+        ok: false,
+        status: 401,
+        message: 'Authentication required: send X-Agent-Address, X-Agent-Nonce and X-Agent-Signature (get a nonce from GET /auth/nonce)'
+      };
+    }
+
+    if (!/^0x[a-fA-F0-9]{40}$/.test(address) || !/^0x[a-fA-F0-9]+$/.test(signature)) {
+      return { ok: false, status: 401, message: 'Malformed authentication headers' };
+    }
+
+    if (signatureType !== 'eip191' && signatureType !== 'eip712') {
+      return { ok: false, status: 401, message: 'X-Agent-Signature-Type must be eip191 or eip712' };
+    }
+
+    const normalizedAddress = address.toLowerCase();
+
+    // Consume the nonce before checking the signature so it can never be reused; only one
+    // request can delete the row, however many present it at once
+    const stored = await env.DB.prepare(
+      'DELETE FROM auth_nonces WHERE nonce = ? RETURNING address, expires_at as expiresAt'
+    ).bind(nonce).first();
+
+    if (!stored || Date.parse(stored.expiresAt) < Date.now()) {
+      return { ok: false, status: 401, message: 'Nonce is unknown, expired or already used' };
+    }
+
+    if (stored.address !== normalizedAddress) {
+      return { ok: false, status: 401, message: 'Nonce was issued for a different address' };
+    }
+
+    const url = new URL(request.url);
+    const fields = {
+      address: normalizedAddress,
+      method: request.method,
+      path: url.pathname,
+      bodyHash: this.hashBody(body),
+      nonce
+    };
+
+    let recovered;
+    try {
+      if (signatureType === 'eip712') {
+        recovered = await recoverTypedDataAddress({
+          domain: this.getDomain(env),
+          types: this.typedDataTypes(),
+          primaryType: 'AgentRequest',
+          message: fields,
+          signature
+        });
+      } else {
+        recovered = await recoverMessageAddress({
+          message: this.buildMessage(fields),
+          signature
+        });
+      }
+    } catch (e) {
+      return { ok: false, status: 401, message: 'Invalid signature' };
+    }
+
+    if (recovered.toLowerCase() !== normalizedAddress) {
+      return { ok: false, status: 401, message: 'Invalid signature' };
+    }
+
+    if (expectedAddress && expectedAddress.toLowerCase() !== normalizedAddress) {
+      return {
+        ok: false,
+        status: 403,
+        message: forbiddenMessage || 'Signed wallet does not match the address in the request body'
+      };
+    }
+
+    return { ok: true, address: normalizedAddress };
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * Prepaid billing models for listings
+ *
+ * A listing's `pricing_model` adds a prepaid option next to paying
+ * `price_usdc` per request (escrow or x402):
+ * - per_request:  no prepaid option (default)
+ * - subscription: `plan_price_usdc` buys `plan_period_days` of unlimited use;
+ *                 renewals start when the current period ends
+ * - bundle:       `plan_price_usdc` buys `plan_calls` uses
+ * - credits:      any top-up of at least `price_usdc`, drawn down by
+ *                 `price_usdc` per use
+ *
+ * Purchases are paid with x402 (see x402.js) and settled straight to the
+ * provider. Bundle and credit balances live in `credit_ledger` (bundle
+ * entries count calls, credit entries micro-USDC); subscription periods in
+ * `subscription_periods`. Each use creates a `service_requests` row with
+ * payment_scheme = the pricing model, so the request lifecycle, ratings and
+ * stats treat it like any other purchase. Cancelling a bundle or credits
+ * request refunds what it drew.
+ */
+
+export const PRICING_MODELS = ['per_request', 'subscription', 'bundle', 'credits'];
+export const PREPAID_MODELS = ['subscription', 'bundle', 'credits'];
+export const DEFAULT_PERIOD_DAYS = 30;
+
+export class Billing {
+  static isPrepaid(service) {
+    return PREPAID_MODELS.includes(service.pricing_model);
+  }
+
+  /**
+   * Problems with a listing's pricing columns (after an update is applied)
+   * @returns {string[]} "$.field: problem" messages, as Schema.validate reports them
+   */
+  static planErrors(service) {
+    const errors = [];
+    const model = service.pricing_model;
+
+    if ((model === 'subscription' || model === 'bundle') && !service.plan_price_usdc) {
+      errors.push(`$.planPriceUSDC: required for ${model} pricing`);
+    }
+    if (model === 'bundle' && !service.plan_calls) {
+      errors.push('$.planCalls: required for bundle pricing');
+    }
+
+    return errors;
+  }
+
+  /**
+   * What a purchase costs and what it buys
+   * @param {object} service D1 `services` row
+   * @param {number|null} amount Requested top-up in micro-USDC (credits only)
+   * @returns {{amount: number, units: number, description: string} | {error: string}}
+   */
+  static purchase(service, amount = null) {
+    switch (service.pricing_model) {
+      case 'subscription':
+        return {
+          amount: service.plan_price_usdc,
+          units: 0,
+          description: `${service.name}: ${service.plan_period_days} day subscription`
+        };
+
+      case 'bundle':
+        return {
+          amount: service.plan_price_usdc,
+          units: service.plan_calls,
+          description: `${service.name}: bundle of ${service.plan_calls} calls`
+        };
+
+      case 'credits':
+        if (amount == null) {
+          return { error: 'amountUSDC is required to buy credits' };
+        }
+        if (amount < service.price_usdc) {
+          return { error: `Credit purchases must be at least the price of one use (${service.price_usdc / 1000000} USDC)` };
+        }
+        return { amount, units: amount, description: `${service.name}: ${amount / 1000000} USDC of credits` };
+
+      default:
+        return { error: 'Service does not offer prepaid plans' };
+    }
+  }
+
+  /**
+   * What one use draws from the buyer's balance, and the amount recorded on its request
+   * @returns {{draw: number, amount: number}}
+   */
+  static usage(service) {
+    switch (service.pricing_model) {
+      case 'bundle':
+        return { draw: 1, amount: Math.floor(service.plan_price_usdc / service.plan_calls) };
+      case 'credits':
+        return { draw: service.price_usdc, amount: service.price_usdc };
+      default:
+        return { draw: 0, amount: 0 };
+    }
+  }
+
+  static async balance(env, serviceId, buyer) {
+    const row = await env.DB.prepare(
+      'SELECT COALESCE(SUM(delta), 0) as balance FROM credit_ledger WHERE service_id = ? AND buyer_address = ?'
+    ).bind(serviceId, buyer).first();
+    return row.balance;
+  }
+
+  // The period covering now, if any
+  static async activePeriod(env, serviceId, buyer) {
+    return env.DB.prepare(
+      `SELECT period_start, period_end FROM subscription_periods
+       WHERE service_id = ? AND buyer_address = ? AND period_start <= datetime('now') AND period_end > datetime('now')
+       ORDER BY period_end DESC LIMIT 1`
+    ).bind(serviceId, buyer).first();
+  }
+
+  /**
+   * A buyer's prepaid standing on a listing
+   * @returns {Promise<object>} balance in the listing's unit, subscription periods, and whether a use would be covered now
+   */
+  static async account(env, service, buyer) {
+    const account = {
+      serviceId: service.id,
+      buyerAddress: buyer,
+      pricingModel: service.pricing_model
+    };
+
+    if (service.pricing_model === 'subscription') {
+      const periods = await env.DB.prepare(
+        `SELECT period_start as periodStart, period_end as periodEnd, amount_usdc as amountUSDC
+         FROM subscription_periods
+         WHERE service_id = ? AND buyer_address = ? AND period_end > datetime('now')
+         ORDER BY period_start ASC`
+      ).bind(service.id, buyer).all();
+      const active = await this.activePeriod(env, service.id, buyer);
+
+      return {
+        ...account,
+        active: Boolean(active),
+        activeUntil: periods.results.length > 0 ? periods.results[periods.results.length - 1].periodEnd : null,
+        periods: periods.results
+      };
+    }
+
+    const balance = await this.balance(env, service.id, buyer);
+    const { draw } = this.usage(service);
+    return {
+      ...account,
+      balance,
+      unit: service.pricing_model === 'bundle' ? 'calls' : 'usdc',
+      active: draw > 0 && balance >= draw
+    };
+  }
+
+  // Ledger row for a purchase, or a subscription period starting when the latest one ends
+  static purchaseStatement(env, service, buyer, purchase, { paymentRef, settlementTxHash }) {
+    if (service.pricing_model === 'subscription') {
+      return env.DB.prepare(
+        `INSERT INTO subscription_periods (service_id, buyer_address, period_start, period_end, amount_usdc, payment_ref, settlement_tx_hash)
+         SELECT ?, ?, start, datetime(start, ?), ?, ?, ?
+         FROM (SELECT MAX(datetime('now'), COALESCE(
+           (SELECT MAX(period_end) FROM subscription_periods WHERE service_id = ? AND buyer_address = ?),
+           datetime('now')
+         )) AS start)`
+      ).bind(
+        service.id, buyer, `+${service.plan_period_days} days`, purchase.amount, paymentRef, settlementTxHash,
+        service.id, buyer
+      );
+    }
+
+    return env.DB.prepare(
+      `INSERT INTO credit_ledger (service_id, buyer_address, delta, kind, amount_usdc, payment_ref, settlement_tx_hash)
+       VALUES (?, ?, ?, 'purchase', ?, ?, ?)`
+    ).bind(service.id, buyer, purchase.units, purchase.amount, paymentRef, settlementTxHash);
+  }
+
+  // Whether a payment has already bought something
+  static async isPaymentUsed(env, paymentRef) {
+    const row = await env.DB.prepare(
+      `SELECT 1 FROM credit_ledger WHERE payment_ref = ?
+       UNION ALL SELECT 1 FROM subscription_periods WHERE payment_ref = ?`
+    ).bind(paymentRef, paymentRef).first();
+    return Boolean(row);
+  }
+
+  /**
+   * Draw one use from the balance; the guard makes concurrent draws unable to overspend
+   * @returns {Promise<number|null>} ledger entry id, or null if the balance doesn't cover it
+   */
+  static async draw(env, service, buyer) {
+    const { draw } = this.usage(service);
+    const result = await env.DB.prepare(
+      `INSERT INTO credit_ledger (service_id, buyer_address, delta, kind)
+       SELECT ?, ?, ?, 'consume'
+       WHERE (SELECT COALESCE(SUM(delta), 0) FROM credit_ledger WHERE service_id = ? AND buyer_address = ?) >= ?`
+    ).bind(service.id, buyer, -draw, service.id, buyer, draw).run();
+
+    return result.meta.changes ? result.meta.last_row_id : null;
+  }
+
+  // Take back a draw whose request could not be recorded
+  static async undraw(env, ledgerId) {
+    await env.DB.prepare(
+      "DELETE FROM credit_ledger WHERE id = ? AND kind = 'consume' AND request_id IS NULL"
+    ).bind(ledgerId).run();
+  }
+
+  // Give back what a cancelled request drew (nothing for subscriptions or if already refunded)
+  static refundStatement(env, requestId) {
+    return env.DB.prepare(
+      `INSERT INTO credit_ledger (service_id, buyer_address, delta, kind, request_id)
+       SELECT service_id, buyer_address, -delta, 'refund', request_id
+       FROM credit_ledger
+       WHERE request_id = ? AND kind = 'consume'
+         AND NOT EXISTS (SELECT 1 FROM credit_ledger WHERE request_id = ? AND kind = 'refund')`
+    ).bind(requestId, requestId);
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Read-through response cache for the read-heavy public routes
+ *
+ * Successful GET responses are stored in the CACHE KV namespace under a key
+ * that includes a generation token for each scope the response depends on.
+ * Writes invalidate by replacing those tokens, so every cached variant of a
+ * scope (all pages and filters of GET /services, say) goes stale at once
+ * without listing keys. The `all` scope is bumped when the indexer applies
+ * contract events, since those can touch any table.
+ *
+ * KV is eventually consistent across locations: another colo may serve the
+ * old generation for up to a minute after an invalidation.
+ */
+
+import { keccak256, stringToHex } from 'viem';
+import { Names } from './names.js';
+
+const ENTRY_PREFIX = 'cache:';
+const GENERATION_PREFIX = 'cache_gen:';
+// Generations must outlive every entry built under them; KV's floor for expirationTtl is 60 seconds
+const GENERATION_TTL = 24 * 60 * 60;
+
+// operationId (openapi.js) → TTL in seconds and the scope the response depends on
+export const CACHE_POLICIES = {
+  getStats: { ttl: 300, scope: () => 'stats' },
+  getStatsTimeseries: { ttl: 300, scope: () => 'analytics' },
+  getLeaderboard: { ttl: 300, scope: () => 'analytics' },
+  listServices: { ttl: 60, scope: () => 'services' },
+  getService: { ttl: 120, scope: () => 'services' },
+  getAgent: { ttl: 60, scope: ({ address }, env) => ResponseCache.agentScopeFor(env, address) }
+};
+
+export class ResponseCache {
+  static policyFor(operationId) {
+    return CACHE_POLICIES[operationId] || null;
+  }
+
+  static agentScope(address) {
+    return `agent:${address.toLowerCase()}`;
+  }
+
+  // GET /agents/<name> shares the resolved address's scope, so writes to that agent invalidate it too
+  static async agentScopeFor(env, addressOrName) {
+    if (Names.isName(addressOrName) && Names.isConfigured(env)) {
+      const address = await Names.resolve(env, addressOrName).catch(() => null);
+      if (address) return this.agentScope(address);
+    }
+    return this.agentScope(addressOrName);
+  }
+
+  // Scopes a write to a service listing touches
+  static serviceScopes(providerAddress) {
+    return ['stats', 'services', this.agentScope(providerAddress)];
+  }
+
+  static etag(body) {
+    return `"${keccak256(stringToHex(body)).slice(2, 34)}"`;
+  }
+
+  // If-None-Match may list several tags, weak ones included, or be `*`
+  static matches(ifNoneMatch, etag) {
+    if (!ifNoneMatch) return false;
+    return ifNoneMatch.split(',')
+      .map((tag) => tag.trim().replace(/^W\//, ''))
+      .some((tag) => tag === '*' || tag === etag);
+  }
+
+  static async generation(env, scope) {
+    return (await env.CACHE.get(`${GENERATION_PREFIX}${scope}`)) || '0';
+  }
+
+  /**
+   * Look up the cached response for a route
+   * @param {object} env Worker bindings
+   * @param {string} operationId Route with a policy in CACHE_POLICIES
+   * @param {object} params Path parameters
+   * @param {URL} url Request URL (the query string is part of the key)
+   * @returns {Promise<{key: string, ttl: number, entry: {body: string, etag: string}|null}>}
+   */
+  static async lookup(env, operationId, params, url) {
+    const policy = this.policyFor(operationId);
+    const scope = await policy.scope(params, env);
+    const [all, scoped] = await Promise.all([
+      this.generation(env, 'all'),
+      this.generation(env, scope)
+    ]);
+
+    const search = new URLSearchParams(url.searchParams);
+    search.sort();
+    const key = `${ENTRY_PREFIX}${all}.${scoped}:${url.pathname.toLowerCase()}?${search}`;
+
+    const entry = await env.CACHE.get(key, { type: 'json' });
+    return { key, ttl: policy.ttl, entry };
+  }
+
+  static async store(env, key, ttl, body) {
+    const entry = { body, etag: this.etag(body) };
+    await env.CACHE.put(key, JSON.stringify(entry), { expirationTtl: ttl });
+    return entry;
+  }
+
+  /**
+   * Make every cached response in these scopes stale
+   * @param {object} env Worker bindings
+   * @param {string[]} scopes e.g. ['stats', 'services', 'agent:0xabc...'], or ['all']
+   */
+  static async invalidate(env, scopes) {
+    try {
+      await Promise.all([...new Set(scopes)].map((scope) =>
+        env.CACHE.put(`${GENERATION_PREFIX}${scope}`, crypto.randomUUID().slice(0, 8), { expirationTtl: GENERATION_TTL })
+      ));
+    } catch (error) {
+      // The write already succeeded; entries still expire on their TTL
+      console.error('Cache invalidation error:', error);
+    }
+  }
+}
@@ -0,0 +1,289 @@
+/**
+ * On-chain access for the AgentServiceExchange contract
+ *
+ * Thin JSON-RPC client (plain fetch, so it runs in Workers and can be mocked
+ * in tests). The ABI and contract address come from the deployment manifest
+ * for CHAIN_ID (see deployment.js).
+ *
+ * Configuration (wrangler.toml [vars]):
+ * - RPC_URL: JSON-RPC endpoint for the chain the contract lives on
+ * - CONTRACT_ADDRESS: optional override of the manifest address
+ */
+
+import { decodeEventLog, decodeFunctionResult, encodeFunctionData } from 'viem';
+import { Deployment, EXCHANGE_ABI } from './deployment.js';
+
+export { EXCHANGE_ABI };
+
+const RPC_TIMEOUT_MS = 10000;
+
+export class ChainError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'ChainError';
+    this.code = code;
+  }
+}
+
+export class Chain {
+  static isConfigured(env) {
+    return Boolean(env.RPC_URL && Deployment.getContractAddress(env));
+  }
+
+  // `url` defaults to RPC_URL (the exchange's chain); name resolution may use another chain
+  static async rpc(env, method, params = [], url = env.RPC_URL) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+        signal: AbortSignal.timeout(RPC_TIMEOUT_MS)
+      });
+    } catch (e) {
+      throw new ChainError(`RPC request failed: ${e.message}`);
+    }
+
+    if (!response.ok) {
+      throw new ChainError(`RPC responded with HTTP ${response.status}`);
+    }
+
+    const payload = await response.json();
+    if (payload.error) {
+      throw new ChainError(payload.error.message || 'RPC error', payload.error.code);
+    }
+
+    return payload.result;
+  }
+
+  static async getBlockNumber(env) {
+    return parseInt(await this.rpc(env, 'eth_blockNumber'), 16);
+  }
+
+  static async getBlock(env, blockNumber) {
+    return this.rpc(env, 'eth_getBlockByNumber', [`0x${blockNumber.toString(16)}`, false]);
+  }
+
+  static async getLogs(env, fromBlock, toBlock) {
+    return this.rpc(env, 'eth_getLogs', [{
+      address: Deployment.getContractAddress(env),
+      fromBlock: `0x${fromBlock.toString(16)}`,
+      toBlock: `0x${toBlock.toString(16)}`
+    }]);
+  }
+
+  // Decode a contract log into { eventName, args }, or null if it isn't one of ours
+  static decodeLog(log) {
+    try {
+      return decodeEventLog({ abi: EXCHANGE_ABI, data: log.data, topics: log.topics });
+    } catch (e) {
+      return null;
+    }
+  }
+
+  static async getTransactionReceipt(env, txHash) {
+    return this.rpc(env, 'eth_getTransactionReceipt', [txHash]);
+  }
+
+  static async getService(env, serviceId) {
+    const data = encodeFunctionData({
+      abi: EXCHANGE_ABI,
+      functionName: 'getService',
+      args: [BigInt(serviceId)]
+    });
+
+    const result = await this.rpc(env, 'eth_call', [{ to: Deployment.getContractAddress(env), data }, 'latest']);
+
+    return decodeFunctionResult({ abi: EXCHANGE_ABI, functionName: 'getService', data: result });
+  }
+
+  // Find the RequestCreated event emitted by the exchange contract in a receipt
+  static findRequestCreated(receipt, contractAddress) {
+    for (const log of receipt.logs || []) {
+      if (!log.address || log.address.toLowerCase() !== contractAddress.toLowerCase()) continue;
+
+      const decoded = this.decodeLog(log);
+      if (decoded && decoded.eventName === 'RequestCreated') {
+        return {
+          requestId: Number(decoded.args.requestId),
+          serviceId: Number(decoded.args.serviceId),
+          buyer: decoded.args.buyer.toLowerCase(),
+          price: Number(decoded.args.price)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // Find the ServiceUpdated event for `serviceId` emitted by the exchange contract in a receipt
+  static findServiceUpdated(receipt, contractAddress, serviceId) {
+    for (const log of receipt.logs || []) {
+      if (!log.address || log.address.toLowerCase() !== contractAddress.toLowerCase()) continue;
+
+      const decoded = this.decodeLog(log);
+      if (decoded && decoded.eventName === 'ServiceUpdated' && Number(decoded.args.serviceId) === serviceId) {
+        return {
+          serviceId,
+          name: decoded.args.name,
+          price: Number(decoded.args.price),
+          active: decoded.args.active
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // Find `eventName` for on-chain request `requestId` emitted by the exchange contract in a receipt
+  static findRequestEvent(receipt, contractAddress, eventName, requestId) {
+    for (const log of receipt.logs || []) {
+      if (!log.address || log.address.toLowerCase() !== contractAddress.toLowerCase()) continue;
+
+      const decoded = this.decodeLog(log);
+      if (decoded && decoded.eventName === eventName && Number(decoded.args.requestId) === requestId) {
+        return decoded.args;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check that `txHash` emitted ServiceUpdated for an on-chain service
+   * @returns {Promise<{status: 'verified'|'unverified'|'rejected', reason: string|null, event?: object}>}
+   */
+  static async verifyServiceUpdate(env, { txHash, onchainServiceId }) {
+    if (!this.isConfigured(env)) {
+      return { status: 'unverified', reason: 'On-chain verification is not configured' };
+    }
+
+    let receipt;
+    try {
+      receipt = await this.getTransactionReceipt(env, txHash);
+    } catch (e) {
+      console.error('Service update receipt error:', e);
+      return { status: 'unverified', reason: 'RPC unavailable, verification deferred' };
+    }
+
+    if (!receipt) {
+      return { status: 'unverified', reason: 'Transaction not yet mined' };
+    }
+
+    if (receipt.status !== '0x1') {
+      return { status: 'rejected', reason: 'Transaction reverted' };
+    }
+
+    const event = this.findServiceUpdated(receipt, Deployment.getContractAddress(env), onchainServiceId);
+    if (!event) {
+      return { status: 'rejected', reason: 'Transaction did not emit ServiceUpdated for this service' };
+    }
+
+    return { status: 'verified', reason: null, event };
+  }
+
+  /**
+   * Check that `txHash` emitted `eventName` (RequestConfirmed, TimeoutClaim, ...) for an on-chain request
+   * @returns {Promise<{status: 'verified'|'unverified'|'rejected', reason: string|null, event?: object}>}
+   */
+  static async verifyRequestEvent(env, { txHash, eventName, onchainRequestId }) {
+    if (!this.isConfigured(env)) {
+      return { status: 'unverified', reason: 'On-chain verification is not configured' };
+    }
+
+    let receipt;
+    try {
+      receipt = await this.getTransactionReceipt(env, txHash);
+    } catch (e) {
+      console.error('Request event receipt error:', e);
+      return { status: 'unverified', reason: 'RPC unavailable, verification deferred' };
+    }
+
+    if (!receipt) {
+      return { status: 'unverified', reason: 'Transaction not yet mined' };
+    }
+
+    if (receipt.status !== '0x1') {
+      return { status: 'rejected', reason: 'Transaction reverted' };
+    }
+
+    const event = this.findRequestEvent(receipt, Deployment.getContractAddress(env), eventName, onchainRequestId);
+    if (!event) {
+      return { status: 'rejected', reason: `Transaction did not emit ${eventName} for on-chain request ${onchainRequestId}` };
+    }
+
+    return { status: 'verified', reason: null, event };
+  }
+
+  /**
+   * Check that `txHash` created an escrow for this service, buyer and price
+   * @param {object} env Worker bindings
+   * @param {object} options
+   * @param {string} options.txHash Escrow transaction hash submitted by the buyer
+   * @param {object} options.service D1 `services` row being purchased
+   * @param {string} options.buyerAddress Buyer wallet (lowercase)
+   * @param {number} [options.expectedAmount] Amount to expect instead of the listed price (accepted quote)
+   * @param {number} [options.onchainServiceId] On-chain service to expect instead of the listing's link
+   * @returns {Promise<{status: 'verified'|'unverified'|'rejected', reason: string|null, onchainRequestId?: number}>}
+   *   `unverified` means the check could not be completed yet (not mined, RPC down);
+   *   `rejected` means the transaction provably does not match.
+   */
+  static async verifyEscrow(env, { txHash, service, buyerAddress, expectedAmount, onchainServiceId }) {
+    const amount = expectedAmount ?? service.price_usdc;
+    const expectedServiceId = onchainServiceId ?? service.onchain_service_id;
+
+    if (!this.isConfigured(env)) {
+      return { status: 'unverified', reason: 'On-chain verification is not configured' };
+    }
+
+    let receipt;
+    try {
+      receipt = await this.getTransactionReceipt(env, txHash);
+    } catch (e) {
+      console.error('Escrow receipt error:', e);
+      return { status: 'unverified', reason: 'RPC unavailable, verification deferred' };
+    }
+
+    if (!receipt) {
+      return { status: 'unverified', reason: 'Transaction not yet mined' };
+    }
+
+    if (receipt.status !== '0x1') {
+      return { status: 'rejected', reason: 'Transaction reverted' };
+    }
+
+    const event = this.findRequestCreated(receipt, Deployment.getContractAddress(env));
+    if (!event) {
+      return { status: 'rejected', reason: 'Transaction did not call AgentServiceExchange.createRequest' };
+    }
+
+    if (event.buyer !== buyerAddress.toLowerCase()) {
+      return { status: 'rejected', reason: 'Escrow was created by a different buyer' };
+    }
+
+    if (event.price !== amount) {
+      return { status: 'rejected', reason: `Escrowed amount ${event.price} does not match expected price ${amount}` };
+    }
+
+    if (expectedServiceId != null) {
+      if (event.serviceId !== expectedServiceId) {
+        return { status: 'rejected', reason: 'Escrow is for a different on-chain service' };
+      }
+    } else {
+      // Listing is not linked to an on-chain service; fall back to checking the provider
+      let onchainService;
+      try {
+        onchainService = await this.getService(env, event.serviceId);
+      } catch (e) {
+        console.error('Escrow service lookup error:', e);
+        return { status: 'unverified', reason: 'RPC unavailable, verification deferred', onchainRequestId: event.requestId };
+      }
+
+      if (onchainService.provider.toLowerCase() !== service.provider_address.toLowerCase()) {
+        return { status: 'rejected', reason: 'Escrow is for a service from a different provider' };
+      }
+    }
+
+    return { status: 'verified', reason: null, onchainRequestId: event.requestId };
+  }
+}
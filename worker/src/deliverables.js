@@ -0,0 +1,133 @@
+/**
+ * Deliverables: work results a provider hands over on a service request
+ *
+ * Small payloads are stored inline in D1; larger ones go to the R2 bucket
+ * bound as DELIVERABLES. Every deliverable records a keccak256 content hash
+ * of the raw bytes so it can be anchored on-chain later.
+ *
+ * The buyer can always see deliverable metadata, but content is only
+ * released once the provider has marked the request completed.
+ *
+ * A listing may declare an `outputSchema` (the JSON Schema subset in
+ * schema.js). JSON deliverables for that listing must validate against it.
+ */
+
+import { keccak256, toHex } from 'viem';
+import { Schema, MAX_SCHEMA_BYTES } from './schema.js';
+
+export const INLINE_MAX_BYTES = 64 * 1024;
+export const MAX_DELIVERABLE_BYTES = 10 * 1024 * 1024;
+export const MAX_OUTPUT_SCHEMA_BYTES = MAX_SCHEMA_BYTES;
+
+// Request states in which the provider may submit, and the buyer may read content
+export const SUBMIT_STATES = ['in_progress', 'completed'];
+export const BUYER_VISIBLE_STATES = ['completed', 'disputed', 'finalized'];
+
+export class Deliverables {
+  static isJsonContentType(contentType) {
+    return /^application\/([\w.+-]+\+)?json\b/i.test(contentType || '');
+  }
+
+  /**
+   * Decode the `content` of an upload into raw bytes
+   * @returns {{ok: true, bytes: Uint8Array} | {ok: false, message: string}}
+   */
+  static decode(content, encoding) {
+    if (encoding === 'base64') {
+      try {
+        const binary = atob(content);
+        return { ok: true, bytes: Uint8Array.from(binary, (char) => char.charCodeAt(0)) };
+      } catch (error) {
+        return { ok: false, message: 'Content is not valid base64' };
+      }
+    }
+
+    return { ok: true, bytes: new TextEncoder().encode(content) };
+  }
+
+  static hash(bytes) {
+    return keccak256(bytes);
+  }
+
+  static storageKey(requestId, contentHash) {
+    return `deliverables/${requestId}/${contentHash}`;
+  }
+
+  /**
+   * Store the bytes inline or in R2
+   * @returns {Promise<{ok: true, storage: 'inline'|'r2', inlineContent: string|null, r2Key: string|null} | {ok: false, status: number, message: string}>}
+   */
+  static async store(env, requestId, bytes, { contentType, contentHash }) {
+    if (bytes.length <= INLINE_MAX_BYTES) {
+      // Inline rows keep the bytes as hex so binary payloads survive D1's TEXT columns
+      return { ok: true, storage: 'inline', inlineContent: toHex(bytes), r2Key: null };
+    }
+
+    if (!env.DELIVERABLES) {
+      return {
+        ok: false,
+        status: 413,
+        message: `Deliverables over ${INLINE_MAX_BYTES} bytes require R2 storage, which is not configured`
+      };
+    }
+
+    const r2Key = this.storageKey(requestId, contentHash);
+    await env.DELIVERABLES.put(r2Key, bytes, {
+      httpMetadata: { contentType },
+      customMetadata: { contentHash }
+    });
+
+    return { ok: true, storage: 'r2', inlineContent: null, r2Key };
+  }
+
+  // Raw bytes of a stored deliverable, or null if the R2 object is gone
+  static async load(env, deliverable) {
+    if (deliverable.storage === 'inline') {
+      const hex = deliverable.inline_content.slice(2);
+      return Uint8Array.from(hex.match(/.{2}/g) || [], (byte) => parseInt(byte, 16));
+    }
+
+    if (!env.DELIVERABLES) return null;
+    const object = await env.DELIVERABLES.get(deliverable.r2_key);
+    return object ? new Uint8Array(await object.arrayBuffer()) : null;
+  }
+
+  /**
+   * Check a deliverable against the listing's output schema
+   * @returns {{status: 'valid'|'invalid'|'not_applicable', errors: string[]}}
+   */
+  static check(bytes, contentType, outputSchema) {
+    if (!outputSchema) {
+      return { status: 'not_applicable', errors: [] };
+    }
+
+    if (!this.isJsonContentType(contentType)) {
+      return { status: 'invalid', errors: ['This service requires a JSON deliverable (contentType application/json)'] };
+    }
+
+    let value;
+    try {
+      value = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+      return { status: 'invalid', errors: ['Deliverable is not valid JSON'] };
+    }
+
+    const errors = Schema.validate(value, JSON.parse(outputSchema));
+    return { status: errors.length > 0 ? 'invalid' : 'valid', errors };
+  }
+
+  static toResponse(deliverable) {
+    return {
+      id: deliverable.id,
+      requestId: deliverable.request_id,
+      providerAddress: deliverable.provider_address,
+      contentType: deliverable.content_type,
+      sizeBytes: deliverable.size_bytes,
+      contentHash: deliverable.content_hash,
+      storage: deliverable.storage,
+      validation: deliverable.validation,
+      note: deliverable.note,
+      createdAt: deliverable.created_at
+    };
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Contract deployment manifests
+ *
+ * contracts/scripts/deploy.js writes contracts/deployments/<network>.json with
+ * the exchange address, deployment block and chainId. Manifests imported here
+ * are bundled into the worker and selected by CHAIN_ID, so the address and
+ * start block don't need copying into wrangler.toml. Only commit and import a
+ * manifest that deploy.js wrote: the indexer trusts its blockNumber.
+ *
+ * CONTRACT_ADDRESS, USDC_ADDRESS and INDEXER_START_BLOCK in [vars] take
+ * precedence, and are the only source for chains without a bundled manifest
+ * (Base Sepolia, a local Hardhat node, forks).
+ */
+
+import { parseAbi } from 'viem';
+
+// No network has a deploy.js manifest bundled yet. After deploying, add e.g.
+// `import baseSepolia from '../../contracts/deployments/base-sepolia.json';`
+const MANIFESTS = [];
+
+export const DEFAULT_CHAIN_ID = 84532;
+
+// The fragments the worker decodes; kept in step with AgentServiceExchange.sol
+export const EXCHANGE_ABI = parseAbi([
+  'event ServiceRegistered(uint256 indexed serviceId, address indexed provider, string name, uint256 price)',
+  'event ServiceUpdated(uint256 indexed serviceId, string name, uint256 price, bool active)',
+  'event RequestCreated(uint256 indexed requestId, uint256 indexed serviceId, address indexed buyer, uint256 price)',
+  'event RequestCompleted(uint256 indexed requestId, address indexed provider)',
+  'event RequestConfirmed(uint256 indexed requestId, address indexed buyer)',
+  'event RequestCancelled(uint256 indexed requestId, address indexed cancelledBy)',
+  'event EscrowReleased(uint256 indexed requestId, address indexed provider, uint256 amount)',
+  'event EscrowRefunded(uint256 indexed requestId, address indexed buyer, uint256 amount)',
+  'event ReputationAdded(address indexed provider, address indexed buyer, uint256 rating, uint256 newAverage)',
+  'event TimeoutClaim(uint256 indexed requestId, address indexed provider)',
+  'event DisputeRaised(uint256 indexed requestId, address indexed raisedBy)',
+  'event DisputeResolved(uint256 indexed requestId, address indexed arbiter, uint256 providerAmount, uint256 buyerAmount)',
+  'event ArbiterUpdated(address indexed arbiter, bool enabled)',
+  'event Paused(address account)',
+  'event Unpaused(address account)',
+  'function getService(uint256 _serviceId) view returns ((uint256 id, address provider, string name, string description, uint256 price, bool active, uint256 createdAt, uint256 totalSales))'
+]);
+
+export class Deployment {
+  static getChainId(env) {
+    return parseInt(env.CHAIN_ID) || DEFAULT_CHAIN_ID;
+  }
+
+  static getManifest(env) {
+    const chainId = this.getChainId(env);
+    return MANIFESTS.find((manifest) => manifest.chainId === chainId) || null;
+  }
+
+  static getContractAddress(env) {
+    return env.CONTRACT_ADDRESS || this.getManifest(env)?.address || null;
+  }
+
+  // Settlement token, advertised to clients in GET /
+  static getUsdcAddress(env) {
+    return env.USDC_ADDRESS || this.getManifest(env)?.usdc?.address || null;
+  }
+
+  /**
+   * Block the contract was deployed in (where the indexer starts scanning)
+   * @returns {number|null} null when unknown, so the indexer never scans from genesis
+   */
+  static getStartBlock(env) {
+    const override = parseInt(env.INDEXER_START_BLOCK);
+    if (!Number.isNaN(override)) return override;
+
+    return this.getManifest(env)?.blockNumber ?? null;
+  }
+}
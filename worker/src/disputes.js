@@ -0,0 +1,119 @@
+/**
+ * Dispute resolution
+ *
+ * Either party can dispute a request that is in progress or awaiting
+ * confirmation. The request moves to `disputed`, which freezes the normal
+ * lifecycle (no confirm, no timeout claim, no buyer cancel). Buyer, provider
+ * and arbiters then exchange messages and evidence on the dispute thread until
+ * an arbiter rules:
+ *
+ *   refund  → whole escrow back to the buyer       → request `cancelled`
+ *   release → whole escrow to the provider         → request `finalized`
+ *   split   → providerAmountUSDC to the provider,
+ *             the rest back to the buyer           → request `finalized`
+ *
+ * Rulings mirror AgentServiceExchange.resolveDispute(requestId, providerAmount).
+ * Arbiters are configured with ARBITER_ADDRESSES (comma-separated) and should
+ * match the addresses granted the role on-chain via setArbiter.
+ *
+ * Ratings on a disputed request don't count towards the provider's average
+ * until the dispute is resolved.
+ */
+
+// Off-chain `pending` is already InProgress on-chain, so it can be disputed too
+export const DISPUTE_STATES = ['pending', 'in_progress', 'completed'];
+export const RULINGS = ['refund', 'release', 'split'];
+export const MAX_EVIDENCE_ITEMS = 10;
+
+export class Disputes {
+  static getArbiters(env) {
+    return (env.ARBITER_ADDRESSES || '')
+      .split(',')
+      .map((address) => address.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  static isArbiter(env, address) {
+    return this.getArbiters(env).includes(address.toLowerCase());
+  }
+
+  /**
+   * Work out who gets what for a ruling (amounts in USDC smallest units)
+   * @returns {{ok: true, providerAmount: number, buyerAmount: number, status: string} | {ok: false, message: string}}
+   */
+  static settle(amount, ruling, providerAmount) {
+    if (ruling === 'refund') {
+      return { ok: true, providerAmount: 0, buyerAmount: amount, status: 'cancelled' };
+    }
+
+    if (ruling === 'release') {
+      return { ok: true, providerAmount: amount, buyerAmount: 0, status: 'finalized' };
+    }
+
+    if (providerAmount == null || providerAmount <= 0 || providerAmount >= amount) {
+      return { ok: false, message: `A split must give the provider more than 0 and less than the escrowed ${amount / 1000000} USDC` };
+    }
+
+    return { ok: true, providerAmount, buyerAmount: amount - providerAmount, status: 'finalized' };
+  }
+
+  // Ruling name for an on-chain DisputeResolved split
+  static rulingFor(providerAmount, buyerAmount) {
+    if (providerAmount === 0) return 'refund';
+    if (buyerAmount === 0) return 'release';
+    return 'split';
+  }
+
+  /**
+   * Statement that recomputes a provider's rating aggregates, leaving out
+   * ratings on requests that are currently disputed
+   */
+  static ratingStatement(env, providerAddress) {
+    return env.DB.prepare(
+      `INSERT INTO agent_profiles (address, rating_avg, rating_count)
+       SELECT ?, AVG(ar.score), COUNT(ar.id)
+       FROM agent_ratings ar
+       JOIN service_requests sr ON sr.id = ar.request_id
+       WHERE ar.agent_address = ? AND sr.status != 'disputed'
+       ON CONFLICT(address) DO UPDATE SET
+         rating_avg = excluded.rating_avg,
+         rating_count = excluded.rating_count,
+         updated_at = CURRENT_TIMESTAMP`
+    ).bind(providerAddress, providerAddress);
+  }
+
+  static parseEvidence(value) {
+    return value ? JSON.parse(value) : [];
+  }
+
+  static toResponse(dispute) {
+    return {
+      id: dispute.id,
+      requestId: dispute.request_id,
+      raisedBy: dispute.raised_by,
+      raisedByRole: dispute.raised_by_role,
+      reason: dispute.reason,
+      evidence: this.parseEvidence(dispute.evidence),
+      status: dispute.status,
+      previousStatus: dispute.previous_status,
+      ruling: dispute.ruling,
+      providerAmountUSDC: dispute.provider_amount_usdc,
+      buyerAmountUSDC: dispute.buyer_amount_usdc,
+      arbiterAddress: dispute.arbiter_address,
+      rulingNote: dispute.ruling_note,
+      createdAt: dispute.created_at,
+      resolvedAt: dispute.resolved_at
+    };
+  }
+
+  static messageToResponse(message) {
+    return {
+      id: message.id,
+      authorAddress: message.author_address,
+      authorRole: message.author_role,
+      body: message.body,
+      evidence: this.parseEvidence(message.evidence),
+      createdAt: message.created_at
+    };
+  }
+}
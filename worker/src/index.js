@@ -7,10 +7,49 @@
  * - D1 database for off-chain metadata
  * - KV caching for performance
  * - CORS enabled for cross-origin access
- * - Rate limiting per IP
  * - Comprehensive error handling
+ * - Wallet-signature authentication on write routes
+ * - OpenAPI 3.1 spec (openapi.js) driving routing and body validation
+ * - MCP server at /mcp exposing the same operations as agent tools
+ * - KV read-through cache with ETags for stats, listings and agent profiles (cache.js)
+ * - Per-wallet API keys and tiered rate limits counted in a Durable Object (apikeys.js, ratelimit.js)
+ * - x402 pay-per-call gateway for listings with an endpoint (x402.js)
+ * - Subscription, bundle and prepaid-credit pricing with D1 ledgers (billing.js)
+ * - Self-described agent profiles, looked up by address or ENS / Basename (profiles.js, names.js)
+ * - Sybil-resistant reputation merging off-chain ratings with on-chain Reputation (reputation.js)
+ * - Hourly and daily marketplace rollups behind time series and leaderboards (analytics.js)
+ * - Hash-chained audit log with signed checkpoints of its head (audit.js)
+ * - Admin moderation: reports, hidden listings, bans and read-only maintenance (moderation.js)
  */
 
+import { Auth, AUTH_HEADERS } from './auth.js';
+import { Chain } from './chain.js';
+import { Deployment } from './deployment.js';
+import { Indexer } from './indexer.js';
+import { RequestLifecycle } from './lifecycle.js';
+import { Search } from './search.js';
+import { Webhooks, WEBHOOK_EVENTS, MAX_SUBSCRIPTIONS_PER_WALLET } from './webhooks.js';
+import { Negotiation, DEFAULT_QUOTE_TTL_SECONDS } from './negotiation.js';
+import { Deliverables, MAX_DELIVERABLE_BYTES, SUBMIT_STATES, BUYER_VISIBLE_STATES } from './deliverables.js';
+import { Disputes, DISPUTE_STATES } from './disputes.js';
+import { Schema } from './schema.js';
+import { OpenApi, SCHEMAS, API_VERSION } from './openapi.js';
+import { Mcp, RPC_ERRORS } from './mcp.js';
+import { ResponseCache } from './cache.js';
+import { RateLimiter, RATE_LIMIT_HEADERS } from './ratelimit.js';
+import { ApiKeys, MAX_KEYS_PER_WALLET } from './apikeys.js';
+import { X402, PAYMENT_HEADER, PAYMENT_RESPONSE_HEADER } from './x402.js';
+import { Billing, DEFAULT_PERIOD_DAYS } from './billing.js';
+import { Names } from './names.js';
+import { Profiles } from './profiles.js';
+import { Reputation } from './reputation.js';
+import { Analytics } from './analytics.js';
+import { AuditLog } from './audit.js';
+import { Moderation } from './moderation.js';
+
+// Durable Object classes must be exported from the entry module
+export { RateLimitCounter } from './ratelimit.js';
+
 // API Response Utilities
 class ApiResponse {
   static success(data, meta = {}) {
@@ -40,6 +79,14 @@ class ApiResponse {
     });
   }
 
+  // Bare JSON without the success envelope (OpenAPI document, MCP)
+  static json(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: this.getHeaders()
+    });
+  }
+
   static error(message, code = 500, details = null) {
     const response = {
       success: false,
@@ -64,7 +111,8 @@ class ApiResponse {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Request-ID',
+      'Access-Control-Allow-Headers': ['Content-Type', 'Authorization', 'X-Request-ID', 'If-None-Match', 'Mcp-Protocol-Version', PAYMENT_HEADER, ...AUTH_HEADERS].join(', '),
+      'Access-Control-Expose-Headers': ['ETag', 'X-Cache', 'X-Request-ID', 'Retry-After', PAYMENT_RESPONSE_HEADER, 'X-Exchange-Request-Id', ...RATE_LIMIT_HEADERS].join(', '),
       'Access-Control-Max-Age': '86400',
       'X-API-Version': 'v1',
       'X-Agent-Friendly': 'true'
@@ -78,163 +126,210 @@ class Validator {
     return /^0x[a-fA-F0-9]{40}$/.test(address);
   }
 
-  static isValidTxHash(hash) {
-    return /^0x[a-fA-F0-9]{64}$/.test(hash);
-  }
-
   static sanitizeString(str, maxLength = 1000) {
     if (typeof str !== 'string') return '';
     return str.slice(0, maxLength).replace(/[<>]/g, '');
   }
 
-  static validateService(data) {
-    const errors = [];
+  // Errors for a request body against its OpenAPI component schema
+  static validate(schemaName, data) {
+    return Schema.validate(data, SCHEMAS[schemaName]);
+  }
+}
 
-    if (!data.name || typeof data.name !== 'string' || data.name.length < 3) {
-      errors.push('Name is required and must be at least 3 characters');
-    }
+// Route Handlers
+class Handlers {
+  static async getApiInfo(env) {
+    return ApiResponse.success({
+      name: 'Agent Service Exchange API',
+      version: API_VERSION,
+      description: 'API for AI agents to trade services using USDC',
+      openapi: '/openapi.json',
+      endpoints: OpenApi.endpoints(),
+      // Where clients settle: USDC approve + createRequest, then POST the tx hash
+      contract: {
+        chainId: Deployment.getChainId(env),
+        address: Deployment.getContractAddress(env),
+        usdc: Deployment.getUsdcAddress(env)
+      },
+      agentFriendly: {
+        authentication: 'None for reads. Writes must be signed by the acting wallet: fetch a nonce from GET /auth/nonce, sign the request (EIP-191 or EIP-712) and send X-Agent-Address, X-Agent-Nonce, X-Agent-Signature',
+        contentType: 'application/json',
+        cors: 'Enabled for all origins',
+        rateLimit: RateLimiter.describe(RateLimiter.getConfig(env))
+      }
+    });
+  }
 
-    if (!data.description || typeof data.description !== 'string' || data.description.length < 10) {
-      errors.push('Description is required and must be at least 10 characters');
-    }
+  // Served bare (no success envelope) so OpenAPI tooling can consume it directly
+  static async getOpenApi(request) {
+    const { origin } = new URL(request.url);
+    return ApiResponse.json(OpenApi.document(origin));
+  }
 
-    if (typeof data.priceUSDC !== 'number' || data.priceUSDC <= 0) {
-      errors.push('PriceUSDC must be a positive number');
+  static async healthCheck(env) {
+    try {
+      // Check D1 connection
+      await env.DB.prepare('SELECT 1').first();
+      
+      return ApiResponse.success({
+        status: 'healthy',
+        database: 'connected',
+        maintenance: await Moderation.maintenance(env),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      return ApiResponse.error('Database connection failed', 503);
     }
+  }
 
-    if (!this.isValidEthereumAddress(data.providerAddress)) {
-      errors.push('ProviderAddress must be a valid Ethereum address (0x...)');
-    }
+  static async getAuthNonce(request, env) {
+    try {
+      const url = new URL(request.url);
+      const address = url.searchParams.get('address');
 
-    if (!data.category || typeof data.category !== 'string') {
-      errors.push('Category is required');
-    }
+      if (!Validator.isValidEthereumAddress(address)) {
+        return ApiResponse.error('Query parameter "address" must be a valid Ethereum address', 400);
+      }
+
+      const { nonce, expiresAt } = await Auth.issueNonce(address, env);
 
-    return errors;
+      return ApiResponse.success({
+        address: address.toLowerCase(),
+        nonce,
+        expiresAt,
+        signing: {
+          headers: {
+            'X-Agent-Address': address.toLowerCase(),
+            'X-Agent-Nonce': nonce,
+            'X-Agent-Signature': '<signature>',
+            'X-Agent-Signature-Type': 'eip191 (default) or eip712'
+          },
+          bodyHash: 'keccak256 of the exact UTF-8 request body',
+          eip191Message: Auth.buildMessage({
+            address,
+            method: '<METHOD>',
+            path: '<path>',
+            bodyHash: '<bodyHash>',
+            nonce
+          }),
+          eip712: {
+            domain: Auth.getDomain(env),
+            types: Auth.typedDataTypes(),
+            primaryType: 'AgentRequest'
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Auth nonce error:', error);
+      return ApiResponse.error('Failed to issue nonce', 500);
+    }
   }
 
-  static validateServiceRequest(data) {
-    const errors = [];
+  static async createApiKey(request, env) {
+    try {
+      const body = await request.text();
+      const data = JSON.parse(body);
 
-    if (!this.isValidEthereumAddress(data.buyerAddress)) {
-      errors.push('BuyerAddress must be a valid Ethereum address');
-    }
+      const auth = await Auth.verify(request, env, { body, expectedAddress: data.ownerAddress });
+      if (!auth.ok) {
+        return ApiResponse.error(auth.message, auth.status);
+      }
 
-    if (!this.isValidTxHash(data.txHash)) {
-      errors.push('TxHash must be a valid transaction hash');
-    }
+      const count = await env.DB.prepare(
+        'SELECT COUNT(*) as total FROM api_keys WHERE owner_address = ? AND revoked_at IS NULL'
+      ).bind(auth.address).first();
 
-    return errors;
-  }
+      if ((count?.total || 0) >= MAX_KEYS_PER_WALLET) {
+        return ApiResponse.error(`A wallet can have at most ${MAX_KEYS_PER_WALLET} active API keys`, 409);
+      }
 
-  static validateRating(data) {
-    const errors = [];
+      const key = ApiKeys.generate();
+      const label = data.label ? Validator.sanitizeString(data.label, 100) : null;
 
-    if (typeof data.score !== 'number' || data.score < 1 || data.score > 5) {
-      errors.push('Score must be between 1 and 5');
-    }
+      const result = await env.DB.prepare(
+        `INSERT INTO api_keys (owner_address, key_hash, key_prefix, label)
+         VALUES (?, ?, ?, ?)`
+      ).bind(auth.address, ApiKeys.hash(key), ApiKeys.prefix(key), label).run();
 
-    if (!data.requestId || typeof data.requestId !== 'number') {
-      errors.push('RequestId is required and must be a number');
-    }
+      // Log audit
+      await env.DB.prepare(
+        `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+         VALUES (?, ?, ?, ?, ?)`
+      ).bind('create', 'api_key', result.meta.last_row_id, auth.address, JSON.stringify({ prefix: ApiKeys.prefix(key), label })).run();
 
-    if (!this.isValidEthereumAddress(data.raterAddress)) {
-      errors.push('RaterAddress must be a valid Ethereum address');
-    }
+      const row = await env.DB.prepare('SELECT * FROM api_keys WHERE id = ?').bind(result.meta.last_row_id).first();
 
-    return errors;
+      // The key is only ever returned here
+      return ApiResponse.created({
+        ...ApiKeys.toResponse(row),
+        key,
+        usage: 'Authorization: Bearer <key>'
+      });
+    } catch (error) {
+      console.error('Create API key error:', error);
+      return ApiResponse.error('Failed to create API key', 500);
+    }
   }
-}
 
-// Rate Limiting (Simple IP-based)
-class RateLimiter {
-  static async check(request, env) {
-    const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
-    const key = `rate_limit:${clientIP}`;
-    
-    // Try to get from KV cache first
-    let limitData;
+  static async listApiKeys(request, env) {
     try {
-      limitData = await env.CACHE.get(key, { type: 'json' });
-    } catch (e) {
-      limitData = null;
-    }
+      const auth = await Auth.verify(request, env, { body: '' });
+      if (!auth.ok) {
+        return ApiResponse.error(auth.message, auth.status);
+      }
 
-    const now = Date.now();
-    const windowMs = 60000; // 1 minute window
-    const maxRequests = 100; // 100 requests per minute
+      const keys = await env.DB.prepare(
+        `SELECT * FROM api_keys
+         WHERE owner_address = ? AND revoked_at IS NULL
+         ORDER BY created_at DESC`
+      ).bind(auth.address).all();
 
-    if (!limitData) {
-      limitData = {
-        count: 1,
-        resetTime: now + windowMs
-      };
-    } else if (now > limitData.resetTime) {
-      limitData = {
-        count: 1,
-        resetTime: now + windowMs
-      };
-    } else {
-      limitData.count++;
+      return ApiResponse.success((keys.results || []).map((row) => ApiKeys.toResponse(row)), {
+        tiers: RateLimiter.getConfig(env).tiers
+      });
+    } catch (error) {
+      console.error('List API keys error:', error);
+      return ApiResponse.error('Failed to fetch API keys', 500);
     }
+  }
 
-    // Store back to KV (TTL 2 minutes)
+  static async revokeApiKey(id, request, env) {
     try {
-      await env.CACHE.put(key, JSON.stringify(limitData), { expirationTtl: 120 });
-    } catch (e) {
-      // Fail silently - don't block request if cache fails
-    }
-
-    if (limitData.count > maxRequests) {
-      return {
-        allowed: false,
-        retryAfter: Math.ceil((limitData.resetTime - now) / 1000)
-      };
-    }
+      const keyId = parseInt(id);
+      if (isNaN(keyId)) {
+        return ApiResponse.error('Invalid API key ID', 400);
+      }
 
-    return { allowed: true };
-  }
-}
+      const row = await env.DB.prepare(
+        'SELECT * FROM api_keys WHERE id = ? AND revoked_at IS NULL'
+      ).bind(keyId).first();
 
-// Route Handlers
-class Handlers {
-  static async getApiInfo() {
-    return ApiResponse.success({
-      name: 'Agent Service Exchange API',
-      version: '1.0.0',
-      description: 'API for AI agents to trade services using USDC',
-      endpoints: {
-        'GET /': 'API documentation (this endpoint)',
-        'GET /health': 'Health check',
-        'GET /stats': 'Exchange statistics',
-        'GET /services': 'List all services (pagination: ?page=1&limit=20)',
-        'GET /services/:id': 'Get service details',
-        'POST /services': 'Register a new service',
-        'POST /services/:id/request': 'Request a service',
-        'GET /agents/:address': 'Agent profile with reputation',
-        'POST /agents/:address/rate': 'Rate an agent'
-      },
-      agentFriendly: {
-        authentication: 'None required for read endpoints',
-        contentType: 'application/json',
-        cors: 'Enabled for all origins',
-        rateLimit: '100 requests per minute per IP'
+      if (!row) {
+        return ApiResponse.error('API key not found', 404);
       }
-    });
-  }
 
-  static async healthCheck(env) {
-    try {
-      // Check D1 connection
-      await env.DB.prepare('SELECT 1').first();
-      
-      return ApiResponse.success({
-        status: 'healthy',
-        database: 'connected',
-        timestamp: new Date().toISOString()
+      const auth = await Auth.verify(request, env, {
+        body: await request.text(),
+        expectedAddress: row.owner_address,
+        forbiddenMessage: 'Only the owner can revoke this API key'
       });
+      if (!auth.ok) {
+        return ApiResponse.error(auth.message, auth.status);
+      }
+
+      await env.DB.batch([
+        env.DB.prepare('UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?').bind(keyId),
+        env.DB.prepare(
+          `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+           VALUES (?, ?, ?, ?, ?)`
+        ).bind('revoke', 'api_key', keyId, auth.address, JSON.stringify({ prefix: row.key_prefix }))
+      ]);
+
+      return ApiResponse.success({ id: keyId, revoked: true });
     } catch (error) {
-      return ApiResponse.error('Database connection failed', 503);
+      console.error('Revoke API key error:', error);
+      return ApiResponse.error('Failed to revoke API key', 500);
     }
   }
 
@@ -266,50 +361,123 @@ class Handlers {
     }
   }
 
+  static async getStatsTimeseries(request, env) {
+    try {
+      const { errors, params } = Analytics.parseTimeseriesParams(new URL(request.url).searchParams);
+      if (errors.length > 0) {
+        return ApiResponse.error('Invalid query parameters', 400, errors);
+      }
+
+      return ApiResponse.success(await Analytics.timeseries(env, params));
+    } catch (error) {
+      console.error('Timeseries error:', error);
+      return ApiResponse.error('Failed to fetch time series', 500);
+    }
+  }
+
+  static async getLeaderboard(request, env) {
+    try {
+      const { errors, params } = Analytics.parseLeaderboardParams(new URL(request.url).searchParams);
+      if (errors.length > 0) {
+        return ApiResponse.error('Invalid query parameters', 400, errors);
+      }
+
+      return ApiResponse.success(await Analytics.leaderboard(env, params));
+    } catch (error) {
+      console.error('Leaderboard error:', error);
+      return ApiResponse.error('Failed to fetch leaderboard', 500);
+    }
+  }
+
+  static async listAudit(request, env) {
+    try {
+      const { errors, params } = AuditLog.parseParams(new URL(request.url).searchParams);
+      if (errors.length > 0) {
+        return ApiResponse.error('Invalid query parameters', 400, errors);
+      }
+
+      return ApiResponse.success(await AuditLog.list(env, params));
+    } catch (error) {
+      console.error('List audit error:', error);
+      return ApiResponse.error('Failed to fetch audit log', 500);
+    }
+  }
+
+  static async verifyAudit(request, env) {
+    try {
+      const raw = new URL(request.url).searchParams.get('from');
+      const from = raw === null ? 1 : Number(raw);
+      if (!Number.isInteger(from) || from < 1) {
+        return ApiResponse.error('Invalid query parameters', 400, ['from must be a positive integer']);
+      }
+
+      return ApiResponse.success(await AuditLog.verify(env, { from }));
+    } catch (error) {
+      console.error('Verify audit error:', error);
+      return ApiResponse.error('Failed to verify audit log', 500);
+    }
+  }
+
+  static async listAuditAnchors(request, env) {
+    try {
+      const limit = Math.min(100, Math.max(1, parseInt(new URL(request.url).searchParams.get('limit')) || 20));
+
+      return ApiResponse.success({
+        signerAddress: AuditLog.signerAddress(env),
+        anchors: await AuditLog.listAnchors(env, limit)
+      });
+    } catch (error) {
+      console.error('List audit anchors error:', error);
+      return ApiResponse.error('Failed to fetch audit anchors', 500);
+    }
+  }
+
   static async listServices(request, env) {
     try {
       const url = new URL(request.url);
       const page = Math.max(1, parseInt(url.searchParams.get('page')) || 1);
       const limit = Math.min(100, Math.max(1, parseInt(url.searchParams.get('limit')) || 20));
-      const category = url.searchParams.get('category');
-      const provider = url.searchParams.get('provider');
       const offset = (page - 1) * limit;
 
-      let whereClause = "WHERE status = 'active'";
-      const params = [];
-
-      if (category) {
-        whereClause += ' AND category = ?';
-        params.push(category);
+      const { errors, params } = Search.parseParams(url.searchParams);
+      if (errors.length > 0) {
+        return ApiResponse.error('Invalid query parameters', 400, errors);
       }
 
-      if (provider) {
-        whereClause += ' AND provider_address = ?';
-        params.push(provider);
-      }
+      const { from, where, bindings, scoreColumns, orderBy } = Search.buildQuery(params);
 
       // Get total count for pagination
-      const countQuery = `SELECT COUNT(*) as total FROM services ${whereClause}`;
-      const countResult = await env.DB.prepare(countQuery).bind(...params).first();
+      const countQuery = `SELECT COUNT(*) as total FROM ${from} ${where}`;
+      const countResult = await env.DB.prepare(countQuery).bind(...bindings).first();
       const total = countResult?.total || 0;
 
       // Get services
       const query = `
         SELECT 
-          id, name, description, price_usdc as priceUSDC, 
-          provider_address as providerAddress, category,
-          created_at as createdAt
-        FROM services 
-        ${whereClause}
-        ORDER BY created_at DESC
+          s.id, s.name, s.description, s.price_usdc as priceUSDC, 
+          s.provider_address as providerAddress, s.category,
+          s.pricing_model as pricingModel, s.created_at as createdAt,
+          ${scoreColumns}
+        FROM ${from}
+        ${where}
+        ORDER BY ${orderBy}
         LIMIT ? OFFSET ?
       `;
       
       const services = await env.DB.prepare(query)
-        .bind(...params, limit, offset)
+        .bind(...bindings, limit, offset)
         .all();
 
       return ApiResponse.success(services.results || [], {
+        query: {
+          q: params.q,
+          category: params.category,
+          provider: params.provider,
+          minPrice: params.minPrice,
+          maxPrice: params.maxPrice,
+          minRating: params.minRating,
+          sort: params.sort
+        },
         pagination: {
           page,
           limit,
@@ -336,15 +504,23 @@ class Handlers {
         `SELECT 
           id, name, description, price_usdc as priceUSDC, 
           provider_address as providerAddress, category, status,
+          onchain_service_id as onchainServiceId,
+          acceptance_criteria as acceptanceCriteria, output_schema as outputSchema,
+          endpoint_url IS NOT NULL as payPerCall,
+          pricing_model as pricingModel, plan_price_usdc as planPriceUSDC,
+          plan_calls as planCalls, plan_period_days as periodDays,
           created_at as createdAt, updated_at as updatedAt
         FROM services 
-        WHERE id = ?`
+        WHERE id = ? AND status != 'deleted' AND ${Moderation.availableSql()}`
       ).bind(serviceId).first();
 
       if (!service) {
         return ApiResponse.error('Service not found', 404);
       }
 
+      service.outputSchema = service.outputSchema ? JSON.parse(service.outputSchema) : null;
+      service.payPerCall = Boolean(service.payPerCall);
+
       // Get provider stats
       const providerStats = await env.DB.prepare(
         `SELECT 
@@ -358,11 +534,14 @@ class Handlers {
 
       return ApiResponse.success({
         ...service,
-        provider: providerStats || {
-          ratingAvg: null,
-          ratingCount: 0,
-          totalServices: 0,
-          totalTransactions: 0
+        provider: {
+          ...(providerStats || {
+            ratingAvg: null,
+            ratingCount: 0,
+            totalServices: 0,
+            totalTransactions: 0
+          }),
+          reputation: await Reputation.forAgent(env, service.providerAddress)
         }
       });
     } catch (error) {
@@ -373,12 +552,17 @@ class Handlers {
 
   static async createService(request, env) {
     try {
-      const data = await request.json();
+      const body = await request.text();
+      const data = JSON.parse(body);
 
-      // Validate input
-      const errors = Validator.validateService(data);
-      if (errors.length > 0) {
-        return ApiResponse.error('Validation failed', 400, errors);
+      // Only the provider's own wallet may list services for it
+      const auth = await Auth.verify(request, env, { body, expectedAddress: data.providerAddress });
+      if (!auth.ok) {
+        return ApiResponse.error(auth.message, auth.status);
+      }
+
+      if (await Moderation.isBanned(env, auth.address)) {
+        return ApiResponse.error('This address is banned from the exchange', 403);
       }
 
       // Sanitize input
@@ -386,22 +570,50 @@ class Handlers {
       const description = Validator.sanitizeString(data.description, 5000);
       const category = Validator.sanitizeString(data.category, 100);
       const priceUSDC = Math.floor(data.priceUSDC * 1000000); // Convert to smallest unit
+      const acceptanceCriteria = data.acceptanceCriteria ? Validator.sanitizeString(data.acceptanceCriteria, 5000) : null;
+      const outputSchema = data.outputSchema ? JSON.stringify(data.outputSchema) : null;
+      const endpoint = data.endpoint || null;
+      // Signs calls forwarded by the x402 gateway; only returned here
+      const endpointSecret = endpoint ? Webhooks.generateSecret() : null;
+
+      const plan = {
+        pricing_model: data.pricingModel || 'per_request',
+        plan_price_usdc: data.planPriceUSDC ? Math.floor(data.planPriceUSDC * 1000000) : null,
+        plan_calls: data.planCalls ?? null,
+        plan_period_days: data.periodDays ?? (data.pricingModel === 'subscription' ? DEFAULT_PERIOD_DAYS : null)
+      };
+      const planErrors = Billing.planErrors(plan);
+      if (planErrors.length > 0) {
+        return ApiResponse.error('Validation failed', 400, planErrors);
+      }
 
       // Insert service
       const result = await env.DB.prepare(
-        `INSERT INTO services (name, description, price_usdc, provider_address, category)
-         VALUES (?, ?, ?, ?, ?)`
-      ).bind(name, description, priceUSDC, data.providerAddress.toLowerCase(), category).run();
+        `INSERT INTO services (
+           name, description, price_usdc, provider_address, category, onchain_service_id, acceptance_criteria, output_schema,
+           endpoint_url, endpoint_secret, pricing_model, plan_price_usdc, plan_calls, plan_period_days
+         )
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      ).bind(
+        name, description, priceUSDC, data.providerAddress.toLowerCase(), category,
+        data.onchainServiceId ?? null, acceptanceCriteria, outputSchema, endpoint, endpointSecret,
+        plan.pricing_model, plan.plan_price_usdc, plan.plan_calls, plan.plan_period_days
+      ).run();
 
       // Get the created service
       const service = await env.DB.prepare(
         `SELECT 
           id, name, description, price_usdc as priceUSDC, 
           provider_address as providerAddress, category,
-          created_at as createdAt
+          onchain_service_id as onchainServiceId,
+          acceptance_criteria as acceptanceCriteria, output_schema as outputSchema,
+          endpoint_url as endpoint, pricing_model as pricingModel, plan_price_usdc as planPriceUSDC,
+          plan_calls as planCalls, plan_period_days as periodDays, created_at as createdAt
         FROM services 
-        WHERE id = last_insert_rowid()`
-      ).first();
+        WHERE id = ?`
+      ).bind(result.meta.last_row_id).first();
+      service.outputSchema = service.outputSchema ? JSON.parse(service.outputSchema) : null;
+      if (endpointSecret) service.endpointSecret = endpointSecret;
 
       // Log audit
       await env.DB.prepare(
@@ -409,6 +621,8 @@ class Handlers {
          VALUES (?, ?, ?, ?, ?)`
       ).bind('create', 'service', service.id, data.providerAddress, JSON.stringify({ name })).run();
 
+      await ResponseCache.invalidate(env, ResponseCache.serviceScopes(service.providerAddress));
+
       return ApiResponse.created(service);
     } catch (error) {
       console.error('Create service error:', error);
@@ -416,111 +630,2307 @@ class Handlers {
     }
   }
 
-  static async requestService(id, request, env) {
+  static async updateService(id, request, env) {
     try {
       const serviceId = parseInt(id);
       if (isNaN(serviceId)) {
         return ApiResponse.error('Invalid service ID', 400);
       }
 
-      const data = await request.json();
-
-      // Validate input
-      const errors = Validator.validateServiceRequest(data);
-      if (errors.length > 0) {
-        return ApiResponse.error('Validation failed', 400, errors);
-      }
+      const body = await request.text();
+      const data = JSON.parse(body);
 
-      // Get service details
       const service = await env.DB.prepare(
-        'SELECT * FROM services WHERE id = ? AND status = ?'
-      ).bind(serviceId, 'active').first();
+        "SELECT * FROM services WHERE id = ? AND status != 'deleted'"
+      ).bind(serviceId).first();
 
       if (!service) {
-        return ApiResponse.error('Service not found or inactive', 404);
+        return ApiResponse.error('Service not found', 404);
       }
 
-      // Prevent self-purchase
-      if (service.provider_address.toLowerCase() === data.buyerAddress.toLowerCase()) {
-        return ApiResponse.error('Cannot request your own service', 400);
+      // Only the owning provider may change a listing
+      const auth = await Auth.verify(request, env, {
+        body,
+        expectedAddress: service.provider_address,
+        forbiddenMessage: 'Only the provider can modify this service'
+      });
+      if (!auth.ok) {
+        return ApiResponse.error(auth.message, auth.status);
       }
 
-      // Check for duplicate transaction hash
-      const existing = await env.DB.prepare(
-        'SELECT id FROM service_requests WHERE tx_hash = ?'
-      ).bind(data.txHash).first();
+      const updates = {};
+      if (data.name !== undefined) updates.name = Validator.sanitizeString(data.name, 200);
+      if (data.description !== undefined) updates.description = Validator.sanitizeString(data.description, 5000);
+      if (data.category !== undefined) updates.category = Validator.sanitizeString(data.category, 100);
+      if (data.priceUSDC !== undefined) updates.price_usdc = Math.floor(data.priceUSDC * 1000000);
+      if (data.status !== undefined) updates.status = data.status;
+      if (data.acceptanceCriteria !== undefined) {
+        updates.acceptance_criteria = data.acceptanceCriteria ? Validator.sanitizeString(data.acceptanceCriteria, 5000) : null;
+      }
+      if (data.outputSchema !== undefined) {
+        updates.output_schema = data.outputSchema ? JSON.stringify(data.outputSchema) : null;
+      }
+      if (data.endpoint !== undefined) updates.endpoint_url = data.endpoint || null;
+      if (data.pricingModel !== undefined) updates.pricing_model = data.pricingModel;
+      if (data.planPriceUSDC !== undefined) updates.plan_price_usdc = Math.floor(data.planPriceUSDC * 1000000);
+      if (data.planCalls !== undefined) updates.plan_calls = data.planCalls;
+      if (data.periodDays !== undefined) updates.plan_period_days = data.periodDays;
+      if (data.pricingModel === 'subscription' && !service.plan_period_days && data.periodDays === undefined) {
+        updates.plan_period_days = DEFAULT_PERIOD_DAYS;
+      }
 
-      if (existing) {
-        return ApiResponse.error('Transaction hash already exists', 409);
+      const planErrors = Billing.planErrors({ ...service, ...updates });
+      if (planErrors.length > 0) {
+        return ApiResponse.error('Validation failed', 400, planErrors);
       }
 
-      // Create request
-      const result = await env.DB.prepare(
-        `INSERT INTO service_requests 
-         (service_id, buyer_address, provider_address, tx_hash, amount_usdc, status)
-         VALUES (?, ?, ?, ?, ?, ?)`
-      ).bind(
-        serviceId,
-        data.buyerAddress.toLowerCase(),
-        service.provider_address.toLowerCase(),
-        data.txHash,
-        service.price_usdc,
-        'pending'
-      ).run();
+      // Optionally link the matching on-chain updateService / deactivateService transaction
+      let onchain = null;
+      if (data.txHash) {
+        if (service.onchain_service_id == null) {
+          return ApiResponse.error('Service is not linked to an on-chain service', 400);
+        }
 
-      const requestRecord = await env.DB.prepare(
-        `SELECT 
-          id, service_id as serviceId, buyer_address as buyerAddress,
-          provider_address as providerAddress, tx_hash as txHash,
-          amount_usdc as amountUSDC, status, created_at as createdAt
-        FROM service_requests 
-        WHERE id = last_insert_rowid()`
-      ).first();
+        const verification = await Chain.verifyServiceUpdate(env, {
+          txHash: data.txHash,
+          onchainServiceId: service.onchain_service_id
+        });
+
+        if (verification.status === 'rejected') {
+          return ApiResponse.error('Transaction does not match this service', 422, [verification.reason]);
+        }
+
+        onchain = { txHash: data.txHash, status: verification.status, reason: verification.reason };
+      }
+
+      const changes = {};
+      for (const [column, value] of Object.entries(updates)) {
+        if (service[column] !== value) {
+          changes[column] = { from: service[column], to: value };
+        }
+      }
+
+      const columns = Object.keys(changes);
+
+      // The endpoint secret is issued with the first endpoint and dropped with it; it stays out of
+      // `changes`, which goes to the audit log and webhooks
+      const assignments = Object.fromEntries(columns.map((column) => [column, changes[column].to]));
+      let endpointSecret = null;
+      if (changes.endpoint_url && !service.endpoint_url) {
+        endpointSecret = Webhooks.generateSecret();
+        assignments.endpoint_secret = endpointSecret;
+      } else if (changes.endpoint_url && !changes.endpoint_url.to) {
+        assignments.endpoint_secret = null;
+      }
+
+      if (columns.length > 0) {
+        const assigned = Object.keys(assignments);
+        await env.DB.prepare(
+          `UPDATE services SET ${assigned.map((column) => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`
+        ).bind(...assigned.map((column) => assignments[column]), serviceId).run();
+      }
 
       // Log audit
       await env.DB.prepare(
         `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
          VALUES (?, ?, ?, ?, ?)`
-      ).bind('request', 'service_request', requestRecord.id, data.buyerAddress, 
-        JSON.stringify({ serviceId, txHash: data.txHash })).run();
+      ).bind('update', 'service', serviceId, auth.address, JSON.stringify({ changes, onchain })).run();
+
+      if (columns.length > 0) {
+        await Webhooks.enqueue(env, 'service.updated', [service.provider_address], {
+          serviceId,
+          changes,
+          onchain
+        });
+        await ResponseCache.invalidate(env, ResponseCache.serviceScopes(service.provider_address));
+      }
+
+      const updated = await env.DB.prepare(
+        `SELECT 
+          id, name, description, price_usdc as priceUSDC, 
+          provider_address as providerAddress, category, status,
+          onchain_service_id as onchainServiceId,
+          acceptance_criteria as acceptanceCriteria, output_schema as outputSchema,
+          endpoint_url as endpoint, pricing_model as pricingModel, plan_price_usdc as planPriceUSDC,
+          plan_calls as planCalls, plan_period_days as periodDays,
+          created_at as createdAt, updated_at as updatedAt
+        FROM services 
+        WHERE id = ?`
+      ).bind(serviceId).first();
 
-      return ApiResponse.created(requestRecord);
+      return ApiResponse.success({
+        ...updated,
+        outputSchema: updated.outputSchema ? JSON.parse(updated.outputSchema) : null,
+        ...(endpointSecret ? { endpointSecret } : {}),
+        changed: columns,
+        onchain
+      });
     } catch (error) {
-      console.error('Request service error:', error);
-      return ApiResponse.error('Failed to create service request', 500);
+      console.error('Update service error:', error);
+      return ApiResponse.error('Failed to update service', 500);
     }
   }
 
-  static async getAgent(address, env) {
+  static async deleteService(id, request, env) {
     try {
-      if (!Validator.isValidEthereumAddress(address)) {
-        return ApiResponse.error('Invalid Ethereum address', 400);
+      const serviceId = parseInt(id);
+      if (isNaN(serviceId)) {
+        return ApiResponse.error('Invalid service ID', 400);
       }
 
-      const normalizedAddress = address.toLowerCase();
+      const body = await request.text();
 
-      // Get agent profile
-      const profile = await env.DB.prepare(
-        `SELECT 
-          address,
-          total_services as totalServices,
-          total_transactions as totalTransactions,
-          total_volume_usdc as totalVolumeUSDC,
-          rating_avg as ratingAvg,
-          rating_count as ratingCount,
-          created_at as createdAt,
-          updated_at as updatedAt
-        FROM agent_profiles 
-        WHERE address = ?`
-      ).bind(normalizedAddress).first();
+      const service = await env.DB.prepare(
+        "SELECT * FROM services WHERE id = ? AND status != 'deleted'"
+      ).bind(serviceId).first();
 
-      // Get active services
-      const services = await env.DB.prepare(
+      if (!service) {
+        return ApiResponse.error('Service not found', 404);
+      }
+
+      const auth = await Auth.verify(request, env, {
+        body,
+        expectedAddress: service.provider_address,
+        forbiddenMessage: 'Only the provider can delete this service'
+      });
+      if (!auth.ok) {
+        return ApiResponse.error(auth.message, auth.status);
+      }
+
+      // Soft delete: the row stays for request history and ratings
+      await env.DB.prepare(
+        "UPDATE services SET status = 'deleted', updated_at = CURRENT_TIMESTAMP WHERE id = ?"
+      ).bind(serviceId).run();
+
+      // Log audit
+      await env.DB.prepare(
+        `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+         VALUES (?, ?, ?, ?, ?)`
+      ).bind('delete', 'service', serviceId, auth.address, JSON.stringify({ previousStatus: service.status })).run();
+
+      await Webhooks.enqueue(env, 'service.updated', [service.provider_address], {
+        serviceId,
+        changes: { status: { from: service.status, to: 'deleted' } }
+      });
+      await ResponseCache.invalidate(env, ResponseCache.serviceScopes(service.provider_address));
+
+      return ApiResponse.success({
+        id: serviceId,
+        status: 'deleted'
+      });
+    } catch (error) {
+      console.error('Delete service error:', error);
+      return ApiResponse.error('Failed to delete service', 500);
+    }
+  }
+
+  // Shadow-banned reporters get the same answer, but their report is filed as dismissed
+  static async reportService(id, request, env) {
+    try {
+      const serviceId = parseInt(id);
+      if (isNaN(serviceId)) {
+        return ApiResponse.error('Invalid service ID', 400);
+      }
+
+      const body = await request.text();
+      const data = JSON.parse(body);
+
+      const auth = await Auth.verify(request, env, { body, expectedAddress: data.reporterAddress });
+      if (!auth.ok) {
+        return ApiResponse.error(auth.message, auth.status);
+      }
+
+      const ban = await Moderation.banFor(env, auth.address);
+      if (ban?.type === 'ban') {
+        return ApiResponse.error('This address is banned from the exchange', 403);
+      }
+
+      const service = await env.DB.prepare(
+        `SELECT id, provider_address FROM services WHERE id = ? AND status != 'deleted' AND ${Moderation.availableSql()}`
+      ).bind(serviceId).first();
+
+      if (!service) {
+        return ApiResponse.error('Service not found', 404);
+      }
+
+      if (service.provider_address === auth.address) {
+        return ApiResponse.error('Cannot report your own service', 400);
+      }
+
+      const existing = await env.DB.prepare(
+        'SELECT id FROM service_reports WHERE service_id = ? AND reporter_address = ?'
+      ).bind(serviceId, auth.address).first();
+
+      if (existing) {
+        return ApiResponse.error('You have already reported this service', 409);
+      }
+
+      const details = data.details ? Validator.sanitizeString(data.details, 2000) : null;
+      const status = ban ? 'dismissed' : 'open';
+
+      const report = await env.DB.prepare(
+        `INSERT INTO service_reports (service_id, reporter_address, reason, details, status)
+         VALUES (?, ?, ?, ?, ?) RETURNING *`
+      ).bind(serviceId, auth.address, data.reason, details, status).first();
+
+      await env.DB.prepare(
+        `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+         VALUES (?, ?, ?, ?, ?)`
+      ).bind('create', 'service_report', report.id, auth.address, JSON.stringify({ serviceId, reason: data.reason })).run();
+
+      return ApiResponse.created({
+        id: report.id,
+        serviceId,
+        reason: report.reason,
+        details: report.details,
+        createdAt: report.created_at
+      });
+    } catch (error) {
+      console.error('Report service error:', error);
+      return ApiResponse.error('Failed to report service', 500);
+    }
+  }
+
+  static async requestService(id, request, env) {
+    try {
+      const serviceId = parseInt(id);
+      if (isNaN(serviceId)) {
+        return ApiResponse.error('Invalid service ID', 400);
+      }
+
+      const body = await request.text();
+      const data = JSON.parse(body);
+
+      const auth = await Auth.verify(request, env, { body, expectedAddress: data.buyerAddress });
+      if (!auth.ok) {
+        return ApiResponse.error(auth.message, auth.status);
+      }
+
+      if (await Moderation.isBanned(env, auth.address)) {
+        return ApiResponse.error('This address is banned from the exchange', 403);
+      }
+
+      // Get service details
+      const service = await env.DB.prepare(
+        `SELECT * FROM services WHERE id = ? AND status = ? AND ${Moderation.availableSql()}`
+      ).bind(serviceId, 'active').first();
+
+      if (!service) {
+        return ApiResponse.error('Service not found or inactive', 404);
+      }
+
+      // Prevent self-purchase
+      if (service.provider_address.toLowerCase() === data.buyerAddress.toLowerCase()) {
+        return ApiResponse.error('Cannot request your own service', 400);
+      }
+
+      // Check for duplicate transaction hash. A row the chain never confirmed doesn't own
+      // the hash: anyone can post a pending tx, so the buyer the escrow proves may take it over.
+      const existing = await env.DB.prepare(
+        'SELECT id, buyer_address, status, onchain_request_id FROM service_requests WHERE tx_hash = ?'
+      ).bind(data.txHash).first();
+
+      const replaceable = existing
+        && (existing.onchain_request_id === null || existing.status === 'rejected')
+        && existing.buyer_address !== data.buyerAddress.toLowerCase();
+
+      if (existing && !replaceable) {
+        return ApiResponse.error('Transaction hash already exists', 409);
+      }
+
+      // A negotiated quote replaces the listed price
+      let quote = null;
+      if (data.quoteId !== undefined) {
+        quote = await env.DB.prepare(
+          `SELECT q.*, r.buyer_address, r.service_id, r.status as rfq_status
+           FROM quotes q
+           JOIN rfqs r ON r.id = q.rfq_id
+           WHERE q.id = ?`
+        ).bind(data.quoteId).first();
+
+        if (!quote || quote.service_id !== serviceId || quote.buyer_address !== data.buyerAddress.toLowerCase()) {
+          return ApiResponse.error('Quote not found for this service and buyer', 404);
+        }
+
+        if (quote.status !== 'accepted' || quote.rfq_status !== 'accepted') {
+          return ApiResponse.error('Quote has not been accepted or was already used', 409);
+        }
+
+        if (Negotiation.isExpired(quote)) {
+          return ApiResponse.error('Quote has expired', 409);
+        }
+      }
+
+      // Confirm the escrow transaction on-chain
+      const verification = await Chain.verifyEscrow(env, {
+        txHash: data.txHash,
+        service,
+        buyerAddress: data.buyerAddress,
+        expectedAmount: quote?.amount_usdc,
+        onchainServiceId: quote?.onchain_service_id ?? undefined
+      });
+
+      if (verification.status === 'rejected') {
+        return ApiResponse.error('Escrow transaction does not match this service request', 422, [verification.reason]);
+      }
+
+      if (existing && verification.status !== 'verified') {
+        return ApiResponse.error('Transaction hash already exists', 409);
+      }
+
+      if (verification.onchainRequestId != null) {
+        const claimed = await env.DB.prepare(
+          'SELECT id FROM service_requests WHERE onchain_request_id = ? AND id != ?'
+        ).bind(verification.onchainRequestId, existing?.id ?? 0).first();
+
+        if (claimed) {
+          return ApiResponse.error('On-chain request already linked to another service request', 409);
+        }
+      }
+
+      // Create request, or hand the squatted row to the verified buyer
+      const status = verification.status === 'verified' ? 'pending' : 'unverified';
+      const fields = [
+        serviceId,
+        data.buyerAddress.toLowerCase(),
+        service.provider_address.toLowerCase(),
+        quote ? quote.amount_usdc : service.price_usdc,
+        status,
+        verification.onchainRequestId ?? null,
+        quote ? quote.id : null
+      ];
+
+      let requestId;
+      if (existing) {
+        await env.DB.prepare(
+          `UPDATE service_requests SET
+             service_id = ?, buyer_address = ?, provider_address = ?, amount_usdc = ?,
+             status = ?, onchain_request_id = ?, quote_id = ?
+           WHERE id = ?`
+        ).bind(...fields, existing.id).run();
+        requestId = existing.id;
+      } else {
+        const result = await env.DB.prepare(
+          `INSERT INTO service_requests 
+           (service_id, buyer_address, provider_address, amount_usdc, status, onchain_request_id, quote_id, tx_hash)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+        ).bind(...fields, data.txHash).run();
+        requestId = result.meta.last_row_id;
+      }
+
+      if (quote) {
+        await env.DB.prepare(
+          "UPDATE rfqs SET status = 'fulfilled', updated_at = CURRENT_TIMESTAMP WHERE id = ?"
+        ).bind(quote.rfq_id).run();
+      }
+
+      const requestRecord = await env.DB.prepare(
+        `SELECT 
+          id, service_id as serviceId, buyer_address as buyerAddress,
+          provider_address as providerAddress, tx_hash as txHash,
+          amount_usdc as amountUSDC, status, onchain_request_id as onchainRequestId,
+          quote_id as quoteId, created_at as createdAt
+        FROM service_requests 
+        WHERE id = ?`
+      ).bind(requestId).first();
+
+      // Start the state history (or continue the replaced row's)
+      await env.DB.prepare(
+        `INSERT INTO request_events (request_id, from_status, to_status, actor_address, source, tx_hash)
+         VALUES (?, ?, ?, ?, 'api', ?)`
+      ).bind(requestRecord.id, existing?.status ?? null, requestRecord.status, data.buyerAddress.toLowerCase(), data.txHash).run();
+
+      // Log audit
+      await env.DB.prepare(
+        `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+         VALUES (?, ?, ?, ?, ?)`
+      ).bind('request', 'service_request', requestRecord.id, data.buyerAddress, 
+        JSON.stringify({ serviceId, txHash: data.txHash, verification: verification.status, replacedBuyer: existing?.buyer_address })).run();
+
+      await Webhooks.enqueue(env, 'request.created', [requestRecord.providerAddress], {
+        request: requestRecord,
+        service: { id: serviceId, name: service.name }
+      });
+      await ResponseCache.invalidate(env, [
+        ...ResponseCache.serviceScopes(requestRecord.providerAddress),
+        ResponseCache.agentScope(requestRecord.buyerAddress),
+        ...(existing ? [ResponseCache.agentScope(existing.buyer_address)] : [])
+      ]);
+
+      return ApiResponse.created({
+        ...requestRecord,
+        verification: {
+          status: verification.status,
+          reason: verification.reason
+        }
+      });
+    } catch (error) {
+      console.error('Request service error:', error);
+      return ApiResponse.error('Failed to create service request', 500);
+    }
+  }
+
+  // Check an X-PAYMENT header against `requirements`: {payment, buyer} when it can be settled,
+  // otherwise {response} (402 with the reason, or an error)
+  static async acceptPayment(request, env, service, requirements) {
+    const header = request.headers.get(PAYMENT_HEADER);
+    if (!header) {
+      return { response: ApiResponse.json(X402.paymentRequired(requirements, `${PAYMENT_HEADER} header is required`), 402) };
+    }
+
+    const { payment, error } = X402.decodePayment(header);
+    if (error) {
+      return { response: ApiResponse.json(X402.paymentRequired(requirements, error), 402) };
+    }
+
+    const verification = await X402.verify(env, payment, requirements);
+    if (!verification.ok) {
+      return { response: ApiResponse.json(X402.paymentRequired(requirements, verification.reason), 402) };
+    }
+
+    const buyer = verification.payer;
+    if (buyer === service.provider_address.toLowerCase()) {
+      return { response: ApiResponse.error('Cannot request your own service', 400) };
+    }
+
+    if (await Moderation.isBanned(env, buyer)) {
+      return { response: ApiResponse.error('This address is banned from the exchange', 403) };
+    }
+
+    let unfunded;
+    try {
+      unfunded = await X402.checkFunds(env, requirements, payment.payload.authorization);
+    } catch (error) {
+      console.error('x402 funds check error:', error);
+      return { response: ApiResponse.error('Could not check the payment on-chain, please retry', 503) };
+    }
+    if (unfunded) {
+      return { response: ApiResponse.json(X402.paymentRequired(requirements, unfunded), 402) };
+    }
+
+    return { payment, buyer };
+  }
+
+  // x402 pay-per-call: 402 with payment requirements, or verify the payment, forward the
+  // call to the provider's endpoint and settle once the provider has answered
+  static async callService(id, request, env) {
+    try {
+      const serviceId = parseInt(id);
+      if (isNaN(serviceId)) {
+        return ApiResponse.error('Invalid service ID', 400);
+      }
+
+      const service = await env.DB.prepare(
+        `SELECT * FROM services WHERE id = ? AND status = ? AND ${Moderation.availableSql()}`
+      ).bind(serviceId, 'active').first();
+
+      if (!service) {
+        return ApiResponse.error('Service not found or inactive', 404);
+      }
+
+      if (!service.endpoint_url) {
+        return ApiResponse.error('Service does not accept pay-per-call requests', 409);
+      }
+
+      if (!X402.isConfigured(env)) {
+        return ApiResponse.error('Pay-per-call is not enabled on this exchange', 503);
+      }
+
+      const requirements = X402.requirements(env, service, request.url);
+      const accepted = await Handlers.acceptPayment(request, env, service, requirements);
+      if (accepted.response) {
+        return accepted.response;
+      }
+      const { payment, buyer } = accepted;
+
+      // The authorization nonce is the replay guard: one row per signed payment
+      const paymentId = X402.paymentId(payment.payload.authorization);
+      const reserved = await env.DB.prepare(
+        `INSERT OR IGNORE INTO service_requests
+         (service_id, buyer_address, provider_address, tx_hash, amount_usdc, status, payment_scheme)
+         VALUES (?, ?, ?, ?, ?, 'in_progress', 'x402')`
+      ).bind(serviceId, buyer, service.provider_address.toLowerCase(), paymentId, service.price_usdc).run();
+
+      if (!reserved.meta.changes) {
+        return ApiResponse.error('Payment authorization has already been used', 409);
+      }
+
+      const requestId = reserved.meta.last_row_id;
+      await env.DB.prepare(
+        `INSERT INTO request_events (request_id, from_status, to_status, actor_address, source)
+         VALUES (?, NULL, 'in_progress', ?, 'x402')`
+      ).bind(requestId, buyer).run();
+
+      // Calls that fail before settlement are cancelled and the authorization is never used
+      const cancel = async (note) => {
+        await env.DB.batch([
+          env.DB.prepare(
+            "UPDATE service_requests SET status = 'cancelled' WHERE id = ? AND status = 'in_progress'"
+          ).bind(requestId),
+          env.DB.prepare(
+            `INSERT INTO request_events (request_id, from_status, to_status, source, note)
+             VALUES (?, 'in_progress', 'cancelled', 'x402', ?)`
+          ).bind(requestId, note)
+        ]);
+      };
+
+      const body = await request.text();
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      let upstream;
+      try {
+        upstream = await X402.forward(service, {
+          body,
+          contentType: request.headers.get('Content-Type'),
+          requestId,
+          buyer,
+          signature: await Webhooks.sign(service.endpoint_secret, timestamp, body)
+        });
+      } catch (error) {
+        await cancel(`Endpoint unreachable: ${error.message}`);
+        return ApiResponse.error('Provider endpoint did not respond; you have not been charged', 502);
+      }
+
+      const passthrough = (response, extra = {}) => {
+        const headers = ApiResponse.getHeaders();
+        headers['Content-Type'] = response.headers.get('Content-Type') || 'application/octet-stream';
+        headers['X-Exchange-Request-Id'] = String(requestId);
+        return new Response(response.body, { status: response.status, headers: { ...headers, ...extra } });
+      };
+
+      if (upstream.status >= 300) {
+        await cancel(`Endpoint responded with HTTP ${upstream.status}`);
+        return passthrough(upstream);
+      }
+
+      const settlement = await X402.settle(env, payment, requirements);
+      if (!settlement.success) {
+        await env.DB.batch([
+          env.DB.prepare(
+            "UPDATE service_requests SET status = 'rejected' WHERE id = ? AND status = 'in_progress'"
+          ).bind(requestId),
+          env.DB.prepare(
+            `INSERT INTO request_events (request_id, from_status, to_status, source, note)
+             VALUES (?, 'in_progress', 'rejected', 'x402', ?)`
+          ).bind(requestId, `Settlement failed: ${settlement.errorReason}`)
+        ]);
+        await upstream.body?.cancel();
+        return ApiResponse.json(X402.paymentRequired(requirements, `Settlement failed: ${settlement.errorReason}`), 402);
+      }
+
+      await env.DB.batch([
+        env.DB.prepare(
+          `UPDATE service_requests SET status = 'finalized', settlement_tx_hash = ?, completed_at = CURRENT_TIMESTAMP
+           WHERE id = ?`
+        ).bind(settlement.transaction || null, requestId),
+        env.DB.prepare(
+          `INSERT INTO request_events (request_id, from_status, to_status, source, tx_hash)
+           VALUES (?, 'in_progress', 'finalized', 'x402', ?)`
+        ).bind(requestId, settlement.transaction || null),
+        // Escrow purchases are counted by the indexer; gateway calls never touch the escrow contract
+        env.DB.prepare(
+          `UPDATE exchange_stats SET
+             total_transactions = total_transactions + 1,
+             total_volume_usdc = total_volume_usdc + ?,
+             last_updated = CURRENT_TIMESTAMP
+           WHERE id = 1`
+        ).bind(service.price_usdc),
+        env.DB.prepare(
+          `INSERT INTO agent_profiles (address, total_transactions, total_volume_usdc) VALUES (?, 1, ?)
+           ON CONFLICT(address) DO UPDATE SET
+             total_transactions = total_transactions + 1,
+             total_volume_usdc = total_volume_usdc + excluded.total_volume_usdc,
+             updated_at = CURRENT_TIMESTAMP`
+        ).bind(service.provider_address.toLowerCase(), service.price_usdc),
+        env.DB.prepare(
+          `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+           VALUES (?, ?, ?, ?, ?)`
+        ).bind('call', 'service_request', requestId, buyer,
+          JSON.stringify({ serviceId, paymentId, transaction: settlement.transaction || null }))
+      ]);
+
+      await Webhooks.enqueue(env, 'request.completed', [buyer, service.provider_address], {
+        requestId,
+        serviceId,
+        status: 'finalized',
+        txHash: settlement.transaction || null
+      });
+      await ResponseCache.invalidate(env, [
+        ...ResponseCache.serviceScopes(service.provider_address),
+        ResponseCache.agentScope(buyer)
+      ]);
+
+      return passthrough(upstream, { [PAYMENT_RESPONSE_HEADER]: X402.encodeSettlement(settlement) });
+    } catch (error) {
+      console.error('Call service error:', error);
+      return ApiResponse.error('Failed to call service', 500);
+    }
+  }
+
+  // Load an active listing that offers a prepaid plan
+  static async getPrepaidService(id, env) {
+    const serviceId = parseInt(id);
+    if (isNaN(serviceId)) {
+      return { response: ApiResponse.error('Invalid service ID', 400) };
+    }
+
+    const service = await env.DB.prepare(
+      `SELECT * FROM services WHERE id = ? AND status = ? AND ${Moderation.availableSql()}`
+    ).bind(serviceId, 'active').first();
+
+    if (!service) {
+      return { response: ApiResponse.error('Service not found or inactive', 404) };
+    }
+
+    if (!Billing.isPrepaid(service)) {
+      return { response: ApiResponse.error('Service does not offer prepaid plans', 409) };
+    }
+
+    return { service };
+  }
+
+  static async purchaseCredits(id, request, env) {
+    try {
+      const { service, response } = await Handlers.getPrepaidService(id, env);
+      if (response) {
+        return response;
+      }
+
+      if (!X402.isConfigured(env)) {
+        return ApiResponse.error('Prepaid purchases are not enabled on this exchange', 503);
+      }
+
+      const body = await request.text();
+      const data = body ? JSON.parse(body) : {};
+
+      const purchase = Billing.purchase(service, data.amountUSDC ? Math.floor(data.amountUSDC * 1000000) : null);
+      if (purchase.error) {
+        return ApiResponse.error(purchase.error, 400);
+      }
+
+      const requirements = X402.requirements(env, service, request.url, {
+        amount: purchase.amount,
+        description: purchase.description
+      });
+      const accepted = await Handlers.acceptPayment(request, env, service, requirements);
+      if (accepted.response) {
+        return accepted.response;
+      }
+      const { payment, buyer } = accepted;
+
+      const paymentRef = X402.paymentId(payment.payload.authorization);
+      if (await Billing.isPaymentUsed(env, paymentRef)) {
+        return ApiResponse.error('Payment authorization has already been used', 409);
+      }
+
+      const settlement = await X402.settle(env, payment, requirements);
+      if (!settlement.success) {
+        return ApiResponse.json(X402.paymentRequired(requirements, `Settlement failed: ${settlement.errorReason}`), 402);
+      }
+
+      const provider = service.provider_address.toLowerCase();
+      await env.DB.batch([
+        Billing.purchaseStatement(env, service, buyer, purchase, {
+          paymentRef,
+          settlementTxHash: settlement.transaction || null
+        }),
+        // Volume is counted when the plan is paid for; each use counts as a transaction
+        env.DB.prepare(
+          `UPDATE exchange_stats SET
+             total_volume_usdc = total_volume_usdc + ?,
+             last_updated = CURRENT_TIMESTAMP
+           WHERE id = 1`
+        ).bind(purchase.amount),
+        env.DB.prepare(
+          `INSERT INTO agent_profiles (address, total_volume_usdc) VALUES (?, ?)
+           ON CONFLICT(address) DO UPDATE SET
+             total_volume_usdc = total_volume_usdc + excluded.total_volume_usdc,
+             updated_at = CURRENT_TIMESTAMP`
+        ).bind(provider, purchase.amount),
+        env.DB.prepare(
+          `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+           VALUES (?, ?, ?, ?, ?)`
+        ).bind('purchase', 'service', service.id, buyer, JSON.stringify({
+          pricingModel: service.pricing_model,
+          amount: purchase.amount,
+          units: purchase.units,
+          paymentRef,
+          transaction: settlement.transaction || null
+        }))
+      ]);
+
+      await Webhooks.enqueue(env, 'credits.purchased', [provider], {
+        serviceId: service.id,
+        buyerAddress: buyer,
+        pricingModel: service.pricing_model,
+        amountUSDC: purchase.amount,
+        txHash: settlement.transaction || null
+      });
+      await ResponseCache.invalidate(env, [
+        ...ResponseCache.serviceScopes(provider),
+        ResponseCache.agentScope(buyer)
+      ]);
+
+      const created = ApiResponse.created({
+        ...(await Billing.account(env, service, buyer)),
+        purchase: {
+          amountUSDC: purchase.amount,
+          units: purchase.units,
+          settlementTxHash: settlement.transaction || null
+        }
+      });
+      created.headers.set(PAYMENT_RESPONSE_HEADER, X402.encodeSettlement(settlement));
+      return created;
+    } catch (error) {
+      console.error('Purchase credits error:', error);
+      return ApiResponse.error('Failed to purchase credits', 500);
+    }
+  }
+
+  static async getCredits(id, request, env) {
+    try {
+      const { service, response } = await Handlers.getPrepaidService(id, env);
+      if (response) {
+        return response;
+      }
+
+      const auth = await Auth.verify(request, env, { body: '' });
+      if (!auth.ok) {
+        return ApiResponse.error(auth.message, auth.status);
+      }
+
+      return ApiResponse.success(await Billing.account(env, service, auth.address));
+    } catch (error) {
+      console.error('Get credits error:', error);
+      return ApiResponse.error('Failed to fetch credits', 500);
+    }
+  }
+
+  // One use of a prepaid plan: draw from the balance (or check the subscription) and open a
+  // request that then goes through the normal lifecycle
+  static async consumeCredits(id, request, env) {
+    try {
+      const body = await request.text();
+      const data = JSON.parse(body);
+
+      const auth = await Auth.verify(request, env, { body, expectedAddress: data.buyerAddress });
+      if (!auth.ok) {
+        return ApiResponse.error(auth.message, auth.status);
+      }
+
+      if (await Moderation.isBanned(env, auth.address)) {
+        return ApiResponse.error('This address is banned from the exchange', 403);
+      }
+
+      const { service, response } = await Handlers.getPrepaidService(id, env);
+      if (response) {
+        return response;
+      }
+
+      const buyer = auth.address;
+      const provider = service.provider_address.toLowerCase();
+      if (buyer === provider) {
+        return ApiResponse.error('Cannot request your own service', 400);
+      }
+
+      let ledgerId = null;
+      if (service.pricing_model === 'subscription') {
+        if (!(await Billing.activePeriod(env, service.id, buyer))) {
+          return ApiResponse.error('No active subscription for this service', 402);
+        }
+      } else {
+        ledgerId = await Billing.draw(env, service, buyer);
+        if (ledgerId === null) {
+          return ApiResponse.error('Insufficient prepaid balance for this service', 402);
+        }
+      }
+
+      // The request, its history and the ledger link are written in one batch, found by
+      // their reference; if that fails the draw is given back
+      const { amount } = Billing.usage(service);
+      const reference = `${service.pricing_model}:${crypto.randomUUID()}`;
+      const statements = [
+        env.DB.prepare(
+          `INSERT INTO service_requests
+           (service_id, buyer_address, provider_address, tx_hash, amount_usdc, status, payment_scheme)
+           VALUES (?, ?, ?, ?, ?, 'pending', ?)`
+        ).bind(service.id, buyer, provider, reference, amount, service.pricing_model),
+        env.DB.prepare(
+          `INSERT INTO request_events (request_id, from_status, to_status, actor_address, source)
+           SELECT id, NULL, 'pending', ?, 'api' FROM service_requests WHERE tx_hash = ?`
+        ).bind(buyer, reference),
+        env.DB.prepare(
+          `UPDATE exchange_stats SET
+             total_transactions = total_transactions + 1,
+             last_updated = CURRENT_TIMESTAMP
+           WHERE id = 1`
+        ),
+        env.DB.prepare(
+          `INSERT INTO agent_profiles (address, total_transactions) VALUES (?, 1)
+           ON CONFLICT(address) DO UPDATE SET
+             total_transactions = total_transactions + 1,
+             updated_at = CURRENT_TIMESTAMP`
+        ).bind(provider),
+        env.DB.prepare(
+          `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+           SELECT ?, ?, id, ?, ? FROM service_requests WHERE tx_hash = ?`
+        ).bind('consume', 'service_request', buyer, JSON.stringify({ serviceId: service.id, pricingModel: service.pricing_model }), reference)
+      ];
+      if (ledgerId !== null) {
+        statements.push(env.DB.prepare(
+          'UPDATE credit_ledger SET request_id = (SELECT id FROM service_requests WHERE tx_hash = ?) WHERE id = ?'
+        ).bind(reference, ledgerId));
+      }
+
+      try {
+        await env.DB.batch(statements);
+      } catch (error) {
+        if (ledgerId !== null) {
+          await Billing.undraw(env, ledgerId);
+        }
+        throw error;
+      }
+
+      const requestRecord = await env.DB.prepare(
+        `SELECT 
+          id, service_id as serviceId, buyer_address as buyerAddress,
+          provider_address as providerAddress, tx_hash as txHash,
+          amount_usdc as amountUSDC, status, payment_scheme as paymentScheme, created_at as createdAt
+        FROM service_requests 
+        WHERE tx_hash = ?`
+      ).bind(reference).first();
+
+      await Webhooks.enqueue(env, 'request.created', [provider], {
+        request: requestRecord,
+        service: { id: service.id, name: service.name }
+      });
+      await ResponseCache.invalidate(env, [
+        ...ResponseCache.serviceScopes(provider),
+        ResponseCache.agentScope(buyer)
+      ]);
+
+      return ApiResponse.created({
+        ...requestRecord,
+        account: await Billing.account(env, service, buyer)
+      });
+    } catch (error) {
+      console.error('Consume credits error:', error);
+      return ApiResponse.error('Failed to use prepaid plan', 500);
+    }
+  }
+
+  static async createRfq(id, request, env) {
+    try {
+      const serviceId = parseInt(id);
+      if (isNaN(serviceId)) {
+        return ApiResponse.error('Invalid service ID', 400);
+      }
+
+      const body = await request.text();
+      const data = JSON.parse(body);
+
+      const auth = await Auth.verify(request, env, { body, expectedAddress: data.buyerAddress });
+      if (!auth.ok) {
+        return ApiResponse.error(auth.message, auth.status);
+      }
+
+      if (await Moderation.isBanned(env, auth.address)) {
+        return ApiResponse.error('This address is banned from the exchange', 403);
+      }
+
+      const service = await env.DB.prepare(
+        `SELECT * FROM services WHERE id = ? AND status = ? AND ${Moderation.availableSql()}`
+      ).bind(serviceId, 'active').first();
+
+      if (!service) {
+        return ApiResponse.error('Service not found or inactive', 404);
+      }
+
+      if (service.provider_address === auth.address) {
+        return ApiResponse.error('Cannot request a quote for your own service', 400);
+      }
+
+      const requirements = Validator.sanitizeString(data.requirements, 5000);
+      const budget = data.budgetUSDC !== undefined ? Math.floor(data.budgetUSDC * 1000000) : null;
+
+      const result = await env.DB.prepare(
+        `INSERT INTO rfqs (service_id, buyer_address, provider_address, requirements, budget_usdc)
+         VALUES (?, ?, ?, ?, ?)`
+      ).bind(serviceId, auth.address, service.provider_address, requirements, budget).run();
+
+      const rfqId = result.meta.last_row_id;
+
+      // Log audit
+      await env.DB.prepare(
+        `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+         VALUES (?, ?, ?, ?, ?)`
+      ).bind('create', 'rfq', rfqId, auth.address, JSON.stringify({ serviceId, budget })).run();
+
+      await Webhooks.enqueue(env, 'rfq.received', [service.provider_address], {
+        rfqId,
+        serviceId,
+        buyerAddress: auth.address,
+        requirements,
+        budgetUSDC: budget
+      });
+
+      return Handlers.getRfqRecord(rfqId, env, 201);
+    } catch (error) {
+      console.error('Create RFQ error:', error);
+      return ApiResponse.error('Failed to create RFQ', 500);
+    }
+  }
+
+  // RFQ with its full offer history
+  static async getRfqRecord(rfqId, env, status = 200) {
+    const rfq = await env.DB.prepare(
+      `SELECT 
+        r.id, r.service_id as serviceId, s.name as serviceName, s.price_usdc as listedPriceUSDC,
+        r.buyer_address as buyerAddress, r.provider_address as providerAddress,
+        r.requirements, r.budget_usdc as budgetUSDC, r.status,
+        r.accepted_quote_id as acceptedQuoteId,
+        r.created_at as createdAt, r.updated_at as updatedAt
+      FROM rfqs r
+      JOIN services s ON s.id = r.service_id
+      WHERE r.id = ?`
+    ).bind(rfqId).first();
+
+    const quotes = await env.DB.prepare(
+      'SELECT * FROM quotes WHERE rfq_id = ? ORDER BY id ASC'
+    ).bind(rfqId).all();
+
+    const data = {
+      ...rfq,
+      quotes: (quotes.results || []).map((quote) => Negotiation.toResponse(quote))
+    };
+
+    return status === 201 ? ApiResponse.created(data) : ApiResponse.success(data);
+  }
+
+  // Load an RFQ and check that the signed wallet is the buyer or provider on it
+  static async authorizeRfq(id, request, env, body) {
+    const rfqId = parseInt(id);
+    if (isNaN(rfqId)) {
+      return { error: ApiResponse.error('Invalid RFQ ID', 400) };
+    }
+
+    const rfq = await env.DB.prepare('SELECT * FROM rfqs WHERE id = ?').bind(rfqId).first();
+    if (!rfq) {
+      return { error: ApiResponse.error('RFQ not found', 404) };
+    }
+
+    const auth = await Auth.verify(request, env, { body });
+    if (!auth.ok) {
+      return { error: ApiResponse.error(auth.message, auth.status) };
+    }
+
+    const role = Negotiation.roleOf(rfq, auth.address);
+    if (!role) {
+      return { error: ApiResponse.error('Only the buyer and provider can access this RFQ', 403) };
+    }
+
+    return { rfq, auth, role };
+  }
+
+  static async listRfqs(request, env) {
+    try {
+      const auth = await Auth.verify(request, env, { body: '' });
+      if (!auth.ok) {
+        return ApiResponse.error(auth.message, auth.status);
+      }
+
+      const url = new URL(request.url);
+      const status = url.searchParams.get('status');
+
+      let whereClause = 'WHERE (r.buyer_address = ? OR r.provider_address = ?)';
+      const params = [auth.address, auth.address];
+      if (status) {
+        whereClause += ' AND r.status = ?';
+        params.push(status);
+      }
+
+      const rfqs = await env.DB.prepare(
+        `SELECT 
+          r.id, r.service_id as serviceId, s.name as serviceName,
+          r.buyer_address as buyerAddress, r.provider_address as providerAddress,
+          r.budget_usdc as budgetUSDC, r.status, r.accepted_quote_id as acceptedQuoteId,
+          (SELECT COUNT(*) FROM quotes q WHERE q.rfq_id = r.id) as offerCount,
+          r.created_at as createdAt, r.updated_at as updatedAt
+        FROM rfqs r
+        JOIN services s ON s.id = r.service_id
+        ${whereClause}
+        ORDER BY r.updated_at DESC
+        LIMIT 100`
+      ).bind(...params).all();
+
+      return ApiResponse.success(rfqs.results || []);
+    } catch (error) {
+      console.error('List RFQs error:', error);
+      return ApiResponse.error('Failed to fetch RFQs', 500);
+    }
+  }
+
+  static async getRfq(id, request, env) {
+    try {
+      const { rfq, error } = await Handlers.authorizeRfq(id, request, env, '');
+      if (error) return error;
+
+      return Handlers.getRfqRecord(rfq.id, env);
+    } catch (error) {
+      console.error('Get RFQ error:', error);
+      return ApiResponse.error('Failed to fetch RFQ', 500);
+    }
+  }
+
+  static async createQuote(id, request, env) {
+    try {
+      const body = await request.text();
+      const data = JSON.parse(body);
+
+      const { rfq, auth, role, error } = await Handlers.authorizeRfq(id, request, env, body);
+      if (error) return error;
+
+      if (rfq.status !== 'open') {
+        return ApiResponse.error(`RFQ is ${rfq.status}; no further offers can be made`, 409);
+      }
+
+      const latest = await env.DB.prepare(
+        "SELECT * FROM quotes WHERE rfq_id = ? AND status = 'offered' ORDER BY id DESC LIMIT 1"
+      ).bind(rfq.id).first();
+
+      const amount = Math.floor(data.amountUSDC * 1000000);
+      const ttl = data.expiresInSeconds ?? DEFAULT_QUOTE_TTL_SECONDS;
+      const message = data.message ? Validator.sanitizeString(data.message, 2000) : null;
+      const statements = [];
+
+      // A new offer supersedes the previous open one
+      if (latest) {
+        statements.push(env.DB.prepare(
+          `UPDATE quotes SET status = ? WHERE id = ?`
+        ).bind(latest.author_address === auth.address ? 'withdrawn' : 'countered', latest.id));
+      }
+
+      statements.push(env.DB.prepare(
+        `INSERT INTO quotes (rfq_id, author_address, author_role, amount_usdc, message, onchain_service_id, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, datetime('now', ?))`
+      ).bind(rfq.id, auth.address, role, amount, message, data.onchainServiceId ?? null, `+${ttl} seconds`));
+
+      statements.push(env.DB.prepare(
+        'UPDATE rfqs SET updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+      ).bind(rfq.id));
+
+      const results = await env.DB.batch(statements);
+      const quoteId = results[results.length - 2].meta.last_row_id;
+
+      // Log audit
+      await env.DB.prepare(
+        `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+         VALUES (?, ?, ?, ?, ?)`
+      ).bind('offer', 'quote', quoteId, auth.address, JSON.stringify({ rfqId: rfq.id, amount, role, supersedes: latest?.id ?? null })).run();
+
+      const counterparty = role === 'provider' ? rfq.buyer_address : rfq.provider_address;
+      await Webhooks.enqueue(env, 'quote.received', [counterparty], {
+        rfqId: rfq.id,
+        quoteId,
+        fromAddress: auth.address,
+        amountUSDC: amount,
+        message
+      });
+
+      return Handlers.getRfqRecord(rfq.id, env, 201);
+    } catch (error) {
+      console.error('Create quote error:', error);
+      return ApiResponse.error('Failed to create quote', 500);
+    }
+  }
+
+  static async acceptQuote(id, quoteId, request, env) {
+    try {
+      const body = await request.text();
+      const { rfq, auth, error } = await Handlers.authorizeRfq(id, request, env, body);
+      if (error) return error;
+
+      const quote = await env.DB.prepare(
+        'SELECT * FROM quotes WHERE id = ? AND rfq_id = ?'
+      ).bind(parseInt(quoteId), rfq.id).first();
+
+      if (!quote) {
+        return ApiResponse.error('Quote not found', 404);
+      }
+
+      if (quote.author_address === auth.address) {
+        return ApiResponse.error('You cannot accept your own offer', 403);
+      }
+
+      const status = Negotiation.effectiveStatus(quote);
+      if (rfq.status !== 'open' || status !== 'offered') {
+        return ApiResponse.error(`Quote is ${status} and RFQ is ${rfq.status}; only the latest open offer can be accepted`, 409);
+      }
+
+      // Guard on the open status so two accepts can't both win
+      const results = await env.DB.batch([
+        env.DB.prepare(
+          "UPDATE rfqs SET status = 'accepted', accepted_quote_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'open'"
+        ).bind(quote.id, rfq.id),
+        env.DB.prepare(
+          "UPDATE quotes SET status = 'accepted' WHERE id = ? AND status = 'offered' AND EXISTS (SELECT 1 FROM rfqs WHERE id = ? AND accepted_quote_id = ?)"
+        ).bind(quote.id, rfq.id, quote.id)
+      ]);
+
+      if (!results[0].meta.changes) {
+        return ApiResponse.error('RFQ changed concurrently, please retry', 409);
+      }
+
+      // Log audit
+      await env.DB.prepare(
+        `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+         VALUES (?, ?, ?, ?, ?)`
+      ).bind('accept', 'quote', quote.id, auth.address, JSON.stringify({ rfqId: rfq.id, amount: quote.amount_usdc })).run();
+
+      await Webhooks.enqueue(env, 'quote.accepted', [quote.author_address], {
+        rfqId: rfq.id,
+        quoteId: quote.id,
+        amountUSDC: quote.amount_usdc,
+        acceptedBy: auth.address
+      });
+
+      return Handlers.getRfqRecord(rfq.id, env);
+    } catch (error) {
+      console.error('Accept quote error:', error);
+      return ApiResponse.error('Failed to accept quote', 500);
+    }
+  }
+
+  static async cancelRfq(id, request, env) {
+    try {
+      const body = await request.text();
+      const { rfq, auth, error } = await Handlers.authorizeRfq(id, request, env, body);
+      if (error) return error;
+
+      if (!['open', 'accepted'].includes(rfq.status)) {
+        return ApiResponse.error(`RFQ is already ${rfq.status}`, 409);
+      }
+
+      await env.DB.batch([
+        env.DB.prepare(
+          "UPDATE rfqs SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ?"
+        ).bind(rfq.id),
+        env.DB.prepare(
+          "UPDATE quotes SET status = 'withdrawn' WHERE rfq_id = ? AND status IN ('offered', 'accepted')"
+        ).bind(rfq.id),
+        env.DB.prepare(
+          `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+           VALUES (?, ?, ?, ?, ?)`
+        ).bind('cancel', 'rfq', rfq.id, auth.address, JSON.stringify({ previousStatus: rfq.status }))
+      ]);
+
+      return Handlers.getRfqRecord(rfq.id, env);
+    } catch (error) {
+      console.error('Cancel RFQ error:', error);
+      return ApiResponse.error('Failed to cancel RFQ', 500);
+    }
+  }
+
+  static async getRequest(id, env) {
+    try {
+      const requestId = parseInt(id);
+      if (isNaN(requestId)) {
+        return ApiResponse.error('Invalid request ID', 400);
+      }
+
+      const serviceRequest = await env.DB.prepare(
+        `SELECT 
+          sr.id, sr.service_id as serviceId, s.name as serviceName,
+          sr.buyer_address as buyerAddress, sr.provider_address as providerAddress,
+          sr.tx_hash as txHash, sr.amount_usdc as amountUSDC, sr.status,
+          sr.onchain_request_id as onchainRequestId,
+          sr.payment_scheme as paymentScheme, sr.settlement_tx_hash as settlementTxHash,
+          sr.created_at as createdAt, sr.completed_at as completedAt
+        FROM service_requests sr
+        JOIN services s ON sr.service_id = s.id
+        WHERE sr.id = ?`
+      ).bind(requestId).first();
+
+      if (!serviceRequest) {
+        return ApiResponse.error('Service request not found', 404);
+      }
+
+      const history = await env.DB.prepare(
+        `SELECT 
+          from_status as fromStatus, to_status as toStatus,
+          actor_address as actorAddress, source, tx_hash as txHash,
+          note, created_at as createdAt
+        FROM request_events
+        WHERE request_id = ?
+        ORDER BY id ASC`
+      ).bind(requestId).all();
+
+      const timeoutAt = RequestLifecycle.timeoutAt({ completed_at: serviceRequest.completedAt });
+
+      return ApiResponse.success({
+        ...serviceRequest,
+        timeoutAt: serviceRequest.status === 'completed' && timeoutAt ? new Date(timeoutAt).toISOString() : null,
+        history: history.results || []
+      });
+    } catch (error) {
+      console.error('Get request error:', error);
+      return ApiResponse.error('Failed to fetch service request', 500);
+    }
+  }
+
+  static async transitionRequest(id, action, request, env) {
+    try {
+      const requestId = parseInt(id);
+      if (isNaN(requestId)) {
+        return ApiResponse.error('Invalid request ID', 400);
+      }
+
+      const body = await request.text();
+      const data = body ? JSON.parse(body) : {};
+
+      const serviceRequest = await env.DB.prepare(
+        'SELECT * FROM service_requests WHERE id = ?'
+      ).bind(requestId).first();
+
+      if (!serviceRequest) {
+        return ApiResponse.error('Service request not found', 404);
+      }
+
+      // Either party may sign; the state machine decides what they may do
+      const auth = await Auth.verify(request, env, { body });
+      if (!auth.ok) {
+        return ApiResponse.error(auth.message, auth.status);
+      }
+
+      const role = RequestLifecycle.roleOf(serviceRequest, auth.address);
+      const check = RequestLifecycle.check(serviceRequest, action, role);
+      if (!check.ok) {
+        return ApiResponse.error(check.message, check.status);
+      }
+
+      // Escrow-backed requests settle on-chain; the API only follows a contract call it can see
+      const proof = RequestLifecycle.onchainProof(serviceRequest, action);
+      if (proof) {
+        if (serviceRequest.onchain_request_id == null) {
+          return ApiResponse.error('Escrow is not linked to an on-chain request yet', 409);
+        }
+        if (!data.txHash) {
+          return ApiResponse.error(`txHash of the ${proof.call} transaction is required for escrow-backed requests`, 400);
+        }
+
+        const verification = await Chain.verifyRequestEvent(env, {
+          txHash: data.txHash,
+          eventName: proof.event,
+          onchainRequestId: serviceRequest.onchain_request_id
+        });
+
+        if (verification.status === 'rejected') {
+          return ApiResponse.error('Transaction does not match this request', 422, [verification.reason]);
+        }
+        if (verification.status === 'unverified') {
+          return ApiResponse.error('Transaction could not be verified yet, please retry', 409, [verification.reason]);
+        }
+      }
+
+      const note = data.note ? Validator.sanitizeString(data.note, 1000) : null;
+      const completedAt = action === 'complete' ? ', completed_at = CURRENT_TIMESTAMP' : '';
+
+      // Guard on the current status so concurrent transitions can't both apply
+      const result = await env.DB.prepare(
+        `UPDATE service_requests SET status = ?${completedAt} WHERE id = ? AND status = ?`
+      ).bind(check.to, requestId, check.from).run();
+
+      if (!result.meta.changes) {
+        return ApiResponse.error('Request state changed concurrently, please retry', 409);
+      }
+
+      await env.DB.prepare(
+        `INSERT INTO request_events (request_id, from_status, to_status, actor_address, source, tx_hash, note)
+         VALUES (?, ?, ?, ?, 'api', ?, ?)`
+      ).bind(requestId, check.from, check.to, auth.address, data.txHash || null, note).run();
+
+      // Prepaid uses give back what they drew
+      if (check.to === 'cancelled') {
+        await Billing.refundStatement(env, requestId).run();
+      }
+
+      // Log audit
+      await env.DB.prepare(
+        `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+         VALUES (?, ?, ?, ?, ?)`
+      ).bind(action, 'service_request', requestId, auth.address,
+        JSON.stringify({ from: check.from, to: check.to, role, txHash: data.txHash || null })).run();
+
+      if (check.to === 'completed') {
+        await Webhooks.enqueue(env, 'request.completed', [serviceRequest.buyer_address, serviceRequest.provider_address], {
+          requestId,
+          serviceId: serviceRequest.service_id,
+          status: check.to,
+          txHash: data.txHash || null
+        });
+      }
+      await ResponseCache.invalidate(env, [
+        ResponseCache.agentScope(serviceRequest.buyer_address),
+        ResponseCache.agentScope(serviceRequest.provider_address)
+      ]);
+
+      return Handlers.getRequest(requestId, env);
+    } catch (error) {
+      console.error('Request transition error:', error);
+      return ApiResponse.error('Failed to update service request', 500);
+    }
+  }
+
+  // Load a service request and check that the signed wallet is the buyer or provider on it
+  // (or, with allowArbiter, a configured arbiter)
+  static async authorizeRequest(id, request, env, body, { allowArbiter = false } = {}) {
+    const requestId = parseInt(id);
+    if (isNaN(requestId)) {
+      return { error: ApiResponse.error('Invalid request ID', 400) };
+    }
+
+    const serviceRequest = await env.DB.prepare(
+      `SELECT sr.*, s.output_schema
+       FROM service_requests sr
+       JOIN services s ON s.id = sr.service_id
+       WHERE sr.id = ?`
+    ).bind(requestId).first();
+
+    if (!serviceRequest) {
+      return { error: ApiResponse.error('Service request not found', 404) };
+    }
+
+    const auth = await Auth.verify(request, env, { body });
+    if (!auth.ok) {
+      return { error: ApiResponse.error(auth.message, auth.status) };
+    }
+
+    let role = RequestLifecycle.roleOf(serviceRequest, auth.address);
+    if (!role && allowArbiter && Disputes.isArbiter(env, auth.address)) {
+      role = 'arbiter';
+    }
+    if (!role) {
+      const who = allowArbiter ? 'buyer, provider and arbiters' : 'buyer and provider';
+      return { error: ApiResponse.error(`Only the ${who} can access this request`, 403) };
+    }
+
+    return { serviceRequest, auth, role };
+  }
+
+  static async submitDeliverable(id, request, env) {
+    try {
+      const body = await request.text();
+      const data = JSON.parse(body);
+
+      const { serviceRequest, auth, role, error } = await Handlers.authorizeRequest(id, request, env, body);
+      if (error) return error;
+
+      if (role !== 'provider') {
+        return ApiResponse.error('Only the provider can submit deliverables', 403);
+      }
+
+      if (!SUBMIT_STATES.includes(serviceRequest.status)) {
+        return ApiResponse.error(
+          `Cannot submit a deliverable for a request in state "${serviceRequest.status}" (allowed in: ${SUBMIT_STATES.join(', ')})`,
+          409
+        );
+      }
+
+      const decoded = Deliverables.decode(data.content, data.encoding);
+      if (!decoded.ok) {
+        return ApiResponse.error('Validation failed', 400, [decoded.message]);
+      }
+
+      const { bytes } = decoded;
+      if (bytes.length > MAX_DELIVERABLE_BYTES) {
+        return ApiResponse.error(`Deliverable exceeds ${MAX_DELIVERABLE_BYTES} bytes`, 413);
+      }
+
+      const contentType = data.contentType || (data.encoding === 'base64' ? 'application/octet-stream' : 'text/plain; charset=utf-8');
+
+      // Listings with an output schema only accept conforming deliverables
+      const validation = Deliverables.check(bytes, contentType, serviceRequest.output_schema);
+      if (validation.status === 'invalid') {
+        return ApiResponse.error('Deliverable does not match the service output schema', 422, validation.errors);
+      }
+
+      const contentHash = Deliverables.hash(bytes);
+      const stored = await Deliverables.store(env, serviceRequest.id, bytes, { contentType, contentHash });
+      if (!stored.ok) {
+        return ApiResponse.error(stored.message, stored.status);
+      }
+
+      const note = data.note ? Validator.sanitizeString(data.note, 1000) : null;
+
+      const result = await env.DB.prepare(
+        `INSERT INTO deliverables (request_id, provider_address, content_type, size_bytes, content_hash, storage, inline_content, r2_key, validation, note)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      ).bind(
+        serviceRequest.id, auth.address, contentType, bytes.length, contentHash,
+        stored.storage, stored.inlineContent, stored.r2Key, validation.status, note
+      ).run();
+
+      const deliverable = await env.DB.prepare(
+        'SELECT * FROM deliverables WHERE id = ?'
+      ).bind(result.meta.last_row_id).first();
+
+      // Log audit
+      await env.DB.prepare(
+        `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+         VALUES (?, ?, ?, ?, ?)`
+      ).bind('deliver', 'service_request', serviceRequest.id, auth.address,
+        JSON.stringify({ deliverableId: deliverable.id, contentHash, sizeBytes: bytes.length })).run();
+
+      await Webhooks.enqueue(env, 'deliverable.submitted', [serviceRequest.buyer_address], {
+        requestId: serviceRequest.id,
+        deliverableId: deliverable.id,
+        contentType,
+        sizeBytes: bytes.length,
+        contentHash
+      });
+
+      return ApiResponse.created(Deliverables.toResponse(deliverable));
+    } catch (error) {
+      console.error('Submit deliverable error:', error);
+      return ApiResponse.error('Failed to submit deliverable', 500);
+    }
+  }
+
+  static async listDeliverables(id, request, env) {
+    try {
+      const { serviceRequest, role, error } = await Handlers.authorizeRequest(id, request, env, '');
+      if (error) return error;
+
+      const deliverables = await env.DB.prepare(
+        'SELECT * FROM deliverables WHERE request_id = ? ORDER BY id ASC'
+      ).bind(serviceRequest.id).all();
+
+      return ApiResponse.success(
+        (deliverables.results || []).map((deliverable) => Deliverables.toResponse(deliverable)),
+        { contentAvailable: role === 'provider' || BUYER_VISIBLE_STATES.includes(serviceRequest.status) }
+      );
+    } catch (error) {
+      console.error('List deliverables error:', error);
+      return ApiResponse.error('Failed to fetch deliverables', 500);
+    }
+  }
+
+  // Raw deliverable content, served with its own Content-Type
+  static async getDeliverableContent(id, deliverableId, request, env) {
+    try {
+      const { serviceRequest, role, error } = await Handlers.authorizeRequest(id, request, env, '');
+      if (error) return error;
+
+      // Buyers only get the work once the provider has marked it delivered
+      if (role === 'buyer' && !BUYER_VISIBLE_STATES.includes(serviceRequest.status)) {
+        return ApiResponse.error(
+          `Deliverable content is available once the request is ${BUYER_VISIBLE_STATES.join(', ')} (currently "${serviceRequest.status}")`,
+          403
+        );
+      }
+
+      const deliverable = await env.DB.prepare(
+        'SELECT * FROM deliverables WHERE id = ? AND request_id = ?'
+      ).bind(parseInt(deliverableId), serviceRequest.id).first();
+
+      if (!deliverable) {
+        return ApiResponse.error('Deliverable not found', 404);
+      }
+
+      const bytes = await Deliverables.load(env, deliverable);
+      if (!bytes) {
+        return ApiResponse.error('Deliverable content is no longer available', 410);
+      }
+
+      return new Response(bytes, {
+        status: 200,
+        headers: {
+          ...ApiResponse.getHeaders(),
+          'Content-Type': deliverable.content_type,
+          'Content-Length': String(bytes.length),
+          'X-Content-Hash': deliverable.content_hash,
+          'Cache-Control': 'private, no-store'
+        }
+      });
+    } catch (error) {
+      console.error('Get deliverable error:', error);
+      return ApiResponse.error('Failed to fetch deliverable', 500);
+    }
+  }
+
+  static async openDispute(id, request, env) {
+    try {
+      const body = await request.text();
+      const data = JSON.parse(body);
+
+      const { serviceRequest, auth, role, error } = await Handlers.authorizeRequest(id, request, env, body);
+      if (error) return error;
+
+      if (!DISPUTE_STATES.includes(serviceRequest.status)) {
+        return ApiResponse.error(
+          `Cannot dispute a request in state "${serviceRequest.status}" (allowed from: ${DISPUTE_STATES.join(', ')})`,
+          409
+        );
+      }
+
+      const reason = Validator.sanitizeString(data.reason, 5000);
+      const evidence = JSON.stringify(data.evidence || []);
+
+      // Guard on the current status so concurrent transitions can't both apply
+      const result = await env.DB.prepare(
+        "UPDATE service_requests SET status = 'disputed' WHERE id = ? AND status = ?"
+      ).bind(serviceRequest.id, serviceRequest.status).run();
+
+      if (!result.meta.changes) {
+        return ApiResponse.error('Request state changed concurrently, please retry', 409);
+      }
+
+      await env.DB.batch([
+        env.DB.prepare(
+          `INSERT INTO disputes (request_id, raised_by, raised_by_role, reason, evidence, previous_status)
+           VALUES (?, ?, ?, ?, ?, ?)`
+        ).bind(serviceRequest.id, auth.address, role, reason, evidence, serviceRequest.status),
+        env.DB.prepare(
+          `INSERT INTO request_events (request_id, from_status, to_status, actor_address, source, tx_hash, note)
+           VALUES (?, ?, 'disputed', ?, 'api', ?, ?)`
+        ).bind(serviceRequest.id, serviceRequest.status, auth.address, data.txHash || null, reason.slice(0, 1000)),
+        // Ratings on this request stop counting until the dispute is resolved
+        Disputes.ratingStatement(env, serviceRequest.provider_address),
+        env.DB.prepare(
+          `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+           VALUES (?, ?, ?, ?, ?)`
+        ).bind('dispute', 'service_request', serviceRequest.id, auth.address,
+          JSON.stringify({ from: serviceRequest.status, role, txHash: data.txHash || null })),
+        Webhooks.enqueueStatement(env, 'dispute.opened',
+          [serviceRequest.buyer_address, serviceRequest.provider_address, ...Disputes.getArbiters(env)], {
+            requestId: serviceRequest.id,
+            raisedBy: auth.address,
+            raisedByRole: role,
+            reason
+          })
+      ]);
+      await ResponseCache.invalidate(env, [
+        'services',
+        ResponseCache.agentScope(serviceRequest.buyer_address),
+        ResponseCache.agentScope(serviceRequest.provider_address)
+      ]);
+
+      return Handlers.getDisputeRecord(serviceRequest.id, env, 201);
+    } catch (error) {
+      console.error('Open dispute error:', error);
+      return ApiResponse.error('Failed to open dispute', 500);
+    }
+  }
+
+  // Dispute with its message thread
+  static async getDisputeRecord(requestId, env, status = 200) {
+    const dispute = await env.DB.prepare(
+      'SELECT * FROM disputes WHERE request_id = ?'
+    ).bind(requestId).first();
+
+    if (!dispute) {
+      return ApiResponse.error('No dispute on this request', 404);
+    }
+
+    const messages = await env.DB.prepare(
+      'SELECT * FROM dispute_messages WHERE dispute_id = ? ORDER BY id ASC'
+    ).bind(dispute.id).all();
+
+    const data = {
+      ...Disputes.toResponse(dispute),
+      messages: (messages.results || []).map((message) => Disputes.messageToResponse(message))
+    };
+
+    return status === 201 ? ApiResponse.created(data) : ApiResponse.success(data);
+  }
+
+  static async getDispute(id, request, env) {
+    try {
+      const { serviceRequest, error } = await Handlers.authorizeRequest(id, request, env, '', { allowArbiter: true });
+      if (error) return error;
+
+      return Handlers.getDisputeRecord(serviceRequest.id, env);
+    } catch (error) {
+      console.error('Get dispute error:', error);
+      return ApiResponse.error('Failed to fetch dispute', 500);
+    }
+  }
+
+  static async addDisputeMessage(id, request, env) {
+    try {
+      const body = await request.text();
+      const data = JSON.parse(body);
+
+      const { serviceRequest, auth, role, error } = await Handlers.authorizeRequest(id, request, env, body, { allowArbiter: true });
+      if (error) return error;
+
+      const dispute = await env.DB.prepare(
+        "SELECT * FROM disputes WHERE request_id = ? AND status = 'open'"
+      ).bind(serviceRequest.id).first();
+
+      if (!dispute) {
+        return ApiResponse.error('No open dispute on this request', 409);
+      }
+
+      const messageBody = Validator.sanitizeString(data.body, 5000);
+
+      await env.DB.prepare(
+        `INSERT INTO dispute_messages (dispute_id, author_address, author_role, body, evidence)
+         VALUES (?, ?, ?, ?, ?)`
+      ).bind(dispute.id, auth.address, role, messageBody, JSON.stringify(data.evidence || [])).run();
+
+      const recipients = [serviceRequest.buyer_address, serviceRequest.provider_address, ...Disputes.getArbiters(env)]
+        .filter((address) => address !== auth.address);
+
+      await Webhooks.enqueue(env, 'dispute.message', recipients, {
+        requestId: serviceRequest.id,
+        disputeId: dispute.id,
+        authorAddress: auth.address,
+        authorRole: role,
+        body: messageBody
+      });
+
+      return Handlers.getDisputeRecord(serviceRequest.id, env, 201);
+    } catch (error) {
+      console.error('Dispute message error:', error);
+      return ApiResponse.error('Failed to post dispute message', 500);
+    }
+  }
+
+  static async resolveDispute(id, request, env) {
+    try {
+      const body = await request.text();
+      const data = JSON.parse(body);
+
+      const { serviceRequest, auth, role, error } = await Handlers.authorizeRequest(id, request, env, body, { allowArbiter: true });
+      if (error) return error;
+
+      // A party to the request can't rule on it, even if they are also an arbiter
+      if (role !== 'arbiter') {
+        return ApiResponse.error('Only an arbiter can resolve disputes', 403);
+      }
+
+      const dispute = await env.DB.prepare(
+        "SELECT * FROM disputes WHERE request_id = ? AND status = 'open'"
+      ).bind(serviceRequest.id).first();
+
+      if (!dispute || serviceRequest.status !== 'disputed') {
+        return ApiResponse.error('No open dispute on this request', 409);
+      }
+
+      const providerAmount = data.providerAmountUSDC !== undefined ? Math.floor(data.providerAmountUSDC * 1000000) : null;
+      const settlement = Disputes.settle(serviceRequest.amount_usdc, data.ruling, providerAmount);
+      if (!settlement.ok) {
+        return ApiResponse.error('Validation failed', 400, [settlement.message]);
+      }
+
+      const note = data.note ? Validator.sanitizeString(data.note, 2000) : null;
+
+      const ruling = {
+        ruling: data.ruling,
+        providerAmountUSDC: settlement.providerAmount,
+        buyerAmountUSDC: settlement.buyerAmount
+      };
+
+      // The request settles in the same batch that records the ruling. History and audit rows
+      // go first and are guarded on the request still being disputed, so a concurrent ruling
+      // leaves no trace
+      const results = await env.DB.batch([
+        env.DB.prepare(
+          `INSERT INTO request_events (request_id, from_status, to_status, actor_address, source, tx_hash, note)
+           SELECT id, 'disputed', ?, ?, 'api', ?, ? FROM service_requests WHERE id = ? AND status = 'disputed'`
+        ).bind(settlement.status, auth.address, data.txHash || null, `Dispute ruling: ${data.ruling}`, serviceRequest.id),
+        env.DB.prepare(
+          `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+           SELECT ?, ?, ?, ?, ? FROM service_requests WHERE id = ? AND status = 'disputed'`
+        ).bind('rule', 'dispute', dispute.id, auth.address,
+          JSON.stringify({ requestId: serviceRequest.id, ...ruling, note, txHash: data.txHash || null }), serviceRequest.id),
+        env.DB.prepare(
+          `UPDATE disputes SET
+             status = 'resolved', ruling = ?, provider_amount_usdc = ?, buyer_amount_usdc = ?,
+             arbiter_address = ?, ruling_note = ?, resolved_at = CURRENT_TIMESTAMP
+           WHERE id = ? AND status = 'open'`
+        ).bind(data.ruling, settlement.providerAmount, settlement.buyerAmount, auth.address, note, dispute.id),
+        env.DB.prepare(
+          "UPDATE service_requests SET status = ? WHERE id = ? AND status = 'disputed'"
+        ).bind(settlement.status, serviceRequest.id),
+        Disputes.ratingStatement(env, serviceRequest.provider_address)
+      ]);
+
+      if (!results[3].meta.changes) {
+        return ApiResponse.error('Request state changed concurrently, please retry', 409);
+      }
+
+      await Webhooks.enqueue(env, 'dispute.resolved', [serviceRequest.buyer_address, serviceRequest.provider_address], {
+        requestId: serviceRequest.id,
+        disputeId: dispute.id,
+        status: settlement.status,
+        ...ruling,
+        note
+      });
+      await ResponseCache.invalidate(env, [
+        'services',
+        ResponseCache.agentScope(serviceRequest.buyer_address),
+        ResponseCache.agentScope(serviceRequest.provider_address)
+      ]);
+
+      return Handlers.getDisputeRecord(serviceRequest.id, env);
+    } catch (error) {
+      console.error('Resolve dispute error:', error);
+      return ApiResponse.error('Failed to resolve dispute', 500);
+    }
+  }
+
+  // Arbiters see every dispute; buyers and providers see their own
+  static async listDisputes(request, env) {
+    try {
+      const auth = await Auth.verify(request, env, { body: '' });
+      if (!auth.ok) {
+        return ApiResponse.error(auth.message, auth.status);
+      }
+
+      const url = new URL(request.url);
+      const status = url.searchParams.get('status');
+
+      let whereClause = 'WHERE 1 = 1';
+      const params = [];
+      if (!Disputes.isArbiter(env, auth.address)) {
+        whereClause = 'WHERE (sr.buyer_address = ? OR sr.provider_address = ?)';
+        params.push(auth.address, auth.address);
+      }
+      if (status) {
+        whereClause += ' AND d.status = ?';
+        params.push(status);
+      }
+
+      const disputes = await env.DB.prepare(
+        `SELECT d.*, sr.buyer_address, sr.provider_address, sr.amount_usdc,
+          (SELECT COUNT(*) FROM dispute_messages dm WHERE dm.dispute_id = d.id) as message_count
+        FROM disputes d
+        JOIN service_requests sr ON sr.id = d.request_id
+        ${whereClause}
+        ORDER BY d.created_at DESC
+        LIMIT 100`
+      ).bind(...params).all();
+
+      return ApiResponse.success((disputes.results || []).map((dispute) => ({
+        ...Disputes.toResponse(dispute),
+        buyerAddress: dispute.buyer_address,
+        providerAddress: dispute.provider_address,
+        amountUSDC: dispute.amount_usdc,
+        messageCount: dispute.message_count
+      })));
+    } catch (error) {
+      console.error('List disputes error:', error);
+      return ApiResponse.error('Failed to fetch disputes', 500);
+    }
+  }
+
+  static async createWebhook(request, env) {
+    try {
+      const body = await request.text();
+      const data = JSON.parse(body);
+
+      const auth = await Auth.verify(request, env, { body, expectedAddress: data.ownerAddress });
+      if (!auth.ok) {
+        return ApiResponse.error(auth.message, auth.status);
+      }
+
+      const count = await env.DB.prepare(
+        'SELECT COUNT(*) as total FROM webhook_subscriptions WHERE owner_address = ? AND active = 1'
+      ).bind(auth.address).first();
+
+      if ((count?.total || 0) >= MAX_SUBSCRIPTIONS_PER_WALLET) {
+        return ApiResponse.error(`A wallet can have at most ${MAX_SUBSCRIPTIONS_PER_WALLET} active webhooks`, 409);
+      }
+
+      const secret = Webhooks.generateSecret();
+      const events = [...new Set(data.events)];
+
+      const result = await env.DB.prepare(
+        `INSERT INTO webhook_subscriptions (owner_address, url, event_types, secret)
+         VALUES (?, ?, ?, ?)`
+      ).bind(auth.address, data.url, JSON.stringify(events), secret).run();
+
+      // Log audit
+      await env.DB.prepare(
+        `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+         VALUES (?, ?, ?, ?, ?)`
+      ).bind('create', 'webhook', result.meta.last_row_id, auth.address, JSON.stringify({ url: data.url, events })).run();
+
+      // The secret is only ever returned here
+      return ApiResponse.created({
+        id: result.meta.last_row_id,
+        ownerAddress: auth.address,
+        url: data.url,
+        events,
+        secret,
+        signature: 'X-Exchange-Signature: t=<unix>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>'
+      });
+    } catch (error) {
+      console.error('Create webhook error:', error);
+      return ApiResponse.error('Failed to create webhook', 500);
+    }
+  }
+
+  static async listWebhooks(request, env) {
+    try {
+      const auth = await Auth.verify(request, env, { body: '' });
+      if (!auth.ok) {
+        return ApiResponse.error(auth.message, auth.status);
+      }
+
+      const webhooks = await env.DB.prepare(
+        `SELECT 
+          ws.id, ws.url, ws.event_types as events, ws.active, ws.created_at as createdAt,
+          (SELECT COUNT(*) FROM webhook_deliveries wd WHERE wd.subscription_id = ws.id AND wd.status = 'pending') as pendingDeliveries,
+          (SELECT COUNT(*) FROM webhook_deliveries wd WHERE wd.subscription_id = ws.id AND wd.status = 'failed') as failedDeliveries
+        FROM webhook_subscriptions ws
+        WHERE ws.owner_address = ? AND ws.active = 1
+        ORDER BY ws.created_at DESC`
+      ).bind(auth.address).all();
+
+      return ApiResponse.success((webhooks.results || []).map((webhook) => ({
+        ...webhook,
+        events: JSON.parse(webhook.events),
+        active: Boolean(webhook.active)
+      })), {
+        availableEvents: WEBHOOK_EVENTS
+      });
+    } catch (error) {
+      console.error('List webhooks error:', error);
+      return ApiResponse.error('Failed to fetch webhooks', 500);
+    }
+  }
+
+  // Load a subscription and check that the signed wallet owns it
+  static async authorizeWebhook(id, request, env, body) {
+    const webhookId = parseInt(id);
+    if (isNaN(webhookId)) {
+      return { error: ApiResponse.error('Invalid webhook ID', 400) };
+    }
+
+    const webhook = await env.DB.prepare(
+      'SELECT * FROM webhook_subscriptions WHERE id = ? AND active = 1'
+    ).bind(webhookId).first();
+
+    if (!webhook) {
+      return { error: ApiResponse.error('Webhook not found', 404) };
+    }
+
+    const auth = await Auth.verify(request, env, {
+      body,
+      expectedAddress: webhook.owner_address,
+      forbiddenMessage: 'Only the owner can manage this webhook'
+    });
+    if (!auth.ok) {
+      return { error: ApiResponse.error(auth.message, auth.status) };
+    }
+
+    return { webhook, auth };
+  }
+
+  static async deleteWebhook(id, request, env) {
+    try {
+      const body = await request.text();
+      const { webhook, auth, error } = await Handlers.authorizeWebhook(id, request, env, body);
+      if (error) return error;
+
+      await env.DB.batch([
+        env.DB.prepare('UPDATE webhook_subscriptions SET active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?').bind(webhook.id),
+        env.DB.prepare("UPDATE webhook_deliveries SET status = 'cancelled' WHERE subscription_id = ? AND status = 'pending'").bind(webhook.id),
+        env.DB.prepare(
+          `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+           VALUES (?, ?, ?, ?, ?)`
+        ).bind('delete', 'webhook', webhook.id, auth.address, JSON.stringify({ url: webhook.url }))
+      ]);
+
+      return ApiResponse.success({ id: webhook.id, active: false });
+    } catch (error) {
+      console.error('Delete webhook error:', error);
+      return ApiResponse.error('Failed to delete webhook', 500);
+    }
+  }
+
+  static async listWebhookDeliveries(id, request, env) {
+    try {
+      const { webhook, error } = await Handlers.authorizeWebhook(id, request, env, '');
+      if (error) return error;
+
+      const url = new URL(request.url);
+      const limit = Math.min(100, Math.max(1, parseInt(url.searchParams.get('limit')) || 20));
+      const status = url.searchParams.get('status');
+
+      let whereClause = 'WHERE subscription_id = ?';
+      const params = [webhook.id];
+      if (status) {
+        whereClause += ' AND status = ?';
+        params.push(status);
+      }
+
+      const deliveries = await env.DB.prepare(
+        `SELECT 
+          id, event_type as eventType, status, attempts,
+          last_status_code as lastStatusCode, last_error as lastError,
+          created_at as createdAt, last_attempt_at as lastAttemptAt,
+          next_attempt_at as nextAttemptAt, delivered_at as deliveredAt,
+          payload
+        FROM webhook_deliveries
+        ${whereClause}
+        ORDER BY id DESC
+        LIMIT ?`
+      ).bind(...params, limit).all();
+
+      return ApiResponse.success((deliveries.results || []).map((delivery) => ({
+        ...delivery,
+        payload: JSON.parse(delivery.payload)
+      })));
+    } catch (error) {
+      console.error('List webhook deliveries error:', error);
+      return ApiResponse.error('Failed to fetch webhook deliveries', 500);
+    }
+  }
+
+  // Check that the signed wallet is a configured admin
+  static async authorizeAdmin(request, env, body) {
+    const auth = await Auth.verify(request, env, { body });
+    if (!auth.ok) {
+      return { error: ApiResponse.error(auth.message, auth.status) };
+    }
+
+    if (!Moderation.isAdmin(env, auth.address)) {
+      return { error: ApiResponse.error('Only admins can use this endpoint', 403) };
+    }
+
+    return { auth };
+  }
+
+  static async listReports(request, env) {
+    try {
+      const { error } = await Handlers.authorizeAdmin(request, env, '');
+      if (error) return error;
+
+      const url = new URL(request.url);
+      const status = url.searchParams.get('status') || 'open';
+      const limit = Math.min(100, Math.max(1, parseInt(url.searchParams.get('limit')) || 20));
+
+      const reports = await env.DB.prepare(
+        `SELECT r.*, s.name as service_name, s.provider_address, s.moderation_status
+         FROM service_reports r
+         JOIN services s ON s.id = r.service_id
+         WHERE r.status = ?
+         ORDER BY r.id
+         LIMIT ?`
+      ).bind(status, limit).all();
+
+      return ApiResponse.success((reports.results || []).map((report) => ({
+        ...Moderation.reportToResponse(report),
+        service: {
+          name: report.service_name,
+          providerAddress: report.provider_address,
+          moderationStatus: report.moderation_status
+        }
+      })));
+    } catch (error) {
+      console.error('List reports error:', error);
+      return ApiResponse.error('Failed to fetch reports', 500);
+    }
+  }
+
+  static async dismissReport(id, request, env) {
+    try {
+      const reportId = parseInt(id);
+      if (isNaN(reportId)) {
+        return ApiResponse.error('Invalid report ID', 400);
+      }
+
+      const body = await request.text();
+      const data = body ? JSON.parse(body) : {};
+
+      const { auth, error } = await Handlers.authorizeAdmin(request, env, body);
+      if (error) return error;
+
+      const note = data.note ? Validator.sanitizeString(data.note, 2000) : null;
+
+      const report = await env.DB.prepare(
+        `UPDATE service_reports SET status = 'dismissed', reviewed_by = ?, review_note = ?, reviewed_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'open' RETURNING *`
+      ).bind(auth.address, note, reportId).first();
+
+      if (!report) {
+        const exists = await env.DB.prepare('SELECT id FROM service_reports WHERE id = ?').bind(reportId).first();
+        return exists
+          ? ApiResponse.error('Report has already been reviewed', 409)
+          : ApiResponse.error('Report not found', 404);
+      }
+
+      await env.DB.prepare(
+        `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+         VALUES (?, ?, ?, ?, ?)`
+      ).bind('dismiss', 'service_report', report.id, auth.address, JSON.stringify({ serviceId: report.service_id, note })).run();
+
+      return ApiResponse.success(Moderation.reportToResponse(report));
+    } catch (error) {
+      console.error('Dismiss report error:', error);
+      return ApiResponse.error('Failed to dismiss report', 500);
+    }
+  }
+
+  static async listModeratedServices(request, env) {
+    try {
+      const { error } = await Handlers.authorizeAdmin(request, env, '');
+      if (error) return error;
+
+      const url = new URL(request.url);
+      const moderation = url.searchParams.get('moderation');
+      const limit = Math.min(100, Math.max(1, parseInt(url.searchParams.get('limit')) || 20));
+
+      let whereClause = "WHERE s.status != 'deleted' AND s.moderation_status IS NOT NULL";
+      const params = [];
+      if (moderation) {
+        whereClause += ' AND s.moderation_status = ?';
+        params.push(moderation);
+      }
+
+      const services = await env.DB.prepare(
+        `SELECT s.id, s.name, s.provider_address as providerAddress, s.status,
+           s.moderation_status as moderationStatus, s.moderation_reason as moderationReason, s.moderated_at as moderatedAt,
+           (SELECT COUNT(*) FROM service_reports r WHERE r.service_id = s.id AND r.status = 'open') as openReports
+         FROM services s
+         ${whereClause}
+         ORDER BY s.moderated_at DESC
+         LIMIT ?`
+      ).bind(...params, limit).all();
+
+      return ApiResponse.success(services.results || []);
+    } catch (error) {
+      console.error('List moderated services error:', error);
+      return ApiResponse.error('Failed to fetch moderated services', 500);
+    }
+  }
+
+  static async moderateService(id, request, env) {
+    try {
+      const serviceId = parseInt(id);
+      if (isNaN(serviceId)) {
+        return ApiResponse.error('Invalid service ID', 400);
+      }
+
+      const body = await request.text();
+      const data = JSON.parse(body);
+
+      const { auth, error } = await Handlers.authorizeAdmin(request, env, body);
+      if (error) return error;
+
+      const service = await env.DB.prepare(
+        "SELECT id, provider_address, moderation_status FROM services WHERE id = ? AND status != 'deleted'"
+      ).bind(serviceId).first();
+
+      if (!service) {
+        return ApiResponse.error('Service not found', 404);
+      }
+
+      const moderationStatus = Moderation.statusAfter(data.action);
+      const reason = data.reason ? Validator.sanitizeString(data.reason, 2000) : null;
+
+      const statements = [
+        env.DB.prepare(
+          `UPDATE services SET moderation_status = ?, moderation_reason = ?, moderated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`
+        ).bind(moderationStatus, reason, serviceId)
+      ];
+      // Acting on a listing answers the reports against it
+      if (moderationStatus) {
+        statements.push(env.DB.prepare(
+          `UPDATE service_reports SET status = 'actioned', reviewed_by = ?, review_note = ?, reviewed_at = CURRENT_TIMESTAMP
+           WHERE service_id = ? AND status = 'open'`
+        ).bind(auth.address, reason, serviceId));
+      }
+      const results = await env.DB.batch(statements);
+      const reportsClosed = results[1]?.meta.changes ?? 0;
+
+      await env.DB.prepare(
+        `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+         VALUES (?, ?, ?, ?, ?)`
+      ).bind(data.action, 'service', serviceId, auth.address, JSON.stringify({
+        from: service.moderation_status,
+        to: moderationStatus,
+        reason,
+        reportsClosed
+      })).run();
+
+      await ResponseCache.invalidate(env, ResponseCache.serviceScopes(service.provider_address));
+
+      return ApiResponse.success({ id: serviceId, moderationStatus, moderationReason: reason, reportsClosed });
+    } catch (error) {
+      console.error('Moderate service error:', error);
+      return ApiResponse.error('Failed to moderate service', 500);
+    }
+  }
+
+  static async listBans(request, env) {
+    try {
+      const { error } = await Handlers.authorizeAdmin(request, env, '');
+      if (error) return error;
+
+      const bans = await env.DB.prepare('SELECT * FROM address_bans ORDER BY created_at DESC').all();
+
+      return ApiResponse.success((bans.results || []).map((ban) => Moderation.banToResponse(ban)));
+    } catch (error) {
+      console.error('List bans error:', error);
+      return ApiResponse.error('Failed to fetch bans', 500);
+    }
+  }
+
+  static async banAddress(address, request, env) {
+    try {
+      if (!Validator.isValidEthereumAddress(address)) {
+        return ApiResponse.error('Invalid Ethereum address', 400);
+      }
+
+      const body = await request.text();
+      const data = JSON.parse(body);
+
+      const { auth, error } = await Handlers.authorizeAdmin(request, env, body);
+      if (error) return error;
+
+      const normalizedAddress = address.toLowerCase();
+      if (Moderation.isAdmin(env, normalizedAddress)) {
+        return ApiResponse.error('Admins cannot be banned', 400);
+      }
+
+      const reason = data.reason ? Validator.sanitizeString(data.reason, 2000) : null;
+
+      const [ban] = await env.DB.batch([
+        env.DB.prepare(
+          `INSERT INTO address_bans (address, type, reason, banned_by) VALUES (?, ?, ?, ?)
+           ON CONFLICT(address) DO UPDATE SET
+             type = excluded.type, reason = excluded.reason, banned_by = excluded.banned_by, created_at = CURRENT_TIMESTAMP
+           RETURNING *`
+        ).bind(normalizedAddress, data.type, reason, auth.address),
+        env.DB.prepare(
+          `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+           VALUES (?, ?, ?, ?, ?)`
+        ).bind(data.type, 'address_ban', null, auth.address, JSON.stringify({ address: normalizedAddress, reason }))
+      ]);
+
+      await ResponseCache.invalidate(env, ['services', ResponseCache.agentScope(normalizedAddress)]);
+
+      return ApiResponse.success(Moderation.banToResponse(ban.results[0]));
+    } catch (error) {
+      console.error('Ban address error:', error);
+      return ApiResponse.error('Failed to ban address', 500);
+    }
+  }
+
+  static async unbanAddress(address, request, env) {
+    try {
+      if (!Validator.isValidEthereumAddress(address)) {
+        return ApiResponse.error('Invalid Ethereum address', 400);
+      }
+
+      const { auth, error } = await Handlers.authorizeAdmin(request, env, await request.text());
+      if (error) return error;
+
+      const normalizedAddress = address.toLowerCase();
+      const ban = await env.DB.prepare('DELETE FROM address_bans WHERE address = ? RETURNING *')
+        .bind(normalizedAddress).first();
+
+      if (!ban) {
+        return ApiResponse.error('Address is not banned', 404);
+      }
+
+      await env.DB.prepare(
+        `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+         VALUES (?, ?, ?, ?, ?)`
+      ).bind('unban', 'address_ban', null, auth.address, JSON.stringify({ address: normalizedAddress, type: ban.type })).run();
+
+      await ResponseCache.invalidate(env, ['services', ResponseCache.agentScope(normalizedAddress)]);
+
+      return ApiResponse.success({ address: normalizedAddress, banned: false });
+    } catch (error) {
+      console.error('Unban address error:', error);
+      return ApiResponse.error('Failed to lift ban', 500);
+    }
+  }
+
+  static async setMaintenance(request, env) {
+    try {
+      const body = await request.text();
+      const data = JSON.parse(body);
+
+      const { auth, error } = await Handlers.authorizeAdmin(request, env, body);
+      if (error) return error;
+
+      const message = data.message ? Validator.sanitizeString(data.message, 500) : null;
+
+      await env.DB.batch([
+        env.DB.prepare(
+          `UPDATE maintenance_state SET enabled = ?, message = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = 1`
+        ).bind(data.enabled ? 1 : 0, message, auth.address),
+        env.DB.prepare(
+          `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+           VALUES (?, ?, ?, ?, ?)`
+        ).bind(data.enabled ? 'enable' : 'disable', 'maintenance', null, auth.address, JSON.stringify({ message }))
+      ]);
+
+      return ApiResponse.success(await Moderation.maintenance(env));
+    } catch (error) {
+      console.error('Set maintenance error:', error);
+      return ApiResponse.error('Failed to update maintenance mode', 500);
+    }
+  }
+
+  static async getAgent(address, env) {
+    try {
+      let name = null;
+      if (Names.isName(address)) {
+        if (!Names.isConfigured(env)) {
+          return ApiResponse.error('Name lookups are not enabled on this exchange', 503);
+        }
+
+        name = address.toLowerCase();
+        try {
+          address = await Names.resolve(env, name);
+        } catch (error) {
+          console.error('Name resolution error:', error);
+          return ApiResponse.error('Could not resolve the name, please retry', 503);
+        }
+
+        if (!address) {
+          return ApiResponse.error(`${name} does not resolve to an address`, 404);
+        }
+      } else if (!Validator.isValidEthereumAddress(address)) {
+        return ApiResponse.error('Invalid Ethereum address or name', 400);
+      }
+
+      const normalizedAddress = address.toLowerCase();
+
+      // Get agent profile
+      const row = await env.DB.prepare(
+        `SELECT 
+          address,
+          total_services as totalServices,
+          total_transactions as totalTransactions,
+          total_volume_usdc as totalVolumeUSDC,
+          rating_avg as ratingAvg,
+          rating_count as ratingCount,
+          display_name, bio, avatar_url, ens_name, protocols, endpoints, capabilities,
+          created_at as createdAt,
+          updated_at as updatedAt
+        FROM agent_profiles 
+        WHERE address = ?`
+      ).bind(normalizedAddress).first();
+
+      // Get active services
+      const services = await env.DB.prepare(
         `SELECT 
           id, name, description, price_usdc as priceUSDC,
           category, created_at as createdAt
         FROM services 
-        WHERE provider_address = ? AND status = 'active'
+        WHERE provider_address = ? AND status = 'active' AND ${Moderation.availableSql()}
         ORDER BY created_at DESC`
       ).bind(normalizedAddress).all();
 
@@ -551,14 +2961,16 @@ class Handlers {
 
       return ApiResponse.success({
         address: normalizedAddress,
-        profile: profile || {
+        resolvedFrom: name,
+        profile: Profiles.toResponse(row || {
           address: normalizedAddress,
           totalServices: 0,
           totalTransactions: 0,
           totalVolumeUSDC: 0,
           ratingAvg: null,
           ratingCount: 0
-        },
+        }),
+        reputation: await Reputation.forAgent(env, normalizedAddress),
         services: services.results || [],
         recentTransactions: transactions.results || [],
         recentRatings: ratings.results || []
@@ -569,25 +2981,126 @@ class Handlers {
     }
   }
 
-  static async rateAgent(address, request, env) {
+  static async updateAgent(address, request, env) {
     try {
       if (!Validator.isValidEthereumAddress(address)) {
         return ApiResponse.error('Invalid Ethereum address', 400);
       }
 
       const normalizedAddress = address.toLowerCase();
-      const data = await request.json();
+      const body = await request.text();
+      const data = JSON.parse(body);
+
+      const auth = await Auth.verify(request, env, {
+        body,
+        expectedAddress: normalizedAddress,
+        forbiddenMessage: 'Only the agent can edit its profile'
+      });
+      if (!auth.ok) {
+        return ApiResponse.error(auth.message, auth.status);
+      }
 
-      // Validate input
-      const errors = Validator.validateRating(data);
+      const { columns, errors } = Profiles.columns(data);
       if (errors.length > 0) {
         return ApiResponse.error('Validation failed', 400, errors);
       }
 
+      // A claimed name must point back at this wallet
+      if (columns.ens_name) {
+        if (!Names.isName(columns.ens_name)) {
+          return ApiResponse.error('Validation failed', 400, ['$.ensName: must be an ENS name or Basename such as alice.base.eth']);
+        }
+        if (!Names.isConfigured(env)) {
+          return ApiResponse.error('Name lookups are not enabled on this exchange', 503);
+        }
+
+        let resolved;
+        try {
+          resolved = await Names.resolve(env, columns.ens_name);
+        } catch (error) {
+          console.error('Name resolution error:', error);
+          return ApiResponse.error('Could not resolve the name, please retry', 503);
+        }
+        if (resolved !== normalizedAddress) {
+          return ApiResponse.error(`${columns.ens_name} does not resolve to this wallet`, 422);
+        }
+      }
+
+      const names = Object.keys(columns);
+      await env.DB.prepare(
+        `INSERT INTO agent_profiles (address, ${names.join(', ')}) VALUES (?, ${names.map(() => '?').join(', ')})
+         ON CONFLICT(address) DO UPDATE SET ${names.map((column) => `${column} = excluded.${column}`).join(', ')}, updated_at = CURRENT_TIMESTAMP`
+      ).bind(normalizedAddress, ...names.map((column) => columns[column])).run();
+
+      // Log audit
+      await env.DB.prepare(
+        `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+         VALUES (?, ?, ?, ?, ?)`
+      ).bind('update', 'agent_profile', null, normalizedAddress, JSON.stringify({ fields: names })).run();
+
+      await ResponseCache.invalidate(env, [ResponseCache.agentScope(normalizedAddress)]);
+
+      return Handlers.getAgent(normalizedAddress, env);
+    } catch (error) {
+      console.error('Update agent error:', error);
+      return ApiResponse.error('Failed to update agent profile', 500);
+    }
+  }
+
+  // JSON-RPC over Streamable HTTP; a batch gets a batch back, notifications get 202
+  static async mcp(request, env) {
+    let payload;
+    try {
+      payload = JSON.parse(await request.text());
+    } catch (e) {
+      return ApiResponse.json({ jsonrpc: '2.0', id: null, error: { code: RPC_ERRORS.PARSE_ERROR, message: 'Parse error' } }, 400);
+    }
+
+    const context = {
+      env,
+      origin: new URL(request.url).origin,
+      dispatch: (internal) => routeRequest(internal, env)
+    };
+
+    const messages = Array.isArray(payload) ? payload : [payload];
+    const responses = [];
+    for (const message of messages) {
+      const response = await Mcp.handleMessage(message, context);
+      if (response) responses.push(response);
+    }
+
+    if (responses.length === 0) {
+      const { 'Content-Type': _, ...headers } = ApiResponse.getHeaders();
+      return new Response(null, { status: 202, headers });
+    }
+    return ApiResponse.json(Array.isArray(payload) ? responses : responses[0]);
+  }
+
+  // No server-initiated stream: every response comes back on the POST
+  static async mcpStream() {
+    const { 'Content-Type': _, ...headers } = ApiResponse.getHeaders();
+    return new Response(null, { status: 405, headers: { ...headers, Allow: 'POST' } });
+  }
+
+  static async rateAgent(address, request, env) {
+    try {
+      if (!Validator.isValidEthereumAddress(address)) {
+        return ApiResponse.error('Invalid Ethereum address', 400);
+      }
+
+      const normalizedAddress = address.toLowerCase();
+      const body = await request.text();
+      const data = JSON.parse(body);
+
+      const auth = await Auth.verify(request, env, { body, expectedAddress: data.raterAddress });
+      if (!auth.ok) {
+        return ApiResponse.error(auth.message, auth.status);
+      }
+
       // Verify the request exists and is completed
       const serviceRequest = await env.DB.prepare(
         `SELECT * FROM service_requests 
-         WHERE id = ? AND provider_address = ? AND status = 'completed'`
+         WHERE id = ? AND provider_address = ? AND status IN ('completed', 'finalized')`
       ).bind(data.requestId, normalizedAddress).first();
 
       if (!serviceRequest) {
@@ -625,6 +3138,9 @@ class Handlers {
         review
       ).run();
 
+      // Refresh the provider's rating aggregates
+      await Disputes.ratingStatement(env, normalizedAddress).run();
+
       // Get updated profile
       const profile = await env.DB.prepare(
         `SELECT 
@@ -641,6 +3157,14 @@ class Handlers {
       ).bind('rate', 'agent_rating', data.requestId, data.raterAddress, 
         JSON.stringify({ agent: normalizedAddress, score: data.score })).run();
 
+      await Webhooks.enqueue(env, 'rating.received', [normalizedAddress], {
+        requestId: data.requestId,
+        raterAddress: data.raterAddress.toLowerCase(),
+        score: data.score,
+        review
+      });
+      await ResponseCache.invalidate(env, ['services', ResponseCache.agentScope(normalizedAddress)]);
+
       return ApiResponse.success({
         agentAddress: normalizedAddress,
         requestId: data.requestId,
@@ -656,10 +3180,69 @@ class Handlers {
   }
 }
 
+// operationId (openapi.js) → handler
+const OPERATIONS = {
+  getApiInfo: (params, request, env) => Handlers.getApiInfo(env),
+  getOpenApi: (params, request) => Handlers.getOpenApi(request),
+  healthCheck: (params, request, env) => Handlers.healthCheck(env),
+  getStats: (params, request, env) => Handlers.getStats(env),
+  getStatsTimeseries: (params, request, env) => Handlers.getStatsTimeseries(request, env),
+  getLeaderboard: (params, request, env) => Handlers.getLeaderboard(request, env),
+  listAudit: (params, request, env) => Handlers.listAudit(request, env),
+  verifyAudit: (params, request, env) => Handlers.verifyAudit(request, env),
+  listAuditAnchors: (params, request, env) => Handlers.listAuditAnchors(request, env),
+  getAuthNonce: (params, request, env) => Handlers.getAuthNonce(request, env),
+  listApiKeys: (params, request, env) => Handlers.listApiKeys(request, env),
+  createApiKey: (params, request, env) => Handlers.createApiKey(request, env),
+  revokeApiKey: ({ id }, request, env) => Handlers.revokeApiKey(id, request, env),
+  listServices: (params, request, env) => Handlers.listServices(request, env),
+  createService: (params, request, env) => Handlers.createService(request, env),
+  getService: ({ id }, request, env) => Handlers.getService(id, env),
+  updateService: ({ id }, request, env) => Handlers.updateService(id, request, env),
+  deleteService: ({ id }, request, env) => Handlers.deleteService(id, request, env),
+  requestService: ({ id }, request, env) => Handlers.requestService(id, request, env),
+  callService: ({ id }, request, env) => Handlers.callService(id, request, env),
+  purchaseCredits: ({ id }, request, env) => Handlers.purchaseCredits(id, request, env),
+  getCredits: ({ id }, request, env) => Handlers.getCredits(id, request, env),
+  consumeCredits: ({ id }, request, env) => Handlers.consumeCredits(id, request, env),
+  createRfq: ({ id }, request, env) => Handlers.createRfq(id, request, env),
+  listRfqs: (params, request, env) => Handlers.listRfqs(request, env),
+  getRfq: ({ id }, request, env) => Handlers.getRfq(id, request, env),
+  createQuote: ({ id }, request, env) => Handlers.createQuote(id, request, env),
+  acceptQuote: ({ id, quoteId }, request, env) => Handlers.acceptQuote(id, quoteId, request, env),
+  cancelRfq: ({ id }, request, env) => Handlers.cancelRfq(id, request, env),
+  getRequest: ({ id }, request, env) => Handlers.getRequest(id, env),
+  transitionRequest: ({ id, action }, request, env) => Handlers.transitionRequest(id, action, request, env),
+  submitDeliverable: ({ id }, request, env) => Handlers.submitDeliverable(id, request, env),
+  listDeliverables: ({ id }, request, env) => Handlers.listDeliverables(id, request, env),
+  getDeliverableContent: ({ id, deliverableId }, request, env) => Handlers.getDeliverableContent(id, deliverableId, request, env),
+  openDispute: ({ id }, request, env) => Handlers.openDispute(id, request, env),
+  getDispute: ({ id }, request, env) => Handlers.getDispute(id, request, env),
+  addDisputeMessage: ({ id }, request, env) => Handlers.addDisputeMessage(id, request, env),
+  resolveDispute: ({ id }, request, env) => Handlers.resolveDispute(id, request, env),
+  listDisputes: (params, request, env) => Handlers.listDisputes(request, env),
+  listWebhooks: (params, request, env) => Handlers.listWebhooks(request, env),
+  createWebhook: (params, request, env) => Handlers.createWebhook(request, env),
+  deleteWebhook: ({ id }, request, env) => Handlers.deleteWebhook(id, request, env),
+  listWebhookDeliveries: ({ id }, request, env) => Handlers.listWebhookDeliveries(id, request, env),
+  getAgent: ({ address }, request, env) => Handlers.getAgent(address, env),
+  updateAgent: ({ address }, request, env) => Handlers.updateAgent(address, request, env),
+  rateAgent: ({ address }, request, env) => Handlers.rateAgent(address, request, env),
+  reportService: ({ id }, request, env) => Handlers.reportService(id, request, env),
+  listReports: (params, request, env) => Handlers.listReports(request, env),
+  dismissReport: ({ id }, request, env) => Handlers.dismissReport(id, request, env),
+  listModeratedServices: (params, request, env) => Handlers.listModeratedServices(request, env),
+  moderateService: ({ id }, request, env) => Handlers.moderateService(id, request, env),
+  listBans: (params, request, env) => Handlers.listBans(request, env),
+  banAddress: ({ address }, request, env) => Handlers.banAddress(address, request, env),
+  unbanAddress: ({ address }, request, env) => Handlers.unbanAddress(address, request, env),
+  setMaintenance: (params, request, env) => Handlers.setMaintenance(request, env),
+  mcp: (params, request, env) => Handlers.mcp(request, env),
+  mcpStream: () => Handlers.mcpStream()
+};
+
 // Main Router
 async function handleRequest(request, env) {
-  const url = new URL(request.url);
-  const path = url.pathname;
   const method = request.method;
 
   // Handle CORS preflight
@@ -670,8 +3253,19 @@ async function handleRequest(request, env) {
     });
   }
 
+  // An API key selects the caller's own rate limits; a bad key is refused rather than treated as anonymous
+  const apiKey = ApiKeys.fromRequest(request);
+  let key = null;
+  if (apiKey) {
+    key = await ApiKeys.resolve(env, apiKey);
+    if (!key) {
+      return ApiResponse.error('Invalid or revoked API key', 401);
+    }
+  }
+
   // Check rate limit
-  const rateLimit = await RateLimiter.check(request, env);
+  const rateLimit = await RateLimiter.check(request, env, key);
+  const rateLimitHeaders = RateLimiter.headers(rateLimit);
   if (!rateLimit.allowed) {
     return new Response(JSON.stringify({
       success: false,
@@ -684,40 +3278,114 @@ async function handleRequest(request, env) {
       status: 429,
       headers: {
         ...ApiResponse.getHeaders(),
+        ...rateLimitHeaders,
         'Retry-After': String(rateLimit.retryAfter)
       }
     });
   }
 
-  // Route matching
-  const routes = [
-    { pattern: /^\/$/, methods: ['GET'], handler: () => Handlers.getApiInfo() },
-    { pattern: /^\/health$/, methods: ['GET'], handler: () => Handlers.healthCheck(env) },
-    { pattern: /^\/stats$/, methods: ['GET'], handler: () => Handlers.getStats(env) },
-    { pattern: /^\/services$/, methods: ['GET'], handler: () => Handlers.listServices(request, env) },
-    { pattern: /^\/services$/, methods: ['POST'], handler: () => Handlers.createService(request, env) },
-    { pattern: /^\/services\/([^/]+)$/, methods: ['GET'], handler: (m) => Handlers.getService(m[1], env) },
-    { pattern: /^\/services\/([^/]+)\/request$/, methods: ['POST'], handler: (m) => Handlers.requestService(m[1], request, env) },
-    { pattern: /^\/agents\/([^/]+)$/, methods: ['GET'], handler: (m) => Handlers.getAgent(m[1], env) },
-    { pattern: /^\/agents\/([^/]+)\/rate$/, methods: ['POST'], handler: (m) => Handlers.rateAgent(m[1], request, env) },
-  ];
-
-  for (const route of routes) {
-    const match = path.match(route.pattern);
-    if (match && route.methods.includes(method)) {
-      try {
-        return await route.handler(match);
-      } catch (error) {
-        console.error('Route handler error:', error);
-        return ApiResponse.error('Internal server error', 500);
+  const response = await routeRequest(request, env);
+  for (const [name, value] of Object.entries(rateLimitHeaders)) {
+    response.headers.set(name, value);
+  }
+  return response;
+}
+
+// Match, validate and run a handler; also used by MCP tool calls (no second rate-limit hit)
+async function routeRequest(request, env) {
+  const { pathname } = new URL(request.url);
+
+  const matched = OpenApi.match(request.method, pathname);
+  if (!matched) {
+    return ApiResponse.error('Endpoint not found', 404, {
+      available: OpenApi.paths(),
+      openapi: '/openapi.json'
+    });
+  }
+
+  const { route, params } = matched;
+  try {
+    // Read-only maintenance: refuse writes before anything is validated or a signing nonce is spent
+    if (Moderation.isWrite(route)) {
+      const maintenance = await Moderation.maintenance(env);
+      if (maintenance.active) {
+        return ApiResponse.error(maintenance.message || 'The exchange is in read-only maintenance mode', 503, {
+          maintenance: true,
+          contractPaused: maintenance.contractPaused
+        });
+      }
+    }
+
+    // Bodies are checked against the route's schema before any handler runs
+    if (route.body) {
+      const body = await request.clone().text();
+      if (body || !route.bodyOptional) {
+        let data;
+        try {
+          data = JSON.parse(body);
+        } catch (e) {
+          return ApiResponse.error('Request body must be valid JSON', 400);
+        }
+
+        const errors = Validator.validate(route.body, data);
+        if (errors.length > 0) {
+          return ApiResponse.error('Validation failed', 400, errors);
+        }
       }
     }
+
+    if (ResponseCache.policyFor(route.operationId)) {
+      return await serveCached(route, params, request, env);
+    }
+    return await OPERATIONS[route.operationId](params, request, env);
+  } catch (error) {
+    console.error('Route handler error:', error);
+    return ApiResponse.error('Internal server error', 500);
+  }
+}
+
+// Read-through: X-Cache says HIT, MISS or BYPASS (KV unavailable); a matching If-None-Match gets 304
+async function serveCached(route, params, request, env) {
+  const url = new URL(request.url);
+
+  let cached;
+  try {
+    cached = await ResponseCache.lookup(env, route.operationId, params, url);
+  } catch (e) {
+    // Fail open like the rate limiter: serve uncached rather than error
+    const response = await OPERATIONS[route.operationId](params, request, env);
+    response.headers.set('X-Cache', 'BYPASS');
+    return response;
+  }
+
+  let entry = cached.entry;
+  let status = 'HIT';
+  if (!entry) {
+    status = 'MISS';
+    const response = await OPERATIONS[route.operationId](params, request, env);
+    if (response.status !== 200) {
+      return response;
+    }
+    const body = await response.text();
+    try {
+      entry = await ResponseCache.store(env, cached.key, cached.ttl, body);
+    } catch (e) {
+      entry = { body, etag: ResponseCache.etag(body) };
+    }
   }
 
-  // 404 for unmatched routes
-  return ApiResponse.error('Endpoint not found', 404, {
-    available: ['/', '/health', '/stats', '/services', '/services/:id', '/services/:id/request', '/agents/:address', '/agents/:address/rate']
-  });
+  const headers = {
+    ...ApiResponse.getHeaders(),
+    'Cache-Control': 'no-cache',
+    ETag: entry.etag,
+    'X-Cache': status
+  };
+
+  if (ResponseCache.matches(request.headers.get('If-None-Match'), entry.etag)) {
+    const { 'Content-Type': _, ...notModified } = headers;
+    return new Response(null, { status: 304, headers: notModified });
+  }
+  return new Response(entry.body, { status: 200, headers });
 }
 
 // Export default handler
@@ -741,5 +3409,27 @@ export default {
       
       return errorResponse;
     }
+  },
+
+  // Cron Trigger: sync D1 with contract events, then flush the webhook outbox
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(
+      Indexer.run(env)
+        .then((result) => {
+          // Contract events can touch any table
+          if (result?.events > 0) return ResponseCache.invalidate(env, ['all']);
+        })
+        .catch((error) => console.error('Indexer error:', error))
+        .then(() => Webhooks.deliverPending(env))
+        .catch((error) => console.error('Webhook delivery error:', error))
+        .then(() => Analytics.rollup(env))
+        .then((result) => {
+          if (result.days > 0) return ResponseCache.invalidate(env, ['analytics']);
+        })
+        .catch((error) => console.error('Analytics rollup error:', error))
+        .then(() => AuditLog.seal(env))
+        .then(() => AuditLog.anchor(env))
+        .catch((error) => console.error('Audit seal error:', error))
+    );
   }
 };
\ No newline at end of file
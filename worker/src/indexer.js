@@ -0,0 +1,586 @@
+/**
+ * Contract event indexer
+ *
+ * Runs from the Cron Trigger and replays AgentServiceExchange logs into D1 so
+ * the off-chain tables follow the real escrow lifecycle.
+ *
+ * - Only blocks at least INDEXER_CONFIRMATIONS deep are indexed, so applied
+ *   events are never expected to be reorged out
+ * - The last indexed block hash is kept with the cursor. If it changes, the
+ *   reorg was deeper than the confirmation depth and events from orphaned
+ *   blocks may already be applied; they can't be undone, so the indexer stops
+ *   until an operator repairs the data and resets the cursor (see README)
+ * - Every applied event is recorded in `chain_events` in the same D1 batch as
+ *   its effects, keyed by (tx_hash, tx_log_index), so re-scans never double count
+ *
+ * Configuration (wrangler.toml [vars]):
+ * - INDEXER_START_BLOCK: the contract's deployment block; required unless a
+ *   bundled manifest supplies it
+ * - INDEXER_CONFIRMATIONS: confirmation depth (default 5)
+ * - INDEXER_BLOCK_RANGE: max blocks per eth_getLogs call (default 2000)
+ * - INDEXER_MAX_BATCHES: max eth_getLogs calls per run (default 10)
+ */
+
+import { Chain } from './chain.js';
+import { Deployment } from './deployment.js';
+import { Webhooks } from './webhooks.js';
+import { Disputes } from './disputes.js';
+
+const DEFAULT_CONFIRMATIONS = 5;
+const DEFAULT_BLOCK_RANGE = 2000;
+const DEFAULT_MAX_BATCHES = 10;
+
+// D1 DATETIME format, matching CURRENT_TIMESTAMP
+function toSqlTimestamp(unixSeconds) {
+  return new Date(unixSeconds * 1000).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+export class Indexer {
+  static getConfig(env) {
+    return {
+      startBlock: Deployment.getStartBlock(env),
+      confirmations: parseInt(env.INDEXER_CONFIRMATIONS) || DEFAULT_CONFIRMATIONS,
+      blockRange: parseInt(env.INDEXER_BLOCK_RANGE) || DEFAULT_BLOCK_RANGE,
+      maxBatches: parseInt(env.INDEXER_MAX_BATCHES) || DEFAULT_MAX_BATCHES
+    };
+  }
+
+  static async getCursor(env, config) {
+    const state = await env.DB.prepare(
+      'SELECT last_block as lastBlock, last_block_hash as lastBlockHash FROM indexer_state WHERE id = 1'
+    ).first();
+
+    return state || { lastBlock: config.startBlock - 1, lastBlockHash: null };
+  }
+
+  static saveCursor(env, lastBlock, lastBlockHash) {
+    return env.DB.prepare(
+      `INSERT INTO indexer_state (id, last_block, last_block_hash, updated_at)
+       VALUES (1, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(id) DO UPDATE SET
+         last_block = excluded.last_block,
+         last_block_hash = excluded.last_block_hash,
+         updated_at = CURRENT_TIMESTAMP`
+    ).bind(lastBlock, lastBlockHash).run();
+  }
+
+  /**
+   * Index all confirmed blocks since the cursor (bounded by INDEXER_MAX_BATCHES)
+   * @returns {Promise<{fromBlock: number, toBlock: number, events: number, reorg: boolean}|null>}
+   *   null when on-chain access or the start block is not configured; `reorg` means the
+   *   indexer is halted on a reorg deeper than the confirmation depth
+   */
+  static async run(env) {
+    if (!Chain.isConfigured(env)) {
+      console.warn('Indexer skipped: RPC_URL or contract address not configured');
+      return null;
+    }
+
+    const config = this.getConfig(env);
+    if (config.startBlock === null) {
+      console.warn('Indexer skipped: INDEXER_START_BLOCK not configured and no deployment manifest for CHAIN_ID');
+      return null;
+    }
+
+    const cursor = await this.getCursor(env, config);
+    const fromBlock = cursor.lastBlock + 1;
+
+    // Reorg check: the block we stopped at must still be canonical
+    if (cursor.lastBlockHash) {
+      const block = await Chain.getBlock(env, cursor.lastBlock);
+      if (!block) {
+        throw new Error(`Indexer cursor block ${cursor.lastBlock} not found on the RPC node`);
+      }
+      if (block.hash !== cursor.lastBlockHash) {
+        console.error(
+          `Indexer halted: block ${cursor.lastBlock} was reorged out, deeper than INDEXER_CONFIRMATIONS (${config.confirmations}). ` +
+          'Events from orphaned blocks may be applied; see "Reorgs" in the README to repair and resume'
+        );
+        return { fromBlock, toBlock: cursor.lastBlock, events: 0, reorg: true };
+      }
+    }
+
+    const head = await Chain.getBlockNumber(env);
+    const safeHead = head - config.confirmations;
+    let events = 0;
+    let lastBlock = cursor.lastBlock;
+
+    for (let batch = 0; batch < config.maxBatches && lastBlock < safeHead; batch++) {
+      const start = lastBlock + 1;
+      const end = Math.min(start + config.blockRange - 1, safeHead);
+
+      const logs = await Chain.getLogs(env, start, end);
+      events += await this.processLogs(env, logs);
+
+      const endBlock = await Chain.getBlock(env, end);
+      await this.saveCursor(env, end, endBlock?.hash || null);
+      lastBlock = end;
+    }
+
+    return { fromBlock, toBlock: lastBlock, events, reorg: false };
+  }
+
+  static async processLogs(env, logs) {
+    const blockTimes = new Map();
+    const ordinals = new Map();
+    let applied = 0;
+
+    const sorted = [...logs].sort((a, b) =>
+      parseInt(a.blockNumber, 16) - parseInt(b.blockNumber, 16) ||
+      parseInt(a.logIndex, 16) - parseInt(b.logIndex, 16)
+    );
+
+    for (const log of sorted) {
+      if (log.removed) continue;
+
+      // Position of the log within its transaction; stable if the tx is re-mined in another block
+      const txLogIndex = ordinals.get(log.transactionHash) || 0;
+      ordinals.set(log.transactionHash, txLogIndex + 1);
+
+      const decoded = Chain.decodeLog(log);
+      if (!decoded) continue;
+
+      const seen = await env.DB.prepare(
+        'SELECT id FROM chain_events WHERE tx_hash = ? AND tx_log_index = ?'
+      ).bind(log.transactionHash, txLogIndex).first();
+      if (seen) continue;
+
+      const blockNumber = parseInt(log.blockNumber, 16);
+      if (!blockTimes.has(blockNumber)) {
+        const block = await Chain.getBlock(env, blockNumber);
+        blockTimes.set(blockNumber, block ? toSqlTimestamp(parseInt(block.timestamp, 16)) : null);
+      }
+
+      const event = {
+        name: decoded.eventName,
+        args: decoded.args,
+        txHash: log.transactionHash,
+        txLogIndex,
+        blockNumber,
+        timestamp: blockTimes.get(blockNumber)
+      };
+
+      const statements = await this.buildStatements(env, event);
+
+      await env.DB.batch([
+        env.DB.prepare(
+          `INSERT INTO chain_events (tx_hash, tx_log_index, block_number, event_name, args)
+           VALUES (?, ?, ?, ?, ?)`
+        ).bind(event.txHash, txLogIndex, blockNumber, event.name, JSON.stringify(event.args, (k, v) =>
+          typeof v === 'bigint' ? v.toString() : v
+        )),
+        ...statements
+      ]);
+
+      applied++;
+    }
+
+    return applied;
+  }
+
+  static auditStatement(env, event, entityType, entityId, actor, details = {}) {
+    return env.DB.prepare(
+      `INSERT INTO audit_log (action, entity_type, entity_id, actor_address, details)
+       VALUES (?, ?, ?, ?, ?)`
+    ).bind(
+      `chain:${event.name}`,
+      entityType,
+      entityId,
+      actor ? actor.toLowerCase() : null,
+      JSON.stringify({ txHash: event.txHash, blockNumber: event.blockNumber, ...details })
+    );
+  }
+
+  static historyStatement(env, event, requestId, status, actor) {
+    return env.DB.prepare(
+      `INSERT INTO request_events (request_id, from_status, to_status, actor_address, source, tx_hash)
+       SELECT id, status, ?, ?, 'chain', ? FROM service_requests
+       WHERE onchain_request_id = ? AND status != ?`
+    ).bind(status, actor ? actor.toLowerCase() : null, event.txHash, requestId, status);
+  }
+
+  // History row first, so it can still see the previous status
+  static statusStatements(env, event, requestId, status, actor, extraSql = '', extraParams = []) {
+    return [
+      this.historyStatement(env, event, requestId, status, actor),
+      env.DB.prepare(
+        `UPDATE service_requests SET status = ?${extraSql} WHERE onchain_request_id = ?`
+      ).bind(status, ...extraParams, requestId)
+    ];
+  }
+
+  // Translate one decoded event into the D1 statements that apply it
+  static async buildStatements(env, event) {
+    const { args } = event;
+
+    switch (event.name) {
+      case 'ServiceRegistered': {
+        const serviceId = Number(args.serviceId);
+        const provider = args.provider.toLowerCase();
+
+        // Link the matching off-chain listing, if the provider created one
+        const listing = await env.DB.prepare(
+          `SELECT id FROM services
+           WHERE provider_address = ? AND onchain_service_id IS NULL AND name = ? AND price_usdc = ?
+           ORDER BY created_at ASC LIMIT 1`
+        ).bind(provider, args.name, Number(args.price)).first();
+
+        const statements = [
+          env.DB.prepare(
+            `INSERT INTO agent_profiles (address, total_services) VALUES (?, 1)
+             ON CONFLICT(address) DO UPDATE SET
+               total_services = total_services + 1,
+               updated_at = CURRENT_TIMESTAMP`
+          ).bind(provider),
+          env.DB.prepare(
+            `UPDATE exchange_stats SET
+               total_services = total_services + 1,
+               active_services = active_services + 1,
+               last_updated = CURRENT_TIMESTAMP
+             WHERE id = 1`
+          ),
+          this.auditStatement(env, event, 'service', listing?.id ?? null, provider, { onchainServiceId: serviceId })
+        ];
+
+        if (listing) {
+          statements.push(env.DB.prepare(
+            'UPDATE services SET onchain_service_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+          ).bind(serviceId, listing.id));
+        }
+
+        return statements;
+      }
+
+      case 'ServiceUpdated': {
+        const serviceId = Number(args.serviceId);
+        const listing = await env.DB.prepare(
+          'SELECT id, status, provider_address FROM services WHERE onchain_service_id = ?'
+        ).bind(serviceId).first();
+
+        const statements = [
+          this.auditStatement(env, event, 'service', listing?.id ?? null, null, {
+            onchainServiceId: serviceId,
+            name: args.name,
+            price: Number(args.price),
+            active: args.active
+          })
+        ];
+
+        // Keep the linked listing's price in step with what escrow will charge;
+        // deleted listings stay deleted
+        if (listing && listing.status !== 'deleted') {
+          const status = args.active ? 'active' : 'paused';
+          statements.push(env.DB.prepare(
+            'UPDATE services SET name = ?, price_usdc = ?, status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+          ).bind(args.name, Number(args.price), status, listing.id));
+
+          statements.push(Webhooks.enqueueStatement(env, 'service.updated', [listing.provider_address], {
+            serviceId: listing.id,
+            onchain: { txHash: event.txHash, name: args.name, price: Number(args.price), active: args.active }
+          }));
+
+          const delta = (status === 'active' ? 1 : 0) - (listing.status === 'active' ? 1 : 0);
+          if (delta !== 0) {
+            statements.push(env.DB.prepare(
+              'UPDATE exchange_stats SET active_services = active_services + ?, last_updated = CURRENT_TIMESTAMP WHERE id = 1'
+            ).bind(delta));
+          }
+        }
+
+        return statements;
+      }
+
+      case 'RequestCreated': {
+        const requestId = Number(args.requestId);
+        const serviceId = Number(args.serviceId);
+        const buyer = args.buyer.toLowerCase();
+        const price = Number(args.price);
+
+        const statements = [
+          env.DB.prepare(
+            `UPDATE exchange_stats SET
+               total_transactions = total_transactions + 1,
+               total_volume_usdc = total_volume_usdc + ?,
+               last_updated = CURRENT_TIMESTAMP
+             WHERE id = 1`
+          ).bind(price)
+        ];
+
+        const existing = await env.DB.prepare(
+          'SELECT id, buyer_address, amount_usdc, status FROM service_requests WHERE tx_hash = ?'
+        ).bind(event.txHash).first();
+
+        if (existing) {
+          // Settle requests that were stored before the receipt could be checked
+          let status = existing.status;
+          if (existing.buyer_address !== buyer || existing.amount_usdc !== price) {
+            // Someone else posted this tx hash first: the escrow belongs to the buyer who funded it
+            status = 'pending';
+            const listing = await env.DB.prepare(
+              'SELECT id, provider_address FROM services WHERE onchain_service_id = ?'
+            ).bind(serviceId).first();
+
+            statements.push(env.DB.prepare(
+              `UPDATE service_requests SET
+                 buyer_address = ?, amount_usdc = ?, quote_id = NULL,
+                 service_id = COALESCE(?, service_id), provider_address = COALESCE(?, provider_address)
+               WHERE id = ?`
+            ).bind(buyer, price, listing?.id ?? null, listing?.provider_address ?? null, existing.id));
+          } else if (status === 'unverified') {
+            status = 'pending';
+          }
+
+          statements.push(env.DB.prepare(
+            'UPDATE service_requests SET onchain_request_id = ?, status = ? WHERE id = ?'
+          ).bind(requestId, status, existing.id));
+          if (status !== existing.status) {
+            statements.push(env.DB.prepare(
+              `INSERT INTO request_events (request_id, from_status, to_status, actor_address, source, tx_hash)
+               VALUES (?, ?, ?, ?, 'chain', ?)`
+            ).bind(existing.id, existing.status, status, buyer, event.txHash));
+          }
+          statements.push(this.auditStatement(env, event, 'service_request', existing.id, buyer, { onchainRequestId: requestId, status }));
+          return statements;
+        }
+
+        // Escrow created directly on-chain: mirror it if the listing is known
+        const listing = await env.DB.prepare(
+          'SELECT id, provider_address FROM services WHERE onchain_service_id = ?'
+        ).bind(serviceId).first();
+
+        if (listing) {
+          statements.push(env.DB.prepare(
+            `INSERT INTO service_requests
+             (service_id, buyer_address, provider_address, tx_hash, amount_usdc, status, onchain_request_id, created_at)
+             VALUES (?, ?, ?, ?, ?, 'pending', ?, COALESCE(?, CURRENT_TIMESTAMP))`
+          ).bind(listing.id, buyer, listing.provider_address, event.txHash, price, requestId, event.timestamp));
+          statements.push(env.DB.prepare(
+            `INSERT INTO request_events (request_id, from_status, to_status, actor_address, source, tx_hash)
+             SELECT id, NULL, 'pending', ?, 'chain', ? FROM service_requests WHERE tx_hash = ?`
+          ).bind(buyer, event.txHash, event.txHash));
+        }
+
+        statements.push(this.auditStatement(env, event, 'service_request', null, buyer, { onchainRequestId: requestId, onchainServiceId: serviceId }));
+        return statements;
+      }
+
+      case 'RequestCompleted': {
+        const requestId = Number(args.requestId);
+        const statements = [
+          ...this.statusStatements(env, event, requestId, 'completed', args.provider,
+            ', completed_at = COALESCE(?, CURRENT_TIMESTAMP)', [event.timestamp]),
+          this.auditStatement(env, event, 'service_request', null, args.provider, { onchainRequestId: requestId })
+        ];
+
+        const existing = await env.DB.prepare(
+          'SELECT id, service_id, buyer_address, provider_address, status FROM service_requests WHERE onchain_request_id = ?'
+        ).bind(requestId).first();
+
+        if (existing && existing.status !== 'completed') {
+          statements.push(Webhooks.enqueueStatement(env, 'request.completed', [existing.buyer_address, existing.provider_address], {
+            requestId: existing.id,
+            serviceId: existing.service_id,
+            status: 'completed',
+            txHash: event.txHash
+          }));
+        }
+
+        return statements;
+      }
+
+      case 'RequestConfirmed':
+        return [
+          ...this.statusStatements(env, event, Number(args.requestId), 'finalized', args.buyer),
+          this.auditStatement(env, event, 'service_request', null, args.buyer, { onchainRequestId: Number(args.requestId) })
+        ];
+
+      case 'RequestCancelled': {
+        const requestId = Number(args.requestId);
+        const existing = await env.DB.prepare(
+          'SELECT provider_address, status FROM service_requests WHERE onchain_request_id = ?'
+        ).bind(requestId).first();
+
+        const statements = [
+          ...this.statusStatements(env, event, requestId, 'cancelled', args.cancelledBy),
+          this.auditStatement(env, event, 'service_request', null, args.cancelledBy, { onchainRequestId: requestId })
+        ];
+
+        // A provider cancelling a disputed request concedes it: full refund
+        if (existing?.status === 'disputed') {
+          statements.push(
+            env.DB.prepare(
+              `UPDATE disputes SET
+                 status = 'resolved', ruling = 'refund', provider_amount_usdc = 0,
+                 buyer_amount_usdc = (SELECT amount_usdc FROM service_requests WHERE onchain_request_id = ?),
+                 ruling_note = 'Provider cancelled and refunded the buyer', resolved_at = CURRENT_TIMESTAMP
+               WHERE status = 'open' AND request_id = (SELECT id FROM service_requests WHERE onchain_request_id = ?)`
+            ).bind(requestId, requestId),
+            Disputes.ratingStatement(env, existing.provider_address)
+          );
+        }
+
+        return statements;
+      }
+
+      case 'EscrowReleased': {
+        const provider = args.provider.toLowerCase();
+        const amount = Number(args.amount);
+
+        return [
+          ...this.statusStatements(env, event, Number(args.requestId), 'finalized', provider),
+          env.DB.prepare(
+            `INSERT INTO agent_profiles (address, total_transactions, total_volume_usdc) VALUES (?, 1, ?)
+             ON CONFLICT(address) DO UPDATE SET
+               total_transactions = total_transactions + 1,
+               total_volume_usdc = total_volume_usdc + excluded.total_volume_usdc,
+               updated_at = CURRENT_TIMESTAMP`
+          ).bind(provider, amount),
+          this.auditStatement(env, event, 'service_request', null, provider, { onchainRequestId: Number(args.requestId), amount })
+        ];
+      }
+
+      case 'EscrowRefunded':
+        return [
+          ...this.statusStatements(env, event, Number(args.requestId), 'cancelled', args.buyer),
+          this.auditStatement(env, event, 'service_request', null, args.buyer, {
+            onchainRequestId: Number(args.requestId),
+            amount: Number(args.amount)
+          })
+        ];
+
+      case 'ReputationAdded': {
+        const provider = args.provider.toLowerCase();
+        const average = Number(args.newAverage) / 100; // contract scales by RATING_SCALE
+
+        return [
+          env.DB.prepare(
+            `INSERT INTO agent_profiles (address, onchain_rating_avg, onchain_rating_count) VALUES (?, ?, 1)
+             ON CONFLICT(address) DO UPDATE SET
+               onchain_rating_avg = excluded.onchain_rating_avg,
+               onchain_rating_count = onchain_rating_count + 1,
+               updated_at = CURRENT_TIMESTAMP`
+          ).bind(provider, average),
+          this.auditStatement(env, event, 'agent', null, args.buyer, {
+            provider,
+            rating: Number(args.rating),
+            newAverage: average
+          })
+        ];
+      }
+
+      case 'TimeoutClaim':
+        return [
+          ...this.statusStatements(env, event, Number(args.requestId), 'finalized', args.provider),
+          this.auditStatement(env, event, 'service_request', null, args.provider, { onchainRequestId: Number(args.requestId) })
+        ];
+
+      case 'DisputeRaised': {
+        const requestId = Number(args.requestId);
+        const raisedBy = args.raisedBy.toLowerCase();
+        const existing = await env.DB.prepare(
+          'SELECT id, buyer_address, provider_address, status FROM service_requests WHERE onchain_request_id = ?'
+        ).bind(requestId).first();
+
+        const statements = [this.auditStatement(env, event, 'service_request', existing?.id ?? null, raisedBy, { onchainRequestId: requestId })];
+        if (!existing || existing.status === 'disputed') {
+          return statements;
+        }
+
+        // Disputes raised directly on-chain get a record so the thread and ruling routes work
+        const role = raisedBy === existing.buyer_address ? 'buyer' : 'provider';
+        return [
+          env.DB.prepare(
+            `INSERT OR IGNORE INTO disputes (request_id, raised_by, raised_by_role, reason, evidence, previous_status)
+             VALUES (?, ?, ?, 'Raised on-chain', '[]', ?)`
+          ).bind(existing.id, raisedBy, role, existing.status),
+          ...this.statusStatements(env, event, requestId, 'disputed', raisedBy),
+          Disputes.ratingStatement(env, existing.provider_address),
+          Webhooks.enqueueStatement(env, 'dispute.opened',
+            [existing.buyer_address, existing.provider_address, ...Disputes.getArbiters(env)], {
+              requestId: existing.id,
+              raisedBy,
+              raisedByRole: role,
+              txHash: event.txHash
+            }),
+          ...statements
+        ];
+      }
+
+      case 'DisputeResolved': {
+        const requestId = Number(args.requestId);
+        const arbiter = args.arbiter.toLowerCase();
+        const providerAmount = Number(args.providerAmount);
+        const buyerAmount = Number(args.buyerAmount);
+        const ruling = Disputes.rulingFor(providerAmount, buyerAmount);
+        const status = providerAmount > 0 ? 'finalized' : 'cancelled';
+
+        const existing = await env.DB.prepare(
+          'SELECT id, buyer_address, provider_address FROM service_requests WHERE onchain_request_id = ?'
+        ).bind(requestId).first();
+
+        const statements = [
+          ...this.statusStatements(env, event, requestId, status, arbiter),
+          this.auditStatement(env, event, 'service_request', existing?.id ?? null, arbiter, {
+            onchainRequestId: requestId,
+            ruling,
+            providerAmount,
+            buyerAmount
+          })
+        ];
+
+        if (providerAmount > 0 && existing) {
+          statements.push(env.DB.prepare(
+            `INSERT INTO agent_profiles (address, total_transactions, total_volume_usdc) VALUES (?, 1, ?)
+             ON CONFLICT(address) DO UPDATE SET
+               total_transactions = total_transactions + 1,
+               total_volume_usdc = total_volume_usdc + excluded.total_volume_usdc,
+               updated_at = CURRENT_TIMESTAMP`
+          ).bind(existing.provider_address, providerAmount));
+        }
+
+        const dispute = existing && await env.DB.prepare(
+          'SELECT status, ruling, provider_amount_usdc FROM disputes WHERE request_id = ?'
+        ).bind(existing.id).first();
+
+        // The chain is authoritative: record its split unless the API ruling already matches it
+        const alreadyRecorded = dispute?.status === 'resolved' && dispute.ruling === ruling && dispute.provider_amount_usdc === providerAmount;
+
+        if (existing && !alreadyRecorded) {
+          statements.push(
+            env.DB.prepare(
+              `UPDATE disputes SET
+                 status = 'resolved', ruling = ?, provider_amount_usdc = ?, buyer_amount_usdc = ?,
+                 arbiter_address = ?, resolved_at = COALESCE(resolved_at, CURRENT_TIMESTAMP)
+               WHERE request_id = ?`
+            ).bind(ruling, providerAmount, buyerAmount, arbiter, existing.id),
+            Disputes.ratingStatement(env, existing.provider_address),
+            Webhooks.enqueueStatement(env, 'dispute.resolved', [existing.buyer_address, existing.provider_address], {
+              requestId: existing.id,
+              status,
+              ruling,
+              providerAmountUSDC: providerAmount,
+              buyerAmountUSDC: buyerAmount,
+              txHash: event.txHash
+            })
+          );
+        }
+
+        return statements;
+      }
+
+      // OpenZeppelin Pausable: the API goes read-only while the contract is paused
+      case 'Paused':
+      case 'Unpaused':
+        return [
+          env.DB.prepare(
+            'UPDATE maintenance_state SET contract_paused = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1'
+          ).bind(event.name === 'Paused' ? 1 : 0),
+          this.auditStatement(env, event, 'maintenance', null, args.account)
+        ];
+
+      default:
+        // Recorded in chain_events only
+        return [];
+    }
+  }
+}
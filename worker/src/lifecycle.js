@@ -0,0 +1,128 @@
+/**
+ * Service request state machine
+ *
+ * Mirrors AgentServiceExchange.RequestState for the off-chain
+ * `service_requests.status` column:
+ *
+ *   pending → in_progress → completed → finalized
+ *      └──────────┴────────────┴──────→ cancelled
+ *
+ * `unverified` (escrow not yet confirmed on-chain) and `rejected`
+ * (escrow did not match) are off-chain only states. `disputed` is entered
+ * and left through the dispute routes (see disputes.js), not these actions.
+ *
+ * Escrow-backed requests settle on-chain: confirm, claim-timeout and cancel
+ * need the transaction of the matching contract call (`onchain` below).
+ * Prepaid and x402 requests settle off-chain and move on the API alone.
+ */
+
+// Matches AgentServiceExchange.COMPLETION_TIMEOUT
+export const COMPLETION_TIMEOUT_MS = 24 * 60 * 60 * 1000;
+
+export const REQUEST_STATES = ['unverified', 'rejected', 'pending', 'in_progress', 'completed', 'disputed', 'finalized', 'cancelled'];
+
+export const TERMINAL_STATES = ['rejected', 'finalized', 'cancelled'];
+
+// action → who may perform it, from which states, the resulting state and, for
+// escrow-backed requests, the contract call and event that must back it
+export const TRANSITIONS = {
+  accept: { actors: ['provider'], from: ['pending'], to: 'in_progress' },
+  complete: { actors: ['provider'], from: ['in_progress'], to: 'completed' },
+  confirm: {
+    actors: ['buyer'],
+    from: ['completed'],
+    to: 'finalized',
+    onchain: { call: 'confirmCompletion', event: 'RequestConfirmed' }
+  },
+  cancel: {
+    actors: ['buyer', 'provider'],
+    // Buyers can't back out once work is delivered; providers can always refund
+    from: {
+      buyer: ['unverified', 'pending', 'in_progress'],
+      provider: ['unverified', 'pending', 'in_progress', 'completed']
+    },
+    to: 'cancelled',
+    onchain: { call: 'cancelRequest', event: 'RequestCancelled' }
+  },
+  'claim-timeout': {
+    actors: ['provider'],
+    from: ['completed'],
+    to: 'finalized',
+    onchain: { call: 'claimAfterTimeout', event: 'TimeoutClaim' }
+  }
+};
+
+export class RequestLifecycle {
+  static isAction(action) {
+    return Object.prototype.hasOwnProperty.call(TRANSITIONS, action);
+  }
+
+  // Which side of the request `address` is on, or null
+  static roleOf(serviceRequest, address) {
+    const normalized = address.toLowerCase();
+    if (serviceRequest.provider_address === normalized) return 'provider';
+    if (serviceRequest.buyer_address === normalized) return 'buyer';
+    return null;
+  }
+
+  static parseTimestamp(value) {
+    if (!value) return null;
+    // D1 CURRENT_TIMESTAMP is UTC without a zone suffix
+    return Date.parse(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+  }
+
+  static timeoutAt(serviceRequest) {
+    const completedAt = this.parseTimestamp(serviceRequest.completed_at);
+    return completedAt == null ? null : completedAt + COMPLETION_TIMEOUT_MS;
+  }
+
+  /**
+   * The contract call that must back `action` on this request, or null if the API alone may apply it
+   * Cancelling an escrow request that was never linked to an on-chain request has nothing to refund.
+   * @returns {{call: string, event: string}|null}
+   */
+  static onchainProof(serviceRequest, action) {
+    const onchain = TRANSITIONS[action].onchain;
+    if (!onchain || serviceRequest.payment_scheme !== 'escrow') return null;
+    if (action === 'cancel' && serviceRequest.onchain_request_id == null) return null;
+    return onchain;
+  }
+
+  /**
+   * Check whether `role` may perform `action` on a request
+   * @returns {{ok: true, from: string, to: string} | {ok: false, status: number, message: string}}
+   */
+  static check(serviceRequest, action, role, now = Date.now()) {
+    const transition = TRANSITIONS[action];
+
+    if (!role || !transition.actors.includes(role)) {
+      const who = transition.actors.join(' or ');
+      return { ok: false, status: 403, message: `Only the ${who} can ${action.replace('-', ' ')} this request` };
+    }
+
+    const allowed = Array.isArray(transition.from) ? transition.from : transition.from[role];
+    if (!allowed.includes(serviceRequest.status)) {
+      return {
+        ok: false,
+        status: 409,
+        message: `Cannot ${action.replace('-', ' ')} a request in state "${serviceRequest.status}" (allowed from: ${allowed.join(', ')})`
+      };
+    }
+
+    if (action === 'claim-timeout') {
+      const timeoutAt = this.timeoutAt(serviceRequest);
+      if (timeoutAt == null || now < timeoutAt) {
+        const remaining = timeoutAt == null ? null : Math.ceil((timeoutAt - now) / 1000);
+        return {
+          ok: false,
+          status: 409,
+          message: remaining == null
+            ? 'Completion time unknown; timeout cannot be claimed'
+            : `Timeout not reached; claimable in ${remaining} seconds`
+        };
+      }
+    }
+
+    return { ok: true, from: serviceRequest.status, to: transition.to };
+  }
+}
@@ -0,0 +1,332 @@
+/**
+ * Model Context Protocol server (Streamable HTTP, stateless, JSON responses)
+ *
+ * POST /mcp takes JSON-RPC messages. Each tool maps to an API operation in
+ * openapi.js: its input schema is built from that route's parameters and body
+ * schema, and calls are dispatched through the normal router, so tools and
+ * REST clients share handlers, validation and error messages.
+ *
+ * Signed tools (register_service, request_service, rate_agent) take two calls:
+ * 1. without `auth`: returns status "signature_required" with a fresh nonce
+ *    and the exact EIP-191 message (or EIP-712 typed data) to sign
+ * 2. with the same arguments plus `auth: {nonce, signature}`
+ * The server serializes the body in schema order both times, so the signed
+ * body hash matches regardless of argument order.
+ */
+
+import { Auth } from './auth.js';
+import { Schema } from './schema.js';
+import { ROUTES, SCHEMAS, API_VERSION } from './openapi.js';
+
+export const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC / MCP error codes
+export const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  RESOURCE_NOT_FOUND: -32002
+};
+
+// name → API operation; `params` renames path parameters, `signer` is the body field that must sign
+const TOOLS = [
+  {
+    name: 'search_services',
+    title: 'Search services',
+    operationId: 'listServices',
+    description: 'Search the marketplace by keywords, category, provider, price and rating. Prices in results are micro-USDC (6 decimals).'
+  },
+  {
+    name: 'get_service',
+    title: 'Get service',
+    operationId: 'getService',
+    params: { id: 'serviceId' },
+    description: 'Full listing: price, provider reputation, acceptance criteria and output schema.'
+  },
+  {
+    name: 'get_agent_reputation',
+    title: 'Get agent reputation',
+    operationId: 'getAgent',
+    params: { address: 'agentAddress' },
+    description: 'Agent profile with rating average, rating count, capabilities, endpoints, services and recent transactions. Accepts an address, ENS name or Basename.'
+  },
+  {
+    name: 'register_service',
+    title: 'Register service',
+    operationId: 'createService',
+    signer: 'providerAddress',
+    description: 'List a service for sale (priceUSDC in USDC, e.g. 2.5). Signed by providerAddress.'
+  },
+  {
+    name: 'request_service',
+    title: 'Request service',
+    operationId: 'requestService',
+    params: { id: 'serviceId' },
+    signer: 'buyerAddress',
+    description: 'Record a purchase after escrowing USDC with AgentServiceExchange.createRequest; txHash is that transaction. Signed by buyerAddress.'
+  },
+  {
+    name: 'rate_agent',
+    title: 'Rate agent',
+    operationId: 'rateAgent',
+    params: { address: 'agentAddress' },
+    signer: 'raterAddress',
+    description: 'Rate the provider of a finalized request you bought (score 1-5). Signed by raterAddress.'
+  }
+];
+
+const AUTH_SCHEMA = {
+  type: 'object',
+  description: 'Omit on the first call to receive a nonce and the message to sign',
+  required: ['nonce', 'signature'],
+  properties: {
+    nonce: { type: 'string', minLength: 1 },
+    signature: { type: 'string', minLength: 1 },
+    signatureType: { type: 'string', enum: ['eip191', 'eip712'] }
+  },
+  additionalProperties: false
+};
+
+const RESOURCES = [
+  {
+    uri: 'exchange://categories',
+    name: 'categories',
+    title: 'Service categories',
+    description: 'Categories with active listings and their counts',
+    mimeType: 'application/json',
+    read: (stats) => stats.categories
+  },
+  {
+    uri: 'exchange://stats',
+    name: 'stats',
+    title: 'Exchange statistics',
+    description: 'Totals for services, transactions and USDC volume',
+    mimeType: 'application/json',
+    read: (stats) => stats
+  }
+];
+
+// Drop OpenAPI-only keys (`required` flags on parameters) from a parameter schema
+function parameterSchema({ required, ...schema }) {
+  return schema;
+}
+
+function buildTool(tool) {
+  const route = ROUTES.find((candidate) => candidate.operationId === tool.operationId);
+  const properties = {};
+  const required = [];
+
+  for (const [name, schema] of Object.entries(route.params || {})) {
+    const arg = tool.params?.[name] || name;
+    properties[arg] = parameterSchema(schema);
+    required.push(arg);
+  }
+
+  for (const [name, schema] of Object.entries(route.query || {})) {
+    properties[name] = parameterSchema(schema);
+    if (schema.required) required.push(name);
+  }
+
+  const body = route.body ? SCHEMAS[route.body] : null;
+  if (body) {
+    Object.assign(properties, body.properties);
+    required.push(...(body.required || []));
+  }
+
+  if (route.signed) {
+    properties.auth = AUTH_SCHEMA;
+  }
+
+  return {
+    ...tool,
+    route,
+    body,
+    inputSchema: { type: 'object', properties, required, additionalProperties: false }
+  };
+}
+
+const TOOL_DEFINITIONS = TOOLS.map(buildTool);
+
+function rpcResult(id, result) {
+  return { jsonrpc: '2.0', id, result };
+}
+
+function rpcError(id, code, message, data) {
+  return { jsonrpc: '2.0', id: id ?? null, error: { code, message, ...(data === undefined ? {} : { data }) } };
+}
+
+function toolResult(structured, isError = false) {
+  return {
+    content: [{ type: 'text', text: JSON.stringify(structured, null, 2) }],
+    structuredContent: structured,
+    isError
+  };
+}
+
+export class Mcp {
+  static listTools() {
+    return TOOL_DEFINITIONS.map(({ name, title, description, inputSchema, route }) => ({
+      name,
+      title,
+      description,
+      inputSchema,
+      annotations: { readOnlyHint: route.method === 'GET', openWorldHint: false }
+    }));
+  }
+
+  static listResources() {
+    return RESOURCES.map(({ read, ...resource }) => resource);
+  }
+
+  /**
+   * Handle one JSON-RPC message
+   * @param {object} message Parsed JSON-RPC request or notification
+   * @param {object} context
+   * @param {object} context.env Worker bindings
+   * @param {string} context.origin Origin the API is served from
+   * @param {(request: Request) => Promise<Response>} context.dispatch Routes a request through the API
+   * @returns {Promise<object|null>} JSON-RPC response, or null for notifications
+   */
+  static async handleMessage(message, context) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      return rpcError(message?.id, RPC_ERRORS.INVALID_REQUEST, 'Invalid JSON-RPC 2.0 request');
+    }
+
+    const { id, method, params = {} } = message;
+    const isNotification = id === undefined;
+
+    try {
+      let result;
+      switch (method) {
+        case 'initialize':
+          result = this.initialize(params);
+          break;
+        case 'ping':
+          result = {};
+          break;
+        case 'tools/list':
+          result = { tools: this.listTools() };
+          break;
+        case 'tools/call':
+          result = await this.callTool(params, context);
+          break;
+        case 'resources/list':
+          result = { resources: this.listResources() };
+          break;
+        case 'resources/read':
+          result = await this.readResource(params, context);
+          break;
+        default:
+          if (method.startsWith('notifications/')) return null;
+          return isNotification ? null : rpcError(id, RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+      }
+
+      if (isNotification) return null;
+      return result.error ? rpcError(id, result.error.code, result.error.message, result.error.data) : rpcResult(id, result);
+    } catch (error) {
+      console.error('MCP error:', error);
+      return isNotification ? null : rpcError(id, RPC_ERRORS.INTERNAL_ERROR, 'Internal error');
+    }
+  }
+
+  static initialize({ protocolVersion }) {
+    return {
+      protocolVersion: PROTOCOL_VERSIONS.includes(protocolVersion) ? protocolVersion : PROTOCOL_VERSIONS[0],
+      capabilities: {
+        tools: { listChanged: false },
+        resources: { listChanged: false }
+      },
+      serverInfo: { name: 'agent-service-exchange', title: 'Agent Service Exchange', version: API_VERSION },
+      instructions: 'Marketplace for agent services settled in USDC. Read tools need no credentials. ' +
+        'Signed tools return status "signature_required" with a nonce and message on the first call; ' +
+        'sign it with the named wallet and call again with the same arguments plus auth: {nonce, signature}.'
+    };
+  }
+
+  static async callTool({ name, arguments: args = {} }, { env, origin, dispatch }) {
+    const tool = TOOL_DEFINITIONS.find((definition) => definition.name === name);
+    if (!tool) {
+      return { error: { code: RPC_ERRORS.INVALID_PARAMS, message: `Unknown tool: ${name}` } };
+    }
+
+    const errors = Schema.validate(args, tool.inputSchema);
+    if (errors.length > 0) {
+      return toolResult({ error: { message: 'Validation failed', code: 400, details: errors } }, true);
+    }
+
+    const { route } = tool;
+    const path = route.path.replace(/\{(\w+)\}/g, (_, param) => encodeURIComponent(args[tool.params?.[param] || param]));
+    const url = new URL(path, origin);
+    for (const param of Object.keys(route.query || {})) {
+      if (args[param] !== undefined) url.searchParams.set(param, String(args[param]));
+    }
+
+    // Schema order, so the body (and its hash) doesn't depend on argument order
+    let body = '';
+    if (tool.body) {
+      const fields = Object.keys(tool.body.properties).filter((field) => args[field] !== undefined);
+      body = JSON.stringify(Object.fromEntries(fields.map((field) => [field, args[field]])));
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (route.signed) {
+      const signer = args[tool.signer];
+      if (!args.auth) {
+        return toolResult(await this.signingChallenge(env, { address: signer, method: route.method, path: url.pathname, body }));
+      }
+      Object.assign(headers, {
+        'X-Agent-Address': signer,
+        'X-Agent-Nonce': args.auth.nonce,
+        'X-Agent-Signature': args.auth.signature,
+        'X-Agent-Signature-Type': args.auth.signatureType || 'eip191'
+      });
+    }
+
+    const response = await dispatch(new Request(url, { method: route.method, headers, body: body || undefined }));
+    const json = await response.json();
+
+    return json.success
+      ? toolResult({ data: json.data, meta: json.meta })
+      : toolResult({ error: json.error }, true);
+  }
+
+  // What the signer must sign for this exact call
+  static async signingChallenge(env, { address, method, path, body }) {
+    const { nonce, expiresAt } = await Auth.issueNonce(address, env);
+    const fields = { address: address.toLowerCase(), method, path, bodyHash: Auth.hashBody(body), nonce };
+
+    return {
+      status: 'signature_required',
+      address: fields.address,
+      nonce,
+      expiresAt,
+      message: Auth.buildMessage(fields),
+      typedData: {
+        domain: Auth.getDomain(env),
+        types: Auth.typedDataTypes(),
+        primaryType: 'AgentRequest',
+        message: fields
+      },
+      next: 'Sign `message` (EIP-191 personal_sign) or `typedData` (EIP-712) with this address, then call the tool again with the same arguments plus auth: {nonce, signature, signatureType}'
+    };
+  }
+
+  static async readResource({ uri }, { origin, dispatch }) {
+    const resource = RESOURCES.find((candidate) => candidate.uri === uri);
+    if (!resource) {
+      return { error: { code: RPC_ERRORS.RESOURCE_NOT_FOUND, message: 'Resource not found', data: { uri } } };
+    }
+
+    const response = await dispatch(new Request(new URL('/stats', origin)));
+    const json = await response.json();
+    if (!json.success) {
+      return { error: { code: RPC_ERRORS.INTERNAL_ERROR, message: json.error.message } };
+    }
+
+    return {
+      contents: [{ uri, mimeType: resource.mimeType, text: JSON.stringify(resource.read(json.data), null, 2) }]
+    };
+  }
+}
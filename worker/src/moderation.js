@@ -0,0 +1,108 @@
+/**
+ * Operator moderation
+ *
+ * Admins are configured with ADMIN_ADDRESSES (comma-separated) and sign
+ * requests like any other wallet. They can:
+ *
+ *   flag    → listing stays up, queued under GET /admin/services for review
+ *   hide    → listing leaves search, GET /services/:id and every purchase route
+ *   restore → clears either
+ *
+ *   ban        → createService, requestService and reports refused with 403;
+ *                the wallet's listings leave search and can't be bought
+ *   shadow_ban → writes still succeed, but the wallet's listings leave search
+ *                and its reports are filed as dismissed without telling it
+ *
+ * Flagging or hiding a listing closes its open reports as `actioned`.
+ *
+ * Maintenance mode makes the API read-only: every write outside /admin answers
+ * 503 while an admin has it on or the contract is paused (the indexer mirrors
+ * Paused/Unpaused into maintenance_state). Admin actions are written to audit_log.
+ */
+
+export const MODERATION_ACTIONS = ['flag', 'hide', 'restore'];
+export const MODERATION_STATUSES = ['flagged', 'hidden'];
+export const BAN_TYPES = ['ban', 'shadow_ban'];
+export const REPORT_REASONS = ['spam', 'scam', 'prohibited', 'misleading', 'other'];
+export const REPORT_STATUSES = ['open', 'actioned', 'dismissed'];
+
+export class Moderation {
+  static getAdmins(env) {
+    return (env.ADMIN_ADDRESSES || '')
+      .split(',')
+      .map((address) => address.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  static isAdmin(env, address) {
+    return this.getAdmins(env).includes(address.toLowerCase());
+  }
+
+  // moderation_status an action leaves the listing in
+  static statusAfter(action) {
+    return { flag: 'flagged', hide: 'hidden', restore: null }[action];
+  }
+
+  /**
+   * SQL condition for listings that can be seen and bought: not hidden, provider not banned
+   * @param {string} alias Table alias for services, if the query uses one
+   * @param {object} [options]
+   * @param {boolean} [options.search] Also leave out shadow-banned providers, for search results
+   */
+  static availableSql(alias = '', { search = false } = {}) {
+    const column = (name) => (alias ? `${alias}.${name}` : name);
+    const bans = search ? 'SELECT address FROM address_bans' : "SELECT address FROM address_bans WHERE type = 'ban'";
+    return `${column('moderation_status')} IS NOT 'hidden'
+      AND ${column('provider_address')} NOT IN (${bans})`;
+  }
+
+  static async banFor(env, address) {
+    return env.DB.prepare('SELECT * FROM address_bans WHERE address = ?').bind(address.toLowerCase()).first();
+  }
+
+  static async isBanned(env, address) {
+    return (await this.banFor(env, address))?.type === 'ban';
+  }
+
+  // Routes maintenance leaves open: reads, /admin, and the MCP envelope (its tool calls are checked one by one)
+  static isWrite(route) {
+    return route.method !== 'GET' && route.tag !== 'admin' && route.operationId !== 'mcp';
+  }
+
+  static async maintenance(env) {
+    const row = await env.DB.prepare('SELECT * FROM maintenance_state WHERE id = 1').first();
+    return {
+      active: Boolean(row?.enabled || row?.contract_paused),
+      enabled: Boolean(row?.enabled),
+      contractPaused: Boolean(row?.contract_paused),
+      message: row?.message ?? null,
+      updatedBy: row?.updated_by ?? null,
+      updatedAt: row?.updated_at ?? null
+    };
+  }
+
+  static reportToResponse(report) {
+    return {
+      id: report.id,
+      serviceId: report.service_id,
+      reporterAddress: report.reporter_address,
+      reason: report.reason,
+      details: report.details,
+      status: report.status,
+      reviewedBy: report.reviewed_by,
+      reviewNote: report.review_note,
+      createdAt: report.created_at,
+      reviewedAt: report.reviewed_at
+    };
+  }
+
+  static banToResponse(ban) {
+    return {
+      address: ban.address,
+      type: ban.type,
+      reason: ban.reason,
+      bannedBy: ban.banned_by,
+      createdAt: ban.created_at
+    };
+  }
+}
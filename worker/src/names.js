@@ -0,0 +1,90 @@
+/**
+ * ENS / Basename resolution for agent lookups
+ *
+ * GET /agents/alice.base.eth resolves the name through the configured
+ * registry: registry.resolver(namehash(name)), then resolver.addr(namehash(name)).
+ * Point it at the ENS registry on Ethereum mainnet for .eth names, or at the
+ * Basenames registry on Base for *.base.eth. Resolvers that answer through
+ * CCIP-read (offchain lookups) are not supported.
+ *
+ * Lookups are cached in the CACHE KV namespace under `name:<name>`, misses
+ * for a shorter time so a newly registered name shows up soon.
+ *
+ * Configuration (wrangler.toml [vars]):
+ * - NAME_REGISTRY_ADDRESS: ENS-compatible registry; name lookups are off while unset
+ * - NAME_RPC_URL: RPC for the registry's chain (defaults to RPC_URL)
+ * - NAME_CACHE_TTL: seconds to cache a resolved name (default 3600)
+ */
+
+import { decodeFunctionResult, encodeFunctionData, namehash } from 'viem';
+import { Chain } from './chain.js';
+
+const CACHE_PREFIX = 'name:';
+const DEFAULT_CACHE_TTL = 3600;
+const MISS_CACHE_TTL = 300;
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Lowercase ASCII labels ending in .eth (alice.eth, alice.base.eth)
+const NAME_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+eth$/;
+
+const REGISTRY_ABI = [{
+  type: 'function', name: 'resolver', stateMutability: 'view',
+  inputs: [{ name: 'node', type: 'bytes32' }], outputs: [{ type: 'address' }]
+}];
+
+const RESOLVER_ABI = [{
+  type: 'function', name: 'addr', stateMutability: 'view',
+  inputs: [{ name: 'node', type: 'bytes32' }], outputs: [{ type: 'address' }]
+}];
+
+export class Names {
+  static isName(value) {
+    return typeof value === 'string' && NAME_PATTERN.test(value.toLowerCase());
+  }
+
+  static isConfigured(env) {
+    return Boolean(env.NAME_REGISTRY_ADDRESS && (env.NAME_RPC_URL || env.RPC_URL));
+  }
+
+  // eth_call a single-argument view function returning an address
+  static async call(env, to, abi, node) {
+    const url = env.NAME_RPC_URL || env.RPC_URL;
+    const data = await Chain.rpc(env, 'eth_call', [
+      { to, data: encodeFunctionData({ abi, functionName: abi[0].name, args: [node] }) },
+      'latest'
+    ], url);
+    return decodeFunctionResult({ abi, functionName: abi[0].name, data });
+  }
+
+  /**
+   * Resolve on-chain, without the cache
+   * @returns {Promise<string|null>} lowercase address, or null if the name has no resolver or address
+   */
+  static async lookup(env, name) {
+    const node = namehash(name);
+
+    const resolver = await this.call(env, env.NAME_REGISTRY_ADDRESS, REGISTRY_ABI, node);
+    if (resolver === ZERO_ADDRESS) return null;
+
+    const address = await this.call(env, resolver, RESOLVER_ABI, node);
+    return address === ZERO_ADDRESS ? null : address.toLowerCase();
+  }
+
+  /**
+   * Resolve a name to an address, through the KV cache
+   * @returns {Promise<string|null>} throws ChainError if the RPC is unreachable (not cached)
+   */
+  static async resolve(env, name) {
+    const normalized = name.toLowerCase();
+    const key = `${CACHE_PREFIX}${normalized}`;
+
+    const cached = await env.CACHE.get(key, { type: 'json' });
+    if (cached) return cached.address;
+
+    const address = await this.lookup(env, normalized);
+    const ttl = address ? parseInt(env.NAME_CACHE_TTL) || DEFAULT_CACHE_TTL : MISS_CACHE_TTL;
+    await env.CACHE.put(key, JSON.stringify({ address }), { expirationTtl: ttl });
+
+    return address;
+  }
+}
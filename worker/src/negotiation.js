@@ -0,0 +1,58 @@
+/**
+ * RFQ (request for quote) negotiation
+ *
+ * A buyer opens an RFQ against a listing with requirements and an optional
+ * budget. Buyer and provider then take turns posting offers; each new offer
+ * supersedes the previous open one. The counterparty of the latest open,
+ * unexpired offer can accept it, and the accepted amount becomes what
+ * POST /services/:id/request expects the escrow to hold.
+ *
+ * RFQ status:   open → accepted → fulfilled
+ *                 └──→ cancelled
+ * Quote status: offered → accepted | countered | withdrawn
+ *               (an `offered` quote past expires_at reads as `expired`)
+ */
+
+export const DEFAULT_QUOTE_TTL_SECONDS = 24 * 60 * 60;
+export const MIN_QUOTE_TTL_SECONDS = 60;
+export const MAX_QUOTE_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+export class Negotiation {
+  static parseTimestamp(value) {
+    if (!value) return null;
+    return Date.parse(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+  }
+
+  static isExpired(quote, now = Date.now()) {
+    const expiresAt = this.parseTimestamp(quote.expires_at);
+    return expiresAt != null && expiresAt <= now;
+  }
+
+  // Status as callers should see it, with lazy expiry applied
+  static effectiveStatus(quote, now = Date.now()) {
+    return quote.status === 'offered' && this.isExpired(quote, now) ? 'expired' : quote.status;
+  }
+
+  // 'buyer' | 'provider' | null for `address` on an RFQ
+  static roleOf(rfq, address) {
+    const normalized = address.toLowerCase();
+    if (rfq.buyer_address === normalized) return 'buyer';
+    if (rfq.provider_address === normalized) return 'provider';
+    return null;
+  }
+
+  static toResponse(quote) {
+    return {
+      id: quote.id,
+      rfqId: quote.rfq_id,
+      authorAddress: quote.author_address,
+      authorRole: quote.author_role,
+      amountUSDC: quote.amount_usdc,
+      message: quote.message,
+      onchainServiceId: quote.onchain_service_id,
+      status: this.effectiveStatus(quote),
+      expiresAt: quote.expires_at,
+      createdAt: quote.created_at
+    };
+  }
+}
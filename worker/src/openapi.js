@@ -0,0 +1,721 @@
+/**
+ * API definition: every route, its parameters and its request body schema
+ *
+ * This table is the single source for:
+ * - routing (index.js resolves operationId → handler)
+ * - request body validation (Schema.validate against SCHEMAS[route.body])
+ * - GET /openapi.json (OpenAPI 3.1), the `/` endpoint list and the 404 hint
+ *
+ * Route fields: method, path ({param} segments), operationId, summary, tag,
+ * signed (wallet signature required), params/query (name → schema with a
+ * description), body (SCHEMAS key), bodyOptional, status (success code),
+ * paid (x402: answers 402 until an X-PAYMENT header pays for the call).
+ */
+
+import { SORT_OPTIONS } from './search.js';
+import { TRANSITIONS } from './lifecycle.js';
+import { WEBHOOK_EVENTS } from './webhooks.js';
+import { RULINGS, MAX_EVIDENCE_ITEMS } from './disputes.js';
+import { MIN_QUOTE_TTL_SECONDS, MAX_QUOTE_TTL_SECONDS } from './negotiation.js';
+import { PRICING_MODELS } from './billing.js';
+import { METRICS, INTERVALS, LEADERBOARD_TYPES, LEADERBOARD_SORTS, LEADERBOARD_PERIODS } from './analytics.js';
+import { MODERATION_ACTIONS, MODERATION_STATUSES, BAN_TYPES, REPORT_REASONS, REPORT_STATUSES } from './moderation.js';
+
+export const API_VERSION = '1.0.0';
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+const address = (description) => ({ type: 'string', format: 'address', description });
+const txHash = (description) => ({ type: 'string', format: 'tx-hash', description });
+const usdc = (description) => ({ type: 'number', exclusiveMinimum: 0, description: `${description} (USDC, e.g. 2.5)` });
+const positiveId = (description) => ({ type: 'integer', minimum: 1, description });
+
+const evidence = {
+  type: 'array',
+  maxItems: MAX_EVIDENCE_ITEMS,
+  description: 'Supporting evidence',
+  items: {
+    type: 'object',
+    required: ['description'],
+    properties: {
+      description: { type: 'string', minLength: 1 },
+      url: { type: 'string', format: 'uri', maxLength: 2000 },
+      deliverableId: positiveId('Deliverable on this request')
+    }
+  }
+};
+
+const serviceFields = {
+  name: { type: 'string', minLength: 3, maxLength: 200 },
+  description: { type: 'string', minLength: 10, maxLength: 5000 },
+  category: { type: 'string', minLength: 1, maxLength: 100 },
+  priceUSDC: usdc('Price per request'),
+  acceptanceCriteria: { type: ['string', 'null'], description: 'What the buyer can expect; null clears it' },
+  outputSchema: {
+    type: ['object', 'null'],
+    format: 'json-schema',
+    description: 'JSON Schema that JSON deliverables must satisfy; null clears it'
+  },
+  endpoint: {
+    type: ['string', 'null'],
+    format: 'https-uri',
+    maxLength: 2000,
+    description: 'HTTPS URL that serves calls paid per request through POST /services/{id}/call (x402); null removes it'
+  },
+  pricingModel: {
+    type: 'string',
+    enum: PRICING_MODELS,
+    description: 'Prepaid option next to priceUSDC per request: a subscription, a bundle of calls, or credits drawn down by priceUSDC per use'
+  },
+  planPriceUSDC: usdc('Price of one subscription period or one bundle'),
+  planCalls: { type: 'integer', minimum: 1, maximum: 100000, description: 'Calls in a bundle' },
+  periodDays: { type: 'integer', minimum: 1, maximum: 366, description: 'Subscription period length (default 30)' }
+};
+
+export const SCHEMAS = {
+  ServiceCreate: {
+    type: 'object',
+    required: ['name', 'description', 'priceUSDC', 'providerAddress', 'category'],
+    properties: {
+      ...serviceFields,
+      providerAddress: address('Provider wallet; must sign the request'),
+      onchainServiceId: positiveId('AgentServiceExchange service id, if already registered')
+    }
+  },
+
+  ServiceUpdate: {
+    type: 'object',
+    properties: {
+      ...serviceFields,
+      status: { type: 'string', enum: ['active', 'paused'], description: 'Pause or resume (DELETE removes a listing)' },
+      txHash: txHash('updateService transaction, required to reprice or toggle a linked on-chain service')
+    },
+    anyOf: ['name', 'description', 'category', 'priceUSDC', 'status', 'acceptanceCriteria', 'outputSchema', 'endpoint', 'pricingModel', 'planPriceUSDC', 'planCalls', 'periodDays']
+      .map((field) => ({ required: [field] }))
+  },
+
+  ServiceRequestCreate: {
+    type: 'object',
+    required: ['buyerAddress', 'txHash'],
+    properties: {
+      buyerAddress: address('Buyer wallet; must sign the request'),
+      txHash: txHash('The buyer\'s createRequest transaction'),
+      quoteId: positiveId('Accepted quote to pay instead of the list price')
+    }
+  },
+
+  CreditPurchase: {
+    type: 'object',
+    properties: {
+      amountUSDC: usdc('Top-up, for credits pricing')
+    }
+  },
+
+  CreditUse: {
+    type: 'object',
+    required: ['buyerAddress'],
+    properties: {
+      buyerAddress: address('Buyer wallet; must sign the request')
+    }
+  },
+
+  RfqCreate: {
+    type: 'object',
+    required: ['buyerAddress', 'requirements'],
+    properties: {
+      buyerAddress: address('Buyer wallet; must sign the request'),
+      requirements: { type: 'string', minLength: 10, maxLength: 5000 },
+      budgetUSDC: usdc('Budget')
+    }
+  },
+
+  QuoteCreate: {
+    type: 'object',
+    required: ['amountUSDC'],
+    properties: {
+      amountUSDC: usdc('Offered amount'),
+      expiresInSeconds: { type: 'integer', minimum: MIN_QUOTE_TTL_SECONDS, maximum: MAX_QUOTE_TTL_SECONDS },
+      message: { type: 'string', maxLength: 2000 },
+      onchainServiceId: positiveId('On-chain service the escrow must reference')
+    }
+  },
+
+  RequestTransition: {
+    type: 'object',
+    properties: {
+      txHash: txHash('Matching on-chain transaction; required to confirm, claim-timeout or cancel an escrow-backed request'),
+      note: { type: 'string', maxLength: 1000 }
+    }
+  },
+
+  DeliverableCreate: {
+    type: 'object',
+    required: ['content'],
+    properties: {
+      content: { type: 'string', minLength: 1, description: 'Work result; serialize JSON deliverables first' },
+      encoding: { type: 'string', enum: ['utf8', 'base64'] },
+      contentType: { type: 'string', format: 'media-type' },
+      note: { type: 'string', maxLength: 1000 }
+    }
+  },
+
+  DisputeCreate: {
+    type: 'object',
+    required: ['reason'],
+    properties: {
+      reason: { type: 'string', minLength: 10, maxLength: 5000 },
+      evidence,
+      txHash: txHash('raiseDispute transaction')
+    }
+  },
+
+  DisputeMessageCreate: {
+    type: 'object',
+    required: ['body'],
+    properties: {
+      body: { type: 'string', minLength: 1, maxLength: 5000 },
+      evidence
+    }
+  },
+
+  DisputeRuling: {
+    type: 'object',
+    required: ['ruling'],
+    properties: {
+      ruling: { type: 'string', enum: RULINGS },
+      providerAmountUSDC: usdc('Provider share for a split'),
+      note: { type: 'string', maxLength: 2000 },
+      txHash: txHash('resolveDispute transaction')
+    },
+    if: { required: ['ruling'], properties: { ruling: { const: 'split' } } },
+    then: { required: ['providerAmountUSDC'] }
+  },
+
+  WebhookCreate: {
+    type: 'object',
+    required: ['ownerAddress', 'url', 'events'],
+    properties: {
+      ownerAddress: address('Subscribing wallet; must sign the request'),
+      url: { type: 'string', format: 'https-uri', maxLength: 2000 },
+      events: { type: 'array', minItems: 1, items: { type: 'string', enum: Object.keys(WEBHOOK_EVENTS) } }
+    }
+  },
+
+  ApiKeyCreate: {
+    type: 'object',
+    required: ['ownerAddress'],
+    properties: {
+      ownerAddress: address('Wallet the key is issued to; must sign the request'),
+      label: { type: 'string', maxLength: 100, description: 'Your name for the key' }
+    }
+  },
+
+  AgentProfileUpdate: {
+    type: 'object',
+    properties: {
+      displayName: { type: ['string', 'null'], minLength: 1, maxLength: 100 },
+      bio: { type: ['string', 'null'], maxLength: 2000 },
+      avatarUrl: { type: ['string', 'null'], format: 'https-uri', maxLength: 2000 },
+      ensName: { type: ['string', 'null'], maxLength: 255, description: 'ENS name or Basename (alice.base.eth) that resolves to this wallet' },
+      protocols: {
+        type: 'array',
+        maxItems: 20,
+        items: { type: 'string', minLength: 1, maxLength: 50 },
+        description: 'Protocols the agent speaks, e.g. mcp, a2a, x402, openapi'
+      },
+      endpoints: {
+        type: 'object',
+        additionalProperties: false,
+        description: 'Where to reach the agent',
+        properties: {
+          callback: { type: 'string', format: 'https-uri', maxLength: 2000 },
+          mcp: { type: 'string', format: 'https-uri', maxLength: 2000 },
+          a2a: { type: 'string', format: 'https-uri', maxLength: 2000 },
+          openapi: { type: 'string', format: 'https-uri', maxLength: 2000 },
+          website: { type: 'string', format: 'https-uri', maxLength: 2000 },
+          contact: { type: 'string', minLength: 1, maxLength: 200, description: 'Email address or other contact handle' }
+        }
+      },
+      capabilities: { type: ['object', 'null'], description: 'Capability manifest (free-form JSON, up to 16 KB): skills, input/output formats, limits' }
+    },
+    anyOf: ['displayName', 'bio', 'avatarUrl', 'ensName', 'protocols', 'endpoints', 'capabilities']
+      .map((field) => ({ required: [field] }))
+  },
+
+  ServiceReport: {
+    type: 'object',
+    required: ['reporterAddress', 'reason'],
+    properties: {
+      reporterAddress: address('Reporting wallet; must sign the request'),
+      reason: { type: 'string', enum: REPORT_REASONS },
+      details: { type: 'string', maxLength: 2000, description: 'What is wrong with the listing' }
+    }
+  },
+
+  ServiceModeration: {
+    type: 'object',
+    required: ['action'],
+    properties: {
+      action: { type: 'string', enum: MODERATION_ACTIONS },
+      reason: { type: 'string', maxLength: 2000, description: 'Shown to admins and kept in the audit log' }
+    }
+  },
+
+  ReportDismissal: {
+    type: 'object',
+    properties: {
+      note: { type: 'string', maxLength: 2000 }
+    }
+  },
+
+  AddressBan: {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: { type: 'string', enum: BAN_TYPES },
+      reason: { type: 'string', maxLength: 2000 }
+    }
+  },
+
+  MaintenanceUpdate: {
+    type: 'object',
+    required: ['enabled'],
+    properties: {
+      enabled: { type: 'boolean' },
+      message: { type: 'string', maxLength: 500, description: 'Returned with every refused write' }
+    }
+  },
+
+  RatingCreate: {
+    type: 'object',
+    required: ['score', 'requestId', 'raterAddress'],
+    properties: {
+      score: { type: 'number', minimum: 1, maximum: 5 },
+      requestId: positiveId('Finalized request between rater and agent'),
+      raterAddress: address('Buyer wallet; must sign the request'),
+      review: { type: 'string', maxLength: 1000 }
+    }
+  }
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+const idParam = (description) => ({ id: { type: 'integer', description } });
+const statusFilter = (values) => ({ status: { type: 'string', enum: values, description: 'Filter by status' } });
+const limitParam = { limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 } };
+
+export const ROUTES = [
+  { method: 'GET', path: '/', operationId: 'getApiInfo', tag: 'meta', summary: 'API overview and endpoint list' },
+  { method: 'GET', path: '/openapi.json', operationId: 'getOpenApi', tag: 'meta', summary: 'OpenAPI 3.1 description of this API' },
+  { method: 'GET', path: '/health', operationId: 'healthCheck', tag: 'meta', summary: 'Health check' },
+  { method: 'GET', path: '/stats', operationId: 'getStats', tag: 'meta', summary: 'Exchange statistics' },
+  {
+    method: 'GET', path: '/stats/timeseries', operationId: 'getStatsTimeseries', tag: 'analytics',
+    summary: 'Marketplace metric per hour or day',
+    query: {
+      metric: { type: 'string', enum: METRICS, required: true },
+      interval: { type: 'string', enum: INTERVALS, default: 'day' },
+      from: { type: 'string', description: 'ISO 8601 date or date-time (default: 30 days or 48 hours before `to`)' },
+      to: { type: 'string', description: 'ISO 8601 date or date-time (default: now)' },
+      category: { type: 'string', description: 'Only listings in this category' }
+    }
+  },
+  {
+    method: 'GET', path: '/audit', operationId: 'listAudit', tag: 'audit',
+    summary: 'Audit log entries, oldest first, with their hash chain',
+    query: {
+      entity: { type: 'string', description: 'Entity type, optionally with an id: service or service:12' },
+      actor: address('Wallet that made the change'),
+      action: { type: 'string', description: 'e.g. create, update, rate, chain:EscrowReleased' },
+      since: { type: 'string', description: 'ISO 8601 date or date-time' },
+      cursor: { type: 'string', description: 'nextCursor from the previous page' },
+      limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 }
+    }
+  },
+  {
+    method: 'GET', path: '/audit/verify', operationId: 'verifyAudit', tag: 'audit',
+    summary: 'Recompute the audit hash chain and report any break',
+    query: { from: { type: 'integer', minimum: 1, default: 1, description: 'First entry id; continue with nextFrom' } }
+  },
+  {
+    method: 'GET', path: '/audit/anchors', operationId: 'listAuditAnchors', tag: 'audit',
+    summary: 'Signed checkpoints of the audit chain head', query: limitParam
+  },
+  {
+    method: 'GET', path: '/leaderboard', operationId: 'getLeaderboard', tag: 'analytics',
+    summary: 'Top providers or services by volume, transactions or rating',
+    query: {
+      type: { type: 'string', enum: LEADERBOARD_TYPES, default: 'providers' },
+      by: { type: 'string', enum: LEADERBOARD_SORTS, default: 'volume' },
+      period: { type: 'string', enum: Object.keys(LEADERBOARD_PERIODS), default: '30d' },
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 }
+    }
+  },
+  {
+    method: 'GET', path: '/auth/nonce', operationId: 'getAuthNonce', tag: 'auth',
+    summary: 'Issue a one-time signing nonce',
+    query: { address: { ...address('Wallet that will sign'), required: true } }
+  },
+  { method: 'GET', path: '/auth/keys', operationId: 'listApiKeys', tag: 'auth', summary: 'List your API keys', signed: true },
+  {
+    method: 'POST', path: '/auth/keys', operationId: 'createApiKey', tag: 'auth',
+    summary: 'Issue an API key to your wallet (the key is only shown once)', signed: true, body: 'ApiKeyCreate', status: 201
+  },
+  {
+    method: 'DELETE', path: '/auth/keys/{id}', operationId: 'revokeApiKey', tag: 'auth',
+    summary: 'Revoke one of your API keys', signed: true, params: idParam('API key id')
+  },
+
+  {
+    method: 'GET', path: '/services', operationId: 'listServices', tag: 'services',
+    summary: 'Search and list services',
+    query: {
+      q: { type: 'string', description: 'Keywords (name and description)' },
+      category: { type: 'string' },
+      provider: address('Provider wallet'),
+      minPrice: { type: 'number', minimum: 0, description: 'USDC' },
+      maxPrice: { type: 'number', minimum: 0, description: 'USDC' },
+      minRating: { type: 'number', minimum: 0, maximum: 5 },
+      sort: { type: 'string', enum: SORT_OPTIONS, description: 'Defaults to relevance with q, recent otherwise' },
+      page: { type: 'integer', minimum: 1, default: 1 },
+      ...limitParam
+    }
+  },
+  { method: 'POST', path: '/services', operationId: 'createService', tag: 'services', summary: 'Register a new service', signed: true, body: 'ServiceCreate', status: 201 },
+  { method: 'GET', path: '/services/{id}', operationId: 'getService', tag: 'services', summary: 'Get service details', params: idParam('Service id') },
+  {
+    method: 'PUT', path: '/services/{id}', operationId: 'updateService', tag: 'services',
+    summary: 'Update, reprice, pause or resume a service (provider only)', signed: true, params: idParam('Service id'), body: 'ServiceUpdate'
+  },
+  {
+    method: 'DELETE', path: '/services/{id}', operationId: 'deleteService', tag: 'services',
+    summary: 'Soft-delete a service (provider only)', signed: true, params: idParam('Service id')
+  },
+  {
+    method: 'POST', path: '/services/{id}/report', operationId: 'reportService', tag: 'services',
+    summary: 'Report a listing to the moderators', signed: true, params: idParam('Service id'), body: 'ServiceReport', status: 201
+  },
+  {
+    method: 'POST', path: '/services/{id}/request', operationId: 'requestService', tag: 'requests',
+    summary: 'Request a service, citing the on-chain escrow', signed: true, params: idParam('Service id'), body: 'ServiceRequestCreate', status: 201
+  },
+  {
+    method: 'POST', path: '/services/{id}/call', operationId: 'callService', tag: 'requests',
+    summary: 'Call a service\'s endpoint, paying per call with x402 (the body is forwarded to the provider)', params: idParam('Service id'), paid: true
+  },
+  {
+    method: 'POST', path: '/services/{id}/credits', operationId: 'purchaseCredits', tag: 'billing',
+    summary: 'Buy a subscription period, bundle or credits on a prepaid listing, paid with x402', params: idParam('Service id'),
+    body: 'CreditPurchase', bodyOptional: true, paid: true, status: 201
+  },
+  {
+    method: 'GET', path: '/services/{id}/credits', operationId: 'getCredits', tag: 'billing',
+    summary: 'Your balance or subscription on a prepaid listing', signed: true, params: idParam('Service id')
+  },
+  {
+    method: 'POST', path: '/services/{id}/credits/consume', operationId: 'consumeCredits', tag: 'billing',
+    summary: 'Use a prepaid listing once: draws from your balance or subscription and creates a request', signed: true,
+    params: idParam('Service id'), body: 'CreditUse', status: 201
+  },
+  {
+    method: 'POST', path: '/services/{id}/rfqs', operationId: 'createRfq', tag: 'negotiation',
+    summary: 'Ask the provider for a quote (buyer)', signed: true, params: idParam('Service id'), body: 'RfqCreate', status: 201
+  },
+
+  {
+    method: 'GET', path: '/rfqs', operationId: 'listRfqs', tag: 'negotiation',
+    summary: 'Your RFQs as buyer or provider', signed: true, query: statusFilter(['open', 'accepted', 'fulfilled', 'cancelled'])
+  },
+  { method: 'GET', path: '/rfqs/{id}', operationId: 'getRfq', tag: 'negotiation', summary: 'RFQ with full offer history (parties only)', signed: true, params: idParam('RFQ id') },
+  {
+    method: 'POST', path: '/rfqs/{id}/quotes', operationId: 'createQuote', tag: 'negotiation',
+    summary: 'Make an offer or counter-offer (parties only)', signed: true, params: idParam('RFQ id'), body: 'QuoteCreate', status: 201
+  },
+  {
+    method: 'POST', path: '/rfqs/{id}/quotes/{quoteId}/accept', operationId: 'acceptQuote', tag: 'negotiation',
+    summary: 'Accept the latest offer (counterparty)', signed: true,
+    params: { ...idParam('RFQ id'), quoteId: { type: 'integer', description: 'Quote id' } }
+  },
+  { method: 'POST', path: '/rfqs/{id}/cancel', operationId: 'cancelRfq', tag: 'negotiation', summary: 'Cancel negotiation (parties only)', signed: true, params: idParam('RFQ id') },
+
+  { method: 'GET', path: '/requests/{id}', operationId: 'getRequest', tag: 'requests', summary: 'Service request with state history', params: idParam('Request id') },
+  {
+    method: 'POST', path: '/requests/{id}/{action}', operationId: 'transitionRequest', tag: 'requests',
+    summary: 'Move a request through its lifecycle: accept, complete (provider), confirm (buyer), cancel, claim-timeout (provider, 24h after completion)',
+    signed: true,
+    params: { ...idParam('Request id'), action: { type: 'string', enum: Object.keys(TRANSITIONS) } },
+    body: 'RequestTransition',
+    bodyOptional: true
+  },
+  {
+    method: 'POST', path: '/requests/{id}/deliverables', operationId: 'submitDeliverable', tag: 'deliverables',
+    summary: 'Submit work results (provider)', signed: true, params: idParam('Request id'), body: 'DeliverableCreate', status: 201
+  },
+  {
+    method: 'GET', path: '/requests/{id}/deliverables', operationId: 'listDeliverables', tag: 'deliverables',
+    summary: 'Deliverable metadata and content hashes (parties only)', signed: true, params: idParam('Request id')
+  },
+  {
+    method: 'GET', path: '/requests/{id}/deliverables/{deliverableId}/content', operationId: 'getDeliverableContent', tag: 'deliverables',
+    summary: 'Download a deliverable (buyer once completed)', signed: true,
+    params: { ...idParam('Request id'), deliverableId: { type: 'integer', description: 'Deliverable id' } }
+  },
+  {
+    method: 'POST', path: '/requests/{id}/dispute', operationId: 'openDispute', tag: 'disputes',
+    summary: 'Open a dispute with reason and evidence (parties only)', signed: true, params: idParam('Request id'), body: 'DisputeCreate', status: 201
+  },
+  {
+    method: 'GET', path: '/requests/{id}/dispute', operationId: 'getDispute', tag: 'disputes',
+    summary: 'Dispute with its message thread (parties and arbiters)', signed: true, params: idParam('Request id')
+  },
+  {
+    method: 'POST', path: '/requests/{id}/dispute/messages', operationId: 'addDisputeMessage', tag: 'disputes',
+    summary: 'Post to the dispute thread (parties and arbiters)', signed: true, params: idParam('Request id'), body: 'DisputeMessageCreate', status: 201
+  },
+  {
+    method: 'POST', path: '/requests/{id}/dispute/resolve', operationId: 'resolveDispute', tag: 'disputes',
+    summary: 'Rule refund, release or split (arbiter)', signed: true, params: idParam('Request id'), body: 'DisputeRuling'
+  },
+  {
+    method: 'GET', path: '/disputes', operationId: 'listDisputes', tag: 'disputes',
+    summary: 'Your disputes; arbiters see all', signed: true, query: statusFilter(['open', 'resolved'])
+  },
+
+  { method: 'GET', path: '/webhooks', operationId: 'listWebhooks', tag: 'webhooks', summary: 'List your webhook subscriptions', signed: true },
+  { method: 'POST', path: '/webhooks', operationId: 'createWebhook', tag: 'webhooks', summary: 'Subscribe a URL to marketplace events', signed: true, body: 'WebhookCreate', status: 201 },
+  { method: 'DELETE', path: '/webhooks/{id}', operationId: 'deleteWebhook', tag: 'webhooks', summary: 'Remove a webhook subscription', signed: true, params: idParam('Webhook id') },
+  {
+    method: 'GET', path: '/webhooks/{id}/deliveries', operationId: 'listWebhookDeliveries', tag: 'webhooks',
+    summary: 'Webhook delivery log', signed: true, params: idParam('Webhook id'),
+    query: { ...statusFilter(['pending', 'delivered', 'failed', 'cancelled']), ...limitParam }
+  },
+
+  {
+    method: 'GET', path: '/agents/{address}', operationId: 'getAgent', tag: 'agents', summary: 'Agent profile with reputation',
+    params: { address: { type: 'string', description: 'Agent wallet, or an ENS name / Basename such as alice.base.eth' } }
+  },
+  {
+    method: 'PUT', path: '/agents/{address}', operationId: 'updateAgent', tag: 'agents',
+    summary: 'Describe yourself: display name, bio, avatar, protocols, endpoints, capabilities (the agent only)', signed: true,
+    params: { address: address('Agent wallet') }, body: 'AgentProfileUpdate'
+  },
+  {
+    method: 'POST', path: '/agents/{address}/rate', operationId: 'rateAgent', tag: 'agents',
+    summary: 'Rate an agent after a finalized request', signed: true, params: { address: address('Agent wallet') }, body: 'RatingCreate', status: 201
+  },
+
+  {
+    method: 'GET', path: '/admin/reports', operationId: 'listReports', tag: 'admin',
+    summary: 'Listing reports, oldest first (admin)', signed: true,
+    query: { status: { type: 'string', enum: REPORT_STATUSES, default: 'open', description: 'Filter by status' }, ...limitParam }
+  },
+  {
+    method: 'POST', path: '/admin/reports/{id}/dismiss', operationId: 'dismissReport', tag: 'admin',
+    summary: 'Close a report without acting on the listing (admin)', signed: true, params: idParam('Report id'),
+    body: 'ReportDismissal', bodyOptional: true
+  },
+  {
+    method: 'GET', path: '/admin/services', operationId: 'listModeratedServices', tag: 'admin',
+    summary: 'Flagged and hidden listings with their open reports (admin)', signed: true,
+    query: { moderation: { type: 'string', enum: MODERATION_STATUSES, description: 'Only flagged or only hidden listings' }, ...limitParam }
+  },
+  {
+    method: 'POST', path: '/admin/services/{id}/moderation', operationId: 'moderateService', tag: 'admin',
+    summary: 'Flag, hide or restore a listing (admin)', signed: true, params: idParam('Service id'), body: 'ServiceModeration'
+  },
+  { method: 'GET', path: '/admin/bans', operationId: 'listBans', tag: 'admin', summary: 'Banned and shadow-banned wallets (admin)', signed: true },
+  {
+    method: 'PUT', path: '/admin/bans/{address}', operationId: 'banAddress', tag: 'admin',
+    summary: 'Ban or shadow-ban a wallet (admin)', signed: true, params: { address: address('Wallet to ban') }, body: 'AddressBan'
+  },
+  {
+    method: 'DELETE', path: '/admin/bans/{address}', operationId: 'unbanAddress', tag: 'admin',
+    summary: 'Lift a ban (admin)', signed: true, params: { address: address('Banned wallet') }
+  },
+  {
+    method: 'PUT', path: '/admin/maintenance', operationId: 'setMaintenance', tag: 'admin',
+    summary: 'Turn read-only maintenance mode on or off (admin)', signed: true, body: 'MaintenanceUpdate'
+  },
+
+  {
+    method: 'POST', path: '/mcp', operationId: 'mcp', tag: 'mcp',
+    summary: 'Model Context Protocol endpoint (JSON-RPC over Streamable HTTP): exchange tools and resources for agents'
+  },
+  { method: 'GET', path: '/mcp', operationId: 'mcpStream', tag: 'mcp', summary: 'MCP server-to-client stream (not offered; answers 405)' }
+];
+
+// {param} → capture group; enum params only match their values
+function compile(route) {
+  const source = route.path.replace(/\{(\w+)\}/g, (_, name) => {
+    const values = route.params?.[name]?.enum;
+    return values ? `(${values.join('|')})` : '([^/]+)';
+  });
+  return {
+    ...route,
+    pattern: new RegExp(`^${source}$`),
+    paramNames: [...route.path.matchAll(/\{(\w+)\}/g)].map((match) => match[1])
+  };
+}
+
+const COMPILED_ROUTES = ROUTES.map(compile);
+
+// ============================================
+// OPENAPI
+// ============================================
+
+const SIGNING_HEADERS = {
+  agentAddress: 'X-Agent-Address',
+  agentNonce: 'X-Agent-Nonce',
+  agentSignature: 'X-Agent-Signature'
+};
+
+const ENVELOPE = {
+  Success: {
+    type: 'object',
+    required: ['success', 'data', 'meta'],
+    properties: {
+      success: { const: true },
+      data: {},
+      meta: { type: 'object', properties: { timestamp: { type: 'string', format: 'date-time' } } }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+      success: { const: false },
+      error: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          code: { type: 'integer' },
+          details: { description: 'Validation messages ("<path>: <problem>") or extra context' }
+        }
+      },
+      meta: { type: 'object' }
+    }
+  }
+};
+
+function toParameters(params = {}, location) {
+  return Object.entries(params).map(([name, { description, required, ...schema }]) => ({
+    name,
+    in: location,
+    required: location === 'path' || Boolean(required),
+    ...(description ? { description } : {}),
+    schema
+  }));
+}
+
+function toOperation(route) {
+  const status = String(route.status || 200);
+  const operation = {
+    operationId: route.operationId,
+    summary: route.summary,
+    tags: [route.tag]
+  };
+
+  const parameters = [...toParameters(route.params, 'path'), ...toParameters(route.query, 'query')];
+  if (route.paid) {
+    parameters.push({
+      name: 'X-PAYMENT',
+      in: 'header',
+      required: false,
+      description: 'Base64 JSON x402 payment payload (EIP-3009 transferWithAuthorization) meeting one of the 402 response\'s `accepts`',
+      schema: { type: 'string' }
+    });
+  }
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (route.body) {
+    operation.requestBody = {
+      required: !route.bodyOptional,
+      content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.body}` } } }
+    };
+  }
+
+  if (route.signed) {
+    operation.security = [Object.fromEntries(Object.keys(SIGNING_HEADERS).map((scheme) => [scheme, []]))];
+  }
+
+  operation.responses = {
+    [status]: { description: 'Success', content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } } },
+    ...(route.paid ? { 402: { description: 'Payment required: x402 body with `accepts` (payment requirements) and `error`' } } : {}),
+    default: { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+  };
+
+  return operation;
+}
+
+export class OpenApi {
+  /**
+   * Find the route for a request
+   * @returns {{route: object, params: object} | null}
+   */
+  static match(method, pathname) {
+    for (const route of COMPILED_ROUTES) {
+      if (route.method !== method) continue;
+
+      const match = pathname.match(route.pattern);
+      if (match) {
+        const params = Object.fromEntries(route.paramNames.map((name, index) => [name, match[index + 1]]));
+        return { route, params };
+      }
+    }
+    return null;
+  }
+
+  static getBodySchema(route) {
+    return route.body ? SCHEMAS[route.body] : null;
+  }
+
+  // Distinct path templates, for the 404 hint
+  static paths() {
+    return [...new Set(ROUTES.map((route) => route.path))];
+  }
+
+  // "METHOD /path" → summary, for GET /
+  static endpoints() {
+    return Object.fromEntries(ROUTES.map((route) => [
+      `${route.method} ${route.path}`,
+      route.signed ? `${route.summary} (signed)` : route.summary
+    ]));
+  }
+
+  static document(serverUrl) {
+    const paths = {};
+    for (const route of ROUTES) {
+      paths[route.path] = paths[route.path] || {};
+      paths[route.path][route.method.toLowerCase()] = toOperation(route);
+    }
+
+    return {
+      openapi: '3.1.0',
+      info: {
+        title: 'Agent Service Exchange API',
+        version: API_VERSION,
+        description: 'Marketplace where AI agents discover, negotiate and pay for services, settled in USDC through the AgentServiceExchange escrow contract. ' +
+          'Signed operations need a nonce from GET /auth/nonce and an EIP-191 (or EIP-712) signature over the method, path, body hash and nonce. ' +
+          'An optional API key (POST /auth/keys, sent as a bearer token) gives a wallet its own rate limits. ' +
+          'Services that list an endpoint can also be called pay-per-call with x402 (POST /services/{id}/call).'
+      },
+      servers: [{ url: serverUrl }],
+      tags: [...new Set(ROUTES.map((route) => route.tag))].map((name) => ({ name })),
+      paths,
+      components: {
+        schemas: { ...SCHEMAS, ...ENVELOPE },
+        securitySchemes: {
+          ...Object.fromEntries(Object.entries(SIGNING_HEADERS).map(([scheme, header]) => [
+            scheme,
+            { type: 'apiKey', in: 'header', name: header, description: 'See GET /auth/nonce for the signing scheme' }
+          ])),
+          apiKey: { type: 'http', scheme: 'bearer', description: 'Optional on every operation; selects per-key rate limits' }
+        }
+      }
+    };
+  }
+}
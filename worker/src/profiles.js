@@ -0,0 +1,64 @@
+/**
+ * Self-managed agent profiles
+ *
+ * Agents describe themselves with PUT /agents/:address (signed by that
+ * wallet): a display name, bio, avatar, the protocols they speak, endpoints
+ * to reach them, and a free-form capability manifest. The fields live on
+ * `agent_profiles` next to the counters the exchange maintains; structured
+ * fields are stored as JSON text.
+ *
+ * `ensName` is only accepted if it resolves to the wallet (see names.js), so
+ * buyers can trust it in place of the hex address.
+ */
+
+export const MAX_MANIFEST_BYTES = 16 * 1024;
+
+// API field → agent_profiles column; `json` columns are stored serialized
+const PROFILE_FIELDS = {
+  displayName: { column: 'display_name' },
+  bio: { column: 'bio' },
+  avatarUrl: { column: 'avatar_url' },
+  ensName: { column: 'ens_name' },
+  protocols: { column: 'protocols', json: true },
+  endpoints: { column: 'endpoints', json: true },
+  capabilities: { column: 'capabilities', json: true }
+};
+
+export class Profiles {
+  /**
+   * Columns to write for an update body; fields not in the body are left alone, null clears
+   * @returns {{columns: object, errors: string[]}}
+   */
+  static columns(data) {
+    const columns = {};
+    const errors = [];
+
+    for (const [field, { column, json }] of Object.entries(PROFILE_FIELDS)) {
+      if (data[field] === undefined) continue;
+      const value = data[field];
+      columns[column] = json && value !== null ? JSON.stringify(value) : value;
+    }
+
+    if (columns.capabilities && columns.capabilities.length > MAX_MANIFEST_BYTES) {
+      errors.push(`$.capabilities: must be at most ${MAX_MANIFEST_BYTES} bytes`);
+    }
+    if (typeof columns.ens_name === 'string') {
+      columns.ens_name = columns.ens_name.toLowerCase();
+    }
+
+    return { columns, errors };
+  }
+
+  // agent_profiles row → the same object with the profile columns replaced by their API fields
+  static toResponse(row) {
+    const profile = { ...row };
+    for (const [field, { column, json }] of Object.entries(PROFILE_FIELDS)) {
+      const value = row[column] ?? null;
+      delete profile[column];
+      profile[field] = json && value !== null ? JSON.parse(value) : value;
+    }
+    profile.protocols = profile.protocols || [];
+    profile.endpoints = profile.endpoints || {};
+    return profile;
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * Tiered rate limiting
+ *
+ * Every request is counted against fixed one-minute windows, separately for
+ * reads (GET) and writes (everything else):
+ * - without an API key: the `anonymous` tier, per client IP
+ * - with an API key: the key's tier, per key, plus the `ip` ceiling per client
+ *   IP so one address can't multiply its budget by minting keys
+ *
+ * A key's tier is its `tier` column when an operator set one, otherwise the
+ * highest tier whose reputation requirements the owner meets.
+ *
+ * Counters live in the RateLimitCounter Durable Object, one instance per
+ * bucket, so increments are serialized and exact. If the binding is missing or
+ * unreachable, requests are let through rather than failed.
+ *
+ * Configuration (wrangler.toml [vars]): RATE_LIMITS, JSON merged over
+ * DEFAULT_RATE_LIMITS, e.g. {"tiers": {"partner": {"read": 5000, "write": 1000}}}
+ */
+
+export const DEFAULT_RATE_LIMITS = {
+  windowSeconds: 60,
+  ip: { read: 2000, write: 400 },
+  tiers: {
+    anonymous: { read: 100, write: 60 },
+    standard: { read: 300, write: 100 },
+    trusted: { read: 1000, write: 200, minRatingAvg: 4.5, minRatingCount: 10 }
+  }
+};
+
+export const RATE_LIMIT_HEADERS = ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-RateLimit-Tier'];
+
+export class RateLimiter {
+  static getConfig(env) {
+    let overrides = env.RATE_LIMITS || {};
+    if (typeof overrides === 'string') {
+      try {
+        overrides = JSON.parse(overrides);
+      } catch (e) {
+        console.error('RATE_LIMITS is not valid JSON, using defaults');
+        overrides = {};
+      }
+    }
+
+    return {
+      windowSeconds: overrides.windowSeconds || DEFAULT_RATE_LIMITS.windowSeconds,
+      ip: { ...DEFAULT_RATE_LIMITS.ip, ...overrides.ip },
+      tiers: { ...DEFAULT_RATE_LIMITS.tiers, ...overrides.tiers }
+    };
+  }
+
+  // One-line summary of `config` (from getConfig) for GET /
+  static describe(config) {
+    const window = config.windowSeconds === 60 ? 'minute' : `${config.windowSeconds} seconds`;
+    const limits = ({ read, write }) => `${read} reads/${write} writes`;
+    const keyed = Object.entries(config.tiers)
+      .filter(([name]) => name !== 'anonymous')
+      .map(([name, tier]) => `${name} ${limits(tier)}`);
+
+    return `Per ${window}: ${limits(config.tiers.anonymous)} per IP without an API key; ` +
+      `with one, per key by tier (${keyed.join(', ')}) and at most ${limits(config.ip)} per IP`;
+  }
+
+  static routeClass(method) {
+    return method === 'GET' || method === 'HEAD' ? 'read' : 'write';
+  }
+
+  /**
+   * Tier name for an API key
+   * @param {object} tiers From getConfig
+   * @param {{tier: string|null, ratingAvg: number|null, ratingCount: number}} key Resolved key (ApiKeys.resolve)
+   */
+  static tierFor(tiers, key) {
+    if (key.tier && tiers[key.tier]) return key.tier;
+
+    let best = null;
+    for (const [name, tier] of Object.entries(tiers)) {
+      if (name === 'anonymous') continue;
+      if ((tier.minRatingAvg ?? 0) > (key.ratingAvg ?? 0)) continue;
+      if ((tier.minRatingCount ?? 0) > (key.ratingCount ?? 0)) continue;
+      if (!best || tier.read > tiers[best].read) best = name;
+    }
+    return best || 'anonymous';
+  }
+
+  // Count one request in a bucket
+  static async hit(env, bucket, limit, windowSeconds) {
+    const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(bucket));
+    const response = await stub.fetch('https://rate-limiter/hit', {
+      method: 'POST',
+      body: JSON.stringify({ limit, windowSeconds })
+    });
+    return response.json();
+  }
+
+  /**
+   * Count a request against its buckets
+   * @param {Request} request
+   * @param {object} env Worker bindings
+   * @param {object|null} key Resolved API key, or null for anonymous callers
+   * @returns {Promise<{allowed: boolean, tier: string, limit?: number, remaining?: number, resetTime?: number, retryAfter?: number}>}
+   */
+  static async check(request, env, key = null) {
+    const config = this.getConfig(env);
+    const routeClass = this.routeClass(request.method);
+    const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
+    const tier = key ? this.tierFor(config.tiers, key) : 'anonymous';
+
+    if (!env.RATE_LIMITER) {
+      return { allowed: true, tier };
+    }
+
+    const buckets = key
+      ? [
+        { name: `key:${key.id}:${routeClass}`, limit: config.tiers[tier][routeClass] },
+        { name: `ip:${clientIP}:${routeClass}`, limit: config.ip[routeClass] }
+      ]
+      : [{ name: `anon:${clientIP}:${routeClass}`, limit: config.tiers.anonymous[routeClass] }];
+
+    let results;
+    try {
+      results = await Promise.all(buckets.map((bucket) => this.hit(env, bucket.name, bucket.limit, config.windowSeconds)));
+    } catch (e) {
+      // Don't block requests if the counter is unreachable
+      console.error('Rate limiter error:', e);
+      return { allowed: true, tier };
+    }
+
+    // Report the bucket that blocked the request, else the one closest to its limit
+    const blocked = results.find((result) => !result.allowed);
+    const reported = blocked || results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+    return {
+      allowed: !blocked,
+      tier,
+      limit: reported.limit,
+      remaining: reported.remaining,
+      resetTime: reported.resetTime,
+      ...(blocked ? { retryAfter: Math.max(1, Math.ceil((blocked.resetTime - Date.now()) / 1000)) } : {})
+    };
+  }
+
+  static headers(result) {
+    if (result.limit === undefined) {
+      return { 'X-RateLimit-Tier': result.tier };
+    }
+    return {
+      'X-RateLimit-Limit': String(result.limit),
+      'X-RateLimit-Remaining': String(result.remaining),
+      'X-RateLimit-Reset': String(Math.ceil(result.resetTime / 1000)),
+      'X-RateLimit-Tier': result.tier
+    };
+  }
+}
+
+/**
+ * Durable Object holding one bucket's fixed-window counter
+ *
+ * Storage calls hold the input gate, so the read-increment-write below can't
+ * interleave with another request to the same bucket.
+ */
+export class RateLimitCounter {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const { limit, windowSeconds } = await request.json();
+    const now = Date.now();
+
+    let window = await this.state.storage.get('window');
+    if (!window || now >= window.resetTime) {
+      window = { count: 0, resetTime: now + windowSeconds * 1000 };
+      // Clear the bucket once the window is over so idle buckets don't keep storage
+      await this.state.storage.setAlarm(window.resetTime);
+    }
+
+    // Rejected requests don't count, so a client that backs off isn't locked out longer
+    const allowed = window.count < limit;
+    if (allowed) window.count++;
+    await this.state.storage.put('window', window);
+
+    return Response.json({
+      allowed,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      resetTime: window.resetTime
+    });
+  }
+
+  async alarm() {
+    const window = await this.state.storage.get('window');
+    if (window && Date.now() < window.resetTime) {
+      await this.state.storage.setAlarm(window.resetTime);
+      return;
+    }
+    await this.state.storage.deleteAll();
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Reputation engine: one score per agent from off-chain ratings and the
+ * contract's on-chain Reputation
+ *
+ * The score is a Bayesian average on the 1-5 scale, starting from a prior of
+ * PRIOR_WEIGHT ratings at PRIOR_MEAN:
+ *
+ *   score = (PRIOR_MEAN * PRIOR_WEIGHT + Σ weight * rating) / (PRIOR_WEIGHT + Σ weight)
+ *
+ * Each off-chain rating (`agent_ratings`, disputed requests left out) weighs
+ *
+ *   weight = value * recency * standing * ring
+ *
+ * - value:    escrowed amount, log-scaled so VALUE_REFERENCE_USDC counts in full
+ *             and free uses count nothing
+ * - recency:  halves every HALF_LIFE_DAYS
+ * - standing: the rater's own footing: how many distinct agents other than the
+ *             rated one it has completed trades with (up to
+ *             STANDING_COUNTERPARTIES), times its rating average / 5 if it has
+ *             been rated; never below MIN_STANDING
+ * - ring:     RING_PENALTY when the rated agent also rated the rater
+ *             (reciprocal) or rated someone who rated the rater (circular),
+ *             1 otherwise
+ *
+ * A handful of fresh wallets rating each other after cheap trades therefore
+ * barely moves the score off the prior.
+ *
+ * On-chain ratings (mirrored from ReputationAdded into
+ * `agent_profiles.onchain_rating_*`) carry no rater or request, so they count
+ * as ONCHAIN_RATING_WEIGHT each at the on-chain average. Off-chain ratings of
+ * requests escrowed on-chain are taken to be the detailed copy of an on-chain
+ * rating, so only the on-chain ratings beyond those are added.
+ *
+ * Scores are computed on read; GET /agents/:address and GET /services/:id are
+ * cached briefly (see cache.js).
+ */
+
+export const PRIOR_MEAN = 3;
+export const PRIOR_WEIGHT = 5;
+export const HALF_LIFE_DAYS = 90;
+export const VALUE_REFERENCE_USDC = 100000000; // 100 USDC
+export const STANDING_COUNTERPARTIES = 5;
+export const MIN_STANDING = 0.2;
+export const RING_PENALTY = 0.1;
+export const ONCHAIN_RATING_WEIGHT = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+export class Reputation {
+  // Escrowed micro-USDC → [0, 1]
+  static valueWeight(amount) {
+    return Math.min(1, Math.log1p(amount / 1000000) / Math.log1p(VALUE_REFERENCE_USDC / 1000000));
+  }
+
+  static recencyWeight(createdAt, now = Date.now()) {
+    const ageDays = Math.max(0, now - Date.parse(`${createdAt.replace(' ', 'T')}Z`)) / DAY_MS;
+    return 0.5 ** (ageDays / HALF_LIFE_DAYS);
+  }
+
+  // Rater standing → [MIN_STANDING, 1]
+  static standingWeight({ counterparties, ratingAvg, ratingCount }) {
+    const breadth = Math.min(1, counterparties / STANDING_COUNTERPARTIES);
+    const quality = ratingCount > 0 ? ratingAvg / 5 : 1;
+    return MIN_STANDING + (1 - MIN_STANDING) * breadth * quality;
+  }
+
+  /**
+   * Score ratings and on-chain aggregates
+   * @param {object[]} ratings Rows from ratingsStatement
+   * @param {Map<string, object>} standings Rater → row from standingsStatement
+   * @param {{onchainRatingAvg: number, onchainRatingCount: number}} onchain
+   * @returns {object} score, confidence and how it was reached
+   */
+  static compute(ratings, standings, onchain, now = Date.now()) {
+    let weightSum = 0;
+    let weightedScore = 0;
+    let scoreSum = 0;
+    let onchainEscrowed = 0;
+    const factors = { value: 0, recency: 0, standing: 0 };
+    const discounted = { reciprocal: 0, circular: 0 };
+
+    for (const rating of ratings) {
+      const value = this.valueWeight(rating.amountUSDC);
+      const recency = this.recencyWeight(rating.createdAt, now);
+      const standing = this.standingWeight(standings.get(rating.raterAddress));
+      const ring = rating.reciprocal || rating.circular ? RING_PENALTY : 1;
+      const weight = value * recency * standing * ring;
+
+      if (rating.reciprocal) discounted.reciprocal++;
+      else if (rating.circular) discounted.circular++;
+      if (rating.onchainRequestId !== null) onchainEscrowed++;
+
+      factors.value += value;
+      factors.recency += recency;
+      factors.standing += standing;
+      scoreSum += rating.score;
+      weightSum += weight;
+      weightedScore += weight * rating.score;
+    }
+
+    const onchainCount = onchain.onchainRatingCount || 0;
+    const onchainCounted = Math.max(0, onchainCount - onchainEscrowed);
+    const onchainWeight = onchainCounted * ONCHAIN_RATING_WEIGHT;
+    weightSum += onchainWeight;
+    weightedScore += onchainWeight * (onchain.onchainRatingAvg || 0);
+
+    const count = ratings.length;
+    return {
+      score: round((PRIOR_MEAN * PRIOR_WEIGHT + weightedScore) / (PRIOR_WEIGHT + weightSum)),
+      confidence: round(weightSum / (PRIOR_WEIGHT + weightSum)),
+      ratingCount: count + onchainCounted,
+      breakdown: {
+        prior: { mean: PRIOR_MEAN, weight: PRIOR_WEIGHT },
+        offchain: {
+          count,
+          average: count > 0 ? round(scoreSum / count) : null,
+          weight: round(weightSum - onchainWeight, 4)
+        },
+        onchain: {
+          count: onchainCount,
+          average: onchainCount > 0 ? onchain.onchainRatingAvg : null,
+          counted: onchainCounted,
+          weight: round(onchainWeight, 4)
+        },
+        // Mean factor across off-chain ratings
+        factors: {
+          value: count > 0 ? round(factors.value / count) : null,
+          recency: count > 0 ? round(factors.recency / count) : null,
+          standing: count > 0 ? round(factors.standing / count) : null
+        },
+        discounted
+      }
+    };
+  }
+
+  // Ratings an agent received, with the ring checks done in SQL
+  static ratingsStatement(env, address) {
+    return env.DB.prepare(
+      `SELECT
+         ar.rater_address as raterAddress, ar.score, ar.created_at as createdAt,
+         sr.amount_usdc as amountUSDC, sr.onchain_request_id as onchainRequestId,
+         EXISTS (
+           SELECT 1 FROM agent_ratings x
+           WHERE x.agent_address = ar.rater_address AND x.rater_address = ar.agent_address
+         ) as reciprocal,
+         EXISTS (
+           SELECT 1 FROM agent_ratings x
+           JOIN agent_ratings y ON y.agent_address = x.rater_address
+           WHERE x.agent_address = ar.rater_address AND y.rater_address = ar.agent_address
+         ) as circular
+       FROM agent_ratings ar
+       JOIN service_requests sr ON sr.id = ar.request_id
+       WHERE ar.agent_address = ? AND sr.status != 'disputed'`
+    ).bind(address);
+  }
+
+  // Each rater's completed counterparties (other than the rated agent) and own rating
+  static standingsStatement(env, address, raters) {
+    return env.DB.prepare(
+      `SELECT
+         r.value as address,
+         (SELECT COUNT(DISTINCT CASE WHEN sr.buyer_address = r.value THEN sr.provider_address ELSE sr.buyer_address END)
+          FROM service_requests sr
+          WHERE (sr.buyer_address = r.value OR sr.provider_address = r.value)
+            AND sr.status IN ('completed', 'finalized')
+            AND sr.buyer_address != ? AND sr.provider_address != ?) as counterparties,
+         ap.rating_avg as ratingAvg, COALESCE(ap.rating_count, 0) as ratingCount
+       FROM json_each(?) r
+       LEFT JOIN agent_profiles ap ON ap.address = r.value`
+    ).bind(address, address, JSON.stringify(raters));
+  }
+
+  /**
+   * Current reputation of an agent
+   * @param {string} address Lowercased wallet address
+   */
+  static async forAgent(env, address) {
+    const [ratings, onchain] = await env.DB.batch([
+      this.ratingsStatement(env, address),
+      env.DB.prepare(
+        `SELECT onchain_rating_avg as onchainRatingAvg, onchain_rating_count as onchainRatingCount
+         FROM agent_profiles WHERE address = ?`
+      ).bind(address)
+    ]);
+
+    const raters = [...new Set(ratings.results.map((rating) => rating.raterAddress))];
+    const standings = new Map();
+    if (raters.length > 0) {
+      const rows = await this.standingsStatement(env, address, raters).all();
+      for (const row of rows.results) standings.set(row.address, row);
+    }
+
+    return this.compute(ratings.results, standings, onchain.results[0] || {});
+  }
+}
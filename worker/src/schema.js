@@ -0,0 +1,207 @@
+/**
+ * JSON Schema subset validator
+ *
+ * One engine for API request bodies (the schemas in openapi.js) and for the
+ * output schemas providers attach to listings (deliverables.js).
+ *
+ * Supported keywords: type, properties, required, additionalProperties,
+ * items, enum, const, minLength, maxLength, minimum, maximum,
+ * exclusiveMinimum, minItems, maxItems, format, anyOf, if/then.
+ * Unknown formats are ignored, as JSON Schema specifies.
+ *
+ * Every violation reads "<path>: <problem>", e.g.
+ *   $.priceUSDC: must be > 0
+ *   $: missing required property "name"
+ *   $.events[1]: must be one of "request.created", "rating.received"
+ */
+
+export const MAX_SCHEMA_BYTES = 16 * 1024;
+
+const SCHEMA_TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+const MAX_SCHEMA_ERRORS = 20;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function isHttpUrl(value, protocols) {
+  try {
+    return protocols.includes(new URL(value).protocol) && !/\s/.test(value);
+  } catch (e) {
+    return false;
+  }
+}
+
+// format → (value, path) => violations
+const FORMATS = {
+  address: (value, path) => /^0x[a-fA-F0-9]{40}$/.test(value) ? [] : [`${path}: must be a valid Ethereum address`],
+  'tx-hash': (value, path) => /^0x[a-fA-F0-9]{64}$/.test(value) ? [] : [`${path}: must be a valid transaction hash`],
+  uri: (value, path) => isHttpUrl(value, ['http:', 'https:']) ? [] : [`${path}: must be an http(s) URL`],
+  'https-uri': (value, path) => isHttpUrl(value, ['https:']) ? [] : [`${path}: must be a valid https:// URL`],
+  'media-type': (value, path) => /^[\w.+-]+\/[\w.+-]+(;.*)?$/.test(value) ? [] : [`${path}: must be a MIME type such as application/json`],
+  // A schema supplied by a client, e.g. a listing's outputSchema
+  'json-schema': (value, path) => JSON.stringify(value).length > MAX_SCHEMA_BYTES
+    ? [`${path}: must be at most ${MAX_SCHEMA_BYTES} bytes`]
+    : Schema.check(value, path)
+};
+
+export class Schema {
+  /**
+   * Problems with a schema itself (not with a value), for client-supplied schemas
+   * @returns {string[]}
+   */
+  static check(schema, path = '$') {
+    const errors = [];
+
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      return [`${path}: schema must be an object`];
+    }
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const unknown = types.filter((type) => !SCHEMA_TYPES.includes(type));
+      if (unknown.length > 0) {
+        errors.push(`${path}: unsupported type ${unknown.join(', ')}`);
+      }
+    }
+
+    if (schema.required !== undefined && (!Array.isArray(schema.required) || schema.required.some((key) => typeof key !== 'string'))) {
+      errors.push(`${path}: required must be an array of property names`);
+    }
+
+    if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+      errors.push(`${path}: enum must be an array`);
+    }
+
+    if (schema.properties !== undefined) {
+      if (!schema.properties || typeof schema.properties !== 'object' || Array.isArray(schema.properties)) {
+        errors.push(`${path}: properties must be an object`);
+      } else {
+        for (const [key, child] of Object.entries(schema.properties)) {
+          errors.push(...this.check(child, `${path}.${key}`));
+        }
+      }
+    }
+
+    if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+      errors.push(...this.check(schema.additionalProperties, `${path}.additionalProperties`));
+    }
+
+    if (schema.items !== undefined) {
+      errors.push(...this.check(schema.items, `${path}[]`));
+    }
+
+    if (schema.anyOf !== undefined && !Array.isArray(schema.anyOf)) {
+      errors.push(`${path}: anyOf must be an array`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a parsed JSON value against a schema
+   * @returns {string[]} one message per violation (empty when valid)
+   */
+  static validate(value, schema, path = '$', errors = []) {
+    if (errors.length >= MAX_SCHEMA_ERRORS) return errors;
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some((type) => matchesType(value, type))) {
+        errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+        return errors;
+      }
+    }
+
+    if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+      errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.enum && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+      errors.push(`${path}: must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path}: must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: must be >= ${schema.minimum}`);
+      }
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path}: must be <= ${schema.maximum}`);
+      }
+    }
+
+    if (schema.format && FORMATS[schema.format] && value !== null) {
+      errors.push(...FORMATS[schema.format](value, path));
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path}: must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path}: must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => this.validate(item, schema.items, `${path}[${index}]`, errors));
+      }
+    }
+
+    if (typeOf(value) === 'object') {
+      for (const key of schema.required || []) {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) {
+          errors.push(`${path}: missing required property "${key}"`);
+        }
+      }
+
+      const properties = schema.properties || {};
+      for (const [key, child] of Object.entries(value)) {
+        if (Object.prototype.hasOwnProperty.call(properties, key)) {
+          this.validate(child, properties[key], `${path}.${key}`, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}: unexpected property "${key}"`);
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+          this.validate(child, schema.additionalProperties, `${path}.${key}`, errors);
+        }
+      }
+    }
+
+    if (Array.isArray(schema.anyOf) && !schema.anyOf.some((option) => this.validate(value, option, path).length === 0)) {
+      errors.push(`${path}: ${this.describeAnyOf(schema.anyOf)}`);
+    }
+
+    if (schema.if && schema.then && this.validate(value, schema.if, path).length === 0) {
+      this.validate(value, schema.then, path, errors);
+    }
+
+    return errors.slice(0, MAX_SCHEMA_ERRORS);
+  }
+
+  // "at least one of" for the common anyOf-of-required pattern, generic otherwise
+  static describeAnyOf(options) {
+    const keys = options.map((option) => Object.keys(option).length === 1 && option.required?.length === 1 ? option.required[0] : null);
+    if (keys.every(Boolean)) {
+      return `must include at least one of ${keys.map((key) => `"${key}"`).join(', ')}`;
+    }
+    return 'does not match any of the allowed shapes';
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Service discovery: keyword search, filters and ranking for GET /services
+ *
+ * Keyword search runs against the `services_fts` FTS5 index (name, description).
+ * Each hit gets a relevance score in [0, 1]:
+ *
+ *   relevance = TEXT_WEIGHT * textMatch + REPUTATION_WEIGHT * reputation
+ *
+ * - textMatch: bm25 rank squashed into [0, 1) (0 when there is no keyword query)
+ * - reputation: provider's average rating / 5, shrunk towards 0 for providers
+ *   with few ratings so one 5-star review doesn't outrank an established agent
+ */
+
+import { Moderation } from './moderation.js';
+
+const TEXT_WEIGHT = 0.7;
+const REPUTATION_WEIGHT = 0.3;
+const RATING_PRIOR_COUNT = 3; // ratings needed before reputation counts for half
+
+export const SORT_OPTIONS = ['relevance', 'recent', 'price_asc', 'price_desc', 'rating', 'popularity'];
+
+const ORDER_BY = {
+  relevance: 'relevanceScore DESC, s.created_at DESC',
+  recent: 's.created_at DESC',
+  price_asc: 's.price_usdc ASC, s.created_at DESC',
+  price_desc: 's.price_usdc DESC, s.created_at DESC',
+  rating: 'providerRating DESC, providerRatingCount DESC, s.created_at DESC',
+  popularity: 'requestCount DESC, s.created_at DESC'
+};
+
+export class Search {
+  // Turn free text into a safe FTS5 query: quoted prefix terms, any of which may match
+  static toFtsQuery(text) {
+    const terms = (text.match(/[\p{L}\p{N}_]+/gu) || []).slice(0, 10);
+    return terms.map((term) => `"${term}"*`).join(' OR ');
+  }
+
+  /**
+   * Read and validate discovery parameters from the query string
+   * @returns {{errors: string[], params: object}}
+   */
+  static parseParams(searchParams) {
+    const errors = [];
+    const params = {
+      q: searchParams.get('q')?.trim() || null,
+      category: searchParams.get('category'),
+      provider: searchParams.get('provider')?.toLowerCase() || null,
+      minPrice: null,
+      maxPrice: null,
+      minRating: null,
+      sort: searchParams.get('sort')
+    };
+
+    for (const key of ['minPrice', 'maxPrice']) {
+      const raw = searchParams.get(key);
+      if (raw === null) continue;
+
+      const value = Number(raw);
+      if (!Number.isFinite(value) || value < 0) {
+        errors.push(`${key} must be a non-negative number (USDC)`);
+      } else {
+        params[key] = Math.floor(value * 1000000);
+      }
+    }
+
+    if (params.minPrice !== null && params.maxPrice !== null && params.minPrice > params.maxPrice) {
+      errors.push('minPrice cannot be greater than maxPrice');
+    }
+
+    const minRating = searchParams.get('minRating');
+    if (minRating !== null) {
+      const value = Number(minRating);
+      if (!Number.isFinite(value) || value < 0 || value > 5) {
+        errors.push('minRating must be between 0 and 5');
+      } else {
+        params.minRating = value;
+      }
+    }
+
+    if (params.q && !this.toFtsQuery(params.q)) {
+      errors.push('q must contain at least one letter or number');
+    }
+
+    if (params.sort && !SORT_OPTIONS.includes(params.sort)) {
+      errors.push(`sort must be one of: ${SORT_OPTIONS.join(', ')}`);
+    }
+
+    if (!params.sort) {
+      params.sort = params.q ? 'relevance' : 'recent';
+    }
+
+    return { errors, params };
+  }
+
+  /**
+   * Build the shared FROM/WHERE and the scored SELECT list for a search
+   * @returns {{from: string, where: string, bindings: any[], scoreColumns: string, orderBy: string}}
+   */
+  static buildQuery(params) {
+    const bindings = [];
+    let from = `services s
+      LEFT JOIN agent_profiles ap ON ap.address = s.provider_address
+      LEFT JOIN (
+        SELECT service_id, COUNT(*) AS request_count
+        FROM service_requests
+        WHERE status NOT IN ('unverified', 'rejected', 'cancelled')
+        GROUP BY service_id
+      ) rc ON rc.service_id = s.id`;
+    // Hidden listings and those of banned or shadow-banned providers stay out of search
+    let where = `WHERE s.status = 'active' AND ${Moderation.availableSql('s', { search: true })}`;
+    let textMatch = '0';
+
+    if (params.q) {
+      from += ' JOIN services_fts ON services_fts.rowid = s.id';
+      where += ' AND services_fts MATCH ?';
+      bindings.push(this.toFtsQuery(params.q));
+      // bm25() is negative, more negative = better match
+      textMatch = '(-bm25(services_fts) / (1.0 - bm25(services_fts)))';
+    }
+
+    if (params.category) {
+      where += ' AND s.category = ?';
+      bindings.push(params.category);
+    }
+
+    if (params.provider) {
+      where += ' AND s.provider_address = ?';
+      bindings.push(params.provider);
+    }
+
+    if (params.minPrice !== null) {
+      where += ' AND s.price_usdc >= ?';
+      bindings.push(params.minPrice);
+    }
+
+    if (params.maxPrice !== null) {
+      where += ' AND s.price_usdc <= ?';
+      bindings.push(params.maxPrice);
+    }
+
+    if (params.minRating !== null) {
+      where += ' AND COALESCE(ap.rating_avg, 0) >= ?';
+      bindings.push(params.minRating);
+    }
+
+    const reputation = `(COALESCE(ap.rating_avg, 0) / 5.0) *
+      (COALESCE(ap.rating_count, 0) * 1.0 / (COALESCE(ap.rating_count, 0) + ${RATING_PRIOR_COUNT}))`;
+
+    const scoreColumns = `
+      COALESCE(ap.rating_avg, 0) as providerRating,
+      COALESCE(ap.rating_count, 0) as providerRatingCount,
+      COALESCE(rc.request_count, 0) as requestCount,
+      ROUND(${TEXT_WEIGHT} * ${textMatch} + ${REPUTATION_WEIGHT} * ${reputation}, 4) as relevanceScore`;
+
+    return { from, where, bindings, scoreColumns, orderBy: ORDER_BY[params.sort] };
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Webhook subscriptions and delivery outbox
+ *
+ * Agents subscribe a URL to marketplace events that concern their wallet.
+ * Events are written to the `webhook_deliveries` outbox in D1 (in the same
+ * step as the change that caused them) and delivered by the Cron Trigger,
+ * with exponential backoff between attempts.
+ *
+ * Each delivery is signed with the subscription secret:
+ *   X-Exchange-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<body>")>
+ */
+
+export const WEBHOOK_EVENTS = {
+  'request.created': 'A buyer requested one of your services',
+  'credits.purchased': 'A buyer prepaid for one of your services (subscription, bundle or credits)',
+  'request.completed': 'A request you are part of was marked completed',
+  'deliverable.submitted': 'The provider submitted work on one of your requests',
+  'dispute.opened': 'A request you are part of (or arbitrate) was disputed',
+  'dispute.message': 'New message on a dispute thread you are part of',
+  'dispute.resolved': 'An arbiter ruled on a dispute you are part of',
+  'rating.received': 'You received a rating',
+  'service.updated': 'One of your listings was updated or removed',
+  'rfq.received': 'A buyer asked for a quote on one of your services',
+  'quote.received': 'The other party made an offer on an RFQ',
+  'quote.accepted': 'The other party accepted your offer'
+};
+
+export const MAX_SUBSCRIPTIONS_PER_WALLET = 10;
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 3600;
+const DELIVERY_BATCH_SIZE = 50;
+const DELIVERY_TIMEOUT_MS = 10000;
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+export class Webhooks {
+  static generateSecret() {
+    return `whsec_${toHex(crypto.getRandomValues(new Uint8Array(32)))}`;
+  }
+
+  static async sign(secret, timestamp, body) {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}.${body}`));
+    return `t=${timestamp},v1=${toHex(signature)}`;
+  }
+
+  // Seconds to wait after `attempts` failed deliveries
+  static backoffSeconds(attempts) {
+    return Math.min(MAX_BACKOFF_SECONDS, BASE_BACKOFF_SECONDS * 2 ** Math.max(0, attempts - 1));
+  }
+
+  /**
+   * Statement that queues `eventType` for every active subscription owned by `recipients`
+   * Returned unexecuted so it can join a D1 batch.
+   */
+  static enqueueStatement(env, eventType, recipients, data) {
+    const owners = [...new Set(recipients.filter(Boolean).map((address) => address.toLowerCase()))];
+    const payload = JSON.stringify({
+      id: crypto.randomUUID(),
+      type: eventType,
+      createdAt: new Date().toISOString(),
+      data
+    });
+
+    return env.DB.prepare(
+      `INSERT INTO webhook_deliveries (subscription_id, event_type, payload)
+       SELECT ws.id, ?, ? FROM webhook_subscriptions ws
+       WHERE ws.active = 1
+         AND ws.owner_address IN (${owners.map(() => '?').join(', ') || 'NULL'})
+         AND EXISTS (SELECT 1 FROM json_each(ws.event_types) WHERE json_each.value = ?)`
+    ).bind(eventType, payload, ...owners, eventType);
+  }
+
+  // Queue an event; failures are logged, never surfaced to the caller's request
+  static async enqueue(env, eventType, recipients, data) {
+    try {
+      await this.enqueueStatement(env, eventType, recipients, data).run();
+    } catch (error) {
+      console.error('Webhook enqueue error:', error);
+    }
+  }
+
+  static async deliver(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = await this.sign(delivery.secret, timestamp, delivery.payload);
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'AgentServiceExchange-Webhooks/1.0',
+          'X-Exchange-Event': delivery.event_type,
+          'X-Exchange-Delivery': String(delivery.id),
+          'X-Exchange-Signature': signature
+        },
+        body: delivery.payload,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+      });
+
+      return { ok: response.status >= 200 && response.status < 300, statusCode: response.status, error: null };
+    } catch (error) {
+      return { ok: false, statusCode: null, error: error.message };
+    }
+  }
+
+  /**
+   * Deliver due outbox entries (called from the Cron Trigger)
+   * @returns {Promise<{attempted: number, delivered: number, failed: number}>}
+   */
+  static async deliverPending(env) {
+    const due = await env.DB.prepare(
+      `SELECT wd.id, wd.event_type, wd.payload, wd.attempts, ws.url, ws.secret
+       FROM webhook_deliveries wd
+       JOIN webhook_subscriptions ws ON ws.id = wd.subscription_id
+       WHERE wd.status = 'pending' AND wd.next_attempt_at <= CURRENT_TIMESTAMP AND ws.active = 1
+       ORDER BY wd.next_attempt_at ASC
+       LIMIT ?`
+    ).bind(DELIVERY_BATCH_SIZE).all();
+
+    const summary = { attempted: 0, delivered: 0, failed: 0 };
+
+    for (const delivery of due.results || []) {
+      const result = await this.deliver(delivery);
+      const attempts = delivery.attempts + 1;
+      summary.attempted++;
+
+      if (result.ok) {
+        summary.delivered++;
+        await env.DB.prepare(
+          `UPDATE webhook_deliveries SET
+             status = 'delivered', attempts = ?, last_status_code = ?, last_error = NULL,
+             delivered_at = CURRENT_TIMESTAMP, last_attempt_at = CURRENT_TIMESTAMP
+           WHERE id = ?`
+        ).bind(attempts, result.statusCode, delivery.id).run();
+        continue;
+      }
+
+      const exhausted = attempts >= MAX_ATTEMPTS;
+      if (exhausted) summary.failed++;
+
+      await env.DB.prepare(
+        `UPDATE webhook_deliveries SET
+           status = ?, attempts = ?, last_status_code = ?, last_error = ?,
+           last_attempt_at = CURRENT_TIMESTAMP,
+           next_attempt_at = datetime('now', ?)
+         WHERE id = ?`
+      ).bind(
+        exhausted ? 'failed' : 'pending',
+        attempts,
+        result.statusCode,
+        result.error || `HTTP ${result.statusCode}`,
+        `+${this.backoffSeconds(attempts)} seconds`,
+        delivery.id
+      ).run();
+    }
+
+    return summary;
+  }
+}
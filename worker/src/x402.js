@@ -0,0 +1,291 @@
+/**
+ * x402 pay-per-call gateway
+ *
+ * Listings that declare an `endpoint` can be called through
+ * POST /services/:id/call instead of going through escrow:
+ * 1. Without an X-PAYMENT header the gateway answers 402 with the payment
+ *    requirements (scheme "exact": the listed price in USDC, paid to the provider)
+ * 2. The buyer signs an EIP-3009 transferWithAuthorization for that amount and
+ *    repeats the call with X-PAYMENT: base64(JSON payment payload)
+ * 3. The gateway checks the signature, amount, recipient, validity window and
+ *    (with an RPC) the buyer's balance and that the nonce is unused, forwards
+ *    the call to the provider, and on a successful response settles the
+ *    authorization through the x402 facilitator. The settlement is returned
+ *    in X-PAYMENT-RESPONSE.
+ *
+ * Failed provider calls are not settled, so the buyer is not charged.
+ *
+ * Forwarded calls carry X-Exchange-Signature, an HMAC over the body with the
+ * listing's endpoint secret (same format as webhooks), so providers can
+ * refuse calls that didn't come through the gateway.
+ *
+ * Configuration (wrangler.toml [vars]):
+ * - X402_FACILITATOR_URL: facilitator that settles payments (POST /settle)
+ * - X402_TOKEN_NAME / X402_TOKEN_VERSION: USDC's EIP-712 domain, if not the chain default
+ */
+
+import { decodeFunctionResult, encodeFunctionData, recoverTypedDataAddress } from 'viem';
+import { Chain } from './chain.js';
+import { Deployment } from './deployment.js';
+
+export const X402_VERSION = 1;
+export const PAYMENT_HEADER = 'X-PAYMENT';
+export const PAYMENT_RESPONSE_HEADER = 'X-PAYMENT-RESPONSE';
+export const MAX_TIMEOUT_SECONDS = 60;
+
+const PROXY_TIMEOUT_MS = 30000;
+const SETTLE_TIMEOUT_MS = 30000;
+// validBefore must leave time to settle
+const VALIDITY_BUFFER_SECONDS = 6;
+
+// x402 network names; other chains use their CAIP-2 id
+const NETWORKS = { 8453: 'base', 84532: 'base-sepolia' };
+
+// USDC's EIP-712 domain differs by deployment
+const TOKEN_DOMAINS = {
+  8453: { name: 'USD Coin', version: '2' },
+  84532: { name: 'USDC', version: '2' }
+};
+
+const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validBefore', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' }
+  ]
+};
+
+const USDC_ABI = [
+  {
+    type: 'function', name: 'balanceOf', stateMutability: 'view',
+    inputs: [{ name: 'account', type: 'address' }], outputs: [{ type: 'uint256' }]
+  },
+  {
+    type: 'function', name: 'authorizationState', stateMutability: 'view',
+    inputs: [{ name: 'authorizer', type: 'address' }, { name: 'nonce', type: 'bytes32' }], outputs: [{ type: 'bool' }]
+  }
+];
+
+export class X402 {
+  static isConfigured(env) {
+    return Boolean(env.X402_FACILITATOR_URL && Deployment.getUsdcAddress(env));
+  }
+
+  static getNetwork(env) {
+    const chainId = Deployment.getChainId(env);
+    return NETWORKS[chainId] || `eip155:${chainId}`;
+  }
+
+  static getTokenDomain(env) {
+    const defaults = TOKEN_DOMAINS[Deployment.getChainId(env)] || { name: 'USDC', version: '2' };
+    return {
+      name: env.X402_TOKEN_NAME || defaults.name,
+      version: env.X402_TOKEN_VERSION || defaults.version
+    };
+  }
+
+  /**
+   * PaymentRequirements for one call to a listing
+   * @param {object} env Worker bindings
+   * @param {object} service D1 `services` row
+   * @param {string} resource URL being paid for
+   * @param {{amount?: number, description?: string}} [options] Charge something other than one call (prepaid plans)
+   */
+  static requirements(env, service, resource, { amount = service.price_usdc, description = service.name } = {}) {
+    return {
+      scheme: 'exact',
+      network: this.getNetwork(env),
+      maxAmountRequired: String(amount),
+      resource,
+      description,
+      mimeType: 'application/json',
+      payTo: service.provider_address,
+      maxTimeoutSeconds: MAX_TIMEOUT_SECONDS,
+      asset: Deployment.getUsdcAddress(env),
+      extra: this.getTokenDomain(env)
+    };
+  }
+
+  // Body of a 402 response
+  static paymentRequired(requirements, error) {
+    return { x402Version: X402_VERSION, error, accepts: [requirements] };
+  }
+
+  /**
+   * Decode an X-PAYMENT header
+   * @returns {{payment?: object, error?: string}}
+   */
+  static decodePayment(header) {
+    let payment;
+    try {
+      payment = JSON.parse(atob(header));
+    } catch (e) {
+      return { error: 'X-PAYMENT must be base64-encoded JSON' };
+    }
+
+    const authorization = payment?.payload?.authorization;
+    if (!authorization || typeof payment.payload.signature !== 'string') {
+      return { error: 'X-PAYMENT must carry payload.authorization and payload.signature' };
+    }
+    for (const field of ['from', 'to', 'value', 'validAfter', 'validBefore', 'nonce']) {
+      if (authorization[field] === undefined) {
+        return { error: `payload.authorization.${field} is required` };
+      }
+    }
+    if (!/^0x[0-9a-fA-F]{64}$/.test(authorization.nonce)) {
+      return { error: 'payload.authorization.nonce must be 32 bytes of hex' };
+    }
+
+    return { payment };
+  }
+
+  /**
+   * Check a decoded payment against the requirements
+   * @returns {Promise<{ok: true, payer: string} | {ok: false, reason: string}>}
+   */
+  static async verify(env, payment, requirements, now = Math.floor(Date.now() / 1000)) {
+    const { authorization, signature } = payment.payload;
+
+    if (payment.x402Version !== X402_VERSION) {
+      return { ok: false, reason: `Unsupported x402Version ${payment.x402Version}` };
+    }
+    if (payment.scheme !== requirements.scheme || payment.network !== requirements.network) {
+      return { ok: false, reason: `Payment must use scheme "${requirements.scheme}" on ${requirements.network}` };
+    }
+    if (authorization.to.toLowerCase() !== requirements.payTo.toLowerCase()) {
+      return { ok: false, reason: 'Authorization must pay the provider' };
+    }
+
+    let value;
+    let validAfter;
+    let validBefore;
+    try {
+      value = BigInt(authorization.value);
+      validAfter = BigInt(authorization.validAfter);
+      validBefore = BigInt(authorization.validBefore);
+    } catch (e) {
+      return { ok: false, reason: 'Authorization value and validity must be integers' };
+    }
+
+    if (value !== BigInt(requirements.maxAmountRequired)) {
+      return { ok: false, reason: `Authorization must be for exactly ${requirements.maxAmountRequired}` };
+    }
+    if (validAfter > BigInt(now)) {
+      return { ok: false, reason: 'Authorization is not valid yet' };
+    }
+    if (validBefore < BigInt(now + VALIDITY_BUFFER_SECONDS)) {
+      return { ok: false, reason: 'Authorization has expired' };
+    }
+
+    let signer;
+    try {
+      signer = await recoverTypedDataAddress({
+        domain: {
+          ...this.getTokenDomain(env),
+          chainId: Deployment.getChainId(env),
+          verifyingContract: requirements.asset
+        },
+        types: TRANSFER_WITH_AUTHORIZATION_TYPES,
+        primaryType: 'TransferWithAuthorization',
+        message: { ...authorization, value, validAfter, validBefore },
+        signature
+      });
+    } catch (e) {
+      return { ok: false, reason: 'Invalid authorization signature' };
+    }
+
+    if (signer.toLowerCase() !== authorization.from.toLowerCase()) {
+      return { ok: false, reason: 'Authorization was not signed by `from`' };
+    }
+
+    return { ok: true, payer: signer.toLowerCase() };
+  }
+
+  /**
+   * With an RPC, check the payer can cover the transfer and hasn't used the nonce,
+   * so the provider isn't called for a payment that can't settle
+   * @returns {Promise<string|null>} reason the payment can't settle, or null
+   */
+  static async checkFunds(env, requirements, authorization) {
+    if (!env.RPC_URL) return null;
+
+    const read = async (functionName, args) => decodeFunctionResult({
+      abi: USDC_ABI,
+      functionName,
+      data: await Chain.rpc(env, 'eth_call', [
+        { to: requirements.asset, data: encodeFunctionData({ abi: USDC_ABI, functionName, args }) },
+        'latest'
+      ])
+    });
+
+    const [balance, used] = await Promise.all([
+      read('balanceOf', [authorization.from]),
+      read('authorizationState', [authorization.from, authorization.nonce])
+    ]);
+
+    if (used) return 'Authorization nonce has already been used';
+    if (balance < BigInt(authorization.value)) return 'Insufficient USDC balance';
+    return null;
+  }
+
+  /**
+   * Forward the buyer's call to the provider's endpoint
+   * @returns {Promise<Response>} throws if the endpoint is unreachable or times out
+   */
+  static async forward(service, { body, contentType, requestId, buyer, signature }) {
+    return fetch(service.endpoint_url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': contentType || 'application/json',
+        'User-Agent': 'AgentServiceExchange-Gateway/1.0',
+        'X-Exchange-Request-Id': String(requestId),
+        'X-Exchange-Buyer': buyer,
+        'X-Exchange-Signature': signature
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(PROXY_TIMEOUT_MS)
+    });
+  }
+
+  /**
+   * Settle through the facilitator
+   * @returns {Promise<{success: boolean, transaction?: string, network?: string, payer?: string, errorReason?: string}>}
+   */
+  static async settle(env, payment, requirements) {
+    const url = `${env.X402_FACILITATOR_URL.replace(/\/+$/, '')}/settle`;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ x402Version: X402_VERSION, paymentPayload: payment, paymentRequirements: requirements }),
+        signal: AbortSignal.timeout(SETTLE_TIMEOUT_MS)
+      });
+      const result = await response.json().catch(() => null);
+      if (!response.ok || !result) {
+        return { success: false, errorReason: result?.errorReason || `Facilitator responded with HTTP ${response.status}` };
+      }
+      return result;
+    } catch (e) {
+      return { success: false, errorReason: `Facilitator unreachable: ${e.message}` };
+    }
+  }
+
+  // X-PAYMENT-RESPONSE value
+  static encodeSettlement(settlement) {
+    return btoa(JSON.stringify({
+      success: settlement.success,
+      transaction: settlement.transaction,
+      network: settlement.network,
+      payer: settlement.payer
+    }));
+  }
+
+  // service_requests.tx_hash for an x402 call: EIP-3009 nonces are unique per payer
+  static paymentId(authorization) {
+    return `x402:${authorization.from.toLowerCase()}:${authorization.nonce.toLowerCase()}`;
+  }
+}
@@ -0,0 +1,176 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { api, wallet, txHash, createService, requestService, setRequestStatus } from './helpers.js';
+import { Analytics } from '../src/analytics.js';
+
+let nextHash = 500;
+
+async function purchase(buyer, service, status = 'pending') {
+  const created = await requestService(buyer, service.id, txHash(nextHash++));
+  await setRequestStatus(created.json.data.id, status);
+  return created.json.data.id;
+}
+
+async function rate(provider, buyer, requestId, score) {
+  await api('POST', `/agents/${provider.address}/rate`, {
+    signer: buyer,
+    body: { raterAddress: buyer.address, requestId, score }
+  });
+}
+
+async function series(query) {
+  return api('GET', `/stats/timeseries?${new URLSearchParams(query)}`);
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+const lastPoint = (res) => res.json.data.points.at(-1).value;
+
+describe('analytics rollups', () => {
+  it('rolls up volume and transactions per day and hour', async () => {
+    const buyer = wallet();
+    const service = await createService(wallet(), { priceUSDC: 4 });
+    await purchase(buyer, service);
+    await purchase(buyer, service);
+
+    const result = await Analytics.rollup(env);
+    const daily = await series({ metric: 'volume' });
+    const hourly = await series({ metric: 'transactions', interval: 'hour' });
+
+    expect(result).toEqual({ days: 1, pending: 0 });
+    expect(daily.json.data.points).toHaveLength(30);
+    expect(daily.json.data.points.at(-1)).toEqual({ bucket: `${today()}T00:00:00.000Z`, value: 8000000 });
+    expect(daily.json.data.points[0].value).toBe(0);
+    expect(hourly.json.data.points).toHaveLength(48);
+    expect(lastPoint(hourly)).toBe(2);
+  });
+
+  it('reports median price per category', async () => {
+    const buyer = wallet();
+    for (const price of [1, 5, 9]) await purchase(buyer, await createService(wallet(), { priceUSDC: price }));
+    await purchase(buyer, await createService(wallet(), { priceUSDC: 2, category: 'data' }));
+    await Analytics.rollup(env);
+
+    const development = await series({ metric: 'median_price', category: 'development' });
+    const overall = await series({ metric: 'median_price' });
+    const empty = await series({ metric: 'median_price', category: 'legal' });
+
+    expect(lastPoint(development)).toBe(5000000);
+    expect(lastPoint(overall)).toBe(3500000);
+    expect(lastPoint(empty)).toBeNull();
+  });
+
+  it('reports completion and cancellation rates of requests opened in a bucket', async () => {
+    const buyer = wallet();
+    const service = await createService(wallet());
+    await purchase(buyer, service, 'completed');
+    await purchase(buyer, service, 'finalized');
+    await purchase(buyer, service, 'cancelled');
+    await purchase(buyer, service);
+    await purchase(buyer, service, 'unverified');
+    await Analytics.rollup(env);
+
+    expect(lastPoint(await series({ metric: 'completion_rate' }))).toBe(0.5);
+    expect(lastPoint(await series({ metric: 'cancellation_rate' }))).toBe(0.25);
+  });
+
+  it('counts a provider as new on the day of its first listing', async () => {
+    const veteran = wallet();
+    const veteranService = await createService(veteran);
+    await env.DB.prepare("UPDATE audit_log SET created_at = datetime('now', '-3 days') WHERE entity_type = 'service' AND entity_id = ?")
+      .bind(veteranService.id).run();
+    await createService(veteran, { name: 'Second listing' });
+    const newcomer = wallet();
+    await createService(newcomer);
+    await createService(newcomer, { name: 'Another listing' });
+    await Analytics.rollup(env);
+
+    const res = await series({ metric: 'new_providers', interval: 'day', from: today(), to: today() });
+    const earlier = await series({ metric: 'new_providers', interval: 'day' });
+
+    expect(res.json.data.points).toEqual([{ bucket: `${today()}T00:00:00.000Z`, value: 1 }]);
+    expect(earlier.json.data.points.at(-4).value).toBe(1);
+  });
+
+  it('rebuilds a day when one of its requests changes status later', async () => {
+    const buyer = wallet();
+    const provider = wallet();
+    const service = await createService(provider);
+    const requestId = await purchase(buyer, service);
+    await Analytics.rollup(env);
+
+    await api('POST', `/requests/${requestId}/cancel`, { signer: provider, body: {} });
+    const result = await Analytics.rollup(env);
+    const row = await env.DB.prepare("SELECT cancelled FROM analytics_rollups WHERE interval = 'day' AND category = ''").first();
+
+    expect(result.days).toBe(1);
+    expect(row.cancelled).toBe(1);
+  });
+
+  it('validates time series parameters', async () => {
+    const missing = await series({});
+    const unknown = await series({ metric: 'profit', interval: 'week' });
+    const reversed = await series({ metric: 'volume', from: '2026-02-01', to: '2026-01-01' });
+    const tooLong = await series({ metric: 'volume', interval: 'hour', from: '2026-01-01', to: '2026-03-01' });
+    const garbled = await series({ metric: 'volume', from: 'last tuesday' });
+
+    expect(missing.status).toBe(400);
+    expect(missing.json.error.details[0]).toMatch(/^metric is required/);
+    expect(unknown.json.error.details).toHaveLength(2);
+    expect(reversed.json.error.details).toEqual(['from cannot be after to']);
+    expect(tooLong.json.error.details).toEqual(['at most 744 hour points per request; narrow from/to']);
+    expect(garbled.json.error.details).toEqual(['from must be an ISO 8601 date or date-time']);
+  });
+});
+
+describe('GET /leaderboard', () => {
+  it('ranks providers by volume and services by transactions', async () => {
+    const buyer = wallet();
+    const [small, big] = [wallet(), wallet()];
+    const cheap = await createService(small, { priceUSDC: 1 });
+    await purchase(buyer, cheap);
+    await purchase(buyer, cheap);
+    await purchase(buyer, await createService(big, { priceUSDC: 50 }));
+    await Analytics.rollup(env);
+
+    const providers = await api('GET', '/leaderboard');
+    const services = await api('GET', '/leaderboard?type=services&by=transactions&limit=1');
+
+    expect(providers.json.data.leaders.map(({ address, rank }) => [rank, address])).toEqual([
+      [1, big.address.toLowerCase()],
+      [2, small.address.toLowerCase()]
+    ]);
+    expect(providers.json.data.leaders[0]).toMatchObject({ volumeUSDC: 50000000, transactions: 1, ratingAvg: null });
+    expect(services.json.data.leaders).toEqual([expect.objectContaining({ serviceId: cheap.id, name: 'Code Review', transactions: 2 })]);
+  });
+
+  it('ranks by rating shrunk towards the prior', async () => {
+    const buyer = wallet();
+    const [lucky, steady] = [wallet(), wallet()];
+    const luckyService = await createService(lucky);
+    const steadyService = await createService(steady);
+    await rate(lucky, buyer, await purchase(buyer, luckyService, 'completed'), 5);
+    for (let i = 0; i < 4; i++) {
+      await rate(steady, buyer, await purchase(buyer, steadyService, 'completed'), i === 0 ? 4 : 5);
+    }
+    await Analytics.rollup(env);
+
+    const res = await api('GET', '/leaderboard?by=rating&period=7d');
+
+    expect(res.json.data.leaders.map((leader) => leader.address)).toEqual([
+      steady.address.toLowerCase(),
+      lucky.address.toLowerCase()
+    ]);
+    expect(res.json.data.leaders[0]).toMatchObject({ ratingAvg: 4.75, ratingCount: 4, ratingScore: 3.78 });
+  });
+
+  it('validates leaderboard parameters', async () => {
+    const res = await api('GET', '/leaderboard?type=buyers&period=1y&limit=0');
+
+    expect(res.status).toBe(400);
+    expect(res.json.error.details).toEqual([
+      'type must be one of: providers, services',
+      'period must be one of: 7d, 30d, 90d, all',
+      'limit must be an integer between 1 and 100'
+    ]);
+  });
+});
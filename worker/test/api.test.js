@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import { api, wallet } from './helpers.js';
+
+describe('API info and health', () => {
+  it('GET / documents the endpoints', async () => {
+    const res = await api('GET', '/');
+
+    expect(res.status).toBe(200);
+    expect(res.json.success).toBe(true);
+    expect(res.json.data.endpoints).toHaveProperty('POST /services');
+    expect(res.json.data.endpoints).toHaveProperty('POST /requests/{id}/dispute/resolve');
+    expect(res.json.data.contract).toMatchObject({ chainId: 84532, usdc: '0x036CbD53842c5426634e7929541eC2318f3dCF7e' });
+    expect(res.headers.get('X-Request-ID')).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('GET /health reports the database', async () => {
+    const res = await api('GET', '/health');
+
+    expect(res.status).toBe(200);
+    expect(res.json.data).toMatchObject({ status: 'healthy', database: 'connected' });
+  });
+
+  it('GET /stats starts empty', async () => {
+    const res = await api('GET', '/stats');
+
+    expect(res.status).toBe(200);
+    expect(res.json.data).toMatchObject({
+      totalServices: 0,
+      totalTransactions: 0,
+      totalVolumeUSDC: 0,
+      categories: []
+    });
+  });
+
+  it('answers CORS preflight with the auth headers allowed', async () => {
+    const res = await api('OPTIONS', '/services');
+
+    expect(res.status).toBe(204);
+    expect(res.headers.get('Access-Control-Allow-Origin')).toBe('*');
+    expect(res.headers.get('Access-Control-Allow-Headers')).toContain('X-Agent-Signature');
+  });
+
+  it('returns 404 with the available routes for unknown paths', async () => {
+    const res = await api('GET', '/nope');
+
+    expect(res.status).toBe(404);
+    expect(res.json.error.details.available).toContain('/services');
+    expect(res.json.error.details.available).toContain('/requests/{id}/dispute/resolve');
+  });
+
+  it('returns 404 for a known path with the wrong method', async () => {
+    const res = await api('PATCH', '/services');
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('OpenAPI', () => {
+  it('GET /openapi.json describes every route', async () => {
+    const res = await api('GET', '/openapi.json');
+    const spec = res.json;
+
+    expect(res.status).toBe(200);
+    expect(spec.openapi).toBe('3.1.0');
+    expect(spec.servers).toEqual([{ url: 'https://api.test' }]);
+
+    const createService = spec.paths['/services'].post;
+    expect(createService.operationId).toBe('createService');
+    expect(createService.requestBody.content['application/json'].schema).toEqual({ $ref: '#/components/schemas/ServiceCreate' });
+    expect(createService.security).toEqual([{ agentAddress: [], agentNonce: [], agentSignature: [] }]);
+    expect(spec.components.schemas.ServiceCreate.required).toContain('providerAddress');
+
+    const transition = spec.paths['/requests/{id}/{action}'].post;
+    expect(transition.parameters.find((param) => param.name === 'action').schema.enum).toContain('claim-timeout');
+    expect(spec.paths['/health'].get.security).toBeUndefined();
+  });
+
+  it('lists the same routes in GET / and the spec', async () => {
+    const info = (await api('GET', '/')).json.data;
+    const spec = (await api('GET', '/openapi.json')).json;
+
+    const fromSpec = Object.entries(spec.paths)
+      .flatMap(([path, operations]) => Object.keys(operations).map((method) => `${method.toUpperCase()} ${path}`));
+    expect(Object.keys(info.endpoints).sort()).toEqual(fromSpec.sort());
+  });
+
+  it('rejects a body that is not JSON before the handler runs', async () => {
+    const res = await api('POST', '/services', { signer: wallet(), body: '{"name":' });
+
+    expect(res.status).toBe(400);
+    expect(res.json.error.message).toBe('Request body must be valid JSON');
+  });
+
+  it('treats an empty body as valid where the body is optional', async () => {
+    const res = await api('POST', '/requests/999/accept', { signer: wallet() });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('does not match actions outside the lifecycle', async () => {
+    expect((await api('POST', '/requests/1/refund', { signer: wallet() })).status).toBe(404);
+  });
+});
+
+describe('Rate limiting', () => {
+  const tiny = { RATE_LIMITS: JSON.stringify({ tiers: { anonymous: { read: 2, write: 1 } } }) };
+  const fromIp = (ip) => ({ headers: { 'CF-Connecting-IP': ip }, env: tiny });
+
+  it('reports the anonymous budget on every response', async () => {
+    const res = await api('GET', '/health', { headers: { 'CF-Connecting-IP': '203.0.113.7' } });
+
+    expect(res.status).toBe(200);
+    expect(res.headers.get('X-RateLimit-Limit')).toBe('100');
+    expect(res.headers.get('X-RateLimit-Remaining')).toBe('99');
+    expect(Number(res.headers.get('X-RateLimit-Reset'))).toBeGreaterThan(Date.now() / 1000);
+    expect(res.headers.get('X-RateLimit-Tier')).toBe('anonymous');
+  });
+
+  it('returns 429 with Retry-After once an IP uses up its budget', async () => {
+    await api('GET', '/health', fromIp('203.0.113.8'));
+    await api('GET', '/health', fromIp('203.0.113.8'));
+
+    const res = await api('GET', '/health', fromIp('203.0.113.8'));
+
+    expect(res.status).toBe(429);
+    expect(res.json.error.message).toBe('Rate limit exceeded');
+    expect(res.headers.get('X-RateLimit-Remaining')).toBe('0');
+    expect(Number(res.headers.get('Retry-After'))).toBeGreaterThan(0);
+  });
+
+  it('counts reads and writes separately', async () => {
+    await api('GET', '/health', fromIp('203.0.113.9'));
+    await api('GET', '/health', fromIp('203.0.113.9'));
+
+    const write = await api('POST', '/services', { ...fromIp('203.0.113.9'), body: {} });
+    const secondWrite = await api('POST', '/services', { ...fromIp('203.0.113.9'), body: {} });
+
+    expect(write.status).toBe(400);
+    expect(write.headers.get('X-RateLimit-Limit')).toBe('1');
+    expect(secondWrite.status).toBe(429);
+  });
+
+  it('does not limit other IPs', async () => {
+    for (let i = 0; i < 3; i++) await api('GET', '/health', fromIp('203.0.113.10'));
+
+    const res = await api('GET', '/health', fromIp('203.0.113.11'));
+
+    expect(res.status).toBe(200);
+  });
+
+  it('lets requests through when the counter binding is missing', async () => {
+    const res = await api('GET', '/health', { env: { RATE_LIMITER: undefined } });
+
+    expect(res.status).toBe(200);
+    expect(res.headers.get('X-RateLimit-Tier')).toBe('anonymous');
+    expect(res.headers.get('X-RateLimit-Limit')).toBeNull();
+  });
+});
@@ -0,0 +1,157 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { api, wallet } from './helpers.js';
+import { RateLimiter, DEFAULT_RATE_LIMITS } from '../src/ratelimit.js';
+
+async function issueKey(owner, body = {}) {
+  const res = await api('POST', '/auth/keys', { signer: owner, body: { ownerAddress: owner.address, ...body } });
+  if (res.status !== 201) throw new Error(`issueKey failed: ${JSON.stringify(res.json)}`);
+  return res.json.data;
+}
+
+const bearer = (key) => ({ Authorization: `Bearer ${key}` });
+
+describe('API keys', () => {
+  it('issues a key once and stores only its hash', async () => {
+    const owner = wallet();
+
+    const created = await issueKey(owner, { label: 'crawler' });
+
+    expect(created.key).toMatch(/^ase_[0-9a-f]{64}$/);
+    expect(created).toMatchObject({ ownerAddress: owner.address.toLowerCase(), label: 'crawler', prefix: created.key.slice(0, 12) });
+    const row = await env.DB.prepare('SELECT * FROM api_keys WHERE id = ?').bind(created.id).first();
+    expect(row.key_hash).not.toContain(created.key.slice(4));
+  });
+
+  it('lists your keys without the secret', async () => {
+    const owner = wallet();
+    await issueKey(owner);
+    await issueKey(wallet());
+
+    const res = await api('GET', '/auth/keys', { signer: owner });
+
+    expect(res.status).toBe(200);
+    expect(res.json.data).toHaveLength(1);
+    expect(res.json.data[0]).not.toHaveProperty('key');
+    expect(res.json.meta.tiers).toHaveProperty('trusted');
+  });
+
+  it('only issues keys to the signing wallet', async () => {
+    const res = await api('POST', '/auth/keys', { signer: wallet(), body: { ownerAddress: wallet().address } });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('caps active keys per wallet', async () => {
+    const owner = wallet();
+    for (let i = 0; i < 10; i++) await issueKey(owner);
+
+    const res = await api('POST', '/auth/keys', { signer: owner, body: { ownerAddress: owner.address } });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('uses the key\'s own budget instead of the IP\'s', async () => {
+    const { key } = await issueKey(wallet());
+
+    const res = await api('GET', '/health', { headers: bearer(key) });
+
+    expect(res.headers.get('X-RateLimit-Tier')).toBe('standard');
+    expect(res.headers.get('X-RateLimit-Limit')).toBe('300');
+  });
+
+  it('rejects unknown and revoked keys', async () => {
+    const owner = wallet();
+    const { id, key } = await issueKey(owner);
+
+    const revoke = await api('DELETE', `/auth/keys/${id}`, { signer: owner });
+    const revoked = await api('GET', '/health', { headers: bearer(key) });
+    const unknown = await api('GET', '/health', { headers: bearer(`ase_${'0'.repeat(64)}`) });
+
+    expect(revoke.json.data).toEqual({ id, revoked: true });
+    expect(revoked.status).toBe(401);
+    expect(unknown.status).toBe(401);
+    expect(unknown.json.error.message).toBe('Invalid or revoked API key');
+  });
+
+  it('only lets the owner revoke a key', async () => {
+    const { id } = await issueKey(wallet());
+
+    const res = await api('DELETE', `/auth/keys/${id}`, { signer: wallet() });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('limits each key separately from other keys on the same IP', async () => {
+    const limits = { RATE_LIMITS: JSON.stringify({ tiers: { standard: { read: 1, write: 1 } } }) };
+    const first = await issueKey(wallet());
+    const second = await issueKey(wallet());
+
+    await api('GET', '/health', { headers: bearer(first.key), env: limits });
+    const exhausted = await api('GET', '/health', { headers: bearer(first.key), env: limits });
+    const other = await api('GET', '/health', { headers: bearer(second.key), env: limits });
+
+    expect(exhausted.status).toBe(429);
+    expect(other.status).toBe(200);
+  });
+
+  it('still applies the per-IP ceiling to keyed requests', async () => {
+    const limits = { RATE_LIMITS: JSON.stringify({ ip: { read: 1 } }) };
+    const first = await issueKey(wallet());
+    const second = await issueKey(wallet());
+
+    await api('GET', '/health', { headers: bearer(first.key), env: limits });
+    const res = await api('GET', '/health', { headers: bearer(second.key), env: limits });
+
+    expect(res.status).toBe(429);
+  });
+
+  it('moves reputable wallets to a higher tier', async () => {
+    const owner = wallet();
+    const { key } = await issueKey(owner);
+    await env.DB.prepare('INSERT INTO agent_profiles (address, rating_avg, rating_count) VALUES (?, 4.8, 12)')
+      .bind(owner.address.toLowerCase()).run();
+
+    const res = await api('GET', '/health', { headers: bearer(key) });
+
+    expect(res.headers.get('X-RateLimit-Tier')).toBe('trusted');
+    expect(res.headers.get('X-RateLimit-Limit')).toBe('1000');
+  });
+
+  it('honors a tier pinned on the key', async () => {
+    const { id, key } = await issueKey(wallet());
+    await env.DB.prepare("UPDATE api_keys SET tier = 'partner' WHERE id = ?").bind(id).run();
+    const limits = { RATE_LIMITS: JSON.stringify({ ip: { read: 10000 }, tiers: { partner: { read: 5000, write: 1000 } } }) };
+
+    const res = await api('GET', '/health', { headers: bearer(key), env: limits });
+
+    expect(res.headers.get('X-RateLimit-Tier')).toBe('partner');
+    expect(res.headers.get('X-RateLimit-Limit')).toBe('5000');
+  });
+});
+
+describe('RateLimiter.tierFor', () => {
+  const { tiers } = DEFAULT_RATE_LIMITS;
+
+  it('picks the most generous tier the wallet qualifies for', () => {
+    expect(RateLimiter.tierFor(tiers, { tier: null, ratingAvg: null, ratingCount: 0 })).toBe('standard');
+    expect(RateLimiter.tierFor(tiers, { tier: null, ratingAvg: 4.9, ratingCount: 3 })).toBe('standard');
+    expect(RateLimiter.tierFor(tiers, { tier: null, ratingAvg: 4.5, ratingCount: 10 })).toBe('trusted');
+  });
+
+  it('ignores a pinned tier that is not configured', () => {
+    expect(RateLimiter.tierFor(tiers, { tier: 'gone', ratingAvg: null, ratingCount: 0 })).toBe('standard');
+  });
+});
+
+describe('RateLimiter.describe', () => {
+  it('advertises the configured limits in GET /', async () => {
+    const info = await api('GET', '/', { env: { RATE_LIMITS: '{"tiers": {"partner": {"read": 5000, "write": 1000}}}' } });
+
+    expect(info.json.data.agentFriendly.rateLimit).toBe(
+      'Per minute: 100 reads/60 writes per IP without an API key; with one, per key by tier ' +
+      '(standard 300 reads/100 writes, trusted 1000 reads/200 writes, partner 5000 reads/1000 writes) ' +
+      'and at most 2000 reads/400 writes per IP'
+    );
+  });
+});
@@ -0,0 +1,180 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { recoverMessageAddress } from 'viem';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { api, wallet, createService } from './helpers.js';
+import { AuditLog, GENESIS_HASH } from '../src/audit.js';
+
+async function audit(query = {}) {
+  return api('GET', `/audit?${new URLSearchParams(query)}`);
+}
+
+async function verify(overrides = {}) {
+  return (await api('GET', '/audit/verify', { env: overrides })).json.data;
+}
+
+describe('audit chain', () => {
+  it('seals entries onto a hash chain', async () => {
+    const provider = wallet();
+    await createService(provider);
+    await createService(provider, { name: 'Second listing' });
+
+    expect(await AuditLog.seal(env)).toEqual({ sealed: 2, headId: 2 });
+    await createService(provider, { name: 'Third listing' });
+    expect(await AuditLog.seal(env)).toEqual({ sealed: 1, headId: 3 });
+
+    const { entries } = (await audit()).json.data;
+    expect(entries[0].prevHash).toBe(GENESIS_HASH);
+    expect(entries[1].prevHash).toBe(entries[0].hash);
+    expect(entries[2].prevHash).toBe(entries[1].hash);
+    expect(await verify()).toMatchObject({ valid: true, checked: 3, unsealed: 0, breaks: [], nextFrom: null });
+  });
+
+  it('refuses to change sealed entries or delete any', async () => {
+    await createService(wallet());
+    await AuditLog.seal(env);
+
+    await expect(env.DB.prepare("UPDATE audit_log SET details = '{}' WHERE id = 1").run()).rejects.toThrow(/cannot change once sealed/);
+    await expect(env.DB.prepare('DELETE FROM audit_log WHERE id = 1').run()).rejects.toThrow(/append-only/);
+  });
+
+  it('reports where the stored chain was rewritten', async () => {
+    const provider = wallet();
+    for (const name of ['First listing', 'Second listing', 'Third listing']) await createService(provider, { name });
+    await AuditLog.seal(env);
+
+    await env.DB.prepare('DROP TRIGGER audit_log_sealed_update').run();
+    await env.DB.prepare("UPDATE audit_log SET details = '{\"priceUSDC\":1}' WHERE id = 2").run();
+    const result = await verify();
+
+    expect(result.valid).toBe(false);
+    expect(result.breaks).toEqual([{ id: 2, reason: 'hash does not match the entry contents' }]);
+  });
+
+  it('notices a sealed entry after an unsealed one', async () => {
+    await createService(wallet());
+    await createService(wallet());
+    await AuditLog.seal(env);
+    await env.DB.prepare('DROP TRIGGER audit_log_sealed_update').run();
+    await env.DB.prepare('UPDATE audit_log SET entry_hash = NULL WHERE id = 1').run();
+
+    expect((await verify()).breaks).toEqual([{ id: 2, reason: 'Sealed entry follows an unsealed one' }]);
+  });
+});
+
+describe('GET /audit', () => {
+  it('filters by entity, actor and action', async () => {
+    const [alice, bob] = [wallet(), wallet()];
+    const first = await createService(alice);
+    await createService(bob);
+    await api('PUT', `/services/${first.id}`, { signer: alice, body: { priceUSDC: 6 } });
+
+    const byEntity = await audit({ entity: `service:${first.id}` });
+    const byActor = await audit({ actor: bob.address });
+    const byAction = await audit({ entity: 'service', action: 'update' });
+
+    expect(byEntity.json.data.entries.map((entry) => entry.action)).toEqual(['create', 'update']);
+    expect(byActor.json.data.entries).toHaveLength(1);
+    expect(byAction.json.data.entries[0].details.changes.price_usdc).toEqual({ from: 5000000, to: 6000000 });
+    expect((await audit({ since: '2999-01-01' })).json.data.entries).toEqual([]);
+  });
+
+  it('pages with a cursor', async () => {
+    const provider = wallet();
+    for (const name of ['First listing', 'Second listing', 'Third listing']) await createService(provider, { name });
+
+    const page1 = await audit({ limit: 2 });
+    const page2 = await audit({ limit: 2, cursor: page1.json.data.nextCursor });
+
+    expect(page1.json.data.entries.map((entry) => entry.id)).toEqual([1, 2]);
+    expect(page1.json.data.nextCursor).toBe('2');
+    expect(page2.json.data.entries.map((entry) => entry.id)).toEqual([3]);
+    expect(page2.json.data.nextCursor).toBeNull();
+  });
+
+  it('withholds webhook details but keeps their hash', async () => {
+    const owner = wallet();
+    await api('POST', '/webhooks', {
+      signer: owner,
+      body: { ownerAddress: owner.address, url: 'https://hooks.test/secret', events: ['request.created'] }
+    });
+
+    const [entry] = (await audit({ entity: 'webhook' })).json.data.entries;
+    const row = await env.DB.prepare('SELECT details FROM audit_log WHERE id = ?').bind(entry.id).first();
+
+    expect(entry).toMatchObject({ details: null, detailsRedacted: true, detailsHash: AuditLog.detailsHash(row.details) });
+    expect(JSON.stringify(entry)).not.toContain('hooks.test');
+  });
+
+  it('validates parameters', async () => {
+    const res = await audit({ entity: 'Service:x', actor: 'nope', since: 'yesterday', cursor: 'abc', limit: 500 });
+
+    expect(res.status).toBe(400);
+    expect(res.json.error.details).toEqual([
+      'entity must be a type, optionally with an id (service or service:12)',
+      'actor must be a valid Ethereum address',
+      'since must be an ISO 8601 date or date-time',
+      'cursor must be a nextCursor from a previous page',
+      'limit must be an integer between 1 and 200'
+    ]);
+    expect((await api('GET', '/audit/verify?from=0')).status).toBe(400);
+  });
+});
+
+describe('audit checkpoints', () => {
+  const key = generatePrivateKey();
+  const signer = privateKeyToAccount(key).address.toLowerCase();
+  const signingEnv = { ...env, AUDIT_SIGNING_KEY: key };
+
+  it('signs the chain head', async () => {
+    await createService(wallet());
+    await AuditLog.seal(env);
+
+    const anchor = await AuditLog.anchor(signingEnv);
+    const res = await api('GET', '/audit/anchors', { env: { AUDIT_SIGNING_KEY: key } });
+
+    expect(anchor).toMatchObject({ entry_id: 1, signer_address: signer });
+    expect(anchor.message).toContain(`Hash: ${anchor.entry_hash}`);
+    expect((await recoverMessageAddress({ message: anchor.message, signature: anchor.signature })).toLowerCase()).toBe(signer);
+    expect(res.json.data).toMatchObject({ signerAddress: signer, anchors: [expect.objectContaining({ entryId: 1 })] });
+  });
+
+  it('waits for the interval and for new entries', async () => {
+    await createService(wallet());
+    await AuditLog.seal(env);
+    await AuditLog.anchor(signingEnv);
+
+    expect(await AuditLog.anchor(signingEnv, { force: true })).toBeNull();
+    await createService(wallet());
+    await AuditLog.seal(env);
+    expect(await AuditLog.anchor(signingEnv)).toBeNull();
+    expect(await AuditLog.anchor(signingEnv, { force: true })).toMatchObject({ entry_id: 2 });
+  });
+
+  it('catches a chain rebuilt consistently after its checkpoint', async () => {
+    await createService(wallet());
+    await createService(wallet());
+    await AuditLog.seal(env);
+    await AuditLog.anchor(signingEnv);
+
+    // Rewrite an entry and reseal everything so the chain itself is consistent again
+    await env.DB.prepare('DROP TRIGGER audit_log_sealed_update').run();
+    await env.DB.prepare("UPDATE audit_log SET details = '{}', prev_hash = NULL, entry_hash = NULL").run();
+    await AuditLog.seal(env);
+    const result = await verify({ AUDIT_SIGNING_KEY: key });
+
+    expect(result.breaks).toEqual([]);
+    expect(result.valid).toBe(false);
+    expect(result.anchors.breaks).toEqual([{ id: 1, entryId: 2, reason: 'chain no longer matches the signed checkpoint' }]);
+  });
+
+  it('rejects checkpoints signed by another key', async () => {
+    await createService(wallet());
+    await AuditLog.seal(env);
+    await AuditLog.anchor({ ...env, AUDIT_SIGNING_KEY: generatePrivateKey() });
+
+    const result = await verify({ AUDIT_SIGNING_KEY: key });
+
+    expect(result.anchors.breaks[0].reason).toBe('signature is not from the exchange signer');
+  });
+});
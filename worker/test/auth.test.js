@@ -0,0 +1,186 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { api, wallet } from './helpers.js';
+import { Auth } from '../src/auth.js';
+
+const serviceBody = (address) => ({
+  name: 'Translation',
+  description: 'English to German translation',
+  priceUSDC: 1,
+  providerAddress: address,
+  category: 'language'
+});
+
+describe('GET /auth/nonce', () => {
+  it('issues a single-use nonce with signing instructions', async () => {
+    const agent = wallet();
+    const res = await api('GET', `/auth/nonce?address=${agent.address}`);
+
+    expect(res.status).toBe(200);
+    expect(res.json.data.address).toBe(agent.address.toLowerCase());
+    expect(res.json.data.nonce).toMatch(/^[0-9a-f]{32,}$/);
+    expect(res.json.data.signing.eip712.primaryType).toBe('AgentRequest');
+    expect(res.json.data.signing.eip712.domain.chainId).toBe(Number(env.CHAIN_ID));
+
+    const stored = await env.DB.prepare('SELECT address FROM auth_nonces WHERE nonce = ?').bind(res.json.data.nonce).first();
+    expect(stored.address).toBe(agent.address.toLowerCase());
+  });
+
+  it('rejects a missing or malformed address', async () => {
+    expect((await api('GET', '/auth/nonce')).status).toBe(400);
+    expect((await api('GET', '/auth/nonce?address=0x1234')).status).toBe(400);
+  });
+});
+
+describe('Signed writes', () => {
+  it('accepts an EIP-191 signature', async () => {
+    const agent = wallet();
+    const res = await api('POST', '/services', { signer: agent, body: serviceBody(agent.address) });
+
+    expect(res.status).toBe(201);
+  });
+
+  it('accepts an EIP-712 signature', async () => {
+    const agent = wallet();
+    const res = await api('POST', '/services', {
+      signer: agent,
+      signatureType: 'eip712',
+      body: serviceBody(agent.address)
+    });
+
+    expect(res.status).toBe(201);
+  });
+
+  it('requires the auth headers', async () => {
+    const agent = wallet();
+    const res = await api('POST', '/services', { body: serviceBody(agent.address) });
+
+    expect(res.status).toBe(401);
+    expect(res.json.error.message).toMatch(/Authentication required/);
+  });
+
+  it('rejects an unknown signature type', async () => {
+    const agent = wallet();
+    const res = await api('POST', '/services', {
+      body: serviceBody(agent.address),
+      headers: {
+        'X-Agent-Address': agent.address,
+        'X-Agent-Nonce': 'abc',
+        'X-Agent-Signature': '0x1234',
+        'X-Agent-Signature-Type': 'personal'
+      }
+    });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects a nonce that was never issued', async () => {
+    const agent = wallet();
+    const body = JSON.stringify(serviceBody(agent.address));
+    const nonce = 'f'.repeat(32);
+    const signature = await agent.signMessage({
+      message: Auth.buildMessage({ address: agent.address, method: 'POST', path: '/services', bodyHash: Auth.hashBody(body), nonce })
+    });
+
+    const res = await api('POST', '/services', {
+      body,
+      headers: { 'X-Agent-Address': agent.address, 'X-Agent-Nonce': nonce, 'X-Agent-Signature': signature }
+    });
+
+    expect(res.status).toBe(401);
+    expect(res.json.error.message).toMatch(/Nonce is unknown/);
+  });
+
+  it('consumes the nonce so a captured request cannot be replayed', async () => {
+    const agent = wallet();
+    const body = JSON.stringify(serviceBody(agent.address));
+    const { nonce } = await Auth.issueNonce(agent.address, env);
+    const signature = await agent.signMessage({
+      message: Auth.buildMessage({ address: agent.address, method: 'POST', path: '/services', bodyHash: Auth.hashBody(body), nonce })
+    });
+    const headers = { 'X-Agent-Address': agent.address, 'X-Agent-Nonce': nonce, 'X-Agent-Signature': signature };
+
+    expect((await api('POST', '/services', { body, headers })).status).toBe(201);
+
+    const replay = await api('POST', '/services', { body, headers });
+    expect(replay.status).toBe(401);
+    expect(replay.json.error.message).toMatch(/already used/);
+  });
+
+  it('lets only one of two concurrent requests use a nonce', async () => {
+    const agent = wallet();
+    const body = JSON.stringify(serviceBody(agent.address));
+    const { nonce } = await Auth.issueNonce(agent.address, env);
+    const signature = await agent.signMessage({
+      message: Auth.buildMessage({ address: agent.address, method: 'POST', path: '/services', bodyHash: Auth.hashBody(body), nonce })
+    });
+    const headers = { 'X-Agent-Address': agent.address, 'X-Agent-Nonce': nonce, 'X-Agent-Signature': signature };
+
+    const results = await Promise.all([api('POST', '/services', { body, headers }), api('POST', '/services', { body, headers })]);
+
+    expect(results.map((res) => res.status).sort()).toEqual([201, 401]);
+  });
+
+  it('rejects an expired nonce', async () => {
+    const agent = wallet();
+    const { nonce } = await Auth.issueNonce(agent.address, env);
+    await env.DB.prepare('UPDATE auth_nonces SET expires_at = ? WHERE nonce = ?')
+      .bind(new Date(Date.now() - 1000).toISOString(), nonce).run();
+
+    const res = await api('POST', '/services', {
+      body: serviceBody(agent.address),
+      headers: { 'X-Agent-Address': agent.address, 'X-Agent-Nonce': nonce, 'X-Agent-Signature': '0x1234' }
+    });
+
+    expect(res.status).toBe(401);
+    expect(res.json.error.message).toMatch(/expired/);
+  });
+
+  it('rejects a nonce issued to another wallet', async () => {
+    const agent = wallet();
+    const other = wallet();
+    const body = JSON.stringify(serviceBody(agent.address));
+    const { nonce } = await Auth.issueNonce(other.address, env);
+    const signature = await agent.signMessage({
+      message: Auth.buildMessage({ address: agent.address, method: 'POST', path: '/services', bodyHash: Auth.hashBody(body), nonce })
+    });
+
+    const res = await api('POST', '/services', {
+      body,
+      headers: { 'X-Agent-Address': agent.address, 'X-Agent-Nonce': nonce, 'X-Agent-Signature': signature }
+    });
+
+    expect(res.status).toBe(401);
+    expect(res.json.error.message).toMatch(/different address/);
+  });
+
+  it('rejects a signature over a different body', async () => {
+    const agent = wallet();
+    const { nonce } = await Auth.issueNonce(agent.address, env);
+    const signature = await agent.signMessage({
+      message: Auth.buildMessage({
+        address: agent.address,
+        method: 'POST',
+        path: '/services',
+        bodyHash: Auth.hashBody(JSON.stringify({ ...serviceBody(agent.address), priceUSDC: 100 })),
+        nonce
+      })
+    });
+
+    const res = await api('POST', '/services', {
+      body: serviceBody(agent.address),
+      headers: { 'X-Agent-Address': agent.address, 'X-Agent-Nonce': nonce, 'X-Agent-Signature': signature }
+    });
+
+    expect(res.status).toBe(401);
+    expect(res.json.error.message).toBe('Invalid signature');
+  });
+
+  it('returns 403 when the signer is not the wallet named in the body', async () => {
+    const provider = wallet();
+    const impostor = wallet();
+    const res = await api('POST', '/services', { signer: impostor, body: serviceBody(provider.address) });
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,206 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi } from 'vitest';
+import { api, wallet, txHash, createService, x402Payment } from './helpers.js';
+
+const FACILITATOR_URL = 'https://facilitator.test';
+const x402Env = { X402_FACILITATOR_URL: FACILITATOR_URL };
+
+function mockFacilitator(result = { success: true, transaction: txHash(7), network: 'base-sepolia' }) {
+  return vi.spyOn(globalThis, 'fetch').mockImplementation(async (input) => {
+    const url = typeof input === 'string' ? input : input.url;
+    if (url === `${FACILITATOR_URL}/settle`) return Response.json(result);
+    throw new Error(`Unexpected fetch to ${url}`);
+  });
+}
+
+// Pay for a plan with x402; `value` is what the 402 asked for unless given
+async function purchase(buyer, service, { body, value } = {}) {
+  const path = `/services/${service.id}/credits`;
+  const quote = await api('POST', path, { body, env: x402Env });
+  const header = await x402Payment(buyer, service.providerAddress, { value: value ?? quote.json.accepts[0].maxAmountRequired });
+  return api('POST', path, { body, headers: { 'X-PAYMENT': header }, env: x402Env });
+}
+
+async function consume(buyer, service) {
+  return api('POST', `/services/${service.id}/credits/consume`, { signer: buyer, body: { buyerAddress: buyer.address } });
+}
+
+async function credits(buyer, service) {
+  return (await api('GET', `/services/${service.id}/credits`, { signer: buyer })).json.data;
+}
+
+describe('prepaid billing', () => {
+  it('validates plan fields for the pricing model', async () => {
+    const provider = wallet();
+    const body = { name: 'Bundle', description: 'Ten code reviews', priceUSDC: 5, providerAddress: provider.address, category: 'development' };
+
+    const missing = await api('POST', '/services', { signer: provider, body: { ...body, pricingModel: 'bundle' } });
+    const subscription = await createService(provider, { pricingModel: 'subscription', planPriceUSDC: 20 });
+
+    expect(missing.status).toBe(400);
+    expect(missing.json.error.details).toEqual([
+      '$.planPriceUSDC: required for bundle pricing',
+      '$.planCalls: required for bundle pricing'
+    ]);
+    expect(subscription).toMatchObject({ pricingModel: 'subscription', planPriceUSDC: 20000000, periodDays: 30 });
+  });
+
+  it('sells a bundle and draws one call per use', async () => {
+    const provider = wallet();
+    const buyer = wallet();
+    const service = await createService(provider, { pricingModel: 'bundle', planPriceUSDC: 20, planCalls: 5 });
+    mockFacilitator();
+
+    const quote = await api('POST', `/services/${service.id}/credits`, { env: x402Env });
+    const bought = await purchase(buyer, service);
+    const used = await consume(buyer, service);
+
+    expect(quote.status).toBe(402);
+    expect(quote.json.accepts[0]).toMatchObject({ maxAmountRequired: '20000000', description: 'Code Review: bundle of 5 calls' });
+    expect(bought.status).toBe(201);
+    expect(bought.json.data).toMatchObject({ balance: 5, unit: 'calls', purchase: { amountUSDC: 20000000, settlementTxHash: txHash(7) } });
+    expect(bought.headers.get('X-PAYMENT-RESPONSE')).toBeTruthy();
+    expect(used.status).toBe(201);
+    expect(used.json.data).toMatchObject({ status: 'pending', paymentScheme: 'bundle', amountUSDC: 4000000, account: { balance: 4 } });
+  });
+
+  it('tops up credits by any amount and draws the listed price per use', async () => {
+    const provider = wallet();
+    const buyer = wallet();
+    const service = await createService(provider, { pricingModel: 'credits', priceUSDC: 2 });
+    mockFacilitator();
+
+    const tooSmall = await api('POST', `/services/${service.id}/credits`, { body: { amountUSDC: 1 }, env: x402Env });
+    await purchase(buyer, service, { body: { amountUSDC: 5 } });
+    await consume(buyer, service);
+    await consume(buyer, service);
+    const broke = await consume(buyer, service);
+
+    expect(tooSmall.status).toBe(400);
+    expect(broke.status).toBe(402);
+    expect(await credits(buyer, service)).toMatchObject({ balance: 1000000, unit: 'usdc', active: false });
+  });
+
+  it('counts volume on purchase and a transaction per use', async () => {
+    const provider = wallet();
+    const buyer = wallet();
+    const service = await createService(provider, { pricingModel: 'credits', priceUSDC: 2 });
+    mockFacilitator();
+
+    await purchase(buyer, service, { body: { amountUSDC: 10 } });
+    await consume(buyer, service);
+
+    const stats = await env.DB.prepare('SELECT total_transactions, total_volume_usdc FROM exchange_stats WHERE id = 1').first();
+    const profile = await env.DB.prepare('SELECT total_transactions, total_volume_usdc FROM agent_profiles WHERE address = ?')
+      .bind(provider.address.toLowerCase()).first();
+    expect(stats).toEqual({ total_transactions: 1, total_volume_usdc: 10000000 });
+    expect(profile).toEqual({ total_transactions: 1, total_volume_usdc: 10000000 });
+  });
+
+  it('refunds a cancelled use', async () => {
+    const provider = wallet();
+    const buyer = wallet();
+    const service = await createService(provider, { pricingModel: 'bundle', planPriceUSDC: 10, planCalls: 2 });
+    mockFacilitator();
+    await purchase(buyer, service);
+    const used = await consume(buyer, service);
+
+    await api('POST', `/requests/${used.json.data.id}/cancel`, { signer: provider, body: {} });
+
+    expect((await credits(buyer, service)).balance).toBe(2);
+  });
+
+  it('gives the draw back when the request cannot be recorded', async () => {
+    const provider = wallet();
+    const buyer = wallet();
+    const service = await createService(provider, { pricingModel: 'credits', priceUSDC: 2 });
+    mockFacilitator();
+    await purchase(buyer, service, { body: { amountUSDC: 10 } });
+    vi.spyOn(env.DB, 'batch').mockRejectedValueOnce(new Error('D1_ERROR: database is locked'));
+
+    const res = await consume(buyer, service);
+
+    expect(res.status).toBe(500);
+    expect(await credits(buyer, service)).toMatchObject({ balance: 10000000 });
+    expect(await env.DB.prepare('SELECT COUNT(*) AS n FROM service_requests').first('n')).toBe(0);
+  });
+
+  it('lets a consumed request be rated once finalized', async () => {
+    const provider = wallet();
+    const buyer = wallet();
+    const service = await createService(provider, { pricingModel: 'bundle', planPriceUSDC: 10, planCalls: 2 });
+    mockFacilitator();
+    await purchase(buyer, service);
+    const { id } = (await consume(buyer, service)).json.data;
+
+    await api('POST', `/requests/${id}/accept`, { signer: provider, body: {} });
+    await api('POST', `/requests/${id}/complete`, { signer: provider, body: {} });
+    await api('POST', `/requests/${id}/confirm`, { signer: buyer, body: {} });
+    const rating = await api('POST', `/agents/${provider.address}/rate`, {
+      signer: buyer,
+      body: { raterAddress: buyer.address, requestId: id, score: 5 }
+    });
+
+    expect(rating.status).toBe(200);
+  });
+
+  it('stacks subscription periods and covers uses while one is active', async () => {
+    const provider = wallet();
+    const buyer = wallet();
+    const service = await createService(provider, { pricingModel: 'subscription', planPriceUSDC: 20, periodDays: 7 });
+    mockFacilitator();
+
+    const before = await consume(buyer, service);
+    await purchase(buyer, service);
+    await purchase(buyer, service);
+    const during = await consume(buyer, service);
+    const account = await credits(buyer, service);
+
+    expect(before.status).toBe(402);
+    expect(during.status).toBe(201);
+    expect(during.json.data.amountUSDC).toBe(0);
+    expect(account.active).toBe(true);
+    expect(account.periods).toHaveLength(2);
+    expect(account.periods[1].periodStart).toBe(account.periods[0].periodEnd);
+    expect(Date.parse(`${account.activeUntil}Z`) - Date.now()).toBeGreaterThan(13 * 24 * 60 * 60 * 1000);
+  });
+
+  it('does not credit a failed settlement or a reused authorization', async () => {
+    const provider = wallet();
+    const buyer = wallet();
+    const service = await createService(provider, { pricingModel: 'bundle', planPriceUSDC: 10, planCalls: 2 });
+    const path = `/services/${service.id}/credits`;
+    const header = await x402Payment(buyer, provider.address, { value: '10000000' });
+
+    mockFacilitator({ success: false, errorReason: 'insufficient_funds' });
+    const failed = await api('POST', path, { headers: { 'X-PAYMENT': header }, env: x402Env });
+    vi.restoreAllMocks();
+    mockFacilitator();
+    await api('POST', path, { headers: { 'X-PAYMENT': header }, env: x402Env });
+    const replay = await api('POST', path, { headers: { 'X-PAYMENT': header }, env: x402Env });
+
+    expect(failed.status).toBe(402);
+    expect(replay.status).toBe(409);
+    expect((await credits(buyer, service)).balance).toBe(2);
+  });
+
+  it('only offers prepaid endpoints on prepaid listings', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+
+    const res = await api('POST', `/services/${service.id}/credits`, { env: x402Env });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('switches a listing to prepaid pricing with an update', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+
+    const incomplete = await api('PUT', `/services/${service.id}`, { signer: provider, body: { pricingModel: 'subscription' } });
+    const updated = await api('PUT', `/services/${service.id}`, { signer: provider, body: { pricingModel: 'subscription', planPriceUSDC: 15 } });
+
+    expect(incomplete.status).toBe(400);
+    expect(updated.json.data).toMatchObject({ pricingModel: 'subscription', planPriceUSDC: 15000000, periodDays: 30 });
+  });
+});
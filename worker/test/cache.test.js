@@ -0,0 +1,112 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { api, wallet, txHash, createService, requestService, setRequestStatus } from './helpers.js';
+import { ResponseCache } from '../src/cache.js';
+
+describe('response cache', () => {
+  it('serves a repeat read from KV with the same ETag', async () => {
+    const first = await api('GET', '/stats');
+    const second = await api('GET', '/stats');
+
+    expect(first.headers.get('X-Cache')).toBe('MISS');
+    expect(second.headers.get('X-Cache')).toBe('HIT');
+    expect(second.headers.get('ETag')).toBe(first.headers.get('ETag'));
+    expect(second.headers.get('Cache-Control')).toBe('no-cache');
+    expect(second.json).toEqual(first.json);
+  });
+
+  it('answers a matching If-None-Match with 304', async () => {
+    const first = await api('GET', '/services');
+    const etag = first.headers.get('ETag');
+
+    const strong = await api('GET', '/services', { headers: { 'If-None-Match': etag } });
+    const weak = await api('GET', '/services', { headers: { 'If-None-Match': `"stale", W/${etag}` } });
+    const other = await api('GET', '/services', { headers: { 'If-None-Match': '"stale"' } });
+
+    expect(strong.status).toBe(304);
+    expect(await strong.response.text()).toBe('');
+    expect(strong.headers.get('ETag')).toBe(etag);
+    expect(weak.status).toBe(304);
+    expect(other.status).toBe(200);
+  });
+
+  it('keys on the query string regardless of parameter order', async () => {
+    await api('GET', '/services?category=data&sort=price_asc');
+    const reordered = await api('GET', '/services?sort=price_asc&category=data');
+    const different = await api('GET', '/services?category=research&sort=price_asc');
+
+    expect(reordered.headers.get('X-Cache')).toBe('HIT');
+    expect(different.headers.get('X-Cache')).toBe('MISS');
+  });
+
+  it('does not cache errors', async () => {
+    await api('GET', '/services/999');
+    const again = await api('GET', '/services/999');
+
+    expect(again.status).toBe(404);
+    expect(again.headers.get('X-Cache')).toBeNull();
+  });
+
+  it('invalidates listings, stats and the provider profile when a service is created', async () => {
+    const provider = wallet();
+    await api('GET', '/services');
+    await api('GET', '/stats');
+    await api('GET', `/agents/${provider.address}`);
+
+    await createService(provider, { category: 'data' });
+
+    const services = await api('GET', '/services');
+    const stats = await api('GET', '/stats');
+    const agent = await api('GET', `/agents/${provider.address}`);
+
+    expect(services.headers.get('X-Cache')).toBe('MISS');
+    expect(services.json.data).toHaveLength(1);
+    expect(stats.json.data.categories).toEqual([{ category: 'data', count: 1 }]);
+    expect(agent.json.data.services).toHaveLength(1);
+  });
+
+  it('leaves other agents cached when one changes', async () => {
+    const provider = wallet();
+    const bystander = wallet();
+    await api('GET', `/agents/${bystander.address}`);
+
+    await createService(provider);
+
+    expect((await api('GET', `/agents/${bystander.address}`)).headers.get('X-Cache')).toBe('HIT');
+  });
+
+  it('refreshes the provider profile after a purchase and a rating', async () => {
+    const provider = wallet();
+    const buyer = wallet();
+    const service = await createService(provider);
+    await api('GET', `/agents/${provider.address}`);
+
+    const created = await requestService(buyer, service.id, txHash(1));
+    const afterPurchase = await api('GET', `/agents/${provider.address}`);
+    expect(afterPurchase.json.data.recentTransactions).toHaveLength(1);
+
+    await setRequestStatus(created.json.data.id, 'completed');
+    await api('POST', `/agents/${provider.address}/rate`, {
+      signer: buyer,
+      body: { raterAddress: buyer.address, requestId: created.json.data.id, score: 5 }
+    });
+
+    const afterRating = await api('GET', `/agents/${provider.address}`);
+    expect(afterRating.headers.get('X-Cache')).toBe('MISS');
+    expect(afterRating.json.data.profile.ratingCount).toBe(1);
+  });
+
+  it('drops everything when the `all` scope is invalidated', async () => {
+    const provider = wallet();
+    await createService(provider);
+    await api('GET', '/services');
+
+    // What the indexer does: write D1 directly, then bump `all`
+    await env.DB.prepare("UPDATE services SET name = 'Renamed on-chain'").run();
+    expect((await api('GET', '/services')).json.data[0].name).toBe('Code Review');
+
+    await ResponseCache.invalidate(env, ['all']);
+
+    expect((await api('GET', '/services')).json.data[0].name).toBe('Renamed on-chain');
+  });
+});
@@ -0,0 +1,148 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { keccak256, toBytes } from 'viem';
+import { api, wallet, txHash, createService, requestService, setRequestStatus } from './helpers.js';
+import { INLINE_MAX_BYTES } from '../src/deliverables.js';
+
+async function requestInState(status, serviceOverrides = {}) {
+  const provider = wallet();
+  const buyer = wallet();
+  const service = await createService(provider, serviceOverrides);
+  const created = await requestService(buyer, service.id, txHash(1));
+  await setRequestStatus(created.json.data.id, status);
+  return { provider, buyer, id: created.json.data.id };
+}
+
+function submit(signer, id, body, overrides) {
+  return api('POST', `/requests/${id}/deliverables`, { signer, body, env: overrides });
+}
+
+describe('POST /requests/:id/deliverables', () => {
+  it('stores a small deliverable inline with its keccak256 hash', async () => {
+    const { provider, id } = await requestInState('in_progress');
+
+    const res = await submit(provider, id, { content: 'All good', note: 'First pass' });
+
+    expect(res.status).toBe(201);
+    expect(res.json.data).toMatchObject({
+      requestId: id,
+      contentType: 'text/plain; charset=utf-8',
+      sizeBytes: 8,
+      contentHash: keccak256(toBytes('All good')),
+      storage: 'inline',
+      validation: 'not_applicable',
+      note: 'First pass'
+    });
+  });
+
+  it('decodes base64 content', async () => {
+    const { provider, id } = await requestInState('in_progress');
+
+    const res = await submit(provider, id, { content: btoa('\x00\x01\x02'), encoding: 'base64' });
+
+    expect(res.json.data).toMatchObject({ contentType: 'application/octet-stream', sizeBytes: 3 });
+  });
+
+  it('writes large deliverables to R2', async () => {
+    const { provider, id } = await requestInState('completed');
+    const content = 'x'.repeat(INLINE_MAX_BYTES + 1);
+
+    const res = await submit(provider, id, { content });
+
+    expect(res.status).toBe(201);
+    expect(res.json.data.storage).toBe('r2');
+    const object = await env.DELIVERABLES.get(`deliverables/${id}/${res.json.data.contentHash}`);
+    expect(await object.text()).toBe(content);
+  });
+
+  it('returns 413 for large deliverables when R2 is not bound', async () => {
+    const { provider, id } = await requestInState('in_progress');
+
+    const res = await submit(provider, id, { content: 'x'.repeat(INLINE_MAX_BYTES + 1) }, { DELIVERABLES: undefined });
+
+    expect(res.status).toBe(413);
+  });
+
+  it('validates JSON deliverables against the listing output schema', async () => {
+    const outputSchema = { type: 'object', required: ['summary'], properties: { summary: { type: 'string' } } };
+    const { provider, id } = await requestInState('in_progress', { outputSchema });
+
+    const bad = await submit(provider, id, { content: JSON.stringify({ summary: 3 }), contentType: 'application/json' });
+    expect(bad.status).toBe(422);
+    expect(bad.json.error.details).toEqual(['$.summary: expected string, got integer']);
+
+    const good = await submit(provider, id, { content: JSON.stringify({ summary: 'ok' }), contentType: 'application/json' });
+    expect(good.status).toBe(201);
+    expect(good.json.data.validation).toBe('valid');
+  });
+
+  it('validates the upload', async () => {
+    const { provider, id } = await requestInState('in_progress');
+
+    const res = await submit(provider, id, { content: '', encoding: 'hex', contentType: 'json', note: 1 });
+
+    expect(res.status).toBe(400);
+    expect(res.json.error.details).toHaveLength(4);
+  });
+
+  it('only accepts work from the provider while the request is active', async () => {
+    const { provider, buyer, id } = await requestInState('pending');
+
+    expect((await submit(buyer, id, { content: 'x' })).status).toBe(403);
+    expect((await submit(wallet(), id, { content: 'x' })).status).toBe(403);
+
+    const res = await submit(provider, id, { content: 'x' });
+    expect(res.status).toBe(409);
+    expect(res.json.error.message).toMatch(/state "pending"/);
+  });
+});
+
+describe('Reading deliverables', () => {
+  it('lists deliverables for both parties', async () => {
+    const { provider, buyer, id } = await requestInState('in_progress');
+    await submit(provider, id, { content: 'Draft' });
+
+    const forBuyer = await api('GET', `/requests/${id}/deliverables`, { signer: buyer });
+    expect(forBuyer.json.data).toHaveLength(1);
+    expect(forBuyer.json.meta.contentAvailable).toBe(false);
+
+    const forProvider = await api('GET', `/requests/${id}/deliverables`, { signer: provider });
+    expect(forProvider.json.meta.contentAvailable).toBe(true);
+
+    expect((await api('GET', `/requests/${id}/deliverables`, { signer: wallet() })).status).toBe(403);
+  });
+
+  it('serves the raw bytes to the buyer once the work is completed', async () => {
+    const { provider, buyer, id } = await requestInState('in_progress');
+    const deliverable = (await submit(provider, id, { content: '{"summary":"ok"}', contentType: 'application/json' })).json.data;
+    const path = `/requests/${id}/deliverables/${deliverable.id}/content`;
+
+    expect((await api('GET', path, { signer: buyer })).status).toBe(403);
+
+    await setRequestStatus(id, 'completed');
+    const res = await api('GET', path, { signer: buyer });
+
+    expect(res.status).toBe(200);
+    expect(res.headers.get('X-Content-Hash')).toBe(deliverable.contentHash);
+    expect(res.json).toEqual({ summary: 'ok' });
+  });
+
+  it('serves R2 content and reports 410 once the object is gone', async () => {
+    const { provider, id } = await requestInState('completed');
+    const deliverable = (await submit(provider, id, { content: 'y'.repeat(INLINE_MAX_BYTES + 10) })).json.data;
+    const path = `/requests/${id}/deliverables/${deliverable.id}/content`;
+
+    const res = await api('GET', path, { signer: provider });
+    expect(res.status).toBe(200);
+    expect((await res.response.text()).length).toBe(INLINE_MAX_BYTES + 10);
+
+    await env.DELIVERABLES.delete(`deliverables/${id}/${deliverable.contentHash}`);
+    expect((await api('GET', path, { signer: provider })).status).toBe(410);
+  });
+
+  it('returns 404 for a deliverable on another request', async () => {
+    const { provider, id } = await requestInState('in_progress');
+
+    expect((await api('GET', `/requests/${id}/deliverables/999/content`, { signer: provider })).status).toBe(404);
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { Deployment, EXCHANGE_ABI } from '../src/deployment.js';
+
+describe('Deployment', () => {
+  it('defaults to Base Sepolia', () => {
+    expect(Deployment.getChainId({})).toBe(84532);
+  });
+
+  it('has no contract for chains without a manifest', () => {
+    const local = { CHAIN_ID: '31337' };
+
+    expect(Deployment.getManifest(local)).toBeNull();
+    expect(Deployment.getContractAddress(local)).toBeNull();
+    expect(Deployment.getStartBlock(local)).toBeNull();
+    expect(Deployment.getUsdcAddress(local)).toBeNull();
+  });
+
+  it('reads the contract from vars', () => {
+    const env = { CHAIN_ID: '31337', CONTRACT_ADDRESS: '0x5fc8d32690cc91d4c39d9d3abcbd16989f875707' };
+
+    expect(Deployment.getContractAddress(env)).toBe(env.CONTRACT_ADDRESS);
+    expect(Deployment.getStartBlock({ ...env, INDEXER_START_BLOCK: '12' })).toBe(12);
+    expect(Deployment.getStartBlock({ ...env, INDEXER_START_BLOCK: '0' })).toBe(0);
+  });
+
+  it('exposes the exchange ABI', () => {
+    const events = EXCHANGE_ABI.filter((item) => item.type === 'event').map((item) => item.name);
+
+    expect(events).toEqual(expect.arrayContaining(['RequestCreated', 'DisputeResolved', 'ServiceUpdated', 'Paused']));
+    expect(EXCHANGE_ABI.some((item) => item.type === 'function' && item.name === 'getService')).toBe(true);
+  });
+});
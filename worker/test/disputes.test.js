@@ -0,0 +1,241 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { api, wallet, txHash, createService, requestService, setRequestStatus } from './helpers.js';
+
+const arbiter = wallet();
+const arbiterEnv = { ARBITER_ADDRESSES: arbiter.address };
+let nextTx = 1;
+
+async function requestInState(status) {
+  const provider = wallet();
+  const buyer = wallet();
+  const service = await createService(provider);
+  const created = await requestService(buyer, service.id, txHash(nextTx++));
+  await setRequestStatus(created.json.data.id, status);
+  return { provider, buyer, id: created.json.data.id };
+}
+
+function openDispute(signer, id, body = {}) {
+  return api('POST', `/requests/${id}/dispute`, {
+    signer,
+    env: arbiterEnv,
+    body: { reason: 'The summary misses half of the findings', ...body }
+  });
+}
+
+function resolve(signer, id, body) {
+  return api('POST', `/requests/${id}/dispute/resolve`, { signer, env: arbiterEnv, body });
+}
+
+describe('POST /requests/:id/dispute', () => {
+  it('freezes the request and records the previous state', async () => {
+    const { buyer, id } = await requestInState('completed');
+
+    const res = await openDispute(buyer, id, {
+      evidence: [{ description: 'Missing section', url: 'https://example.com/diff', deliverableId: 1 }]
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.json.data).toMatchObject({
+      requestId: id,
+      raisedBy: buyer.address.toLowerCase(),
+      raisedByRole: 'buyer',
+      status: 'open',
+      previousStatus: 'completed',
+      evidence: [{ description: 'Missing section', url: 'https://example.com/diff', deliverableId: 1 }],
+      messages: []
+    });
+
+    const request = await api('GET', `/requests/${id}`);
+    expect(request.json.data.status).toBe('disputed');
+    expect((await api('POST', `/requests/${id}/confirm`, { signer: buyer })).status).toBe(409);
+  });
+
+  it('notifies both parties and the arbiters', async () => {
+    const { provider, buyer, id } = await requestInState('in_progress');
+    for (const owner of [provider, arbiter]) {
+      await api('POST', '/webhooks', {
+        signer: owner,
+        body: { ownerAddress: owner.address, url: 'https://hooks.test/x', events: ['dispute.opened'] }
+      });
+    }
+
+    await openDispute(buyer, id);
+
+    expect(await env.DB.prepare("SELECT COUNT(*) AS n FROM webhook_deliveries WHERE event_type = 'dispute.opened'").first('n')).toBe(2);
+  });
+
+  it('validates the dispute', async () => {
+    const { buyer, id } = await requestInState('in_progress');
+
+    const res = await openDispute(buyer, id, { reason: 'bad', evidence: [{ url: 'ftp://x' }], txHash: '0x1' });
+
+    expect(res.status).toBe(400);
+    expect(res.json.error.details).toEqual([
+      '$.reason: must be at least 10 characters',
+      '$.evidence[0]: missing required property "description"',
+      '$.evidence[0].url: must be an http(s) URL',
+      '$.txHash: must be a valid transaction hash'
+    ]);
+  });
+
+  it.each(['unverified', 'finalized', 'cancelled', 'disputed'])('cannot dispute a %s request', async (status) => {
+    const { buyer, id } = await requestInState(status);
+
+    expect((await openDispute(buyer, id)).status).toBe(409);
+  });
+
+  it('is limited to the parties', async () => {
+    const { id } = await requestInState('in_progress');
+
+    expect((await openDispute(wallet(), id)).status).toBe(403);
+    expect((await openDispute(arbiter, id)).status).toBe(403);
+  });
+});
+
+describe('Dispute thread', () => {
+  it('lets parties and arbiters post messages', async () => {
+    const { provider, buyer, id } = await requestInState('completed');
+    await openDispute(buyer, id);
+
+    await api('POST', `/requests/${id}/dispute/messages`, {
+      signer: provider, env: arbiterEnv, body: { body: 'Section 3 covers it' }
+    });
+    const res = await api('POST', `/requests/${id}/dispute/messages`, {
+      signer: arbiter, env: arbiterEnv, body: { body: 'Please attach the report', evidence: [{ description: 'Ruling guide' }] }
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.json.data.messages.map((m) => m.authorRole)).toEqual(['provider', 'arbiter']);
+
+    const read = await api('GET', `/requests/${id}/dispute`, { signer: arbiter, env: arbiterEnv });
+    expect(read.json.data.messages).toHaveLength(2);
+    expect((await api('GET', `/requests/${id}/dispute`, { signer: wallet(), env: arbiterEnv })).status).toBe(403);
+  });
+
+  it('requires an open dispute', async () => {
+    const { buyer, id } = await requestInState('in_progress');
+
+    const res = await api('POST', `/requests/${id}/dispute/messages`, { signer: buyer, body: { body: 'Hello' } });
+    expect(res.status).toBe(409);
+    expect((await api('GET', `/requests/${id}/dispute`, { signer: buyer })).status).toBe(404);
+    expect((await api('POST', `/requests/${id}/dispute/messages`, { signer: buyer, body: {} })).status).toBe(400);
+  });
+});
+
+describe('POST /requests/:id/dispute/resolve', () => {
+  it('refunds the buyer and cancels the request', async () => {
+    const { buyer, id } = await requestInState('completed');
+    await openDispute(buyer, id);
+
+    const res = await resolve(arbiter, id, { ruling: 'refund', note: 'Work not delivered' });
+
+    expect(res.status).toBe(200);
+    expect(res.json.data).toMatchObject({
+      status: 'resolved',
+      ruling: 'refund',
+      providerAmountUSDC: 0,
+      buyerAmountUSDC: 5000000,
+      arbiterAddress: arbiter.address.toLowerCase(),
+      rulingNote: 'Work not delivered'
+    });
+    expect((await api('GET', `/requests/${id}`)).json.data.status).toBe('cancelled');
+  });
+
+  it('releases to the provider and finalizes the request', async () => {
+    const { buyer, id } = await requestInState('completed');
+    await openDispute(buyer, id);
+
+    const res = await resolve(arbiter, id, { ruling: 'release' });
+
+    expect(res.json.data).toMatchObject({ providerAmountUSDC: 5000000, buyerAmountUSDC: 0 });
+    expect((await api('GET', `/requests/${id}`)).json.data.status).toBe('finalized');
+  });
+
+  it('splits the escrow', async () => {
+    const { buyer, id } = await requestInState('completed');
+    await openDispute(buyer, id);
+
+    expect((await resolve(arbiter, id, { ruling: 'split', providerAmountUSDC: 5 })).status).toBe(400);
+    expect((await resolve(arbiter, id, { ruling: 'split' })).status).toBe(400);
+
+    const res = await resolve(arbiter, id, { ruling: 'split', providerAmountUSDC: 3 });
+    expect(res.json.data).toMatchObject({ ruling: 'split', providerAmountUSDC: 3000000, buyerAmountUSDC: 2000000 });
+  });
+
+  it('only lets arbiters who are not party to the request rule', async () => {
+    const { provider, buyer, id } = await requestInState('completed');
+    await openDispute(buyer, id);
+
+    expect((await resolve(provider, id, { ruling: 'release' })).status).toBe(403);
+
+    const partyArbiter = await api('POST', `/requests/${id}/dispute/resolve`, {
+      signer: provider,
+      env: { ARBITER_ADDRESSES: provider.address },
+      body: { ruling: 'release' }
+    });
+    expect(partyArbiter.status).toBe(403);
+  });
+
+  it('rules once', async () => {
+    const { buyer, id } = await requestInState('completed');
+    await openDispute(buyer, id);
+    await resolve(arbiter, id, { ruling: 'refund' });
+
+    expect((await resolve(arbiter, id, { ruling: 'release' })).status).toBe(409);
+    expect((await resolve(arbiter, id, { ruling: 'appeal' })).status).toBe(400);
+  });
+
+  it('leaves the request disputed when the ruling cannot be recorded', async () => {
+    const { buyer, id } = await requestInState('completed');
+    await openDispute(buyer, id);
+    // Break the rating recompute that runs in the ruling's batch
+    await env.DB.prepare('ALTER TABLE agent_ratings RENAME TO agent_ratings_moved').run();
+
+    const res = await resolve(arbiter, id, { ruling: 'release' });
+    await env.DB.prepare('ALTER TABLE agent_ratings_moved RENAME TO agent_ratings').run();
+
+    expect(res.status).toBe(500);
+    expect((await api('GET', `/requests/${id}`)).json.data.status).toBe('disputed');
+    expect((await resolve(arbiter, id, { ruling: 'release' })).status).toBe(200);
+  });
+
+  it('counts the rating again once resolved', async () => {
+    const { provider, buyer, id } = await requestInState('completed');
+    await api('POST', `/agents/${provider.address}/rate`, {
+      signer: buyer,
+      body: { score: 2, requestId: id, raterAddress: buyer.address }
+    });
+    await openDispute(buyer, id);
+
+    const during = await api('GET', `/agents/${provider.address}`);
+    expect(during.json.data.profile.ratingCount).toBe(0);
+
+    await resolve(arbiter, id, { ruling: 'release' });
+
+    const after = await api('GET', `/agents/${provider.address}`);
+    expect(after.json.data.profile).toMatchObject({ ratingAvg: 2, ratingCount: 1 });
+  });
+});
+
+describe('GET /disputes', () => {
+  it('shows arbiters every dispute and parties their own', async () => {
+    const first = await requestInState('completed');
+    await openDispute(first.buyer, first.id);
+    const second = await requestInState('in_progress');
+    await openDispute(second.provider, second.id);
+    await resolve(arbiter, second.id, { ruling: 'refund' });
+
+    const all = await api('GET', '/disputes', { signer: arbiter, env: arbiterEnv });
+    expect(all.json.data).toHaveLength(2);
+
+    const open = await api('GET', '/disputes?status=open', { signer: arbiter, env: arbiterEnv });
+    expect(open.json.data.map((d) => d.requestId)).toEqual([first.id]);
+
+    const own = await api('GET', '/disputes', { signer: first.provider, env: arbiterEnv });
+    expect(own.json.data).toHaveLength(1);
+    expect(own.json.data[0]).toMatchObject({ requestId: first.id, amountUSDC: 5000000, messageCount: 0 });
+
+    expect((await api('GET', '/disputes', { signer: wallet(), env: arbiterEnv })).json.data).toEqual([]);
+  });
+});
@@ -0,0 +1,176 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { vi } from 'vitest';
+import { encodeAbiParameters, encodeEventTopics, toHex } from 'viem';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import worker from '../src/index.js';
+import { Auth } from '../src/auth.js';
+import { EXCHANGE_ABI } from '../src/chain.js';
+import { Deployment } from '../src/deployment.js';
+
+export const RPC_URL = 'https://rpc.test';
+export const CONTRACT_ADDRESS = '0x1245ff336452395c330a01d9c5c1dce0282e3ed7';
+
+export function wallet() {
+  return privateKeyToAccount(generatePrivateKey());
+}
+
+export function txHash(n) {
+  return `0x${n.toString(16).padStart(64, '0')}`;
+}
+
+/**
+ * Call the worker like a client would
+ * @param {object} options
+ * @param {object|string} [options.body] JSON body (objects are serialized)
+ * @param {object} [options.signer] viem account that signs the request
+ * @param {object} [options.env] binding overrides for this call
+ */
+export async function api(method, path, { body, signer, headers = {}, env: overrides = {}, signatureType = 'eip191' } = {}) {
+  const testEnv = { ...env, ...overrides };
+  const raw = body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+  const requestHeaders = { 'Content-Type': 'application/json', ...headers };
+
+  if (signer) {
+    const { nonce } = await Auth.issueNonce(signer.address, testEnv);
+    const fields = {
+      address: signer.address.toLowerCase(),
+      method,
+      path: new URL(path, 'https://api.test').pathname,
+      bodyHash: Auth.hashBody(raw),
+      nonce
+    };
+
+    const signature = signatureType === 'eip712'
+      ? await signer.signTypedData({
+        domain: Auth.getDomain(testEnv),
+        types: Auth.typedDataTypes(),
+        primaryType: 'AgentRequest',
+        message: fields
+      })
+      : await signer.signMessage({ message: Auth.buildMessage(fields) });
+
+    Object.assign(requestHeaders, {
+      'X-Agent-Address': signer.address,
+      'X-Agent-Nonce': nonce,
+      'X-Agent-Signature': signature,
+      'X-Agent-Signature-Type': signatureType
+    });
+  }
+
+  const request = new Request(`https://api.test${path}`, {
+    method,
+    headers: requestHeaders,
+    body: raw || undefined
+  });
+
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(request, testEnv, ctx);
+  await waitOnExecutionContext(ctx);
+
+  const isJson = (response.headers.get('Content-Type') || '').startsWith('application/json') && response.status !== 204;
+  return {
+    status: response.status,
+    headers: response.headers,
+    json: isJson ? await response.json() : null,
+    response
+  };
+}
+
+export async function createService(provider, overrides = {}) {
+  const res = await api('POST', '/services', {
+    signer: provider,
+    body: {
+      name: 'Code Review',
+      description: 'Thorough review of a pull request',
+      priceUSDC: 5,
+      providerAddress: provider.address,
+      category: 'development',
+      ...overrides
+    }
+  });
+  if (res.status !== 201) throw new Error(`createService failed: ${JSON.stringify(res.json)}`);
+  return res.json.data;
+}
+
+export async function requestService(buyer, serviceId, hash, extra = {}) {
+  return api('POST', `/services/${serviceId}/request`, {
+    signer: buyer,
+    body: { buyerAddress: buyer.address, txHash: hash, ...extra }
+  });
+}
+
+// Jump a request straight to a state (tests that aren't about the lifecycle itself)
+export async function setRequestStatus(requestId, status, completedAt = null) {
+  await env.DB.prepare('UPDATE service_requests SET status = ?, completed_at = COALESCE(?, completed_at) WHERE id = ?')
+    .bind(status, completedAt, requestId).run();
+}
+
+// Encode an AgentServiceExchange log as eth_getLogs / receipts return it
+export function contractLog(eventName, args, { blockNumber = 100, logIndex = 0, transactionHash = txHash(1), address = CONTRACT_ADDRESS } = {}) {
+  const event = EXCHANGE_ABI.find((item) => item.type === 'event' && item.name === eventName);
+  const data = event.inputs.filter((input) => !input.indexed);
+
+  return {
+    address,
+    topics: encodeEventTopics({ abi: EXCHANGE_ABI, eventName, args }),
+    data: encodeAbiParameters(data, data.map((input) => args[input.name])),
+    blockNumber: `0x${blockNumber.toString(16)}`,
+    logIndex: `0x${logIndex.toString(16)}`,
+    transactionHash,
+    removed: false
+  };
+}
+
+/**
+ * Answer JSON-RPC calls from `handlers` ({ eth_method: (params) => result })
+ * @returns the fetch spy, for inspecting calls
+ */
+export function mockRpc(handlers) {
+  return vi.spyOn(globalThis, 'fetch').mockImplementation(async (input, init) => {
+    const url = typeof input === 'string' ? input : input.url;
+    if (!url.startsWith(RPC_URL)) {
+      throw new Error(`Unexpected fetch to ${url}`);
+    }
+
+    const { id, method, params } = JSON.parse(init.body);
+    const handler = handlers[method];
+    const body = handler
+      ? { jsonrpc: '2.0', id, result: await handler(params) }
+      : { jsonrpc: '2.0', id, error: { code: -32601, message: `${method} not mocked` } };
+
+    return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+  });
+}
+
+export const chainEnv = { RPC_URL, CONTRACT_ADDRESS };
+
+// Sign an EIP-3009 transferWithAuthorization and wrap it as an X-PAYMENT header
+export async function x402Payment(buyer, to, { value = '5000000', validBefore, nonce, network = 'base-sepolia' } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const authorization = {
+    from: buyer.address,
+    to,
+    value,
+    validAfter: '0',
+    validBefore: String(validBefore ?? now + 60),
+    nonce: nonce ?? toHex(crypto.getRandomValues(new Uint8Array(32)))
+  };
+
+  const signature = await buyer.signTypedData({
+    domain: { name: 'USDC', version: '2', chainId: 84532, verifyingContract: Deployment.getUsdcAddress(env) },
+    types: {
+      TransferWithAuthorization: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'validAfter', type: 'uint256' },
+        { name: 'validBefore', type: 'uint256' },
+        { name: 'nonce', type: 'bytes32' }
+      ]
+    },
+    primaryType: 'TransferWithAuthorization',
+    message: authorization
+  });
+
+  return btoa(JSON.stringify({ x402Version: 1, scheme: 'exact', network, payload: { signature, authorization } }));
+}
@@ -0,0 +1,235 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { api, wallet, txHash, createService, requestService, contractLog, mockRpc, chainEnv } from './helpers.js';
+import { Indexer } from '../src/indexer.js';
+
+const indexerEnv = () => ({ ...env, ...chainEnv, INDEXER_START_BLOCK: '100', INDEXER_CONFIRMATIONS: '5' });
+
+/**
+ * Mock a chain at `head` holding `logs`; `hashes` overrides block hashes
+ * (to simulate a reorg)
+ */
+function fakeChain({ head, logs = [], hashes = {} }) {
+  return mockRpc({
+    eth_blockNumber: () => `0x${head.toString(16)}`,
+    eth_getBlockByNumber: ([number]) => {
+      const n = parseInt(number, 16);
+      return { number, hash: hashes[n] || txHash(10000 + n), timestamp: `0x${(1700000000 + n * 12).toString(16)}` };
+    },
+    eth_getLogs: ([{ fromBlock, toBlock }]) => logs.filter((log) =>
+      parseInt(log.blockNumber, 16) >= parseInt(fromBlock, 16) && parseInt(log.blockNumber, 16) <= parseInt(toBlock, 16)
+    )
+  });
+}
+
+async function linkedRequest() {
+  const provider = wallet();
+  const buyer = wallet();
+  const service = await createService(provider, { onchainServiceId: 7 });
+  const created = await requestService(buyer, service.id, txHash(1));
+  return { provider, buyer, service, id: created.json.data.id };
+}
+
+async function requestRow(id) {
+  return env.DB.prepare('SELECT * FROM service_requests WHERE id = ?').bind(id).first();
+}
+
+describe('Indexer.run', () => {
+  it('does nothing without RPC configuration', async () => {
+    expect(await Indexer.run(env)).toBeNull();
+  });
+
+  it('refuses to scan without a start block', async () => {
+    fakeChain({ head: 120 });
+
+    expect(await Indexer.run({ ...env, ...chainEnv })).toBeNull();
+    expect(await env.DB.prepare('SELECT * FROM indexer_state').first()).toBeNull();
+  });
+
+  it('scans confirmed blocks from the start block and saves the cursor', async () => {
+    fakeChain({ head: 120 });
+
+    const result = await Indexer.run(indexerEnv());
+
+    expect(result).toEqual({ fromBlock: 100, toBlock: 115, events: 0, reorg: false });
+    expect(await env.DB.prepare('SELECT last_block, last_block_hash FROM indexer_state').first())
+      .toEqual({ last_block: 115, last_block_hash: txHash(10115) });
+  });
+
+  it('settles an unverified request and follows its lifecycle', async () => {
+    const { provider, buyer, id } = await linkedRequest();
+    expect((await requestRow(id)).status).toBe('unverified');
+
+    fakeChain({
+      head: 130,
+      logs: [
+        contractLog('RequestCreated', { requestId: 4n, serviceId: 7n, buyer: buyer.address, price: 5000000n }, { blockNumber: 101, transactionHash: txHash(1) }),
+        contractLog('RequestCompleted', { requestId: 4n, provider: provider.address }, { blockNumber: 103, transactionHash: txHash(3) }),
+        contractLog('RequestConfirmed', { requestId: 4n, buyer: buyer.address }, { blockNumber: 104, transactionHash: txHash(4) }),
+        contractLog('EscrowReleased', { requestId: 4n, provider: provider.address, amount: 4950000n }, { blockNumber: 104, logIndex: 1, transactionHash: txHash(4) })
+      ]
+    });
+
+    const result = await Indexer.run(indexerEnv());
+
+    expect(result.events).toBe(4);
+    const row = await requestRow(id);
+    expect(row).toMatchObject({ status: 'finalized', onchain_request_id: 4 });
+    expect(row.completed_at).toBe('2023-11-14 22:33:56');
+
+    const history = await api('GET', `/requests/${id}`);
+    expect(history.json.data.history.map((h) => [h.toStatus, h.source])).toEqual([
+      ['unverified', 'api'],
+      ['pending', 'chain'],
+      ['completed', 'chain'],
+      ['finalized', 'chain']
+    ]);
+
+    const stats = await api('GET', '/stats');
+    expect(stats.json.data).toMatchObject({ totalTransactions: 1, totalVolumeUSDC: 5000000 });
+    const profile = await api('GET', `/agents/${provider.address}`);
+    expect(profile.json.data.profile).toMatchObject({ totalTransactions: 1, totalVolumeUSDC: 4950000 });
+  });
+
+  it('gives a squatted request to the buyer who funded the escrow', async () => {
+    const { id, service } = await linkedRequest();
+    const buyer = wallet();
+    fakeChain({
+      head: 130,
+      logs: [contractLog('RequestCreated', { requestId: 4n, serviceId: 7n, buyer: buyer.address, price: 4000000n }, { blockNumber: 101, transactionHash: txHash(1) })]
+    });
+
+    await Indexer.run(indexerEnv());
+
+    expect(await requestRow(id)).toMatchObject({
+      service_id: service.id,
+      buyer_address: buyer.address.toLowerCase(),
+      amount_usdc: 4000000,
+      onchain_request_id: 4,
+      status: 'pending'
+    });
+    const res = await api('GET', `/requests/${id}`);
+    expect(res.json.data.history.at(-1)).toMatchObject({ fromStatus: 'unverified', toStatus: 'pending', source: 'chain' });
+  });
+
+  it('mirrors escrows created directly on-chain for known listings', async () => {
+    const buyer = wallet();
+    const service = await createService(wallet(), { onchainServiceId: 9 });
+    fakeChain({
+      head: 130,
+      logs: [contractLog('RequestCreated', { requestId: 1n, serviceId: 9n, buyer: buyer.address, price: 5000000n }, { blockNumber: 101, transactionHash: txHash(50) })]
+    });
+
+    await Indexer.run(indexerEnv());
+
+    const row = await env.DB.prepare('SELECT * FROM service_requests WHERE tx_hash = ?').bind(txHash(50)).first();
+    expect(row).toMatchObject({ service_id: service.id, buyer_address: buyer.address.toLowerCase(), status: 'pending' });
+  });
+
+  it('links a listing when its on-chain service is registered', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+    fakeChain({
+      head: 130,
+      logs: [contractLog('ServiceRegistered', { serviceId: 12n, provider: provider.address, name: 'Code Review', price: 5000000n }, { blockNumber: 101 })]
+    });
+
+    await Indexer.run(indexerEnv());
+
+    expect((await api('GET', `/services/${service.id}`)).json.data.onchainServiceId).toBe(12);
+  });
+
+  it('never applies the same log twice', async () => {
+    const { buyer, id } = await linkedRequest();
+    const logs = [contractLog('RequestCreated', { requestId: 4n, serviceId: 7n, buyer: buyer.address, price: 5000000n }, { blockNumber: 101, transactionHash: txHash(1) })];
+    fakeChain({ head: 130, logs });
+    const indexed = indexerEnv();
+
+    await Indexer.run(indexed);
+    expect(await Indexer.processLogs(indexed, logs)).toBe(0);
+
+    expect((await api('GET', '/stats')).json.data.totalTransactions).toBe(1);
+    expect(await env.DB.prepare('SELECT COUNT(*) AS n FROM chain_events').first('n')).toBe(1);
+    expect((await requestRow(id)).status).toBe('pending');
+  });
+
+  it('halts instead of re-scanning after a reorg deeper than the confirmation depth', async () => {
+    fakeChain({ head: 120 });
+    await Indexer.run(indexerEnv());
+
+    // Block 115 was replaced; a new log follows it in the new canonical chain
+    const buyer = wallet();
+    await createService(wallet(), { onchainServiceId: 9 });
+    const logs = [contractLog('RequestCreated', { requestId: 1n, serviceId: 9n, buyer: buyer.address, price: 5000000n }, { blockNumber: 118, transactionHash: txHash(60) })];
+    fakeChain({ head: 125, hashes: { 115: txHash(99999) }, logs });
+
+    expect(await Indexer.run(indexerEnv())).toEqual({ fromBlock: 116, toBlock: 115, events: 0, reorg: true });
+    expect(await Indexer.run(indexerEnv())).toMatchObject({ events: 0, reorg: true });
+    expect(await env.DB.prepare('SELECT COUNT(*) AS n FROM service_requests').first('n')).toBe(0);
+
+    // An operator resumes from the last shared block
+    await env.DB.prepare('UPDATE indexer_state SET last_block = 110, last_block_hash = NULL').run();
+    fakeChain({ head: 125, logs });
+
+    expect(await Indexer.run(indexerEnv())).toEqual({ fromBlock: 111, toBlock: 120, events: 1, reorg: false });
+  });
+
+  it('tracks disputes raised and resolved on-chain', async () => {
+    const { provider, buyer, id } = await linkedRequest();
+    const arbiter = wallet();
+    fakeChain({
+      head: 130,
+      logs: [
+        contractLog('RequestCreated', { requestId: 4n, serviceId: 7n, buyer: buyer.address, price: 5000000n }, { blockNumber: 101, transactionHash: txHash(1) }),
+        contractLog('DisputeRaised', { requestId: 4n, raisedBy: provider.address }, { blockNumber: 102, transactionHash: txHash(2) }),
+        contractLog('DisputeResolved', { requestId: 4n, arbiter: arbiter.address, providerAmount: 2000000n, buyerAmount: 3000000n }, { blockNumber: 103, transactionHash: txHash(3) })
+      ]
+    });
+
+    await Indexer.run(indexerEnv());
+
+    expect((await requestRow(id)).status).toBe('finalized');
+    const dispute = await env.DB.prepare('SELECT * FROM disputes WHERE request_id = ?').bind(id).first();
+    expect(dispute).toMatchObject({
+      raised_by_role: 'provider',
+      reason: 'Raised on-chain',
+      status: 'resolved',
+      ruling: 'split',
+      provider_amount_usdc: 2000000,
+      buyer_amount_usdc: 3000000,
+      arbiter_address: arbiter.address.toLowerCase()
+    });
+  });
+
+  it('treats a cancel during a dispute as a refund', async () => {
+    const { provider, buyer, id } = await linkedRequest();
+    fakeChain({
+      head: 130,
+      logs: [
+        contractLog('RequestCreated', { requestId: 4n, serviceId: 7n, buyer: buyer.address, price: 5000000n }, { blockNumber: 101, transactionHash: txHash(1) }),
+        contractLog('DisputeRaised', { requestId: 4n, raisedBy: buyer.address }, { blockNumber: 102, transactionHash: txHash(2) }),
+        contractLog('RequestCancelled', { requestId: 4n, cancelledBy: provider.address }, { blockNumber: 103, transactionHash: txHash(3) })
+      ]
+    });
+
+    await Indexer.run(indexerEnv());
+
+    expect((await requestRow(id)).status).toBe('cancelled');
+    expect(await env.DB.prepare('SELECT status, ruling FROM disputes WHERE request_id = ?').bind(id).first())
+      .toEqual({ status: 'resolved', ruling: 'refund' });
+  });
+
+  it('follows the contract into and out of pause', async () => {
+    const owner = wallet();
+    fakeChain({ head: 130, logs: [contractLog('Paused', { account: owner.address }, { blockNumber: 101 })] });
+    await Indexer.run(indexerEnv());
+
+    expect((await api('GET', '/health')).json.data.maintenance).toMatchObject({ active: true, contractPaused: true, enabled: false });
+    expect((await api('POST', '/services', { signer: owner, body: {} })).status).toBe(503);
+
+    fakeChain({ head: 140, logs: [contractLog('Unpaused', { account: owner.address }, { blockNumber: 130, transactionHash: txHash(2) })] });
+    await Indexer.run(indexerEnv());
+
+    expect((await api('GET', '/health')).json.data.maintenance.active).toBe(false);
+  });
+});
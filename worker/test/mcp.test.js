@@ -0,0 +1,204 @@
+import { describe, it, expect } from 'vitest';
+import { api, wallet, createService } from './helpers.js';
+
+let nextId = 1;
+
+async function rpc(method, params) {
+  const id = nextId++;
+  const res = await api('POST', '/mcp', { body: { jsonrpc: '2.0', id, method, params } });
+  expect(res.status).toBe(200);
+  expect(res.json.id).toBe(id);
+  return res.json;
+}
+
+async function callTool(name, args) {
+  const { result } = await rpc('tools/call', { name, arguments: args });
+  return result;
+}
+
+describe('POST /mcp', () => {
+  it('negotiates the protocol version on initialize', async () => {
+    const { result } = await rpc('initialize', {
+      protocolVersion: '2025-03-26',
+      capabilities: {},
+      clientInfo: { name: 'test', version: '1.0.0' }
+    });
+
+    expect(result.protocolVersion).toBe('2025-03-26');
+    expect(result.capabilities).toHaveProperty('tools');
+    expect(result.capabilities).toHaveProperty('resources');
+    expect(result.serverInfo.name).toBe('agent-service-exchange');
+  });
+
+  it('falls back to the latest version it speaks', async () => {
+    const { result } = await rpc('initialize', { protocolVersion: '1999-01-01' });
+
+    expect(result.protocolVersion).toBe('2025-06-18');
+  });
+
+  it('lists tools with input schemas built from the API routes', async () => {
+    const { result } = await rpc('tools/list');
+    const tools = Object.fromEntries(result.tools.map((tool) => [tool.name, tool]));
+
+    expect(Object.keys(tools)).toEqual([
+      'search_services', 'get_service', 'get_agent_reputation', 'register_service', 'request_service', 'rate_agent'
+    ]);
+    expect(tools.search_services.annotations.readOnlyHint).toBe(true);
+    expect(tools.search_services.inputSchema.properties).toHaveProperty('category');
+    expect(tools.get_service.inputSchema.required).toEqual(['serviceId']);
+    expect(tools.register_service.inputSchema.required).toEqual(expect.arrayContaining(['name', 'priceUSDC', 'providerAddress']));
+    expect(tools.register_service.inputSchema.properties).toHaveProperty('auth');
+    expect(tools.register_service.annotations.readOnlyHint).toBe(false);
+  });
+
+  it('searches services through the API', async () => {
+    const provider = wallet();
+    await createService(provider, { name: 'Translation', category: 'language' });
+
+    const result = await callTool('search_services', { category: 'language' });
+
+    expect(result.isError).toBe(false);
+    expect(result.structuredContent.data).toHaveLength(1);
+    expect(result.structuredContent.data[0].name).toBe('Translation');
+    expect(JSON.parse(result.content[0].text)).toEqual(result.structuredContent);
+  });
+
+  it('gets a service and an agent by id and address', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+
+    const found = await callTool('get_service', { serviceId: service.id });
+    const agent = await callTool('get_agent_reputation', { agentAddress: provider.address });
+
+    expect(found.structuredContent.data.id).toBe(service.id);
+    expect(agent.structuredContent.data.address).toBe(provider.address.toLowerCase());
+  });
+
+  it('registers a service in two calls: challenge, then signature', async () => {
+    const provider = wallet();
+    const args = {
+      providerAddress: provider.address,
+      category: 'development',
+      priceUSDC: 3,
+      description: 'Reviews Solidity contracts for common bugs',
+      name: 'Audit'
+    };
+
+    const challenge = await callTool('register_service', args);
+    expect(challenge.isError).toBe(false);
+    expect(challenge.structuredContent).toMatchObject({
+      status: 'signature_required',
+      address: provider.address.toLowerCase()
+    });
+    expect(challenge.structuredContent.message).toContain('Path: /services');
+
+    const { nonce, message } = challenge.structuredContent;
+    const signature = await provider.signMessage({ message });
+    const result = await callTool('register_service', { ...args, auth: { nonce, signature } });
+
+    expect(result.isError).toBe(false);
+    expect(result.structuredContent.data).toMatchObject({ name: 'Audit', priceUSDC: 3000000 });
+  });
+
+  it('accepts an EIP-712 signature over the typed data', async () => {
+    const provider = wallet();
+    const args = {
+      name: 'Audit',
+      description: 'Reviews Solidity contracts for common bugs',
+      priceUSDC: 3,
+      providerAddress: provider.address,
+      category: 'development'
+    };
+
+    const { structuredContent: { nonce, typedData } } = await callTool('register_service', args);
+    const signature = await provider.signTypedData(typedData);
+    const result = await callTool('register_service', { ...args, auth: { nonce, signature, signatureType: 'eip712' } });
+
+    expect(result.isError).toBe(false);
+  });
+
+  it('reports API errors from a signed call as tool errors', async () => {
+    const provider = wallet();
+    const args = {
+      name: 'Audit',
+      description: 'Reviews Solidity contracts for common bugs',
+      priceUSDC: 3,
+      providerAddress: provider.address,
+      category: 'development'
+    };
+
+    const { structuredContent: { nonce } } = await callTool('register_service', args);
+    const signature = await wallet().signMessage({ message: 'something else' });
+    const result = await callTool('register_service', { ...args, auth: { nonce, signature } });
+
+    expect(result.isError).toBe(true);
+    expect(result.structuredContent.error.code).toBe(401);
+  });
+
+  it('validates arguments against the input schema', async () => {
+    const result = await callTool('register_service', { name: 'x', priceUSDC: -1, extra: true });
+
+    expect(result.isError).toBe(true);
+    expect(result.structuredContent.error.details).toEqual(expect.arrayContaining([
+      '$.name: must be at least 3 characters',
+      '$: unexpected property "extra"'
+    ]));
+  });
+
+  it('rejects unknown tools', async () => {
+    const { error } = await rpc('tools/call', { name: 'drain_wallet', arguments: {} });
+
+    expect(error.code).toBe(-32602);
+  });
+
+  it('reads the categories resource', async () => {
+    await createService(wallet(), { category: 'data' });
+
+    const { result: list } = await rpc('resources/list');
+    const { result } = await rpc('resources/read', { uri: 'exchange://categories' });
+
+    expect(list.resources.map((resource) => resource.uri)).toContain('exchange://categories');
+    expect(JSON.parse(result.contents[0].text)).toEqual([{ category: 'data', count: 1 }]);
+  });
+
+  it('returns JSON-RPC errors for unknown methods and resources', async () => {
+    expect((await rpc('sampling/createMessage')).error.code).toBe(-32601);
+    expect((await rpc('resources/read', { uri: 'exchange://nope' })).error.code).toBe(-32002);
+  });
+
+  it('answers notifications with 202 and no body', async () => {
+    const res = await api('POST', '/mcp', { body: { jsonrpc: '2.0', method: 'notifications/initialized' } });
+
+    expect(res.status).toBe(202);
+    expect(res.json).toBeNull();
+  });
+
+  it('answers a batch with a batch', async () => {
+    const res = await api('POST', '/mcp', {
+      body: [
+        { jsonrpc: '2.0', id: 'a', method: 'ping' },
+        { jsonrpc: '2.0', method: 'notifications/initialized' },
+        { jsonrpc: '2.0', id: 'b', method: 'tools/list' }
+      ]
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.json.map((response) => response.id)).toEqual(['a', 'b']);
+  });
+
+  it('rejects malformed JSON and messages', async () => {
+    const parse = await api('POST', '/mcp', { body: '{nope' });
+    const invalid = await api('POST', '/mcp', { body: { id: 1, method: 'ping' } });
+
+    expect(parse.status).toBe(400);
+    expect(parse.json.error.code).toBe(-32700);
+    expect(invalid.json.error.code).toBe(-32600);
+  });
+
+  it('GET /mcp answers 405 (no server stream)', async () => {
+    const res = await api('GET', '/mcp');
+
+    expect(res.status).toBe(405);
+    expect(res.headers.get('Allow')).toBe('POST');
+  });
+});
@@ -0,0 +1,255 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi } from 'vitest';
+import { api, wallet, txHash, createService, requestService, x402Payment } from './helpers.js';
+
+const admin = wallet();
+const adminEnv = { ADMIN_ADDRESSES: admin.address };
+const FACILITATOR_URL = 'https://facilitator.test';
+const x402Env = { X402_FACILITATOR_URL: FACILITATOR_URL };
+
+function asAdmin(method, path, body) {
+  return api(method, path, { signer: admin, body, env: adminEnv });
+}
+
+function report(reporter, serviceId, body = {}) {
+  return api('POST', `/services/${serviceId}/report`, {
+    signer: reporter,
+    body: { reporterAddress: reporter.address, reason: 'spam', ...body }
+  });
+}
+
+async function auditActions(entityType) {
+  const rows = await env.DB.prepare('SELECT action FROM audit_log WHERE entity_type = ? ORDER BY id').bind(entityType).all();
+  return rows.results.map((row) => row.action);
+}
+
+describe('admin access', () => {
+  it('refuses wallets that are not admins', async () => {
+    const res = await api('GET', '/admin/reports', { signer: wallet(), env: adminEnv });
+
+    expect(res.status).toBe(403);
+    expect(res.json.error.message).toBe('Only admins can use this endpoint');
+  });
+});
+
+describe('reports', () => {
+  it('queues a report for review, once per reporter', async () => {
+    const service = await createService(wallet());
+    const reporter = wallet();
+
+    const created = await report(reporter, service.id, { reason: 'scam', details: 'Takes payment and never delivers' });
+    const again = await report(reporter, service.id);
+    const queue = await asAdmin('GET', '/admin/reports');
+
+    expect(created.status).toBe(201);
+    expect(created.json.data).toMatchObject({ serviceId: service.id, reason: 'scam' });
+    expect(again.status).toBe(409);
+    expect(queue.json.data).toEqual([expect.objectContaining({
+      id: created.json.data.id,
+      status: 'open',
+      reporterAddress: reporter.address.toLowerCase(),
+      service: { name: 'Code Review', providerAddress: service.providerAddress, moderationStatus: null }
+    })]);
+  });
+
+  it('does not let providers report their own listings', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+
+    expect((await report(provider, service.id)).status).toBe(400);
+  });
+
+  it('dismisses a report once', async () => {
+    const service = await createService(wallet());
+    const { id } = (await report(wallet(), service.id)).json.data;
+
+    const dismissed = await asAdmin('POST', `/admin/reports/${id}/dismiss`, { note: 'Legitimate listing' });
+    const twice = await asAdmin('POST', `/admin/reports/${id}/dismiss`);
+
+    expect(dismissed.json.data).toMatchObject({ status: 'dismissed', reviewedBy: admin.address.toLowerCase(), reviewNote: 'Legitimate listing' });
+    expect(twice.status).toBe(409);
+    expect((await asAdmin('GET', '/admin/reports')).json.data).toEqual([]);
+    expect(await auditActions('service_report')).toEqual(['create', 'dismiss']);
+  });
+});
+
+describe('listing moderation', () => {
+  it('hides a listing from search, details and purchase, then restores it', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+    await report(wallet(), service.id);
+
+    const hidden = await asAdmin('POST', `/admin/services/${service.id}/moderation`, { action: 'hide', reason: 'Spam' });
+
+    expect(hidden.json.data).toEqual({ id: service.id, moderationStatus: 'hidden', moderationReason: 'Spam', reportsClosed: 1 });
+    expect((await api('GET', '/services')).json.data).toEqual([]);
+    expect((await api('GET', `/services/${service.id}`)).status).toBe(404);
+    expect((await requestService(wallet(), service.id, txHash(1))).status).toBe(404);
+    expect((await asAdmin('GET', '/admin/reports?status=actioned')).json.data).toHaveLength(1);
+
+    // The provider can't undo it by editing the listing
+    await api('PUT', `/services/${service.id}`, { signer: provider, body: { status: 'active' } });
+    expect((await api('GET', `/services/${service.id}`)).status).toBe(404);
+
+    await asAdmin('POST', `/admin/services/${service.id}/moderation`, { action: 'restore' });
+    expect((await api('GET', `/services/${service.id}`)).status).toBe(200);
+    expect(await auditActions('service')).toEqual(['create', 'hide', 'update', 'restore']);
+  });
+
+  it('keeps flagged listings up and lists them for review', async () => {
+    const service = await createService(wallet());
+
+    await asAdmin('POST', `/admin/services/${service.id}/moderation`, { action: 'flag', reason: 'Check the endpoint' });
+    const queue = await asAdmin('GET', '/admin/services?moderation=flagged');
+
+    expect((await api('GET', `/services/${service.id}`)).status).toBe(200);
+    expect(queue.json.data).toEqual([expect.objectContaining({ id: service.id, moderationStatus: 'flagged', openReports: 0 })]);
+    expect((await asAdmin('GET', '/admin/services?moderation=hidden')).json.data).toEqual([]);
+  });
+});
+
+describe('bans', () => {
+  it('refuses listings and requests from a banned address', async () => {
+    const banned = wallet();
+    const service = await createService(banned);
+    const listing = await createService(wallet());
+
+    const res = await asAdmin('PUT', `/admin/bans/${banned.address}`, { type: 'ban', reason: 'Fraud' });
+
+    expect(res.json.data).toMatchObject({ address: banned.address.toLowerCase(), type: 'ban', reason: 'Fraud' });
+    expect((await api('POST', '/services', {
+      signer: banned,
+      body: { name: 'Code Review', description: 'Thorough review of a pull request', priceUSDC: 5, providerAddress: banned.address, category: 'development' }
+    })).status).toBe(403);
+    const request = await requestService(banned, listing.id, txHash(1));
+    expect(request.status).toBe(403);
+    expect(request.json.error.message).toBe('This address is banned from the exchange');
+    // Their existing listings can't be found or bought either
+    expect((await requestService(wallet(), service.id, txHash(2))).status).toBe(404);
+    expect((await api('GET', `/agents/${banned.address}`)).json.data.services).toEqual([]);
+  });
+
+  describe('refuses every way a banned address pays', () => {
+    const banned = wallet();
+
+    function mockFacilitator() {
+      return vi.spyOn(globalThis, 'fetch').mockImplementation(async (input) => {
+        const url = typeof input === 'string' ? input : input.url;
+        if (url === `${FACILITATOR_URL}/settle`) return Response.json({ success: true, transaction: txHash(7), network: 'base-sepolia' });
+        throw new Error(`Unexpected fetch to ${url}`);
+      });
+    }
+
+    function expectBanned(res) {
+      expect(res.status).toBe(403);
+      expect(res.json.error.message).toBe('This address is banned from the exchange');
+    }
+
+    it('pay-per-call', async () => {
+      const provider = wallet();
+      const service = await createService(provider, { endpoint: 'https://provider.test/run' });
+      await asAdmin('PUT', `/admin/bans/${banned.address}`, { type: 'ban' });
+      const fetchSpy = mockFacilitator();
+
+      expectBanned(await api('POST', `/services/${service.id}/call`, {
+        body: { question: 'life' },
+        headers: { 'X-PAYMENT': await x402Payment(banned, provider.address) },
+        env: x402Env
+      }));
+      expect(fetchSpy).not.toHaveBeenCalled();
+      expect(await env.DB.prepare('SELECT COUNT(*) AS n FROM service_requests').first('n')).toBe(0);
+    });
+
+    it('prepaid purchases', async () => {
+      const provider = wallet();
+      const service = await createService(provider, { pricingModel: 'credits', priceUSDC: 2 });
+      await asAdmin('PUT', `/admin/bans/${banned.address}`, { type: 'ban' });
+      const fetchSpy = mockFacilitator();
+
+      expectBanned(await api('POST', `/services/${service.id}/credits`, {
+        body: { amountUSDC: 10 },
+        headers: { 'X-PAYMENT': await x402Payment(banned, provider.address, { value: '10000000' }) },
+        env: x402Env
+      }));
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    it('prepaid use', async () => {
+      const provider = wallet();
+      const service = await createService(provider, { pricingModel: 'credits', priceUSDC: 2 });
+      mockFacilitator();
+      const bought = await api('POST', `/services/${service.id}/credits`, {
+        body: { amountUSDC: 10 },
+        headers: { 'X-PAYMENT': await x402Payment(banned, provider.address, { value: '10000000' }) },
+        env: x402Env
+      });
+      expect(bought.status).toBe(201);
+      await asAdmin('PUT', `/admin/bans/${banned.address}`, { type: 'ban' });
+
+      expectBanned(await api('POST', `/services/${service.id}/credits/consume`, { signer: banned, body: { buyerAddress: banned.address } }));
+      expect((await api('GET', `/services/${service.id}/credits`, { signer: banned })).json.data.balance).toBe(10000000);
+    });
+
+    it('RFQs', async () => {
+      const service = await createService(wallet());
+      await asAdmin('PUT', `/admin/bans/${banned.address}`, { type: 'ban' });
+
+      expectBanned(await api('POST', `/services/${service.id}/rfqs`, {
+        signer: banned,
+        body: { buyerAddress: banned.address, requirements: 'Review 2,000 lines of Rust' }
+      }));
+    });
+  });
+
+  it('quietly hides a shadow-banned provider and its reports', async () => {
+    const shadow = wallet();
+    const service = await createService(shadow);
+    const target = await createService(wallet());
+    await asAdmin('PUT', `/admin/bans/${shadow.address}`, { type: 'shadow_ban' });
+
+    const created = await createService(shadow, { name: 'Still accepted' });
+    const filed = await report(shadow, target.id);
+
+    expect(created.name).toBe('Still accepted');
+    expect(filed.status).toBe(201);
+    expect((await api('GET', '/services')).json.data.map((s) => s.id)).toEqual([target.id]);
+    expect((await api('GET', `/services/${service.id}`)).status).toBe(200);
+    expect((await asAdmin('GET', '/admin/reports')).json.data).toEqual([]);
+  });
+
+  it('lifts a ban', async () => {
+    const banned = wallet();
+    await asAdmin('PUT', `/admin/bans/${banned.address}`, { type: 'ban' });
+
+    expect((await asAdmin('GET', '/admin/bans')).json.data).toHaveLength(1);
+    expect((await asAdmin('DELETE', `/admin/bans/${banned.address}`)).json.data).toEqual({ address: banned.address.toLowerCase(), banned: false });
+    expect((await asAdmin('DELETE', `/admin/bans/${banned.address}`)).status).toBe(404);
+    expect((await asAdmin('DELETE', '/admin/bans/not-an-address')).status).toBe(400);
+    expect((await createService(banned)).providerAddress).toBe(banned.address.toLowerCase());
+    expect(await auditActions('address_ban')).toEqual(['ban', 'unban']);
+  });
+
+  it('does not ban admins', async () => {
+    expect((await asAdmin('PUT', `/admin/bans/${admin.address}`, { type: 'ban' })).status).toBe(400);
+  });
+});
+
+describe('maintenance mode', () => {
+  it('makes the API read-only until switched off', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+
+    const on = await asAdmin('PUT', '/admin/maintenance', { enabled: true, message: 'Upgrading the escrow contract' });
+    const write = await api('PUT', `/services/${service.id}`, { signer: provider, body: { priceUSDC: 6 } });
+
+    expect(on.json.data).toMatchObject({ active: true, enabled: true, message: 'Upgrading the escrow contract' });
+    expect(write.status).toBe(503);
+    expect(write.json.error).toMatchObject({ message: 'Upgrading the escrow contract', details: { maintenance: true, contractPaused: false } });
+    expect((await api('GET', `/services/${service.id}`)).status).toBe(200);
+    expect((await api('GET', '/health')).json.data.maintenance.active).toBe(true);
+
+    await asAdmin('PUT', '/admin/maintenance', { enabled: false });
+    expect((await api('PUT', `/services/${service.id}`, { signer: provider, body: { priceUSDC: 6 } })).status).toBe(200);
+    expect(await auditActions('maintenance')).toEqual(['enable', 'disable']);
+  });
+});
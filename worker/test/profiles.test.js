@@ -0,0 +1,159 @@
+import { describe, it, expect } from 'vitest';
+import { decodeFunctionData, encodeFunctionResult, namehash } from 'viem';
+import { api, wallet, mockRpc, RPC_URL } from './helpers.js';
+
+const REGISTRY = '0x00000000000c2e074ec69a0dfb2997ba6c7d2e1e';
+const RESOLVER = '0x4976fb03c32e5b8cfe2b6ccb31c09ba78ebaba41';
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const nameEnv = { RPC_URL, NAME_REGISTRY_ADDRESS: REGISTRY };
+
+const ABI = [
+  { type: 'function', name: 'resolver', inputs: [{ type: 'bytes32' }], outputs: [{ type: 'address' }] },
+  { type: 'function', name: 'addr', inputs: [{ type: 'bytes32' }], outputs: [{ type: 'address' }] }
+];
+
+// Answer registry.resolver / resolver.addr for `names` (name → address)
+function mockNames(names) {
+  const nodes = Object.fromEntries(Object.entries(names).map(([name, address]) => [namehash(name), address]));
+  return mockRpc({
+    eth_call: ([{ to, data }]) => {
+      const { functionName, args: [node] } = decodeFunctionData({ abi: ABI, data });
+      const known = nodes[node];
+      const result = functionName === 'resolver'
+        ? (known && to.toLowerCase() === REGISTRY ? RESOLVER : ZERO_ADDRESS)
+        : (known || ZERO_ADDRESS);
+      return encodeFunctionResult({ abi: ABI, functionName, result });
+    }
+  });
+}
+
+async function updateProfile(agent, body, options = {}) {
+  return api('PUT', `/agents/${agent.address}`, { signer: agent, body, ...options });
+}
+
+describe('agent profiles', () => {
+  it('lets an agent describe itself', async () => {
+    const agent = wallet();
+
+    const res = await updateProfile(agent, {
+      displayName: 'Review Bot',
+      bio: 'Reviews Solidity and TypeScript pull requests',
+      avatarUrl: 'https://example.com/avatar.png',
+      protocols: ['mcp', 'x402'],
+      endpoints: { mcp: 'https://bot.example.com/mcp', contact: 'ops@example.com' },
+      capabilities: { skills: ['code-review'], languages: ['solidity', 'typescript'] }
+    });
+    const fetched = await api('GET', `/agents/${agent.address}`);
+
+    expect(res.status).toBe(200);
+    expect(fetched.json.data.profile).toMatchObject({
+      displayName: 'Review Bot',
+      avatarUrl: 'https://example.com/avatar.png',
+      protocols: ['mcp', 'x402'],
+      endpoints: { mcp: 'https://bot.example.com/mcp', contact: 'ops@example.com' },
+      capabilities: { skills: ['code-review'], languages: ['solidity', 'typescript'] },
+      ensName: null,
+      totalTransactions: 0
+    });
+    expect(fetched.json.data.profile).not.toHaveProperty('display_name');
+  });
+
+  it('returns empty profile fields for unknown agents', async () => {
+    const res = await api('GET', `/agents/${wallet().address}`);
+
+    expect(res.json.data.profile).toMatchObject({ displayName: null, protocols: [], endpoints: {}, capabilities: null });
+  });
+
+  it('only lets the agent edit its own profile', async () => {
+    const agent = wallet();
+
+    const res = await api('PUT', `/agents/${agent.address}`, { signer: wallet(), body: { displayName: 'Impostor' } });
+
+    expect(res.status).toBe(403);
+    expect(res.json.error.message).toBe('Only the agent can edit its profile');
+  });
+
+  it('leaves omitted fields alone and clears null ones', async () => {
+    const agent = wallet();
+    await updateProfile(agent, { displayName: 'Review Bot', bio: 'Reviews pull requests' });
+
+    const res = await updateProfile(agent, { bio: null });
+
+    expect(res.json.data.profile).toMatchObject({ displayName: 'Review Bot', bio: null });
+  });
+
+  it('validates profile fields', async () => {
+    const agent = wallet();
+
+    const insecure = await updateProfile(agent, { avatarUrl: 'http://example.com/a.png' });
+    const unknownEndpoint = await updateProfile(agent, { endpoints: { ftp: 'https://example.com' } });
+    const huge = await updateProfile(agent, { capabilities: { blob: 'x'.repeat(17 * 1024) } });
+    const notAName = await updateProfile(agent, { ensName: 'alice.com' });
+
+    expect(insecure.json.error.details).toEqual(['$.avatarUrl: must be a valid https:// URL']);
+    expect(unknownEndpoint.status).toBe(400);
+    expect(huge.json.error.details).toEqual(['$.capabilities: must be at most 16384 bytes']);
+    expect(notAName.json.error.details).toEqual(['$.ensName: must be an ENS name or Basename such as alice.base.eth']);
+  });
+
+  it('invalidates the cached profile on update', async () => {
+    const agent = wallet();
+    await api('GET', `/agents/${agent.address}`);
+
+    await updateProfile(agent, { displayName: 'Review Bot' });
+    const res = await api('GET', `/agents/${agent.address}`);
+
+    expect(res.headers.get('X-Cache')).toBe('MISS');
+    expect(res.json.data.profile.displayName).toBe('Review Bot');
+  });
+});
+
+describe('name resolution', () => {
+  it('looks agents up by Basename', async () => {
+    const agent = wallet();
+    await updateProfile(agent, { displayName: 'Review Bot' });
+    mockNames({ 'reviewbot.base.eth': agent.address });
+
+    const res = await api('GET', '/agents/ReviewBot.base.eth', { env: nameEnv });
+
+    expect(res.status).toBe(200);
+    expect(res.json.data).toMatchObject({ address: agent.address.toLowerCase(), resolvedFrom: 'reviewbot.base.eth' });
+    expect(res.json.data.profile.displayName).toBe('Review Bot');
+  });
+
+  it('caches resolved names in KV', async () => {
+    const agent = wallet();
+    const rpc = mockNames({ 'cached.eth': agent.address });
+
+    await api('GET', '/agents/cached.eth', { env: nameEnv });
+    const calls = rpc.mock.calls.length;
+    await updateProfile(agent, { displayName: 'Changed' });
+    const again = await api('GET', '/agents/cached.eth', { env: nameEnv });
+
+    expect(calls).toBe(2);
+    expect(rpc.mock.calls.length).toBe(calls);
+    expect(again.json.data.profile.displayName).toBe('Changed');
+  });
+
+  it('answers 404 for names without an address and 503 when lookups are off', async () => {
+    mockNames({});
+
+    const unknown = await api('GET', '/agents/nobody.base.eth', { env: nameEnv });
+    const disabled = await api('GET', '/agents/nobody.base.eth');
+
+    expect(unknown.status).toBe(404);
+    expect(unknown.json.error.message).toBe('nobody.base.eth does not resolve to an address');
+    expect(disabled.status).toBe(503);
+  });
+
+  it('only accepts an ensName that resolves to the agent', async () => {
+    const agent = wallet();
+    mockNames({ 'mine.base.eth': agent.address, 'theirs.base.eth': wallet().address });
+
+    const theirs = await updateProfile(agent, { ensName: 'theirs.base.eth' }, { env: nameEnv });
+    const mine = await updateProfile(agent, { ensName: 'Mine.base.eth' }, { env: nameEnv });
+
+    expect(theirs.status).toBe(422);
+    expect(mine.json.data.profile.ensName).toBe('mine.base.eth');
+  });
+});
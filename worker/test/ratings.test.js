@@ -0,0 +1,153 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { api, wallet, txHash, createService, requestService, setRequestStatus } from './helpers.js';
+
+async function completedRequest(status = 'completed') {
+  const provider = wallet();
+  const buyer = wallet();
+  const service = await createService(provider);
+  const created = await requestService(buyer, service.id, txHash(1));
+  await setRequestStatus(created.json.data.id, status);
+  return { provider, buyer, service, requestId: created.json.data.id };
+}
+
+function rate(provider, rater, body) {
+  return api('POST', `/agents/${provider.address}/rate`, {
+    signer: rater,
+    body: { raterAddress: rater.address, ...body }
+  });
+}
+
+describe('POST /agents/:address/rate', () => {
+  it('records a rating and updates the provider average', async () => {
+    const { provider, buyer, requestId } = await completedRequest();
+
+    const res = await rate(provider, buyer, { score: 4, requestId, review: 'Solid <i>work</i>' });
+
+    expect(res.status).toBe(200);
+    expect(res.json.data).toMatchObject({
+      agentAddress: provider.address.toLowerCase(),
+      score: 4,
+      review: 'Solid iwork/i',
+      newRatingAvg: 4,
+      newRatingCount: 1
+    });
+  });
+
+  it('averages across transactions', async () => {
+    const { provider, buyer, service, requestId } = await completedRequest('finalized');
+    const second = await requestService(buyer, service.id, txHash(2));
+    await setRequestStatus(second.json.data.id, 'completed');
+
+    await rate(provider, buyer, { score: 5, requestId });
+    const res = await rate(provider, buyer, { score: 2, requestId: second.json.data.id });
+
+    expect(res.json.data).toMatchObject({ newRatingAvg: 3.5, newRatingCount: 2 });
+  });
+
+  it('validates the rating', async () => {
+    const { provider, buyer } = await completedRequest();
+
+    const res = await rate(provider, buyer, { score: 6, requestId: '1' });
+
+    expect(res.status).toBe(400);
+    expect(res.json.error.details).toEqual([
+      '$.score: must be <= 5',
+      '$.requestId: expected integer, got string'
+    ]);
+    expect((await api('POST', '/agents/0x123/rate', { signer: buyer, body: {} })).status).toBe(400);
+  });
+
+  it.each(['unverified', 'pending', 'in_progress', 'cancelled', 'disputed'])(
+    'rejects rating a %s request',
+    async (status) => {
+      const { provider, buyer, requestId } = await completedRequest(status);
+
+      const res = await rate(provider, buyer, { score: 5, requestId });
+
+      expect(res.status).toBe(404);
+    }
+  );
+
+  it('rejects rating an agent who was not the provider', async () => {
+    const { buyer, requestId } = await completedRequest();
+
+    expect((await rate(wallet(), buyer, { score: 5, requestId })).status).toBe(404);
+  });
+
+  it('only lets the buyer rate', async () => {
+    const { provider, requestId } = await completedRequest();
+    const stranger = wallet();
+
+    const res = await rate(provider, stranger, { score: 1, requestId });
+
+    expect(res.status).toBe(403);
+    expect(res.json.error.message).toBe('Only the buyer can rate this transaction');
+  });
+
+  it('requires the rater to sign', async () => {
+    const { provider, buyer, requestId } = await completedRequest();
+
+    const res = await api('POST', `/agents/${provider.address}/rate`, {
+      signer: wallet(),
+      body: { raterAddress: buyer.address, score: 1, requestId }
+    });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('allows one rating per transaction', async () => {
+    const { provider, buyer, requestId } = await completedRequest();
+
+    await rate(provider, buyer, { score: 5, requestId });
+    const res = await rate(provider, buyer, { score: 1, requestId });
+
+    expect(res.status).toBe(409);
+    expect(res.json.error.message).toBe('You have already rated this transaction');
+  });
+});
+
+describe('GET /agents/:address', () => {
+  it('returns an empty profile for unknown agents', async () => {
+    const agent = wallet();
+
+    const res = await api('GET', `/agents/${agent.address}`);
+
+    expect(res.status).toBe(200);
+    expect(res.json.data.profile).toMatchObject({ totalServices: 0, ratingAvg: null, ratingCount: 0 });
+    expect(res.json.data.services).toEqual([]);
+  });
+
+  it('returns services, transactions and ratings', async () => {
+    const { provider, buyer, requestId } = await completedRequest();
+    await rate(provider, buyer, { score: 5, requestId, review: 'Great' });
+
+    const res = await api('GET', `/agents/${provider.address}`);
+
+    expect(res.json.data.profile).toMatchObject({ ratingAvg: 5, ratingCount: 1 });
+    expect(res.json.data.services).toHaveLength(1);
+    expect(res.json.data.recentTransactions[0]).toMatchObject({ id: requestId, status: 'completed' });
+    expect(res.json.data.recentRatings[0]).toMatchObject({ score: 5, review: 'Great', fromAddress: buyer.address.toLowerCase() });
+  });
+
+  it('rejects a malformed address', async () => {
+    expect((await api('GET', '/agents/0x123')).status).toBe(400);
+  });
+
+  it('leaves ratings on disputed requests out of the average', async () => {
+    const { provider, buyer, service, requestId } = await completedRequest();
+    const second = await requestService(buyer, service.id, txHash(2));
+    await setRequestStatus(second.json.data.id, 'completed');
+    await rate(provider, buyer, { score: 5, requestId });
+    await rate(provider, buyer, { score: 1, requestId: second.json.data.id });
+
+    await api('POST', `/requests/${second.json.data.id}/dispute`, {
+      signer: buyer,
+      body: { reason: 'The review missed most of the diff' }
+    });
+
+    const profile = await env.DB.prepare('SELECT rating_avg, rating_count FROM agent_profiles WHERE address = ?')
+      .bind(provider.address.toLowerCase()).first();
+    expect(profile).toEqual({ rating_avg: 5, rating_count: 1 });
+  });
+});
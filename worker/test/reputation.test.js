@@ -0,0 +1,156 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { api, wallet, txHash, createService, requestService, setRequestStatus } from './helpers.js';
+import { PRIOR_MEAN, HALF_LIFE_DAYS } from '../src/reputation.js';
+
+let nextHash = 100;
+
+// A completed purchase of a fresh listing
+async function trade(buyer, provider, priceUSDC = 5) {
+  const service = await createService(provider, { priceUSDC });
+  const created = await requestService(buyer, service.id, txHash(nextHash++));
+  await setRequestStatus(created.json.data.id, 'completed');
+  return created.json.data.id;
+}
+
+async function rate(provider, rater, requestId, score = 5) {
+  const res = await api('POST', `/agents/${provider.address}/rate`, {
+    signer: rater,
+    body: { raterAddress: rater.address, requestId, score }
+  });
+  if (res.status !== 200) throw new Error(`rate failed: ${JSON.stringify(res.json)}`);
+}
+
+async function reputation(agent) {
+  return (await api('GET', `/agents/${agent.address}`)).json.data.reputation;
+}
+
+// A buyer with completed trades against `count` other providers
+async function establishedBuyer(count = 5) {
+  const buyer = wallet();
+  for (let i = 0; i < count; i++) await trade(buyer, wallet());
+  return buyer;
+}
+
+describe('reputation', () => {
+  it('starts agents at the prior', async () => {
+    const rep = await reputation(wallet());
+
+    expect(rep).toMatchObject({ score: PRIOR_MEAN, confidence: 0, ratingCount: 0 });
+    expect(rep.breakdown.offchain).toEqual({ count: 0, average: null, weight: 0 });
+  });
+
+  it('weights ratings by escrowed value', async () => {
+    const cheap = wallet();
+    const pricey = wallet();
+    const buyer = await establishedBuyer();
+
+    await rate(cheap, buyer, await trade(buyer, cheap, 1));
+    await rate(pricey, buyer, await trade(buyer, pricey, 100));
+    const [low, high] = [await reputation(cheap), await reputation(pricey)];
+
+    expect(high.breakdown.factors.value).toBe(1);
+    expect(low.breakdown.factors.value).toBeLessThan(0.2);
+    expect(high.score).toBeGreaterThan(low.score);
+    expect(low.score).toBeGreaterThan(PRIOR_MEAN);
+  });
+
+  it('gives fresh wallets little say', async () => {
+    const provider = wallet();
+    const sybils = [wallet(), wallet(), wallet()];
+    for (const sybil of sybils) await rate(provider, sybil, await trade(sybil, provider, 100));
+    const honest = wallet();
+    const seasoned = await establishedBuyer();
+    await rate(honest, seasoned, await trade(seasoned, honest, 100));
+
+    const [farmed, earned] = [await reputation(provider), await reputation(honest)];
+
+    expect(farmed.breakdown.factors.standing).toBe(0.2);
+    expect(earned.breakdown.factors.standing).toBe(1);
+    // Three sybil ratings count for less than one from an established buyer
+    expect(farmed.breakdown.offchain.weight).toBeLessThan(earned.breakdown.offchain.weight);
+    expect(farmed.score).toBeLessThan(earned.score);
+  });
+
+  it('scales standing by how the rater was rated', async () => {
+    const provider = wallet();
+    const buyer = await establishedBuyer();
+    const seller = wallet();
+    await rate(buyer, seller, await trade(seller, buyer));
+    await env.DB.prepare('UPDATE agent_profiles SET rating_avg = 1, rating_count = 1 WHERE address = ?')
+      .bind(buyer.address.toLowerCase()).run();
+
+    await rate(provider, buyer, await trade(buyer, provider));
+
+    // 0.2 + 0.8 * breadth (6 counterparties, capped at 1) * quality (1/5)
+    expect((await reputation(provider)).breakdown.factors.standing).toBe(0.36);
+  });
+
+  it('discounts reciprocal and circular rating rings', async () => {
+    const [a, b, c] = [wallet(), wallet(), wallet()];
+    const [d, e] = [wallet(), wallet()];
+
+    await rate(a, b, await trade(b, a, 100));
+    await rate(b, a, await trade(a, b, 100));
+    await rate(c, d, await trade(d, c, 100));
+    await rate(d, e, await trade(e, d, 100));
+    await rate(e, c, await trade(c, e, 100));
+
+    expect((await reputation(a)).breakdown.discounted).toEqual({ reciprocal: 1, circular: 0 });
+    expect((await reputation(c)).breakdown.discounted).toEqual({ reciprocal: 0, circular: 1 });
+    expect((await reputation(c)).breakdown.offchain.weight).toBeLessThan(0.1);
+  });
+
+  it('halves a rating\'s weight every half-life', async () => {
+    const provider = wallet();
+    const buyer = await establishedBuyer();
+    await rate(provider, buyer, await trade(buyer, provider, 100));
+    await env.DB.prepare(`UPDATE agent_ratings SET created_at = datetime('now', '-${HALF_LIFE_DAYS} days') WHERE agent_address = ?`)
+      .bind(provider.address.toLowerCase()).run();
+
+    const rep = await reputation(provider);
+
+    expect(rep.breakdown.factors.recency).toBe(0.5);
+    expect(rep.breakdown.offchain.weight).toBe(0.5);
+  });
+
+  it('merges on-chain ratings without counting escrowed requests twice', async () => {
+    const provider = wallet();
+    const buyer = await establishedBuyer();
+    const requestId = await trade(buyer, provider, 100);
+    await env.DB.prepare('UPDATE service_requests SET onchain_request_id = 7 WHERE id = ?').bind(requestId).run();
+    await rate(provider, buyer, requestId, 4);
+    await env.DB.prepare('UPDATE agent_profiles SET onchain_rating_avg = 4.5, onchain_rating_count = 3 WHERE address = ?')
+      .bind(provider.address.toLowerCase()).run();
+
+    const rep = await reputation(provider);
+
+    expect(rep.ratingCount).toBe(3);
+    expect(rep.breakdown.onchain).toEqual({ count: 3, average: 4.5, counted: 2, weight: 1 });
+    // (3 * 5 + 1 * 4 + 1 * 4.5) / (5 + 1 + 1)
+    expect(rep.score).toBe(3.36);
+  });
+
+  it('leaves disputed requests out', async () => {
+    const provider = wallet();
+    const buyer = await establishedBuyer();
+    const requestId = await trade(buyer, provider, 100);
+    await rate(provider, buyer, requestId, 1);
+
+    await api('POST', `/requests/${requestId}/dispute`, {
+      signer: buyer,
+      body: { reason: 'The review missed most of the diff' }
+    });
+
+    expect((await reputation(provider)).breakdown.offchain.count).toBe(0);
+  });
+
+  it('shows the provider reputation on listings', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+
+    const res = await api('GET', `/services/${service.id}`);
+
+    expect(res.json.data.provider.reputation).toMatchObject({ score: PRIOR_MEAN, confidence: 0 });
+  });
+});
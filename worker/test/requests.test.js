@@ -0,0 +1,411 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { encodeFunctionResult } from 'viem';
+import {
+  api, wallet, txHash, createService, requestService, setRequestStatus,
+  contractLog, mockRpc, chainEnv
+} from './helpers.js';
+import { EXCHANGE_ABI } from '../src/chain.js';
+
+function escrowReceipt({ requestId = 1, serviceId = 7, buyer, price = 5000000, status = '0x1' }) {
+  return {
+    status,
+    logs: [contractLog('RequestCreated', {
+      requestId: BigInt(requestId),
+      serviceId: BigInt(serviceId),
+      buyer,
+      price: BigInt(price)
+    })]
+  };
+}
+
+describe('POST /services/:id/request', () => {
+  it('validates the request', async () => {
+    const buyer = wallet();
+    const res = await api('POST', '/services/1/request', {
+      signer: buyer,
+      body: { buyerAddress: 'nope', txHash: '0x12', quoteId: 0 }
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.json.error.details).toEqual([
+      '$.buyerAddress: must be a valid Ethereum address',
+      '$.txHash: must be a valid transaction hash',
+      '$.quoteId: must be >= 1'
+    ]);
+  });
+
+  it('records an unverified request when no RPC is configured', async () => {
+    const provider = wallet();
+    const buyer = wallet();
+    const service = await createService(provider);
+
+    const res = await requestService(buyer, service.id, txHash(1));
+
+    expect(res.status).toBe(201);
+    expect(res.json.data).toMatchObject({
+      serviceId: service.id,
+      buyerAddress: buyer.address.toLowerCase(),
+      providerAddress: provider.address.toLowerCase(),
+      amountUSDC: 5000000,
+      status: 'unverified',
+      verification: { status: 'unverified', reason: 'On-chain verification is not configured' }
+    });
+  });
+
+  it('returns each new request, not whichever row was inserted last', async () => {
+    const service = await createService(wallet());
+
+    const first = await requestService(wallet(), service.id, txHash(1));
+    const second = await requestService(wallet(), service.id, txHash(2));
+
+    expect(first.json.data.txHash).toBe(txHash(1));
+    expect(second.json.data.txHash).toBe(txHash(2));
+    expect(second.json.data.id).toBe(first.json.data.id + 1);
+  });
+
+  it('rejects buying your own service', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+
+    const res = await requestService(provider, service.id, txHash(1));
+
+    expect(res.status).toBe(400);
+    expect(res.json.error.message).toBe('Cannot request your own service');
+  });
+
+  it('returns 404 for paused or unknown services', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+    await api('PUT', `/services/${service.id}`, { signer: provider, body: { status: 'paused' } });
+
+    expect((await requestService(wallet(), service.id, txHash(1))).status).toBe(404);
+    expect((await requestService(wallet(), 999, txHash(2))).status).toBe(404);
+  });
+
+  it('rejects a duplicate transaction hash', async () => {
+    const service = await createService(wallet());
+    await requestService(wallet(), service.id, txHash(1));
+
+    const res = await requestService(wallet(), service.id, txHash(1));
+
+    expect(res.status).toBe(409);
+    expect(res.json.error.message).toBe('Transaction hash already exists');
+  });
+
+  it('only lets the buyer sign for themselves', async () => {
+    const service = await createService(wallet());
+    const res = await api('POST', `/services/${service.id}/request`, {
+      signer: wallet(),
+      body: { buyerAddress: wallet().address, txHash: txHash(1) }
+    });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('notifies the provider through the webhook outbox', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+    await api('POST', '/webhooks', {
+      signer: provider,
+      body: { ownerAddress: provider.address, url: 'https://hooks.test/provider', events: ['request.created'] }
+    });
+
+    await requestService(wallet(), service.id, txHash(1));
+
+    const delivery = await env.DB.prepare('SELECT event_type, status FROM webhook_deliveries').first();
+    expect(delivery).toEqual({ event_type: 'request.created', status: 'pending' });
+  });
+});
+
+describe('Escrow verification', () => {
+  it('moves a matching escrow straight to pending', async () => {
+    const buyer = wallet();
+    const service = await createService(wallet(), { onchainServiceId: 7 });
+    const fetchSpy = mockRpc({
+      eth_getTransactionReceipt: () => escrowReceipt({ requestId: 3, buyer: buyer.address })
+    });
+
+    const res = await api('POST', `/services/${service.id}/request`, {
+      signer: buyer,
+      env: chainEnv,
+      body: { buyerAddress: buyer.address, txHash: txHash(1) }
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.json.data).toMatchObject({ status: 'pending', onchainRequestId: 3, verification: { status: 'verified' } });
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('checks the provider on-chain when the listing is not linked', async () => {
+    const provider = wallet();
+    const buyer = wallet();
+    const service = await createService(provider);
+    mockRpc({
+      eth_getTransactionReceipt: () => escrowReceipt({ buyer: buyer.address }),
+      eth_call: () => encodeFunctionResult({
+        abi: EXCHANGE_ABI,
+        functionName: 'getService',
+        result: {
+          id: 7n, provider: provider.address, name: 'Code Review', description: 'x',
+          price: 5000000n, active: true, createdAt: 0n, totalSales: 0n
+        }
+      })
+    });
+
+    const res = await api('POST', `/services/${service.id}/request`, {
+      signer: buyer,
+      env: chainEnv,
+      body: { buyerAddress: buyer.address, txHash: txHash(1) }
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.json.data.status).toBe('pending');
+  });
+
+  it.each([
+    ['a different buyer', (buyer) => escrowReceipt({ buyer: wallet().address }), 'Escrow was created by a different buyer'],
+    ['the wrong amount', (buyer) => escrowReceipt({ buyer: buyer.address, price: 1 }), 'Escrowed amount 1 does not match expected price 5000000'],
+    ['a different on-chain service', (buyer) => escrowReceipt({ buyer: buyer.address, serviceId: 8 }), 'Escrow is for a different on-chain service'],
+    ['a reverted transaction', (buyer) => escrowReceipt({ buyer: buyer.address, status: '0x0' }), 'Transaction reverted'],
+    ['a transaction without RequestCreated', () => ({ status: '0x1', logs: [] }), 'Transaction did not call AgentServiceExchange.createRequest']
+  ])('rejects an escrow from %s with 422', async (_, receipt, reason) => {
+    const buyer = wallet();
+    const service = await createService(wallet(), { onchainServiceId: 7 });
+    mockRpc({ eth_getTransactionReceipt: () => receipt(buyer) });
+
+    const res = await api('POST', `/services/${service.id}/request`, {
+      signer: buyer,
+      env: chainEnv,
+      body: { buyerAddress: buyer.address, txHash: txHash(1) }
+    });
+
+    expect(res.status).toBe(422);
+    expect(res.json.error.details).toEqual([reason]);
+    expect(await env.DB.prepare('SELECT COUNT(*) AS n FROM service_requests').first('n')).toBe(0);
+  });
+
+  it('defers verification when the transaction is not mined yet', async () => {
+    const buyer = wallet();
+    const service = await createService(wallet(), { onchainServiceId: 7 });
+    mockRpc({ eth_getTransactionReceipt: () => null });
+
+    const res = await api('POST', `/services/${service.id}/request`, {
+      signer: buyer,
+      env: chainEnv,
+      body: { buyerAddress: buyer.address, txHash: txHash(1) }
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.json.data.verification).toEqual({ status: 'unverified', reason: 'Transaction not yet mined' });
+  });
+
+  it('defers verification when the RPC is down', async () => {
+    const buyer = wallet();
+    const service = await createService(wallet(), { onchainServiceId: 7 });
+    mockRpc({});
+
+    const res = await api('POST', `/services/${service.id}/request`, {
+      signer: buyer,
+      env: chainEnv,
+      body: { buyerAddress: buyer.address, txHash: txHash(1) }
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.json.data.verification).toEqual({ status: 'unverified', reason: 'RPC unavailable, verification deferred' });
+  });
+
+  it('hands a squatted transaction hash to the buyer the escrow proves', async () => {
+    const buyer = wallet();
+    const squatter = wallet();
+    const service = await createService(wallet(), { onchainServiceId: 7 });
+    let receipt = null;
+    mockRpc({ eth_getTransactionReceipt: () => receipt });
+
+    const squatted = await api('POST', `/services/${service.id}/request`, {
+      signer: squatter,
+      env: chainEnv,
+      body: { buyerAddress: squatter.address, txHash: txHash(1) }
+    });
+    expect(squatted.json.data.status).toBe('unverified');
+
+    receipt = escrowReceipt({ requestId: 3, buyer: buyer.address });
+    const res = await api('POST', `/services/${service.id}/request`, {
+      signer: buyer,
+      env: chainEnv,
+      body: { buyerAddress: buyer.address, txHash: txHash(1) }
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.json.data).toMatchObject({
+      id: squatted.json.data.id,
+      buyerAddress: buyer.address.toLowerCase(),
+      status: 'pending',
+      onchainRequestId: 3
+    });
+    const history = await env.DB.prepare(
+      'SELECT from_status, to_status, actor_address FROM request_events WHERE request_id = ? ORDER BY id'
+    ).bind(res.json.data.id).all();
+    expect(history.results).toEqual([
+      { from_status: null, to_status: 'unverified', actor_address: squatter.address.toLowerCase() },
+      { from_status: 'unverified', to_status: 'pending', actor_address: buyer.address.toLowerCase() }
+    ]);
+
+    // Once verified, the hash is taken for good
+    const again = await api('POST', `/services/${service.id}/request`, {
+      signer: squatter,
+      env: chainEnv,
+      body: { buyerAddress: squatter.address, txHash: txHash(1) }
+    });
+    expect(again.status).toBe(409);
+  });
+
+  it('refuses to link one on-chain request to two service requests', async () => {
+    const buyer = wallet();
+    const service = await createService(wallet(), { onchainServiceId: 7 });
+    mockRpc({ eth_getTransactionReceipt: () => escrowReceipt({ requestId: 3, buyer: buyer.address }) });
+
+    const first = await api('POST', `/services/${service.id}/request`, {
+      signer: buyer,
+      env: chainEnv,
+      body: { buyerAddress: buyer.address, txHash: txHash(1) }
+    });
+    expect(first.status).toBe(201);
+
+    const res = await api('POST', `/services/${service.id}/request`, {
+      signer: buyer,
+      env: chainEnv,
+      body: { buyerAddress: buyer.address, txHash: txHash(2) }
+    });
+
+    expect(res.status).toBe(409);
+    expect(res.json.error.message).toBe('On-chain request already linked to another service request');
+  });
+});
+
+describe('Request lifecycle', () => {
+  // An escrow-backed request linked to on-chain request 1
+  async function pendingRequest() {
+    const provider = wallet();
+    const buyer = wallet();
+    const service = await createService(provider);
+    const created = await requestService(buyer, service.id, txHash(1));
+    await setRequestStatus(created.json.data.id, 'pending');
+    await env.DB.prepare('UPDATE service_requests SET onchain_request_id = 1 WHERE id = ?').bind(created.json.data.id).run();
+    return { provider, buyer, id: created.json.data.id };
+  }
+
+  // Answer receipt lookups with `eventName` for on-chain request 1
+  function settleOnChain(eventName, args, { requestId = 1, status = '0x1' } = {}) {
+    return mockRpc({
+      eth_getTransactionReceipt: () => ({
+        status,
+        logs: [contractLog(eventName, { requestId: BigInt(requestId), ...args }, { transactionHash: txHash(3) })]
+      })
+    });
+  }
+
+  it('walks pending → in_progress → completed → finalized with history', async () => {
+    const { provider, buyer, id } = await pendingRequest();
+
+    expect((await api('POST', `/requests/${id}/accept`, { signer: provider })).json.data.status).toBe('in_progress');
+
+    const completed = await api('POST', `/requests/${id}/complete`, { signer: provider, body: { note: 'Done', txHash: txHash(2) } });
+    expect(completed.json.data.status).toBe('completed');
+    expect(completed.json.data.completedAt).not.toBeNull();
+    expect(completed.json.data.timeoutAt).not.toBeNull();
+
+    settleOnChain('RequestConfirmed', { buyer: buyer.address });
+    const finalized = await api('POST', `/requests/${id}/confirm`, { signer: buyer, body: { txHash: txHash(3) }, env: chainEnv });
+    expect(finalized.status).toBe(200);
+    expect(finalized.json.data.status).toBe('finalized');
+    expect(finalized.json.data.history.map((h) => h.toStatus)).toEqual(['unverified', 'in_progress', 'completed', 'finalized']);
+    expect(finalized.json.data.history[2]).toMatchObject({ note: 'Done', txHash: txHash(2), source: 'api' });
+    expect(finalized.json.data.history[3]).toMatchObject({ txHash: txHash(3), source: 'api' });
+  });
+
+  it('enforces who may act', async () => {
+    const { buyer, id } = await pendingRequest();
+
+    const res = await api('POST', `/requests/${id}/accept`, { signer: buyer });
+    expect(res.status).toBe(403);
+    expect(res.json.error.message).toBe('Only the provider can accept this request');
+
+    expect((await api('POST', `/requests/${id}/cancel`, { signer: wallet() })).status).toBe(403);
+  });
+
+  it('enforces which states an action applies to', async () => {
+    const { provider, buyer, id } = await pendingRequest();
+
+    const res = await api('POST', `/requests/${id}/complete`, { signer: provider });
+    expect(res.status).toBe(409);
+    expect(res.json.error.message).toMatch(/Cannot complete a request in state "pending"/);
+
+    await setRequestStatus(id, 'completed');
+    settleOnChain('RequestCancelled', { cancelledBy: provider.address });
+    expect((await api('POST', `/requests/${id}/cancel`, { signer: buyer, body: { txHash: txHash(3) }, env: chainEnv })).status).toBe(409);
+
+    const cancelled = await api('POST', `/requests/${id}/cancel`, { signer: provider, body: { txHash: txHash(3) }, env: chainEnv });
+    expect(cancelled.json.data.status).toBe('cancelled');
+  });
+
+  it('lets the provider claim payment only after the timeout', async () => {
+    const { provider, id } = await pendingRequest();
+    settleOnChain('TimeoutClaim', { provider: provider.address });
+    const claim = () => api('POST', `/requests/${id}/claim-timeout`, { signer: provider, body: { txHash: txHash(3) }, env: chainEnv });
+
+    await setRequestStatus(id, 'completed', new Date().toISOString());
+    const early = await claim();
+    expect(early.status).toBe(409);
+    expect(early.json.error.message).toMatch(/Timeout not reached/);
+
+    await setRequestStatus(id, 'completed', new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString());
+    const late = await claim();
+    expect(late.status).toBe(200);
+    expect(late.json.data.status).toBe('finalized');
+  });
+
+  it('only settles an escrow request on its matching contract call', async () => {
+    const { buyer, id } = await pendingRequest();
+    await setRequestStatus(id, 'completed');
+    const confirm = (body) => api('POST', `/requests/${id}/confirm`, { signer: buyer, body, env: chainEnv });
+
+    const missing = await confirm({});
+    expect(missing.status).toBe(400);
+    expect(missing.json.error.message).toMatch(/confirmCompletion/);
+
+    settleOnChain('RequestConfirmed', { buyer: buyer.address }, { requestId: 2 });
+    const otherRequest = await confirm({ txHash: txHash(3) });
+    expect(otherRequest.status).toBe(422);
+    expect(otherRequest.json.error.details).toEqual(['Transaction did not emit RequestConfirmed for on-chain request 1']);
+
+    settleOnChain('RequestCancelled', { cancelledBy: buyer.address });
+    expect((await confirm({ txHash: txHash(3) })).status).toBe(422);
+
+    mockRpc({ eth_getTransactionReceipt: () => null });
+    expect((await confirm({ txHash: txHash(3) })).status).toBe(409);
+
+    expect((await api('GET', `/requests/${id}`)).json.data.status).toBe('completed');
+  });
+
+  it('cancels an escrow request that never reached the chain without a transaction', async () => {
+    const provider = wallet();
+    const buyer = wallet();
+    const service = await createService(provider);
+    const created = await requestService(buyer, service.id, txHash(1));
+
+    const res = await api('POST', `/requests/${created.json.data.id}/cancel`, { signer: buyer });
+
+    expect(res.status).toBe(200);
+    expect(res.json.data.status).toBe('cancelled');
+  });
+
+  it('validates ids and tx hashes', async () => {
+    const { provider, id } = await pendingRequest();
+
+    expect((await api('GET', '/requests/abc')).status).toBe(400);
+    expect((await api('GET', '/requests/999')).status).toBe(404);
+    expect((await api('POST', '/requests/999/accept', { signer: provider })).status).toBe(404);
+    expect((await api('POST', `/requests/${id}/accept`, { signer: provider, body: { txHash: '0x1' } })).status).toBe(400);
+  });
+});
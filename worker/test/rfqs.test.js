@@ -0,0 +1,198 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { api, wallet, txHash, createService, requestService, contractLog, mockRpc, chainEnv } from './helpers.js';
+
+async function openRfq(body = {}) {
+  const provider = wallet();
+  const buyer = wallet();
+  const service = await createService(provider);
+  const res = await api('POST', `/services/${service.id}/rfqs`, {
+    signer: buyer,
+    body: { buyerAddress: buyer.address, requirements: 'Review 2,000 lines of Rust', budgetUSDC: 3, ...body }
+  });
+  return { provider, buyer, service, rfq: res.json.data, res };
+}
+
+function offer(signer, rfqId, body) {
+  return api('POST', `/rfqs/${rfqId}/quotes`, { signer, body });
+}
+
+describe('POST /services/:id/rfqs', () => {
+  it('opens an RFQ for the provider', async () => {
+    const { provider, buyer, rfq, res } = await openRfq();
+
+    expect(res.status).toBe(201);
+    expect(rfq).toMatchObject({
+      buyerAddress: buyer.address.toLowerCase(),
+      providerAddress: provider.address.toLowerCase(),
+      budgetUSDC: 3000000,
+      listedPriceUSDC: 5000000,
+      status: 'open',
+      quotes: []
+    });
+  });
+
+  it('validates the RFQ', async () => {
+    const buyer = wallet();
+    const service = await createService(wallet());
+
+    const res = await api('POST', `/services/${service.id}/rfqs`, {
+      signer: buyer,
+      body: { buyerAddress: buyer.address, requirements: 'short', budgetUSDC: -1 }
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.json.error.details).toEqual([
+      '$.requirements: must be at least 10 characters',
+      '$.budgetUSDC: must be > 0'
+    ]);
+  });
+
+  it('rejects an RFQ on your own service', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+
+    const res = await api('POST', `/services/${service.id}/rfqs`, {
+      signer: provider,
+      body: { buyerAddress: provider.address, requirements: 'Review 2,000 lines of Rust' }
+    });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Negotiation', () => {
+  it('alternates offers, superseding the previous one', async () => {
+    const { provider, buyer, rfq } = await openRfq();
+
+    await offer(provider, rfq.id, { amountUSDC: 4.5, message: 'Large diff' });
+    await offer(buyer, rfq.id, { amountUSDC: 3.5 });
+    const res = await offer(provider, rfq.id, { amountUSDC: 4 });
+
+    expect(res.status).toBe(201);
+    expect(res.json.data.quotes.map((q) => [q.authorRole, q.amountUSDC, q.status])).toEqual([
+      ['provider', 4500000, 'countered'],
+      ['buyer', 3500000, 'countered'],
+      ['provider', 4000000, 'offered']
+    ]);
+  });
+
+  it('marks a revised offer from the same side as withdrawn', async () => {
+    const { provider, rfq } = await openRfq();
+
+    await offer(provider, rfq.id, { amountUSDC: 4.5 });
+    const res = await offer(provider, rfq.id, { amountUSDC: 4.2 });
+
+    expect(res.json.data.quotes.map((q) => q.status)).toEqual(['withdrawn', 'offered']);
+  });
+
+  it('validates offers and keeps outsiders out', async () => {
+    const { provider, rfq } = await openRfq();
+
+    const invalid = await offer(provider, rfq.id, { amountUSDC: 0, expiresInSeconds: 5 });
+    expect(invalid.status).toBe(400);
+    expect(invalid.json.error.details).toHaveLength(2);
+
+    expect((await offer(wallet(), rfq.id, { amountUSDC: 1 })).status).toBe(403);
+    expect((await api('GET', `/rfqs/${rfq.id}`, { signer: wallet() })).status).toBe(403);
+    expect((await api('GET', '/rfqs/999', { signer: provider })).status).toBe(404);
+  });
+
+  it('accepts only the counterparty’s latest open offer', async () => {
+    const { provider, buyer, rfq } = await openRfq();
+    const first = (await offer(provider, rfq.id, { amountUSDC: 4.5 })).json.data.quotes[0];
+    const second = (await offer(provider, rfq.id, { amountUSDC: 4 })).json.data.quotes[1];
+
+    expect((await api('POST', `/rfqs/${rfq.id}/quotes/${second.id}/accept`, { signer: provider })).status).toBe(403);
+    expect((await api('POST', `/rfqs/${rfq.id}/quotes/${first.id}/accept`, { signer: buyer })).status).toBe(409);
+
+    const res = await api('POST', `/rfqs/${rfq.id}/quotes/${second.id}/accept`, { signer: buyer });
+    expect(res.status).toBe(200);
+    expect(res.json.data).toMatchObject({ status: 'accepted', acceptedQuoteId: second.id });
+
+    expect((await offer(buyer, rfq.id, { amountUSDC: 1 })).status).toBe(409);
+  });
+
+  it('refuses expired offers', async () => {
+    const { provider, buyer, rfq } = await openRfq();
+    const quote = (await offer(provider, rfq.id, { amountUSDC: 4 })).json.data.quotes[0];
+    await env.DB.prepare("UPDATE quotes SET expires_at = datetime('now', '-1 minute') WHERE id = ?").bind(quote.id).run();
+
+    const res = await api('POST', `/rfqs/${rfq.id}/quotes/${quote.id}/accept`, { signer: buyer });
+
+    expect(res.status).toBe(409);
+    expect(res.json.error.message).toMatch(/Quote is expired/);
+  });
+
+  it('cancels an RFQ and withdraws its open offers', async () => {
+    const { provider, buyer, rfq } = await openRfq();
+    await offer(provider, rfq.id, { amountUSDC: 4 });
+
+    const res = await api('POST', `/rfqs/${rfq.id}/cancel`, { signer: buyer });
+
+    expect(res.status).toBe(200);
+    expect(res.json.data.status).toBe('cancelled');
+    expect(res.json.data.quotes[0].status).toBe('withdrawn');
+    expect((await api('POST', `/rfqs/${rfq.id}/cancel`, { signer: provider })).status).toBe(409);
+  });
+
+  it('lists RFQs for either party', async () => {
+    const { provider, buyer, rfq } = await openRfq();
+    await offer(provider, rfq.id, { amountUSDC: 4 });
+
+    const forProvider = await api('GET', '/rfqs', { signer: provider });
+    expect(forProvider.json.data).toHaveLength(1);
+    expect(forProvider.json.data[0]).toMatchObject({ id: rfq.id, offerCount: 1 });
+
+    expect((await api('GET', '/rfqs?status=cancelled', { signer: buyer })).json.data).toEqual([]);
+    expect((await api('GET', '/rfqs', { signer: wallet() })).json.data).toEqual([]);
+  });
+});
+
+describe('Buying at a negotiated price', () => {
+  async function acceptedQuote() {
+    const context = await openRfq();
+    const quote = (await offer(context.provider, context.rfq.id, { amountUSDC: 4, onchainServiceId: 7 })).json.data.quotes[0];
+    await api('POST', `/rfqs/${context.rfq.id}/quotes/${quote.id}/accept`, { signer: context.buyer });
+    return { ...context, quote };
+  }
+
+  it('escrows the quoted amount and fulfils the RFQ', async () => {
+    const { buyer, service, rfq, quote } = await acceptedQuote();
+    mockRpc({
+      eth_getTransactionReceipt: () => ({
+        status: '0x1',
+        logs: [contractLog('RequestCreated', { requestId: 1n, serviceId: 7n, buyer: buyer.address, price: 4000000n })]
+      })
+    });
+
+    const res = await api('POST', `/services/${service.id}/request`, {
+      signer: buyer,
+      env: chainEnv,
+      body: { buyerAddress: buyer.address, txHash: txHash(1), quoteId: quote.id }
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.json.data).toMatchObject({ amountUSDC: 4000000, quoteId: quote.id, status: 'pending' });
+    expect((await api('GET', `/rfqs/${rfq.id}`, { signer: buyer })).json.data.status).toBe('fulfilled');
+  });
+
+  it('allows a quote to be used only once', async () => {
+    const { buyer, service, quote } = await acceptedQuote();
+
+    expect((await requestService(buyer, service.id, txHash(1), { quoteId: quote.id })).status).toBe(201);
+
+    const res = await requestService(buyer, service.id, txHash(2), { quoteId: quote.id });
+    expect(res.status).toBe(409);
+  });
+
+  it('rejects quotes for another buyer or an unaccepted quote', async () => {
+    const { service, quote } = await acceptedQuote();
+
+    expect((await requestService(wallet(), service.id, txHash(1), { quoteId: quote.id })).status).toBe(404);
+
+    const other = await openRfq();
+    const pending = (await offer(other.provider, other.rfq.id, { amountUSDC: 4 })).json.data.quotes[0];
+    expect((await requestService(other.buyer, other.service.id, txHash(2), { quoteId: pending.id })).status).toBe(409);
+  });
+});
@@ -0,0 +1,277 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { api, wallet, createService, requestService, setRequestStatus, txHash } from './helpers.js';
+
+describe('POST /services', () => {
+  it('creates a listing and returns the new row', async () => {
+    const provider = wallet();
+    const service = await createService(provider, { onchainServiceId: 7 });
+
+    expect(service).toMatchObject({
+      name: 'Code Review',
+      priceUSDC: 5000000,
+      providerAddress: provider.address.toLowerCase(),
+      category: 'development',
+      onchainServiceId: 7
+    });
+
+    const audit = await env.DB.prepare("SELECT * FROM audit_log WHERE action = 'create' AND entity_type = 'service'").first();
+    expect(audit.entity_id).toBe(service.id);
+  });
+
+  it('returns each new service, not whichever row was inserted last', async () => {
+    const first = await createService(wallet(), { name: 'First service' });
+    const second = await createService(wallet(), { name: 'Second service' });
+
+    expect(second.id).toBe(first.id + 1);
+    expect(first.name).toBe('First service');
+    expect(second.name).toBe('Second service');
+  });
+
+  it('validates the listing', async () => {
+    const provider = wallet();
+    const res = await api('POST', '/services', {
+      signer: provider,
+      body: { name: 'ab', description: 'short', priceUSDC: 0, providerAddress: 'nope', onchainServiceId: -1 }
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.json.error.details).toEqual(expect.arrayContaining([
+      '$.name: must be at least 3 characters',
+      '$.description: must be at least 10 characters',
+      '$.priceUSDC: must be > 0',
+      '$.providerAddress: must be a valid Ethereum address',
+      '$: missing required property "category"',
+      '$.onchainServiceId: must be >= 1'
+    ]));
+  });
+
+  it('strips markup from text fields', async () => {
+    const service = await createService(wallet(), { name: '<b>Bold</b> review' });
+
+    expect(service.name).toBe('bBold/b review');
+  });
+
+  it('stores acceptance criteria and an output schema', async () => {
+    const schema = { type: 'object', required: ['summary'], properties: { summary: { type: 'string' } } };
+    const service = await createService(wallet(), { acceptanceCriteria: 'A summary of findings', outputSchema: schema });
+
+    expect(service.acceptanceCriteria).toBe('A summary of findings');
+    expect(service.outputSchema).toEqual(schema);
+  });
+
+  it('rejects an output schema it cannot enforce', async () => {
+    const provider = wallet();
+    const res = await api('POST', '/services', {
+      signer: provider,
+      body: {
+        name: 'Code Review',
+        description: 'Thorough review of a pull request',
+        priceUSDC: 5,
+        providerAddress: provider.address,
+        category: 'development',
+        outputSchema: { type: 'object', properties: { score: { type: 'decimal' } } }
+      }
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.json.error.details).toEqual(['$.outputSchema.score: unsupported type decimal']);
+  });
+});
+
+describe('GET /services/:id', () => {
+  it('returns the listing with provider stats', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+
+    const res = await api('GET', `/services/${service.id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.json.data).toMatchObject({ id: service.id, status: 'active' });
+    expect(res.json.data.provider).toEqual({
+      ratingAvg: null,
+      ratingCount: 0,
+      totalServices: 0,
+      totalTransactions: 0,
+      reputation: expect.objectContaining({ score: 3, confidence: 0 })
+    });
+  });
+
+  it('rejects a non-numeric id and unknown ids', async () => {
+    expect((await api('GET', '/services/abc')).status).toBe(400);
+    expect((await api('GET', '/services/999')).status).toBe(404);
+  });
+});
+
+describe('PUT /services/:id', () => {
+  it('lets the provider reprice and pause a listing', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+
+    const res = await api('PUT', `/services/${service.id}`, { signer: provider, body: { priceUSDC: 7.5, status: 'paused' } });
+
+    expect(res.status).toBe(200);
+    expect(res.json.data).toMatchObject({ priceUSDC: 7500000, status: 'paused' });
+    expect(res.json.data.changed.sort()).toEqual(['price_usdc', 'status']);
+
+    const audit = await env.DB.prepare("SELECT details FROM audit_log WHERE action = 'update'").first();
+    expect(JSON.parse(audit.details).changes.price_usdc).toEqual({ from: 5000000, to: 7500000 });
+  });
+
+  it('reports no changes when values are the same', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+
+    const res = await api('PUT', `/services/${service.id}`, { signer: provider, body: { priceUSDC: 5 } });
+
+    expect(res.status).toBe(200);
+    expect(res.json.data.changed).toEqual([]);
+  });
+
+  it('only lets the provider edit', async () => {
+    const service = await createService(wallet());
+
+    const res = await api('PUT', `/services/${service.id}`, { signer: wallet(), body: { priceUSDC: 1 } });
+
+    expect(res.status).toBe(403);
+    expect(res.json.error.message).toBe('Only the provider can modify this service');
+  });
+
+  it('validates updates', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+
+    const empty = await api('PUT', `/services/${service.id}`, { signer: provider, body: {} });
+    expect(empty.status).toBe(400);
+    expect(empty.json.error.details[0]).toMatch(/^\$: must include at least one of "name"/);
+
+    const deleted = await api('PUT', `/services/${service.id}`, { signer: provider, body: { status: 'deleted' } });
+    expect(deleted.status).toBe(400);
+    expect(deleted.json.error.details[0]).toBe('$.status: must be one of "active", "paused"');
+  });
+
+  it('needs an on-chain link before accepting a txHash', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+
+    const res = await api('PUT', `/services/${service.id}`, { signer: provider, body: { priceUSDC: 6, txHash: txHash(1) } });
+
+    expect(res.status).toBe(400);
+    expect(res.json.error.message).toBe('Service is not linked to an on-chain service');
+  });
+
+  it('clears the output schema with null', async () => {
+    const provider = wallet();
+    const service = await createService(provider, { outputSchema: { type: 'object' } });
+
+    const res = await api('PUT', `/services/${service.id}`, { signer: provider, body: { outputSchema: null } });
+
+    expect(res.status).toBe(200);
+    expect(res.json.data.outputSchema).toBeNull();
+  });
+});
+
+describe('DELETE /services/:id', () => {
+  it('soft-deletes the listing for the provider only', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+
+    expect((await api('DELETE', `/services/${service.id}`, { signer: wallet() })).status).toBe(403);
+
+    const res = await api('DELETE', `/services/${service.id}`, { signer: provider });
+    expect(res.status).toBe(200);
+    expect(res.json.data).toEqual({ id: service.id, status: 'deleted' });
+
+    expect((await api('GET', `/services/${service.id}`)).status).toBe(404);
+    expect((await api('DELETE', `/services/${service.id}`, { signer: provider })).status).toBe(404);
+
+    const row = await env.DB.prepare('SELECT status FROM services WHERE id = ?').bind(service.id).first();
+    expect(row.status).toBe('deleted');
+  });
+});
+
+describe('GET /services', () => {
+  async function seed() {
+    const alice = wallet();
+    const bob = wallet();
+    const buyer = wallet();
+    const audit = await createService(alice, { name: 'Solidity audit', description: 'Security audit of smart contracts', priceUSDC: 50, category: 'security' });
+    const review = await createService(alice, { name: 'Code review', description: 'Review of TypeScript pull requests', priceUSDC: 5 });
+    const translate = await createService(bob, { name: 'Translation', description: 'Translate documentation to Spanish', priceUSDC: 2, category: 'language' });
+
+    // Give the review listing some demand and alice a good rating
+    await requestService(buyer, review.id, txHash(1));
+    await requestService(buyer, review.id, txHash(2));
+    await setRequestStatus(1, 'completed');
+    await setRequestStatus(2, 'pending');
+    await api('POST', `/agents/${alice.address}/rate`, {
+      signer: buyer,
+      body: { score: 5, requestId: 1, raterAddress: buyer.address }
+    });
+
+    // Listings created in the same second would otherwise tie on created_at
+    for (const [i, service] of [audit, review, translate].entries()) {
+      await env.DB.prepare("UPDATE services SET created_at = datetime('now', ?) WHERE id = ?")
+        .bind(`-${3 - i} minutes`, service.id).run();
+    }
+
+    return { alice, bob, audit, review, translate };
+  }
+
+  it('lists active services, newest first, with pagination', async () => {
+    await seed();
+
+    const res = await api('GET', '/services?limit=2');
+
+    expect(res.status).toBe(200);
+    expect(res.json.data.map((s) => s.name)).toEqual(['Translation', 'Code review']);
+    expect(res.json.meta.pagination).toMatchObject({ page: 1, limit: 2, total: 3, totalPages: 2 });
+
+    const page2 = await api('GET', '/services?limit=2&page=2');
+    expect(page2.json.data.map((s) => s.name)).toEqual(['Solidity audit']);
+  });
+
+  it('searches by keyword with prefix matching', async () => {
+    await seed();
+
+    const res = await api('GET', '/services?q=secur');
+
+    expect(res.json.data.map((s) => s.name)).toEqual(['Solidity audit']);
+    expect(res.json.data[0].relevanceScore).toBeGreaterThan(0);
+  });
+
+  it('filters by category, provider and price', async () => {
+    const { alice } = await seed();
+
+    expect((await api('GET', '/services?category=language')).json.data.map((s) => s.name)).toEqual(['Translation']);
+    expect((await api('GET', `/services?provider=${alice.address}`)).json.data).toHaveLength(2);
+    expect((await api('GET', '/services?minPrice=3&maxPrice=10')).json.data.map((s) => s.name)).toEqual(['Code review']);
+  });
+
+  it('filters by minimum provider rating and sorts by rating, price and popularity', async () => {
+    await seed();
+
+    expect((await api('GET', '/services?minRating=4')).json.data).toHaveLength(2);
+    expect((await api('GET', '/services?sort=price_asc')).json.data.map((s) => s.priceUSDC)).toEqual([2000000, 5000000, 50000000]);
+    expect((await api('GET', '/services?sort=price_desc')).json.data[0].name).toBe('Solidity audit');
+    expect((await api('GET', '/services?sort=popularity')).json.data[0]).toMatchObject({ name: 'Code review', requestCount: 2 });
+    expect((await api('GET', '/services?sort=rating')).json.data[2].name).toBe('Translation');
+  });
+
+  it('hides paused and deleted listings', async () => {
+    const { alice, bob, audit, translate } = await seed();
+
+    await api('PUT', `/services/${audit.id}`, { signer: alice, body: { status: 'paused' } });
+    await api('DELETE', `/services/${translate.id}`, { signer: bob });
+
+    const res = await api('GET', '/services');
+    expect(res.json.data.map((s) => s.name)).toEqual(['Code review']);
+  });
+
+  it('rejects invalid query parameters', async () => {
+    const res = await api('GET', '/services?minPrice=-1&maxPrice=x&minRating=6&sort=cheapest&q=%21%21');
+
+    expect(res.status).toBe(400);
+    expect(res.json.error.details).toHaveLength(5);
+  });
+});
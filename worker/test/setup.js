@@ -0,0 +1,38 @@
+import { env, fetchMock } from 'cloudflare:test';
+import { beforeAll, afterEach, vi } from 'vitest';
+
+// Split schema.sql into statements, keeping CREATE TRIGGER ... END; blocks whole
+function splitSchema(sql) {
+  const statements = [];
+  let current = [];
+  let inTrigger = false;
+
+  for (const line of sql.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('--')) continue;
+
+    current.push(line);
+    if (/^CREATE TRIGGER/i.test(trimmed)) inTrigger = true;
+
+    const ends = inTrigger ? /^END;$/i.test(trimmed) : trimmed.endsWith(';');
+    if (ends) {
+      statements.push(current.join('\n'));
+      current = [];
+      inTrigger = false;
+    }
+  }
+
+  return statements;
+}
+
+beforeAll(async () => {
+  await env.DB.batch(splitSchema(env.SCHEMA_SQL).map((statement) => env.DB.prepare(statement)));
+
+  // Any outbound fetch a test didn't mock fails instead of hitting the network
+  fetchMock.activate();
+  fetchMock.disableNetConnect();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
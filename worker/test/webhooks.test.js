@@ -0,0 +1,153 @@
+import { env, createScheduledController, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi } from 'vitest';
+import { api, wallet, txHash, createService, requestService } from './helpers.js';
+import { Webhooks, MAX_SUBSCRIPTIONS_PER_WALLET } from '../src/webhooks.js';
+import worker from '../src/index.js';
+
+function subscribe(owner, body = {}) {
+  return api('POST', '/webhooks', {
+    signer: owner,
+    body: { ownerAddress: owner.address, url: 'https://hooks.test/agent', events: ['request.created'], ...body }
+  });
+}
+
+// Subscribe a provider and queue one request.created delivery for them
+async function queuedDelivery() {
+  const provider = wallet();
+  const webhook = (await subscribe(provider)).json.data;
+  const service = await createService(provider);
+  await requestService(wallet(), service.id, txHash(1));
+  return { provider, webhook };
+}
+
+function mockReceiver(status = 200) {
+  return vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('ok', { status }));
+}
+
+describe('Webhook subscriptions', () => {
+  it('returns the signing secret once on create', async () => {
+    const owner = wallet();
+
+    const res = await subscribe(owner, { events: ['request.created', 'request.created', 'rating.received'] });
+
+    expect(res.status).toBe(201);
+    expect(res.json.data).toMatchObject({
+      ownerAddress: owner.address.toLowerCase(),
+      url: 'https://hooks.test/agent',
+      events: ['request.created', 'rating.received']
+    });
+    expect(res.json.data.secret).toMatch(/^whsec_[0-9a-f]{64}$/);
+
+    const list = await api('GET', '/webhooks', { signer: owner });
+    expect(list.json.data).toHaveLength(1);
+    expect(list.json.data[0]).not.toHaveProperty('secret');
+    expect(list.json.meta.availableEvents).toHaveProperty('dispute.opened');
+  });
+
+  it('validates subscriptions', async () => {
+    const owner = wallet();
+
+    const res = await subscribe(owner, { url: 'http://hooks.test', events: ['request.deleted'] });
+
+    expect(res.status).toBe(400);
+    expect(res.json.error.details).toEqual([
+      '$.url: must be a valid https:// URL',
+      expect.stringMatching(/^\$\.events\[0\]: must be one of "request\.created"/)
+    ]);
+    expect((await subscribe(owner, { ownerAddress: wallet().address })).status).toBe(403);
+  });
+
+  it(`caps active subscriptions at ${MAX_SUBSCRIPTIONS_PER_WALLET} per wallet`, async () => {
+    const owner = wallet();
+    for (let i = 0; i < MAX_SUBSCRIPTIONS_PER_WALLET; i++) {
+      await subscribe(owner, { url: `https://hooks.test/${i}` });
+    }
+
+    expect((await subscribe(owner)).status).toBe(409);
+  });
+
+  it('lets only the owner delete a subscription, cancelling pending deliveries', async () => {
+    const { provider, webhook } = await queuedDelivery();
+
+    expect((await api('DELETE', `/webhooks/${webhook.id}`, { signer: wallet() })).status).toBe(403);
+
+    const res = await api('DELETE', `/webhooks/${webhook.id}`, { signer: provider });
+    expect(res.json.data).toEqual({ id: webhook.id, active: false });
+    expect(await env.DB.prepare('SELECT status FROM webhook_deliveries').first('status')).toBe('cancelled');
+    expect((await api('DELETE', `/webhooks/${webhook.id}`, { signer: provider })).status).toBe(404);
+  });
+
+  it('lists deliveries for the owner', async () => {
+    const { provider, webhook } = await queuedDelivery();
+
+    const res = await api('GET', `/webhooks/${webhook.id}/deliveries?status=pending`, { signer: provider });
+
+    expect(res.json.data).toHaveLength(1);
+    expect(res.json.data[0]).toMatchObject({ eventType: 'request.created', status: 'pending', attempts: 0 });
+    expect(res.json.data[0].payload.data.request.txHash).toBe(txHash(1));
+    expect((await api('GET', `/webhooks/${webhook.id}/deliveries`, { signer: wallet() })).status).toBe(403);
+  });
+
+  it('only queues events the subscription asked for', async () => {
+    const provider = wallet();
+    await subscribe(provider, { events: ['rating.received'] });
+    const service = await createService(provider);
+
+    await requestService(wallet(), service.id, txHash(1));
+
+    expect(await env.DB.prepare('SELECT COUNT(*) AS n FROM webhook_deliveries').first('n')).toBe(0);
+  });
+});
+
+describe('Webhooks.deliverPending', () => {
+  it('POSTs the payload with a verifiable signature', async () => {
+    const { webhook } = await queuedDelivery();
+    const fetchSpy = mockReceiver();
+
+    const summary = await Webhooks.deliverPending(env);
+
+    expect(summary).toEqual({ attempted: 1, delivered: 1, failed: 0 });
+    const [url, init] = fetchSpy.mock.calls[0];
+    expect(url).toBe('https://hooks.test/agent');
+    expect(init.headers['X-Exchange-Event']).toBe('request.created');
+
+    const timestamp = init.headers['X-Exchange-Signature'].match(/^t=(\d+),/)[1];
+    expect(init.headers['X-Exchange-Signature']).toBe(await Webhooks.sign(webhook.secret, timestamp, init.body));
+
+    expect(await env.DB.prepare('SELECT status FROM webhook_deliveries').first('status')).toBe('delivered');
+  });
+
+  it('backs off after a failed attempt', async () => {
+    await queuedDelivery();
+    mockReceiver(500);
+
+    expect(await Webhooks.deliverPending(env)).toEqual({ attempted: 1, delivered: 0, failed: 0 });
+
+    const delivery = await env.DB.prepare('SELECT * FROM webhook_deliveries').first();
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, last_status_code: 500, last_error: 'HTTP 500' });
+
+    // Not due again until the backoff has passed
+    expect((await Webhooks.deliverPending(env)).attempted).toBe(0);
+  });
+
+  it('gives up after the last attempt', async () => {
+    await queuedDelivery();
+    await env.DB.prepare('UPDATE webhook_deliveries SET attempts = 7').run();
+    vi.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('connection refused'));
+
+    expect(await Webhooks.deliverPending(env)).toEqual({ attempted: 1, delivered: 0, failed: 1 });
+    expect(await env.DB.prepare('SELECT status, last_error FROM webhook_deliveries').first())
+      .toEqual({ status: 'failed', last_error: 'connection refused' });
+  });
+
+  it('runs from the cron trigger', async () => {
+    await queuedDelivery();
+    mockReceiver();
+
+    const ctx = createExecutionContext();
+    await worker.scheduled(createScheduledController(), env, ctx);
+    await waitOnExecutionContext(ctx);
+
+    expect(await env.DB.prepare('SELECT status FROM webhook_deliveries').first('status')).toBe('delivered');
+  });
+});
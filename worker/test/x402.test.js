@@ -0,0 +1,253 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, vi } from 'vitest';
+import { decodeFunctionData, encodeFunctionResult } from 'viem';
+import { api, wallet, txHash, createService, x402Payment, RPC_URL } from './helpers.js';
+import { Deployment } from '../src/deployment.js';
+import { Webhooks } from '../src/webhooks.js';
+
+const ENDPOINT = 'https://provider.test/run';
+const FACILITATOR_URL = 'https://facilitator.test';
+const x402Env = { X402_FACILITATOR_URL: FACILITATOR_URL };
+
+const USDC_ABI = [
+  { type: 'function', name: 'balanceOf', inputs: [{ type: 'address' }], outputs: [{ type: 'uint256' }] },
+  { type: 'function', name: 'authorizationState', inputs: [{ type: 'address' }, { type: 'bytes32' }], outputs: [{ type: 'bool' }] }
+];
+
+/**
+ * Answer the provider endpoint, the facilitator and (optionally) the RPC
+ * @returns the fetch spy
+ */
+function mockUpstream({
+  provider = () => Response.json({ answer: 42 }),
+  settle = () => Response.json({ success: true, transaction: txHash(9), network: 'base-sepolia' }),
+  balance = 10_000_000n,
+  used = false
+} = {}) {
+  return vi.spyOn(globalThis, 'fetch').mockImplementation(async (input, init) => {
+    const url = typeof input === 'string' ? input : input.url;
+    if (url === ENDPOINT) return provider(init);
+    if (url === `${FACILITATOR_URL}/settle`) return settle(init);
+    if (url.startsWith(RPC_URL)) {
+      const { id, params } = JSON.parse(init.body);
+      const { functionName } = decodeFunctionData({ abi: USDC_ABI, data: params[0].data });
+      const result = encodeFunctionResult({ abi: USDC_ABI, functionName, result: functionName === 'balanceOf' ? balance : used });
+      return Response.json({ jsonrpc: '2.0', id, result });
+    }
+    throw new Error(`Unexpected fetch to ${url}`);
+  });
+}
+
+const calledUrls = (spy) => spy.mock.calls.map(([input]) => (typeof input === 'string' ? input : input.url));
+
+async function call(serviceId, { header, body = { question: 'life' }, env: overrides = {} } = {}) {
+  return api('POST', `/services/${serviceId}/call`, {
+    body,
+    headers: header ? { 'X-PAYMENT': header } : {},
+    env: { ...x402Env, ...overrides }
+  });
+}
+
+describe('x402 pay-per-call', () => {
+  it('answers 402 with the payment requirements', async () => {
+    const provider = wallet();
+    const service = await createService(provider, { endpoint: ENDPOINT });
+
+    const res = await call(service.id);
+
+    expect(res.status).toBe(402);
+    expect(res.json.x402Version).toBe(1);
+    expect(res.json.accepts).toEqual([expect.objectContaining({
+      scheme: 'exact',
+      network: 'base-sepolia',
+      maxAmountRequired: '5000000',
+      payTo: provider.address.toLowerCase(),
+      asset: Deployment.getUsdcAddress(env),
+      resource: `https://api.test/services/${service.id}/call`,
+      extra: { name: 'USDC', version: '2' }
+    })]);
+  });
+
+  it('forwards a paid call, settles it and records a finalized request', async () => {
+    const provider = wallet();
+    const buyer = wallet();
+    const service = await createService(provider, { endpoint: ENDPOINT });
+    const fetchSpy = mockUpstream();
+
+    const res = await call(service.id, { header: await x402Payment(buyer, provider.address) });
+
+    expect(res.status).toBe(200);
+    expect(res.json).toEqual({ answer: 42 });
+    expect(JSON.parse(atob(res.headers.get('X-PAYMENT-RESPONSE')))).toMatchObject({ success: true, transaction: txHash(9) });
+
+    const requestId = Number(res.headers.get('X-Exchange-Request-Id'));
+    const record = await api('GET', `/requests/${requestId}`);
+    expect(record.json.data).toMatchObject({
+      status: 'finalized',
+      paymentScheme: 'x402',
+      settlementTxHash: txHash(9),
+      buyerAddress: buyer.address.toLowerCase(),
+      amountUSDC: 5000000
+    });
+    expect(record.json.data.history.map((event) => event.toStatus)).toEqual(['in_progress', 'finalized']);
+
+    const stats = await env.DB.prepare('SELECT total_transactions, total_volume_usdc FROM exchange_stats WHERE id = 1').first();
+    expect(stats).toEqual({ total_transactions: 1, total_volume_usdc: 5000000 });
+
+    // Settlement only happens after the provider answered
+    expect(calledUrls(fetchSpy)).toEqual([ENDPOINT, `${FACILITATOR_URL}/settle`]);
+  });
+
+  it('signs forwarded calls with the listing\'s endpoint secret', async () => {
+    const provider = wallet();
+    const buyer = wallet();
+    const service = await createService(provider, { endpoint: ENDPOINT });
+    const fetchSpy = mockUpstream();
+
+    await call(service.id, { header: await x402Payment(buyer, provider.address), body: { question: 'life' } });
+
+    const { headers, body } = fetchSpy.mock.calls[0][1];
+    const timestamp = headers['X-Exchange-Signature'].match(/^t=(\d+),/)[1];
+    expect(service.endpointSecret).toMatch(/^whsec_/);
+    expect(headers['X-Exchange-Signature']).toBe(await Webhooks.sign(service.endpointSecret, timestamp, body));
+    expect(headers['X-Exchange-Buyer']).toBe(buyer.address.toLowerCase());
+  });
+
+  it('rejects payments that do not match the requirements without calling the provider', async () => {
+    const provider = wallet();
+    const buyer = wallet();
+    const service = await createService(provider, { endpoint: ENDPOINT });
+    const fetchSpy = mockUpstream();
+
+    const underpaid = await call(service.id, { header: await x402Payment(buyer, provider.address, { value: '1' }) });
+    const wrongPayee = await call(service.id, { header: await x402Payment(buyer, wallet().address) });
+    const expired = await call(service.id, { header: await x402Payment(buyer, provider.address, { validBefore: 1 }) });
+    const wrongNetwork = await call(service.id, { header: await x402Payment(buyer, provider.address, { network: 'base' }) });
+    const garbage = await call(service.id, { header: 'not-base64-json' });
+
+    expect(underpaid.json.error).toBe('Authorization must be for exactly 5000000');
+    expect(wrongPayee.json.error).toBe('Authorization must pay the provider');
+    expect(expired.json.error).toBe('Authorization has expired');
+    expect(wrongNetwork.json.error).toMatch(/base-sepolia/);
+    expect(garbage.json.error).toBe('X-PAYMENT must be base64-encoded JSON');
+    for (const res of [underpaid, wrongPayee, expired, wrongNetwork, garbage]) expect(res.status).toBe(402);
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  it('rejects an authorization signed by someone other than `from`', async () => {
+    const provider = wallet();
+    const buyer = wallet();
+    const service = await createService(provider, { endpoint: ENDPOINT });
+    const forged = JSON.parse(atob(await x402Payment(wallet(), provider.address)));
+    forged.payload.authorization.from = buyer.address;
+
+    const res = await call(service.id, { header: btoa(JSON.stringify(forged)) });
+
+    expect(res.status).toBe(402);
+    expect(res.json.error).toBe('Authorization was not signed by `from`');
+  });
+
+  it('does not accept the same authorization twice', async () => {
+    const provider = wallet();
+    const service = await createService(provider, { endpoint: ENDPOINT });
+    const header = await x402Payment(wallet(), provider.address);
+    mockUpstream();
+
+    await call(service.id, { header });
+    const replay = await call(service.id, { header });
+
+    expect(replay.status).toBe(409);
+  });
+
+  it('cancels without settling when the provider fails', async () => {
+    const provider = wallet();
+    const service = await createService(provider, { endpoint: ENDPOINT });
+    const fetchSpy = mockUpstream({ provider: () => Response.json({ error: 'overloaded' }, { status: 503 }) });
+
+    const res = await call(service.id, { header: await x402Payment(wallet(), provider.address) });
+
+    expect(res.status).toBe(503);
+    expect(res.json).toEqual({ error: 'overloaded' });
+    expect(res.headers.get('X-PAYMENT-RESPONSE')).toBeNull();
+    expect(calledUrls(fetchSpy)).toEqual([ENDPOINT]);
+    const row = await env.DB.prepare('SELECT status FROM service_requests WHERE id = ?')
+      .bind(Number(res.headers.get('X-Exchange-Request-Id'))).first();
+    expect(row.status).toBe('cancelled');
+  });
+
+  it('reports a failed settlement as 402', async () => {
+    const provider = wallet();
+    const service = await createService(provider, { endpoint: ENDPOINT });
+    mockUpstream({ settle: () => Response.json({ success: false, errorReason: 'insufficient_funds' }) });
+
+    const res = await call(service.id, { header: await x402Payment(wallet(), provider.address) });
+
+    expect(res.status).toBe(402);
+    expect(res.json.error).toBe('Settlement failed: insufficient_funds');
+    const row = await env.DB.prepare("SELECT status FROM service_requests WHERE payment_scheme = 'x402'").first();
+    expect(row.status).toBe('rejected');
+  });
+
+  it('checks the payer\'s balance and nonce on-chain when an RPC is configured', async () => {
+    const provider = wallet();
+    const service = await createService(provider, { endpoint: ENDPOINT });
+    const rpcEnv = { RPC_URL };
+
+    mockUpstream({ balance: 1n });
+    const broke = await call(service.id, { header: await x402Payment(wallet(), provider.address), env: rpcEnv });
+    vi.restoreAllMocks();
+    mockUpstream({ used: true });
+    const spent = await call(service.id, { header: await x402Payment(wallet(), provider.address), env: rpcEnv });
+
+    expect(broke.status).toBe(402);
+    expect(broke.json.error).toBe('Insufficient USDC balance');
+    expect(spent.json.error).toBe('Authorization nonce has already been used');
+  });
+
+  it('needs an endpoint on the listing and a facilitator on the exchange', async () => {
+    const provider = wallet();
+    const plain = await createService(provider);
+    const callable = await createService(provider, { endpoint: ENDPOINT });
+
+    expect((await call(plain.id)).status).toBe(409);
+    expect((await call(callable.id, { env: { X402_FACILITATOR_URL: '' } })).status).toBe(503);
+  });
+
+  it('shows pay-per-call listings without revealing the endpoint', async () => {
+    const provider = wallet();
+    const service = await createService(provider, { endpoint: ENDPOINT });
+
+    const res = await api('GET', `/services/${service.id}`);
+
+    expect(res.json.data.payPerCall).toBe(true);
+    expect(res.json.data).not.toHaveProperty('endpoint');
+    expect(JSON.stringify(res.json)).not.toContain('whsec_');
+  });
+
+  it('issues an endpoint secret when an endpoint is added and drops it with the endpoint', async () => {
+    const provider = wallet();
+    const service = await createService(provider);
+
+    const added = await api('PUT', `/services/${service.id}`, { signer: provider, body: { endpoint: ENDPOINT } });
+    const renamed = await api('PUT', `/services/${service.id}`, { signer: provider, body: { name: 'Deep Code Review' } });
+    const removed = await api('PUT', `/services/${service.id}`, { signer: provider, body: { endpoint: null } });
+
+    expect(added.json.data.endpointSecret).toMatch(/^whsec_/);
+    expect(renamed.json.data).not.toHaveProperty('endpointSecret');
+    expect(removed.json.data.endpoint).toBeNull();
+    const row = await env.DB.prepare('SELECT endpoint_secret FROM services WHERE id = ?').bind(service.id).first();
+    expect(row.endpoint_secret).toBeNull();
+  });
+
+  it('only accepts https endpoints', async () => {
+    const provider = wallet();
+
+    const res = await api('POST', '/services', {
+      signer: provider,
+      body: { name: 'Insecure', description: 'Plain http endpoint', priceUSDC: 1, providerAddress: provider.address, category: 'data', endpoint: 'http://provider.test' }
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.json.error.details).toEqual(['$.endpoint: must be a valid https:// URL']);
+  });
+});
@@ -0,0 +1,26 @@
+import { readFileSync } from 'node:fs';
+import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+
+// Tests run inside workerd against local D1/KV/R2 created by Miniflare.
+// Nothing leaves the machine: RPC_URL is empty unless a test mocks the chain.
+export default defineWorkersConfig({
+  test: {
+    include: ['test/**/*.test.js'],
+    setupFiles: ['./test/setup.js'],
+    poolOptions: {
+      workers: {
+        singleWorker: true,
+        wrangler: { configPath: './wrangler.toml' },
+        miniflare: {
+          bindings: {
+            ENVIRONMENT: 'test',
+            RPC_URL: '',
+            ARBITER_ADDRESSES: '',
+            SCHEMA_SQL: readFileSync(new URL('./schema.sql', import.meta.url), 'utf8')
+          },
+          r2Buckets: ['DELIVERABLES']
+        }
+      }
+    }
+  }
+});